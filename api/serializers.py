@@ -1,8 +1,8 @@
 from rest_framework import serializers
 from core.models import (
     Sensor, SensorData, Municipality, Barangay, FloodRiskZone, 
-    FloodAlert, ThresholdSetting, NotificationLog, EmergencyContact,
-    ResilienceScore
+    FloodAlert, ThresholdSetting, ThresholdOverride, NotificationLog, EmergencyContact,
+    ResilienceScore, AlertRule, EvacuationCenter
 )
 
 class SensorSerializer(serializers.ModelSerializer):
@@ -16,7 +16,7 @@ class SensorDataSerializer(serializers.ModelSerializer):
     
     class Meta:
         model = SensorData
-        fields = ['id', 'sensor', 'sensor_name', 'sensor_type', 'value', 'timestamp']
+        fields = ['id', 'sensor', 'sensor_name', 'sensor_type', 'value', 'timestamp', 'accuracy_rating', 'source']
 
 class MunicipalitySerializer(serializers.ModelSerializer):
     class Meta:
@@ -28,7 +28,8 @@ class BarangaySerializer(serializers.ModelSerializer):
     
     class Meta:
         model = Barangay
-        fields = '__all__'
+        # Boundaries can be large; they are served by /api/barangay-boundaries/
+        exclude = ['boundary_geojson']
 
 class FloodRiskZoneSerializer(serializers.ModelSerializer):
     class Meta:
@@ -37,13 +38,24 @@ class FloodRiskZoneSerializer(serializers.ModelSerializer):
 
 class FloodAlertSerializer(serializers.ModelSerializer):
     issued_by_username = serializers.ReadOnlyField(source='issued_by.username')
+    acknowledged_by_username = serializers.ReadOnlyField(source='acknowledged_by.username', default=None)
+    assigned_to_username = serializers.ReadOnlyField(source='assigned_to.username', default=None)
+    escalated_by_username = serializers.ReadOnlyField(source='escalated_by.username', default=None)
+    workflow_state = serializers.ReadOnlyField()
+    acknowledge_due_at = serializers.ReadOnlyField()
     
     class Meta:
         model = FloodAlert
         fields = ['id', 'title', 'description', 'severity_level', 'active', 
                   'predicted_flood_time', 'issued_at', 'updated_at', 
-                  'affected_barangays', 'issued_by', 'issued_by_username']
-        read_only_fields = ['issued_at', 'updated_at', 'issued_by']
+                  'affected_barangays', 'issued_by', 'issued_by_username',
+                  'workflow_state', 'acknowledged_by', 'acknowledged_by_username', 'acknowledged_at',
+                  'assigned_to', 'assigned_to_username', 'assigned_at',
+                  'escalated_by', 'escalated_by_username', 'escalated_at', 'escalation_count',
+                  'acknowledge_due_at']
+        read_only_fields = ['issued_at', 'updated_at', 'issued_by',
+                            'acknowledged_by', 'acknowledged_at', 'assigned_to', 'assigned_at',
+                            'escalated_by', 'escalated_at', 'escalation_count']
 
 class ThresholdSettingSerializer(serializers.ModelSerializer):
     last_updated_by_username = serializers.ReadOnlyField(source='last_updated_by.username')
@@ -74,6 +86,106 @@ class ThresholdSettingSerializer(serializers.ModelSerializer):
                 })
         return data
 
+class ThresholdOverrideSerializer(serializers.ModelSerializer):
+    last_updated_by_username = serializers.ReadOnlyField(source='last_updated_by.username')
+    municipality_name = serializers.ReadOnlyField(source='municipality.name')
+    barangay_name = serializers.ReadOnlyField(source='barangay.name')
+    scope = serializers.ReadOnlyField()
+    unit = serializers.SerializerMethodField()
+
+    class Meta:
+        model = ThresholdOverride
+        fields = ['id', 'parameter', 'municipality', 'municipality_name', 'barangay', 'barangay_name',
+                  'scope', 'advisory_threshold', 'watch_threshold', 'warning_threshold',
+                  'emergency_threshold', 'catastrophic_threshold', 'unit', 'created_at', 'updated_at',
+                  'last_updated_by', 'last_updated_by_username']
+        read_only_fields = ['created_at', 'updated_at', 'last_updated_by']
+        # Uniqueness is checked in validate() once the barangay has filled in the municipality
+        validators = []
+
+    def get_unit(self, obj):
+        setting = ThresholdSetting.objects.filter(parameter=obj.parameter).only('unit').first()
+        return setting.unit if setting else None
+
+    def validate(self, data):
+        def current(field):
+            return data.get(field, getattr(self.instance, field, None))
+
+        parameter = current('parameter')
+        municipality = current('municipality')
+        barangay = current('barangay')
+
+        if parameter and not ThresholdSetting.objects.filter(parameter=parameter).exists():
+            raise serializers.ValidationError({
+                'parameter': 'Configure the global thresholds for this parameter before overriding them.'
+            })
+        if barangay is not None:
+            if municipality is not None and barangay.municipality_id != municipality.id:
+                raise serializers.ValidationError({
+                    'barangay': f'{barangay.name} is not in {municipality.name}.'
+                })
+            data['municipality'] = municipality = barangay.municipality
+        if municipality is None:
+            raise serializers.ValidationError({'municipality': 'Choose a municipality or a barangay.'})
+
+        a = current('advisory_threshold')
+        w = current('watch_threshold')
+        wn = current('warning_threshold')
+        e = current('emergency_threshold')
+        c = current('catastrophic_threshold')
+        msg = 'Thresholds must be strictly increasing: Advisory < Watch < Warning < Emergency < Catastrophic.'
+        if None not in (a, w, wn, e, c):
+            if not (a < w < wn < e < c):
+                raise serializers.ValidationError({
+                    'advisory_threshold': msg,
+                    'watch_threshold': msg,
+                    'warning_threshold': msg,
+                    'emergency_threshold': msg,
+                    'catastrophic_threshold': msg,
+                })
+
+        clash = ThresholdOverride.objects.filter(parameter=parameter)
+        if barangay is not None:
+            clash = clash.filter(barangay=barangay)
+            place = barangay.name
+        else:
+            clash = clash.filter(municipality=municipality, barangay__isnull=True)
+            place = municipality.name
+        if self.instance is not None:
+            clash = clash.exclude(pk=self.instance.pk)
+        if clash.exists():
+            raise serializers.ValidationError({
+                'non_field_errors': [f'{place} already has {parameter} thresholds; edit that override instead.']
+            })
+        return data
+
+class EvacuationCenterSerializer(serializers.ModelSerializer):
+    municipality_name = serializers.ReadOnlyField(source='municipality.name')
+    barangay_name = serializers.ReadOnlyField(source='barangay.name')
+    facility_type_label = serializers.ReadOnlyField(source='get_facility_type_display')
+    available_capacity = serializers.ReadOnlyField()
+
+    class Meta:
+        model = EvacuationCenter
+        fields = ['id', 'name', 'facility_type', 'facility_type_label', 'municipality', 'municipality_name',
+                  'barangay', 'barangay_name', 'latitude', 'longitude', 'capacity', 'current_occupancy',
+                  'available_capacity', 'is_open', 'contact_person', 'contact_number', 'notes',
+                  'created_at', 'updated_at']
+        read_only_fields = ['created_at', 'updated_at']
+        # Filled in from the barangay when only that is given
+        extra_kwargs = {'municipality': {'required': False}}
+
+    def validate(self, data):
+        municipality = data.get('municipality', getattr(self.instance, 'municipality', None))
+        barangay = data.get('barangay', getattr(self.instance, 'barangay', None))
+        if barangay is not None:
+            if municipality is not None and barangay.municipality_id != municipality.id:
+                raise serializers.ValidationError({'barangay': f'{barangay.name} is not in {municipality.name}.'})
+            data['municipality'] = barangay.municipality
+        elif municipality is None:
+            raise serializers.ValidationError({'municipality': 'Choose a municipality or a barangay.'})
+        return data
+
 class NotificationLogSerializer(serializers.ModelSerializer):
     alert_title = serializers.ReadOnlyField(source='alert.title')
     
@@ -106,3 +218,40 @@ class ResilienceScoreSerializer(serializers.ModelSerializer):
             'methodology', 'notes', 'is_current', 'created_at', 'updated_at'
         ]
         read_only_fields = ['overall_score', 'resilience_category', 'created_at', 'updated_at']
+
+class AlertRuleSerializer(serializers.ModelSerializer):
+    municipality_name = serializers.ReadOnlyField(source='municipality.name', default=None)
+    barangay_name = serializers.ReadOnlyField(source='barangay.name', default=None)
+    unit = serializers.SerializerMethodField()
+
+    class Meta:
+        model = AlertRule
+        fields = [
+            'id', 'name', 'parameter', 'condition', 'threshold', 'window_hours',
+            'municipality', 'municipality_name', 'barangay', 'barangay_name',
+            'channel', 'cooldown_minutes', 'enabled', 'unit', 'created_at', 'updated_at'
+        ]
+        read_only_fields = ['created_at', 'updated_at']
+
+    def get_unit(self, obj):
+        if obj.parameter in AlertRule.DERIVED_UNITS:
+            return AlertRule.DERIVED_UNITS[obj.parameter]
+        setting = ThresholdSetting.objects.filter(parameter=obj.parameter).only('unit').first()
+        return setting.unit if setting else ''
+
+    def validate(self, data):
+        window = data.get('window_hours', getattr(self.instance, 'window_hours', None))
+        if window is not None and window <= 0:
+            raise serializers.ValidationError({'window_hours': 'Window must be greater than zero.'})
+        parameter = data.get('parameter', getattr(self.instance, 'parameter', None))
+        condition = data.get('condition', getattr(self.instance, 'condition', None))
+        if parameter in AlertRule.DERIVED_UNITS and condition not in ('above', 'below'):
+            raise serializers.ValidationError({'condition': 'Derived metrics support only "rises above" and "falls below".'})
+        municipality = data.get('municipality', getattr(self.instance, 'municipality', None))
+        barangay = data.get('barangay', getattr(self.instance, 'barangay', None))
+        if barangay and municipality and barangay.municipality_id != municipality.id:
+            raise serializers.ValidationError({'barangay': 'Barangay is not in the selected municipality.'})
+        # A barangay implies its municipality
+        if barangay and not municipality:
+            data['municipality'] = barangay.municipality
+        return data
@@ -0,0 +1,177 @@
+import json
+from datetime import timedelta
+from unittest.mock import patch
+
+from django.test import TestCase
+from django.utils import timezone
+from rest_framework.test import APIClient
+
+from core.models import (
+    Barangay, FloodAlert, Municipality, Sensor, SensorData, ThresholdOverride, ThresholdSetting,
+)
+
+
+class LocationFixture:
+    """One municipality, barangay and rainfall sensor; readings are bulk-created to skip the
+    post_save threshold evaluation thread."""
+
+    def setUp(self):
+        self.client = APIClient()
+        self.municipality = Municipality.objects.create(
+            name='Agoo', province='La Union', population=60000, area_sqkm=50.0,
+            latitude=16.32, longitude=120.36,
+        )
+        self.barangay = Barangay.objects.create(
+            name='Poblacion', municipality=self.municipality, population=5000, area_sqkm=2.0,
+            latitude=16.33, longitude=120.37,
+        )
+        self.sensor = Sensor.objects.create(
+            name='Agoo rain gauge', sensor_type='rainfall', latitude=16.33, longitude=120.37,
+            municipality=self.municipality, barangay=self.barangay,
+        )
+
+    def add_readings(self, values_by_hours_ago, sensor=None, source=SensorData.SOURCE_SENSOR):
+        now = timezone.now()
+        SensorData.objects.bulk_create([
+            SensorData(sensor=sensor or self.sensor, value=value, source=source,
+                       timestamp=now - timedelta(hours=hours_ago))
+            for hours_ago, value in values_by_hours_ago.items()
+        ])
+
+
+class ChartDataWindowTests(LocationFixture, TestCase):
+    def setUp(self):
+        super().setUp()
+        # 30 hourly readings over the last day and a bit, plus one ten days and one 400 days ago
+        readings = {hours: float(hours) for hours in range(30)}
+        readings[240] = 99.0
+        readings[400 * 24] = 400.0
+        self.add_readings(readings)
+
+    def chart(self, **params):
+        response = self.client.get('/api/chart-data/', dict({'type': 'rainfall'}, **params))
+        self.assertEqual(response.status_code, 200)
+        return json.loads(response.content)['values']
+
+    def test_days_returns_every_reading_in_the_window(self):
+        values = self.chart(days=2)
+        self.assertEqual(len(values), 30)
+        self.assertNotIn(99.0, values)
+
+    def test_fractional_days(self):
+        self.assertEqual(self.chart(days=0.5), [float(h) for h in range(11, -1, -1)])
+
+    def test_days_are_capped(self):
+        values = self.chart(days=1000)
+        self.assertIn(99.0, values)
+        self.assertNotIn(400.0, values)
+
+    def test_invalid_days_falls_back_to_one_day(self):
+        self.assertEqual(len(self.chart(days='week')), 24)
+        self.assertEqual(len(self.chart(days='nan')), 24)
+
+
+class ManualReadingTests(LocationFixture, TestCase):
+    def test_chart_data_flags_manual_readings(self):
+        self.add_readings({3: 1.0, 1: 2.0})
+        self.add_readings({2: 5.0}, source=SensorData.SOURCE_MANUAL)
+        response = self.client.get('/api/chart-data/', {'type': 'rainfall', 'days': 1})
+        data = json.loads(response.content)
+        self.assertEqual(data['values'], [1.0, 5.0, 2.0])
+        self.assertEqual(data['manual'], [False, True, False])
+
+    def post_reading(self, source):
+        return self.client.post('/api/add-sensor-data/', {
+            'sensor_id': self.sensor.id, 'value': 4.0, 'source': source,
+        }, format='json')
+
+    def test_anonymous_manual_reading_is_refused(self):
+        self.assertEqual(self.post_reading(SensorData.SOURCE_MANUAL).status_code, 403)
+        self.assertFalse(SensorData.objects.exists())
+
+    def test_import_source_is_refused(self):
+        self.assertEqual(self.post_reading(SensorData.SOURCE_IMPORT).status_code, 400)
+        self.assertEqual(self.post_reading('satellite').status_code, 400)
+        self.assertFalse(SensorData.objects.exists())
+
+
+class MapDataThresholdOverrideTests(LocationFixture, TestCase):
+    def setUp(self):
+        super().setUp()
+        ThresholdSetting.objects.create(
+            parameter='rainfall', advisory_threshold=10, watch_threshold=20, warning_threshold=30,
+            emergency_threshold=40, catastrophic_threshold=50, unit='mm',
+        )
+        self.upland = Barangay.objects.create(
+            name='Upland', municipality=self.municipality, population=3000, area_sqkm=4.0,
+            latitude=16.35, longitude=120.40,
+        )
+        upland_sensor = Sensor.objects.create(
+            name='Upland rain gauge', sensor_type='rainfall', latitude=16.35, longitude=120.40,
+            municipality=self.municipality, barangay=self.upland,
+        )
+        # The same rainfall in both barangays
+        self.add_readings({1: 25.0})
+        self.add_readings({1: 25.0}, sensor=upland_sensor)
+
+    def barangays(self):
+        response = self.client.get('/api/map-data/', {'municipality_id': self.municipality.id})
+        self.assertEqual(response.status_code, 200)
+        return {b['id']: b for b in json.loads(response.content)['barangays']}
+
+    def test_global_thresholds_without_overrides(self):
+        barangays = self.barangays()
+        self.assertEqual(barangays[self.barangay.id]['param_severities']['rainfall'], 2)
+        self.assertEqual(barangays[self.barangay.id]['threshold_sets'], {})
+
+    def test_barangay_override_changes_only_that_barangay(self):
+        ThresholdOverride.objects.create(
+            parameter='rainfall', municipality=self.municipality, barangay=self.barangay,
+            advisory_threshold=5, watch_threshold=10, warning_threshold=15,
+            emergency_threshold=20, catastrophic_threshold=60,
+        )
+        barangays = self.barangays()
+        poblacion = barangays[self.barangay.id]
+        self.assertEqual(poblacion['param_severities']['rainfall'], 4)
+        self.assertEqual(poblacion['threshold_sets']['rainfall'],
+                         {'scope': 'barangay', 'id': self.barangay.id, 'name': 'Poblacion'})
+        self.assertEqual(barangays[self.upland.id]['param_severities']['rainfall'], 2)
+        self.assertEqual(barangays[self.upland.id]['threshold_sets'], {})
+
+    def test_map_history_keeps_sensor_units(self):
+        response = self.client.get('/api/map-history/', {'municipality_id': self.municipality.id, 'hours': 2})
+        self.assertEqual(response.status_code, 200)
+        self.assertEqual({s['unit'] for s in response.data['sensors']}, {'mm'})
+
+
+class LiveEventsTests(LocationFixture, TestCase):
+    def poll(self, cursor=None):
+        response = self.client.get('/api/live-events/', {'municipality_id': self.municipality.id, 'cursor': cursor or ''})
+        self.assertEqual(response.status_code, 200)
+        return response.data
+
+    def test_first_request_returns_a_cursor_without_waiting(self):
+        self.add_readings({1: 3.0})
+        first = self.poll()
+        self.assertEqual(first['events'], [])
+        self.assertTrue(first['cursor'])
+
+    def test_cursor_returns_readings_since(self):
+        cursor = self.poll()['cursor']
+        self.add_readings({0: 7.0})
+        events = self.poll(cursor)['events']
+        self.assertEqual([e['event'] for e in events], ['sensor_data'])
+        self.assertEqual(events[0]['data']['value'], 7.0)
+        self.assertEqual(events[0]['data']['barangay_id'], self.barangay.id)
+
+    def test_cursor_does_not_repeat_an_alert_with_sub_millisecond_update(self):
+        cursor = self.poll()['cursor']
+        alert = FloodAlert.objects.create(title='Rainfall Alert: Watch', description='Heavy rain', severity_level=2)
+        alert.affected_barangays.set([self.barangay])
+        FloodAlert.objects.filter(id=alert.id).update(
+            updated_at=(timezone.now() + timedelta(seconds=1)).replace(microsecond=123456))
+
+        first = self.poll(cursor)
+        self.assertEqual([e['event'] for e in first['events']], ['flood_alert'])
+        with patch('api.views.LIVE_EVENTS_WAIT_SECONDS', 0):
+            self.assertEqual(self.poll(first['cursor'])['events'], [])
@@ -10,7 +10,10 @@ router.register(r'barangays', views.BarangayViewSet)
 router.register(r'flood-alerts', views.FloodAlertViewSet)
 router.register(r'flood-risk-zones', views.FloodRiskZoneViewSet)
 router.register(r'threshold-settings', views.ThresholdSettingViewSet)
+router.register(r'threshold-overrides', views.ThresholdOverrideViewSet, basename='threshold-override')
 router.register(r'resilience-scores', views.ResilienceScoreViewSet)
+router.register(r'alert-rules', views.AlertRuleViewSet, basename='alert-rule')
+router.register(r'evacuation-centers', views.EvacuationCenterViewSet, basename='evacuation-center')
 
 urlpatterns = [
     path('', include(router.urls)),
@@ -18,6 +21,7 @@ urlpatterns = [
     path('add-sensor-data/', views.add_sensor_data, name='add_sensor_data'),
     path('update-threshold/', views.update_threshold_setting, name='update_threshold_setting'),
     path('prediction/', views.flood_prediction, name='flood_prediction'),
+    path('forecast/', views.parameter_forecast, name='parameter_forecast'),
     path('compare-algorithms/', views.compare_prediction_algorithms, name='compare_algorithms'),
     path('map-data/', views.get_map_data, name='get_map_data'),
     path('heatmap/', views.heatmap_points, name='heatmap_points'),
@@ -27,4 +31,10 @@ urlpatterns = [
     path('threshold-visualization/<str:parameter>/', views.threshold_visualization_parameter, name='threshold_visualization_parameter'),
     path('historical-suggestion/', views.historical_suggestion, name='historical_suggestion'),
     path('all-barangays/', views.get_all_barangays, name='get_all_barangays'),
+    path('barangay-boundaries/', views.barangay_boundaries, name='barangay_boundaries'),
+    path('map-history/', views.map_history, name='map_history'),
+    path('sensor-health/', views.sensor_health, name='sensor_health'),
+    path('evacuation-plan/', views.evacuation_plan, name='evacuation_plan'),
+    path('population-at-risk/', views.population_at_risk, name='population_at_risk'),
+    path('live-events/', views.live_events, name='live_events'),
 ]
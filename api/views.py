@@ -1,13 +1,17 @@
 from rest_framework import viewsets, permissions, status
-from rest_framework.decorators import api_view, permission_classes
+from rest_framework.decorators import action, api_view, permission_classes
+from rest_framework.exceptions import PermissionDenied
 from rest_framework.response import Response
+from django.contrib.auth.models import User
 from django.utils import timezone
 from django.db.models import Max, Avg, Sum, Q, Count, Min
 from django.views.decorators.csrf import csrf_exempt
+from django.urls import reverse
 import math
 import logging
 import requests
-from datetime import timedelta
+import time
+from datetime import datetime, timedelta
 try:
     from zoneinfo import ZoneInfo  # Python 3.9+
 except Exception:
@@ -17,23 +21,44 @@ except Exception:
 from flood_monitoring.ml.flood_prediction_model import predict_flood_probability, get_affected_barangays as ml_get_affected_barangays
 from flood_monitoring.ml.flood_prediction_model import ADVANCED_ALGORITHMS_AVAILABLE, TENSORFLOW_AVAILABLE
 from flood_monitoring.ml.flood_prediction_model import DEFAULT_CLASSIFICATION_ALGORITHM
+from flood_monitoring.ml.flood_prediction_model import (
+    FORECAST_HORIZONS, FORECAST_HISTORY_HOURS, forecast_parameter_series,
+)
 
 # Set up logging
 logger = logging.getLogger(__name__)
 
 from core.models import (
     Sensor, SensorData, Municipality, Barangay, FloodRiskZone, 
-    FloodAlert, ThresholdSetting, NotificationLog, EmergencyContact,
+    FloodAlert, ThresholdSetting, ThresholdOverride, NotificationLog, EmergencyContact,
     ResilienceScore,
-    UserProfile
+    UserProfile, AlertRule, EvacuationCenter
 )
+from core.boundaries import boundary_feature
+from core.evacuation import evacuation_plan as build_evacuation_plan
+from core.population_risk import population_at_risk as build_population_at_risk
+from core.sensor_health import STATUSES, health_config, sensor_health as sensor_health_for
+from core.threshold_sets import ThresholdResolver, SCOPE_GLOBAL, threshold_level
 from .serializers import (
     SensorSerializer, SensorDataSerializer, MunicipalitySerializer, BarangaySerializer,
     FloodRiskZoneSerializer, FloodAlertSerializer, ThresholdSettingSerializer, 
-    NotificationLogSerializer, EmergencyContactSerializer, ResilienceScoreSerializer
+    NotificationLogSerializer, EmergencyContactSerializer, ResilienceScoreSerializer,
+    AlertRuleSerializer, ThresholdOverrideSerializer, EvacuationCenterSerializer
 )
 
 from core.notifications import dispatch_notifications_for_alert
+
+SENSOR_HISTORY_MAX_DAYS = 365
+SENSOR_HISTORY_MAX_POINTS = 1500
+SENSOR_IMPORT_MAX_ROWS = 500
+
+
+def _can_manage(user):
+    """Admins and flood managers may edit sensors and import readings"""
+    return user.is_authenticated and (
+        user.is_superuser or (hasattr(user, 'profile') and user.profile.role in ['admin', 'manager'])
+    )
+
 class SensorViewSet(viewsets.ReadOnlyModelViewSet):
     """API endpoint for sensors"""
     queryset = Sensor.objects.all()
@@ -54,6 +79,76 @@ class SensorViewSet(viewsets.ReadOnlyModelViewSet):
             
         return queryset
 
+    @action(detail=True, methods=['get'])
+    def history(self, request, pk=None):
+        """
+        Everything the sensor detail drawer shows: metadata, readings with their accuracy
+        rating over the last `days` days (default 7), min/max/mean over the range, the
+        thresholds for the sensor's parameter and its current health.
+        """
+        sensor = self.get_object()
+        try:
+            days = float(request.query_params.get('days', 7))
+        except ValueError:
+            return Response({'error': 'days must be a number'}, status=status.HTTP_400_BAD_REQUEST)
+        days = min(max(days, 1 / 24), SENSOR_HISTORY_MAX_DAYS)
+        now = timezone.now()
+        readings_queryset = SensorData.objects.filter(sensor=sensor, timestamp__gte=now - timedelta(days=days))
+
+        stats = readings_queryset.aggregate(
+            count=Count('id'), min=Min('value'), max=Max('value'), mean=Avg('value'),
+            accuracy_mean=Avg('accuracy_rating'),
+        )
+        rows = list(readings_queryset.order_by('timestamp').values_list('timestamp', 'value', 'accuracy_rating', 'source'))
+        # Long ranges are thinned for drawing; the statistics above still cover every reading
+        stride = max(1, math.ceil(len(rows) / SENSOR_HISTORY_MAX_POINTS))
+        if stride > 1:
+            rows = rows[::stride] + ([rows[-1]] if (len(rows) - 1) % stride else [])
+
+        threshold = ThresholdResolver(parameters=[sensor.sensor_type]).resolve(
+            sensor.sensor_type, sensor.municipality_id, sensor.barangay_id)
+        health = sensor_health_for([sensor], now=now)
+        can_edit = _can_manage(request.user)
+        manila_tz = ZoneInfo('Asia/Manila') if ZoneInfo else None
+        installed = sensor.created_at.astimezone(manila_tz) if manila_tz else sensor.created_at
+
+        return Response({
+            'sensor': {
+                'id': sensor.id,
+                'name': sensor.name,
+                'type': sensor.sensor_type,
+                'type_display': sensor.get_sensor_type_display(),
+                'description': sensor.description or '',
+                'active': sensor.active,
+                'lat': sensor.latitude,
+                'lng': sensor.longitude,
+                'municipality_id': sensor.municipality_id,
+                'municipality_name': sensor.municipality.name if sensor.municipality else '-',
+                'barangay_id': sensor.barangay_id,
+                'barangay_name': sensor.barangay.name if sensor.barangay else '-',
+                'installed_at': sensor.created_at.isoformat(),
+                'installed_at_manila': installed.strftime('%Y-%m-%d'),
+            },
+            'days': days,
+            'unit': threshold.unit if threshold else '',
+            'readings': [{
+                'timestamp': timestamp.isoformat(),
+                'value': value,
+                'accuracy_rating': accuracy,
+                'manual': source == SensorData.SOURCE_MANUAL,
+            } for timestamp, value, accuracy, source in rows],
+            'stats': stats,
+            'thresholds': {
+                'advisory': threshold.advisory_threshold,
+                'watch': threshold.watch_threshold,
+                'warning': threshold.warning_threshold,
+                'emergency': threshold.emergency_threshold,
+                'catastrophic': threshold.catastrophic_threshold,
+            } if threshold else None,
+            'health': health[0] if health else None,
+            'edit_url': reverse('edit_sensor', args=[sensor.id]) if can_edit else None,
+        })
+
 class SensorDataViewSet(viewsets.ReadOnlyModelViewSet):
     """API endpoint for sensor data"""
     queryset = SensorData.objects.all()
@@ -99,27 +194,179 @@ class SensorDataViewSet(viewsets.ReadOnlyModelViewSet):
             
         return queryset
 
+    @action(detail=False, methods=['post'], url_path='import', permission_classes=[permissions.IsAuthenticated])
+    def import_readings(self, request):
+        """
+        Bulk import of historical readings (the import wizard), admins and managers only.
+
+        Body: `{"rows": [{"row", "sensor_id", "timestamp", "parameter"?, "value"}], "dry_run"?}`
+        with at most SENSOR_IMPORT_MAX_ROWS rows. `row` is the line number in the uploaded file
+        and is echoed back in errors. Values must lie within SENSOR_HEALTH['valid_range'], an
+        optional `parameter` must match the sensor's type, and rows whose sensor already has a
+        reading at exactly that timestamp are skipped as duplicates, so a chunk can be re-sent
+        after an interrupted upload. With `dry_run` nothing is saved.
+
+        Imported readings are stored with source "import" and bulk-created, so they do not raise
+        threshold alerts for events long past.
+        """
+        if not _can_manage(request.user):
+            return Response({'error': 'Only administrators and flood managers can import readings'},
+                            status=status.HTTP_403_FORBIDDEN)
+        rows = request.data.get('rows')
+        if not isinstance(rows, list) or not rows:
+            return Response({'error': 'rows must be a non-empty list'}, status=status.HTTP_400_BAD_REQUEST)
+        if len(rows) > SENSOR_IMPORT_MAX_ROWS:
+            return Response({'error': f'Send at most {SENSOR_IMPORT_MAX_ROWS} rows per request'},
+                            status=status.HTTP_400_BAD_REQUEST)
+        dry_run = bool(request.data.get('dry_run'))
+
+        sensor_ids = set()
+        for raw in rows:
+            try:
+                sensor_ids.add(int(raw.get('sensor_id')))
+            except (AttributeError, TypeError, ValueError):
+                pass
+        sensors = Sensor.objects.in_bulk(list(sensor_ids))
+        valid_range = health_config().get('valid_range') or {}
+        now = timezone.now()
+
+        errors = []
+        candidates = []
+        for index, raw in enumerate(rows):
+            if not isinstance(raw, dict):
+                errors.append({'row': index + 1, 'error': 'Row must be an object'})
+                continue
+            line = raw.get('row', index + 1)
+            try:
+                sensor = sensors.get(int(raw.get('sensor_id')))
+            except (TypeError, ValueError):
+                sensor = None
+            if sensor is None:
+                errors.append({'row': line, 'error': f"Unknown sensor: {raw.get('sensor_id')}"})
+                continue
+            parameter = raw.get('parameter')
+            if parameter and parameter != sensor.sensor_type:
+                errors.append({'row': line, 'error': f'{sensor.name} measures {sensor.sensor_type}, not {parameter}'})
+                continue
+            try:
+                value = float(raw.get('value'))
+            except (TypeError, ValueError):
+                value = None
+            if value is None or not math.isfinite(value):
+                errors.append({'row': line, 'error': 'value must be a number'})
+                continue
+            low, high = valid_range.get(sensor.sensor_type, (None, None))
+            if (low is not None and value < low) or (high is not None and value > high):
+                errors.append({'row': line, 'error': f'{value} is outside the possible range for '
+                                                     f'{sensor.get_sensor_type_display()} ({low} to {high})'})
+                continue
+            timestamp = _parse_history_time(str(raw.get('timestamp') or ''))
+            if timestamp is None:
+                errors.append({'row': line, 'error': 'timestamp must be an ISO 8601 date and time'})
+                continue
+            if timestamp > now + timedelta(minutes=5):
+                errors.append({'row': line, 'error': 'The reading time is in the future'})
+                continue
+            candidates.append((line, sensor, timestamp, value))
+
+        # One query for every (sensor, timestamp) pair already stored
+        existing = set()
+        if candidates:
+            pairs = Q()
+            for _, sensor, timestamp, _ in candidates:
+                pairs |= Q(sensor_id=sensor.id, timestamp=timestamp)
+            existing = set(SensorData.objects.filter(pairs).values_list('sensor_id', 'timestamp'))
+
+        duplicates = []
+        seen = set()
+        new_readings = []
+        for line, sensor, timestamp, value in candidates:
+            key = (sensor.id, timestamp)
+            if key in existing or key in seen:
+                duplicates.append(line)
+                continue
+            seen.add(key)
+            new_readings.append(SensorData(
+                sensor=sensor,
+                value=value,
+                timestamp=timestamp,
+                source=SensorData.SOURCE_IMPORT,
+                entered_by=request.user,
+            ))
+
+        if new_readings and not dry_run:
+            SensorData.objects.bulk_create(new_readings)
+
+        return Response({
+            'dry_run': dry_run,
+            'received': len(rows),
+            'created': 0 if dry_run else len(new_readings),
+            'importable': len(new_readings),
+            'duplicates': duplicates,
+            'errors': errors,
+        }, status=status.HTTP_200_OK if dry_run else status.HTTP_201_CREATED)
+
+# Sources add_sensor_data accepts; imported readings only come in through import_readings
+ADD_SENSOR_DATA_SOURCES = (SensorData.SOURCE_SENSOR, SensorData.SOURCE_MANUAL)
+
+
 @api_view(['POST'])
 @permission_classes([permissions.AllowAny])
 def add_sensor_data(request):
-    """API endpoint for adding new sensor data"""
+    """
+    API endpoint for adding new sensor data.
+
+    Telemetry posts `sensor_id`, `value` and optionally `timestamp`. Field observers post
+    `source: "manual"` as a signed-in user; manual readings must lie within the sensor type's
+    physical range (SENSOR_HEALTH['valid_range']) and may not be dated in the future.
+    Any other source is rejected.
+    """
     sensor_id = request.data.get('sensor_id')
-    value = request.data.get('value')
-    timestamp = request.data.get('timestamp', timezone.now())
+    source = request.data.get('source') or SensorData.SOURCE_SENSOR
+    if source not in ADD_SENSOR_DATA_SOURCES:
+        return Response({'error': f'Unsupported source: {source}'}, status=status.HTTP_400_BAD_REQUEST)
+    if source != SensorData.SOURCE_SENSOR and not request.user.is_authenticated:
+        return Response({'error': 'Sign in to submit manual readings'}, status=status.HTTP_403_FORBIDDEN)
+    try:
+        value = float(request.data.get('value'))
+    except (TypeError, ValueError):
+        return Response({'error': 'value must be a number'}, status=status.HTTP_400_BAD_REQUEST)
+    if not math.isfinite(value):
+        return Response({'error': 'value must be a number'}, status=status.HTTP_400_BAD_REQUEST)
+
+    timestamp = timezone.now()
+    if request.data.get('timestamp'):
+        timestamp = _parse_history_time(str(request.data.get('timestamp')))
+        if timestamp is None:
+            return Response({'error': 'timestamp must be an ISO 8601 date and time'}, status=status.HTTP_400_BAD_REQUEST)
     
     try:
         sensor = Sensor.objects.get(id=sensor_id)
-    except Sensor.DoesNotExist:
+    except (Sensor.DoesNotExist, ValueError, TypeError):
         return Response(
             {'error': f'Sensor with ID {sensor_id} does not exist'},
             status=status.HTTP_404_NOT_FOUND
         )
+
+    entered_by = None
+    if source == SensorData.SOURCE_MANUAL:
+        entered_by = request.user
+        low, high = (health_config().get('valid_range') or {}).get(sensor.sensor_type, (None, None))
+        if (low is not None and value < low) or (high is not None and value > high):
+            return Response(
+                {'error': f'{value} is outside the possible range for {sensor.get_sensor_type_display()} ({low} to {high})'},
+                status=status.HTTP_400_BAD_REQUEST
+            )
+        if timestamp > timezone.now() + timedelta(minutes=5):
+            return Response({'error': 'The reading time is in the future'}, status=status.HTTP_400_BAD_REQUEST)
     
     # Create the new sensor data
     data = SensorData.objects.create(
         sensor=sensor,
         value=value,
-        timestamp=timestamp
+        timestamp=timestamp,
+        source=source,
+        entered_by=entered_by,
     )
     
     # Check if the new reading exceeds any thresholds
@@ -129,10 +376,10 @@ def add_sensor_data(request):
     return Response(serializer.data, status=status.HTTP_201_CREATED)
 
 def check_thresholds(sensor, value):
-    """Check if a sensor reading exceeds any thresholds and create alerts if needed"""
-    try:
-        threshold = ThresholdSetting.objects.get(parameter=sensor.sensor_type)
-    except ThresholdSetting.DoesNotExist:
+    """Check if a sensor reading exceeds the thresholds at its location and create alerts if needed"""
+    threshold = ThresholdResolver(parameters=[sensor.sensor_type]).resolve(
+        sensor.sensor_type, sensor.municipality_id, sensor.barangay_id)
+    if threshold is None:
         # No threshold set for this sensor type
         return
     
@@ -151,6 +398,8 @@ def check_thresholds(sensor, value):
         severity_level = 1  # Advisory
     
     if severity_level:
+        # Name the override, if any, that the reading was judged against
+        where = f" for {threshold.scope_name}" if threshold.scope != SCOPE_GLOBAL else ''
         # Check if there's already an active alert for this sensor type
         existing_alert = FloodAlert.objects.filter(
             title__startswith=f"{sensor.sensor_type.title()} Alert",
@@ -161,7 +410,7 @@ def check_thresholds(sensor, value):
             # Update the existing alert if the new severity is higher
             if severity_level > existing_alert.severity_level:
                 existing_alert.severity_level = severity_level
-                existing_alert.description = f"{sensor.sensor_type.title()} has reached {value} {threshold.unit}, which exceeds the {get_severity_name(severity_level)} threshold."
+                existing_alert.description = f"{sensor.sensor_type.title()} has reached {value} {threshold.unit}, which exceeds the {get_severity_name(severity_level)} threshold{where}."
                 existing_alert.updated_at = timezone.now()
                 existing_alert.save()
                 # Dispatch notifications for the updated alert
@@ -170,7 +419,7 @@ def check_thresholds(sensor, value):
             # Create a new alert
             alert = FloodAlert.objects.create(
                 title=f"{sensor.sensor_type.title()} Alert: {get_severity_name(severity_level)}",
-                description=f"{sensor.sensor_type.title()} has reached {value} {threshold.unit}, which exceeds the {get_severity_name(severity_level)} threshold.",
+                description=f"{sensor.sensor_type.title()} has reached {value} {threshold.unit}, which exceeds the {get_severity_name(severity_level)} threshold{where}.",
                 severity_level=severity_level,
                 active=True
             )
@@ -400,11 +649,10 @@ def parameter_status(request):
     if barangay_id:
         sensor_filters['sensor__barangay_id'] = barangay_id
 
-    # Select thresholds/parameters to include
-    qs = ThresholdSetting.objects.all()
-    if param_filter:
-        params = [p.strip() for p in param_filter.split(',') if p.strip()]
-        qs = qs.filter(parameter__in=params)
+    # Select thresholds/parameters to include, resolved for this location (overrides fall back to global)
+    params = [p.strip() for p in param_filter.split(',') if p.strip()] if param_filter else None
+    resolver = ThresholdResolver(parameters=params)
+    qs = resolver.for_location(municipality_id, barangay_id).values()
 
     def compute_level(val, t):
         if val is None:
@@ -461,6 +709,7 @@ def parameter_status(request):
             'level': lvl,
             'level_name': level_name(lvl),
             'threshold': ref_threshold,
+            'threshold_set': t.source(),
         })
 
     max_level = max([it['level'] for it in items], default=0)
@@ -569,6 +818,52 @@ class FloodAlertViewSet(viewsets.ModelViewSet):
     
     def perform_create(self, serializer):
         serializer.save(issued_by=self.request.user)
+    
+    @action(detail=True, methods=['post'], permission_classes=[permissions.IsAuthenticated])
+    def acknowledge(self, request, pk=None):
+        """Mark the alert as seen and being handled by the current user"""
+        alert = self.get_object()
+        alert.acknowledge(request.user)
+        return Response(self.get_serializer(alert).data)
+    
+    @action(detail=True, methods=['post'], permission_classes=[permissions.IsAuthenticated])
+    def assign(self, request, pk=None):
+        """Assign the alert to a responder ({"user_id": id}); a null user_id clears the assignment"""
+        alert = self.get_object()
+        user_id = request.data.get('user_id')
+        responder = None
+        if user_id not in (None, ''):
+            responder = User.objects.filter(pk=user_id, is_active=True).first()
+            if responder is None:
+                return Response({'user_id': 'Unknown or inactive user.'}, status=status.HTTP_400_BAD_REQUEST)
+        alert.assign(responder)
+        return Response(self.get_serializer(alert).data)
+    
+    @action(detail=True, methods=['post'], permission_classes=[permissions.IsAuthenticated])
+    def escalate(self, request, pk=None):
+        """Escalate the alert and notify the contacts for its barangays again"""
+        alert = self.get_object()
+        alert.escalate(request.user)
+        try:
+            dispatch_notifications_for_alert(alert)
+        except Exception as e:
+            logger.error(f"Failed to dispatch escalation notifications for alert {alert.id}: {e}")
+        return Response(self.get_serializer(alert).data)
+    
+    @action(detail=False, methods=['get'], permission_classes=[permissions.IsAuthenticated])
+    def responders(self, request):
+        """Active users alerts can be assigned to"""
+        users = (
+            User.objects.filter(is_active=True)
+            .select_related('profile')
+            .order_by('first_name', 'last_name', 'username')
+        )
+        return Response([{
+            'id': u.id,
+            'username': u.username,
+            'name': u.get_full_name() or u.username,
+            'role': u.profile.get_role_display() if hasattr(u, 'profile') else '',
+        } for u in users])
 
 class FloodRiskZoneViewSet(viewsets.ReadOnlyModelViewSet):
     """API endpoint for flood risk zones"""
@@ -595,52 +890,109 @@ class ThresholdSettingViewSet(viewsets.ModelViewSet):
     def perform_update(self, serializer):
         serializer.save(last_updated_by=self.request.user)
 
-@api_view(['GET'])
-@permission_classes([permissions.AllowAny])
-def compare_prediction_algorithms(request):
-    """API endpoint for comparing predictions from different ML algorithms"""
-    
-    # Get location filters from request parameters
-    municipality_id = request.GET.get('municipality_id', None)
-    barangay_id = request.GET.get('barangay_id', None)
-    
-    # Get the algorithms to compare
-    algorithms = request.GET.getlist('algorithms', [])
-    
-    # Default to comparing all available algorithms if none specified
-    if not algorithms:
-        algorithms = ['random_forest']
-        if ADVANCED_ALGORITHMS_AVAILABLE:
-            algorithms.extend(['gradient_boosting', 'svm'])
-            if TENSORFLOW_AVAILABLE:
-                algorithms.append('lstm')
-    
-    # Query filters to apply to sensor data - same as flood_prediction
-    sensor_filters = {}
-    
-    # Apply location filters if provided
-    municipality = None
-    if municipality_id:
-        try:
-            # Get the municipality
-            municipality = Municipality.objects.get(id=municipality_id)
-            # Filter sensors by municipality
-            sensor_filters['sensor__municipality'] = municipality
-        except Municipality.DoesNotExist:
-            pass
-    
-    barangay = None
-    if barangay_id:
-        try:
-            # Get the barangay
-            barangay = Barangay.objects.get(id=barangay_id)
-            # Filter sensors by barangay
-            sensor_filters['sensor__barangay'] = barangay
-        except Barangay.DoesNotExist:
-            pass
-    
+class ThresholdOverrideViewSet(viewsets.ModelViewSet):
+    """API endpoint for municipality/barangay threshold overrides.
+
+    Anyone may read them; only administrators and flood managers may change them.
+    Filters: parameter, municipality_id, barangay_id.
+    """
+    serializer_class = ThresholdOverrideSerializer
+    permission_classes = [permissions.AllowAny]
+    # The config page lists every override at once
+    pagination_class = None
+
+    def get_queryset(self):
+        qs = ThresholdOverride.objects.select_related('municipality', 'barangay', 'last_updated_by')
+        params = self.request.query_params
+        if params.get('parameter'):
+            qs = qs.filter(parameter__iexact=params['parameter'].strip())
+        if params.get('municipality_id'):
+            qs = qs.filter(municipality_id=params['municipality_id'])
+        if params.get('barangay_id'):
+            qs = qs.filter(barangay_id=params['barangay_id'])
+        return qs.order_by('parameter', 'municipality__name', 'barangay__name')
+
+    def _require_manager(self):
+        if not _can_manage(self.request.user):
+            raise PermissionDenied('Only administrators and flood managers can change threshold overrides')
+
+    def perform_create(self, serializer):
+        self._require_manager()
+        serializer.save(last_updated_by=self.request.user)
+
+    def perform_update(self, serializer):
+        self._require_manager()
+        serializer.save(last_updated_by=self.request.user)
+
+    def perform_destroy(self, instance):
+        self._require_manager()
+        instance.delete()
+
+class EvacuationCenterViewSet(viewsets.ModelViewSet):
+    """API endpoint for evacuation centres, their capacity and current occupancy.
+
+    Anyone may read them; only administrators and flood managers may change them.
+    Filters: municipality_id, barangay_id, is_open.
+    """
+    serializer_class = EvacuationCenterSerializer
+    permission_classes = [permissions.AllowAny]
+    # Maps draw every centre of a municipality at once
+    pagination_class = None
+
+    def get_queryset(self):
+        qs = EvacuationCenter.objects.select_related('municipality', 'barangay')
+        params = self.request.query_params
+        if params.get('municipality_id'):
+            qs = qs.filter(municipality_id=params['municipality_id'])
+        if params.get('barangay_id'):
+            qs = qs.filter(barangay_id=params['barangay_id'])
+        if params.get('is_open') in ('true', 'false'):
+            qs = qs.filter(is_open=params['is_open'] == 'true')
+        return qs
+
+    def _require_manager(self):
+        if not _can_manage(self.request.user):
+            raise PermissionDenied('Only administrators and flood managers can change evacuation centres')
+
+    def perform_create(self, serializer):
+        self._require_manager()
+        serializer.save()
+
+    def perform_update(self, serializer):
+        self._require_manager()
+        serializer.save()
+
+    def perform_destroy(self, instance):
+        self._require_manager()
+        instance.delete()
+
+class AlertRuleViewSet(viewsets.ModelViewSet):
+    """API endpoint for the signed-in user's personal alert rules"""
+    serializer_class = AlertRuleSerializer
+    permission_classes = [permissions.IsAuthenticated]
+    # Rule lists are short and the evaluator needs all of them at once
+    pagination_class = None
+
+    def get_queryset(self):
+        return (
+            AlertRule.objects.filter(user=self.request.user)
+            .select_related('municipality', 'barangay')
+        )
+
+    def perform_create(self, serializer):
+        serializer.save(user=self.request.user)
+
+
+def _algorithm_input_data(sensor_filters, end_date, municipality=None, barangay_id=None):
+    """Model inputs from the readings up to end_date, as the prediction endpoints build them.
+
+    Args:
+        sensor_filters (dict): SensorData filters for the location (sensor__municipality, ...).
+        end_date (datetime): The moment to predict from; earlier moments replay history.
+        municipality (Municipality | None): The selected municipality, for the default elevation.
+        barangay_id (str | None): The selected barangay, for the historical flood count.
+    """
     # Get recent rainfall data
-    end_date = timezone.now()
     start_date_24h = end_date - timedelta(hours=24)
     start_date_48h = end_date - timedelta(hours=48)
     start_date_7d = end_date - timedelta(days=7)
@@ -682,7 +1034,8 @@ def compare_prediction_algorithms(request):
     # Get water level, soil saturation, and temperature data (same as in flood_prediction)
     water_level_filters = {
         'sensor__sensor_type': 'water_level',
-        'timestamp__gte': start_date_24h
+        'timestamp__gte': start_date_24h,
+        'timestamp__lte': end_date
     }
     water_level_filters.update(sensor_filters)  # Add location filters
     
@@ -708,7 +1061,8 @@ def compare_prediction_algorithms(request):
     # Get soil saturation (using humidity as a proxy in our system)
     humidity_filters = {
         'sensor__sensor_type': 'humidity',
-        'timestamp__gte': start_date_24h
+        'timestamp__gte': start_date_24h,
+        'timestamp__lte': end_date
     }
     humidity_filters.update(sensor_filters)  # Add location filters
     
@@ -725,7 +1079,8 @@ def compare_prediction_algorithms(request):
     # Get temperature data
     temp_filters = {
         'sensor__sensor_type': 'temperature',
-        'timestamp__gte': start_date_24h
+        'timestamp__gte': start_date_24h,
+        'timestamp__lte': end_date
     }
     temp_filters.update(sensor_filters)  # Add location filters
     
@@ -756,7 +1111,179 @@ def compare_prediction_algorithms(request):
         # Historical floods (this would come from a database in a real system)
         'historical_floods_count': 2 if barangay_id else 1
     }
+    return input_data
+
+
+# Algorithms the comparison page can offer; the advanced ones need the optional ML packages
+COMPARABLE_ALGORITHMS = ('random_forest', 'gradient_boosting', 'svm', 'lstm', 'ensemble', 'mcda', 'dtw', 'time_series')
+BACKTEST_MAX_DAYS = 30
+BACKTEST_MAX_STEPS = 28       # predictions per algorithm; each one reloads the model
+BACKTEST_MAX_PREDICTIONS = 112  # across all algorithms, so a long list gets fewer steps each
+BACKTEST_OUTCOME_HOURS = 24   # a prediction is judged on the water level in the following day
+BACKTEST_FLOOD_LEVEL = 3      # a peak at Warning or above counts as a flood
+
+
+def _comparable_algorithms():
+    available = ['random_forest']
+    if ADVANCED_ALGORITHMS_AVAILABLE:
+        available.extend(a for a in COMPARABLE_ALGORITHMS if a not in ('random_forest', 'lstm'))
+        if TENSORFLOW_AVAILABLE:
+            available.append('lstm')
+    return available
+
+
+def _algorithm_backtest(algorithms, sensor_filters, municipality, barangay_id, days):
+    """Replay the last `days` of readings through each algorithm and score it against what happened.
+
+    Every step predicts from the readings available at that moment. The outcome is the peak
+    water level over the next BACKTEST_OUTCOME_HOURS, rated against the location's water level
+    thresholds; steps whose outcome window has not ended yet are returned without one.
+    Skill is scored on the steps with an outcome, taking a probability of 50% or more as a
+    flood forecast: POD (hits / floods), FAR (false alarms / flood forecasts), accuracy and the
+    Brier score (mean squared error of the probability, 0 is perfect).
+    """
+    now = timezone.now()
+    max_steps = max(1, min(BACKTEST_MAX_STEPS, BACKTEST_MAX_PREDICTIONS // max(1, len(algorithms))))
+    step_hours = max(6, math.ceil(days * 24 / max_steps / 6) * 6)
+    step = timedelta(hours=step_hours)
+    thresholds = ThresholdResolver(parameters=['water_level']).resolve(
+        'water_level', municipality.id if municipality else None, barangay_id,
+    )
+
+    steps = []
+    at = now - timedelta(days=days)
+    while at <= now and len(steps) < max_steps:
+        input_data = _algorithm_input_data(sensor_filters, at, municipality, barangay_id)
+        outcome = None
+        if at + timedelta(hours=BACKTEST_OUTCOME_HOURS) <= now:
+            peak = SensorData.objects.filter(
+                sensor__sensor_type='water_level',
+                timestamp__gt=at,
+                timestamp__lte=at + timedelta(hours=BACKTEST_OUTCOME_HOURS),
+                **sensor_filters
+            ).aggregate(peak=Max('value'))['peak']
+            if peak is not None and thresholds is not None:
+                level = threshold_level(peak, thresholds)
+                outcome = {'peak_water_level': peak, 'level': level, 'flooded': level >= BACKTEST_FLOOD_LEVEL}
+        probabilities = {}
+        for algorithm in algorithms:
+            try:
+                probabilities[algorithm] = predict_flood_probability(input_data, classification_algorithm=algorithm)['probability']
+            except Exception as e:
+                logger.warning(f"Backtest of {algorithm} failed at {at}: {e}")
+                probabilities[algorithm] = None
+        steps.append({'time': at, 'probabilities': probabilities, 'outcome': outcome})
+        at += step
+
+    skill = {}
+    for algorithm in algorithms:
+        scored = [
+            (s['probabilities'][algorithm], s['outcome']['flooded'])
+            for s in steps
+            if s['outcome'] is not None and s['probabilities'][algorithm] is not None
+        ]
+        if not scored:
+            skill[algorithm] = None
+            continue
+        hits = sum(1 for p, f in scored if p >= 50 and f)
+        misses = sum(1 for p, f in scored if p < 50 and f)
+        false_alarms = sum(1 for p, f in scored if p >= 50 and not f)
+        correct_negatives = len(scored) - hits - misses - false_alarms
+        skill[algorithm] = {
+            'samples': len(scored),
+            'floods': hits + misses,
+            'hits': hits,
+            'misses': misses,
+            'false_alarms': false_alarms,
+            'correct_negatives': correct_negatives,
+            'pod': round(hits / (hits + misses), 3) if hits + misses else None,
+            'far': round(false_alarms / (hits + false_alarms), 3) if hits + false_alarms else None,
+            'accuracy': round((hits + correct_negatives) / len(scored), 3),
+            'brier': round(sum((p / 100.0 - (1 if f else 0)) ** 2 for p, f in scored) / len(scored), 4),
+        }
+
+    return {
+        'days': days,
+        'step_hours': step_hours,
+        'outcome_hours': BACKTEST_OUTCOME_HOURS,
+        'flood_level': BACKTEST_FLOOD_LEVEL,
+        'threshold_set': thresholds.source() if thresholds else None,
+        'thresholds': thresholds.values() if thresholds else None,
+        'steps': steps,
+        'skill': skill,
+    }
+
+
+@api_view(['GET'])
+@permission_classes([permissions.IsAuthenticated])
+def compare_prediction_algorithms(request):
+    """API endpoint for comparing predictions from different ML algorithms
+
+    Signed-in users only: every algorithm reloads its model, and a backtest runs up to
+    BACKTEST_MAX_PREDICTIONS predictions.
+
+    Query params:
+      - algorithms (optional, repeated or comma-separated): default every available algorithm
+        except the combined ones (ensemble, mcda, dtw, time_series)
+      - municipality_id / barangay_id (optional)
+      - history_days (optional, 1-30): also replay that many days of readings through each
+        algorithm and score it against the observed water level (see _algorithm_backtest)
+    """
     
+    # Get location filters from request parameters
+    municipality_id = request.GET.get('municipality_id', None)
+    barangay_id = request.GET.get('barangay_id', None)
+    
+    # Get the algorithms to compare
+    algorithms = [a.strip() for value in request.GET.getlist('algorithms', []) for a in value.split(',') if a.strip()]
+    algorithms = list(dict.fromkeys(algorithms))
+    unknown = [a for a in algorithms if a not in COMPARABLE_ALGORITHMS]
+    if unknown:
+        return Response({'error': f'Unknown algorithm(s): {", ".join(unknown)}'}, status=status.HTTP_400_BAD_REQUEST)
+
+    try:
+        history_days = int(request.GET.get('history_days') or 0)
+    except (TypeError, ValueError):
+        history_days = -1
+    if not 0 <= history_days <= BACKTEST_MAX_DAYS:
+        return Response({'error': f'history_days must be between 0 and {BACKTEST_MAX_DAYS}'},
+                        status=status.HTTP_400_BAD_REQUEST)
+    
+    # Default to comparing all available algorithms if none specified
+    if not algorithms:
+        algorithms = ['random_forest']
+        if ADVANCED_ALGORITHMS_AVAILABLE:
+            algorithms.extend(['gradient_boosting', 'svm'])
+            if TENSORFLOW_AVAILABLE:
+                algorithms.append('lstm')
+    
+    # Query filters to apply to sensor data - same as flood_prediction
+    sensor_filters = {}
+    
+    # Apply location filters if provided
+    municipality = None
+    if municipality_id:
+        try:
+            # Get the municipality
+            municipality = Municipality.objects.get(id=municipality_id)
+            # Filter sensors by municipality
+            sensor_filters['sensor__municipality'] = municipality
+        except Municipality.DoesNotExist:
+            pass
+    
+    barangay = None
+    if barangay_id:
+        try:
+            # Get the barangay
+            barangay = Barangay.objects.get(id=barangay_id)
+            # Filter sensors by barangay
+            sensor_filters['sensor__barangay'] = barangay
+        except Barangay.DoesNotExist:
+            pass
+    
+    end_date = timezone.now()
+    input_data = _algorithm_input_data(sensor_filters, end_date, municipality, barangay_id)
+
     logger.info(f"Input data for ML prediction comparison: {input_data}")
     
     # Compare predictions from different algorithms
@@ -775,8 +1302,10 @@ def compare_prediction_algorithms(request):
                 'severity_level': ml_prediction['severity_level'],
                 'severity_name': get_severity_name(ml_prediction['severity_level']),
                 'hours_to_flood': ml_prediction['hours_to_flood'],
-                'impact': ml_prediction['impact'],
-                'contributing_factors': ml_prediction['contributing_factors']
+                'impact': ml_prediction.get('impact'),
+                'contributing_factors': ml_prediction['contributing_factors'],
+                # 'statistical_formula' when the trained model file is missing
+                'model_used': ml_prediction.get('model_used', algorithm)
             }
             
             comparison_results.append(algorithm_result)
@@ -789,11 +1318,17 @@ def compare_prediction_algorithms(request):
                 'status': 'failed'
             })
     
+    backtest = None
+    if history_days:
+        backtest = _algorithm_backtest(algorithms, sensor_filters, municipality, barangay_id, history_days)
+
     # Return the comparison results
     return Response({
         'input_data': input_data,
         'available_algorithms': algorithms,
+        'algorithm_choices': _comparable_algorithms(),
         'results': comparison_results,
+        'backtest': backtest,
         'location': {
             'municipality': municipality.name if municipality else None,
             'municipality_id': municipality.id if municipality else None,
@@ -804,6 +1339,132 @@ def compare_prediction_algorithms(request):
         'default_algorithm': DEFAULT_CLASSIFICATION_ALGORITHM
     })
 
+FORECAST_PARAMETERS = ('rainfall', 'water_level', 'temperature', 'humidity', 'wind_speed')
+# Parameters that cannot go below zero, so neither can their forecast band
+FORECAST_NON_NEGATIVE = ('rainfall', 'water_level', 'humidity', 'wind_speed')
+
+
+def _forecast_crossings(forecast, thresholds):
+    """Threshold levels the forecast reaches that the latest reading has not.
+
+    A level is 'expected' when the forecast line reaches it and 'possible' when only the upper
+    edge of the band does. The time is interpolated between forecast points.
+    """
+    if not forecast or thresholds is None:
+        return []
+    levels = [
+        (1, 'Advisory', thresholds.advisory_threshold),
+        (2, 'Watch', thresholds.watch_threshold),
+        (3, 'Warning', thresholds.warning_threshold),
+        (4, 'Emergency', thresholds.emergency_threshold),
+        (5, 'Catastrophic', thresholds.catastrophic_threshold),
+    ]
+    base = {'hours_ahead': 0, 'value': forecast['base_value'], 'upper': forecast['base_value']}
+    crossings = []
+    for level, name, threshold in levels:
+        if threshold is None or forecast['base_value'] >= threshold:
+            continue
+        for key, likelihood in (('value', 'expected'), ('upper', 'possible')):
+            previous = base
+            hit = None
+            for point in forecast['points']:
+                if point[key] >= threshold:
+                    rise = point[key] - previous[key]
+                    frac = (threshold - previous[key]) / rise if rise > 0 else 1.0
+                    hit = previous['hours_ahead'] + frac * (point['hours_ahead'] - previous['hours_ahead'])
+                    break
+                previous = point
+            if hit is not None:
+                crossings.append({
+                    'level': level,
+                    'name': name,
+                    'threshold': threshold,
+                    'likelihood': likelihood,
+                    'hours_ahead': round(hit, 1),
+                    'time': forecast['base_time'] + timedelta(hours=hit),
+                })
+                break
+    return crossings
+
+
+@api_view(['GET'])
+@permission_classes([permissions.AllowAny])
+def parameter_forecast(request):
+    """Trend projection of sensor parameters for the next few hours, for chart overlays.
+
+    This extrapolates each parameter's own recent readings (a damped-trend model); it is not the
+    flood prediction model behind /api/prediction/.
+
+    Query params:
+      - parameters (optional, comma-separated): default rainfall,water_level
+      - horizon: hours ahead, one of FORECAST_HORIZONS (default 24)
+      - municipality_id / barangay_id (optional): sensors in the barangay, else the
+        municipality, else all sensors of the parameter
+
+    Each parameter gets the forecast line with its 80% band (see forecast_parameter_series) and
+    the threshold levels it is expected to cross, evaluated against the location's effective
+    thresholds (overrides included). Parameters without recent readings are returned with
+    empty points.
+    """
+    try:
+        horizon = int(request.GET.get('horizon', 24))
+    except (TypeError, ValueError):
+        horizon = None
+    if horizon not in FORECAST_HORIZONS:
+        return Response({'error': f'horizon must be one of {", ".join(str(h) for h in FORECAST_HORIZONS)}'},
+                        status=status.HTTP_400_BAD_REQUEST)
+    raw = request.GET.get('parameters') or 'rainfall,water_level'
+    parameters = [p.strip() for p in raw.split(',') if p.strip()]
+    unknown = [p for p in parameters if p not in FORECAST_PARAMETERS]
+    if unknown:
+        return Response({'error': f'Unknown parameter(s): {", ".join(unknown)}'}, status=status.HTTP_400_BAD_REQUEST)
+
+    municipality_id = request.GET.get('municipality_id') or None
+    barangay_id = request.GET.get('barangay_id') or None
+    resolver = ThresholdResolver(parameters=parameters)
+    since = timezone.now() - timedelta(hours=FORECAST_HISTORY_HOURS)
+
+    result = {}
+    for param in parameters:
+        scopes = []
+        if barangay_id:
+            scopes.append({'sensor__barangay_id': barangay_id})
+        if municipality_id:
+            scopes.append({'sensor__municipality_id': municipality_id})
+        scopes.append({})
+        readings = []
+        for scope in scopes:
+            readings = list(
+                SensorData.objects.filter(sensor__sensor_type=param, timestamp__gte=since, **scope)
+                .order_by('timestamp').values_list('timestamp', 'value')
+            )
+            if readings:
+                break
+
+        thresholds = resolver.resolve(param, municipality_id, barangay_id)
+        forecast = forecast_parameter_series(
+            readings, horizon_hours=horizon,
+            min_value=0.0 if param in FORECAST_NON_NEGATIVE else None,
+        )
+        result[param] = {
+            'unit': thresholds.unit if thresholds else None,
+            'threshold_set': thresholds.source() if thresholds else None,
+            'method': forecast['method'] if forecast else None,
+            'history_points': forecast['history_points'] if forecast else 0,
+            'base_time': forecast['base_time'] if forecast else None,
+            'base_value': forecast['base_value'] if forecast else None,
+            'points': forecast['points'] if forecast else [],
+            'crossings': _forecast_crossings(forecast, thresholds),
+        }
+
+    return Response({
+        'generated_at': timezone.now(),
+        'horizon_hours': horizon,
+        'filters': {'municipality_id': municipality_id, 'barangay_id': barangay_id},
+        'parameters': result,
+    })
+
+
 @api_view(['GET', 'POST'])
 @permission_classes([permissions.AllowAny])
 def flood_prediction(request):
@@ -1509,8 +2170,8 @@ def heatmap_points(request):
     municipality_id = request.GET.get('municipality_id')
     barangay_id = request.GET.get('barangay_id')
 
-    # Load thresholds once and index by parameter
-    thresholds = {t.parameter: t for t in ThresholdSetting.objects.all()}
+    # Global thresholds and every override, loaded once
+    resolver = ThresholdResolver()
 
     # Build barangay queryset with filters
     b_qs = Barangay.objects.all()
@@ -1519,22 +2180,12 @@ def heatmap_points(request):
     if barangay_id:
         b_qs = b_qs.filter(id=barangay_id)
 
-    def eval_level(val, ts):
-        if val is None or ts is None:
-            return 0
-        if val >= ts.catastrophic_threshold: return 5
-        if val >= ts.emergency_threshold:    return 4
-        if val >= ts.warning_threshold:      return 3
-        if val >= ts.watch_threshold:        return 2
-        if val >= ts.advisory_threshold:     return 1
-        return 0
-
     points = []
 
     for b in b_qs.iterator():
         # Compute highest severity for this barangay from latest per-parameter readings
         highest = 0
-        for param, ts in thresholds.items():
+        for param in resolver.parameters():
             latest = SensorData.objects.filter(
                 sensor__sensor_type=param,
                 sensor__barangay=b,
@@ -1551,7 +2202,7 @@ def heatmap_points(request):
                     sensor__municipality__isnull=True,
                     sensor__barangay__isnull=True,
                 ).order_by('-timestamp').first()
-            lvl = eval_level(latest.value if latest else None, ts)
+            lvl = threshold_level(latest.value if latest else None, resolver.for_barangay(param, b))
             highest = max(highest, lvl)
 
         # Turn severity into heat intensity with a small population weight
@@ -1584,6 +2235,13 @@ def heatmap_points(request):
         'filters': {'municipality_id': municipality_id, 'barangay_id': barangay_id}
     })
 
+def _threshold_set_note(source):
+    """Suffix naming the override used in alert text, e.g. ", Poblacion thresholds"; empty for the global set"""
+    if not source or source.get('scope') == SCOPE_GLOBAL:
+        return ''
+    return f", {source.get('name')} thresholds"
+
+
 @api_view(['POST'])
 @permission_classes([permissions.IsAuthenticated])
 def apply_thresholds(request):
@@ -1595,6 +2253,11 @@ def apply_thresholds(request):
 
     Optional body fields:
     - dry_run: bool (default False) — when true, do not persist alerts, only report actions.
+    - use_overrides: bool (default True) — evaluate each barangay against its own or its
+      municipality's ThresholdOverride where one exists; false uses the global thresholds only.
+
+    Each result lists the threshold set used per parameter in `threshold_sets`
+    ({parameter: {scope, id, name}}) and in each exceeded entry.
     """
     try:
         municipality_id = request.data.get('municipality_id')
@@ -1602,10 +2265,11 @@ def apply_thresholds(request):
         # process_scope: 'barangay' | 'municipality' | 'all'
         process_scope = (request.data.get('process_scope') or '').strip().lower()
         dry_run = bool(request.data.get('dry_run', False))
+        use_overrides = request.data.get('use_overrides', True) not in (False, 'false', '0', 0)
 
-        # Load thresholds once
-        thresholds = {t.parameter: t for t in ThresholdSetting.objects.all()}
-        if not thresholds:
+        # Load thresholds and overrides once
+        resolver = ThresholdResolver(use_overrides=use_overrides)
+        if not resolver.parameters():
             return Response({
                 'success': False,
                 'message': 'No threshold settings configured.',
@@ -1657,10 +2321,13 @@ def apply_thresholds(request):
             total_processed += 1
             exceeded_details = []
             highest_severity = 0
+            threshold_sets = {}
 
             # Check latest reading per configured parameter
             # Fallback order: barangay -> municipality -> global
-            for param, ts in thresholds.items():
+            for param in resolver.parameters():
+                ts = resolver.for_barangay(param, b)
+                threshold_sets[param] = ts.source()
                 latest = SensorData.objects.filter(
                     sensor__sensor_type=param,
                     sensor__barangay=b,
@@ -1691,6 +2358,7 @@ def apply_thresholds(request):
                         'unit': ts.unit,
                         'severity': sev,
                         'severity_name': sev_name[sev],
+                        'threshold_set': ts.source(),
                     })
                     highest_severity = max(highest_severity, sev)
 
@@ -1700,14 +2368,16 @@ def apply_thresholds(request):
                     'barangay_name': b.name,
                     'action': 'none',
                     'message': 'No thresholds exceeded',
-                    'exceeded': []
+                    'exceeded': [],
+                    'threshold_sets': threshold_sets,
                 })
                 continue
 
             # Compose title/description
             title_prefix = f"Automated Alert for {b.name}"
             details_lines = [
-                f"- {d['parameter'].replace('_',' ').title()}: {d['value']} {d['unit']} (>= {d['severity_name']})"
+                f"- {d['parameter'].replace('_',' ').title()}: {d['value']} {d['unit']} (>= {d['severity_name']}"
+                f"{_threshold_set_note(d['threshold_set'])})"
                 for d in sorted(exceeded_details, key=lambda x: (-x['severity'], x['parameter']))
             ]
             description = (
@@ -1736,6 +2406,7 @@ def apply_thresholds(request):
                     'action': action,
                     'highest_severity': highest_severity,
                     'exceeded': exceeded_details,
+                    'threshold_sets': threshold_sets,
                 })
                 continue
 
@@ -1754,6 +2425,7 @@ def apply_thresholds(request):
                         'action': 'updated',
                         'highest_severity': existing.severity_level,
                         'exceeded': exceeded_details,
+                        'threshold_sets': threshold_sets,
                     })
                 else:
                     results.append({
@@ -1763,6 +2435,7 @@ def apply_thresholds(request):
                         'message': 'Existing alert adequate',
                         'highest_severity': existing.severity_level,
                         'exceeded': exceeded_details,
+                        'threshold_sets': threshold_sets,
                     })
             else:
                 alert = FloodAlert.objects.create(
@@ -1780,6 +2453,7 @@ def apply_thresholds(request):
                     'action': 'created',
                     'highest_severity': highest_severity,
                     'exceeded': exceeded_details,
+                    'threshold_sets': threshold_sets,
                 })
 
         return Response({
@@ -1798,7 +2472,8 @@ def apply_thresholds(request):
 @permission_classes([permissions.AllowAny])
 def threshold_visualization(request):
     """API endpoint providing threshold visualization data per parameter
-    - Returns configured thresholds (Advisory < Watch < Warning < Emergency < Catastrophic)
+    - Returns configured thresholds (Advisory < Watch < Warning < Emergency < Catastrophic),
+      using a barangay/municipality override when one applies (`threshold_set` says which)
     - Computes current/latest values from sensors with optional location filters
     - Computes severity level/name and progress toward next threshold level
     Optional query params:
@@ -1817,11 +2492,10 @@ def threshold_visualization(request):
     if barangay_id:
         sensor_filters['sensor__barangay_id'] = barangay_id
 
-    # Filter which parameters to include
-    threshold_qs = ThresholdSetting.objects.all()
-    if param_filter:
-        params = [p.strip() for p in param_filter.split(',') if p.strip()]
-        threshold_qs = threshold_qs.filter(parameter__in=params)
+    # Filter which parameters to include; thresholds are resolved for the requested location
+    params = [p.strip() for p in param_filter.split(',') if p.strip()] if param_filter else None
+    resolver = ThresholdResolver(parameters=params)
+    threshold_qs = resolver.for_location(municipality_id, barangay_id).values()
 
     end_date = timezone.now()
     start_date_24h = end_date - timedelta(hours=24)
@@ -1951,6 +2625,7 @@ def threshold_visualization(request):
                 'emergency': t.emergency_threshold,
                 'catastrophic': t.catastrophic_threshold,
             },
+            'threshold_set': t.source(),
             'latest': {
                 'value': latest_value,
                 'timestamp': latest_timestamp
@@ -1991,8 +2666,8 @@ def heatmap_points(request):
     municipality_id = request.GET.get('municipality_id')
     barangay_id = request.GET.get('barangay_id')
 
-    # Load thresholds once and index by parameter
-    thresholds = {t.parameter: t for t in ThresholdSetting.objects.all()}
+    # Global thresholds and every override, loaded once
+    resolver = ThresholdResolver()
 
     # Build barangay queryset with filters
     b_qs = Barangay.objects.all()
@@ -2001,15 +2676,6 @@ def heatmap_points(request):
     if barangay_id:
         b_qs = b_qs.filter(id=barangay_id)
 
-    def eval_level(val, ts):
-        if val is None or ts is None: return 0
-        if val >= ts.catastrophic_threshold: return 5
-        if val >= ts.emergency_threshold:    return 4
-        if val >= ts.warning_threshold:      return 3
-        if val >= ts.watch_threshold:        return 2
-        if val >= ts.advisory_threshold:     return 1
-        return 0
-
     points = []
     for b in b_qs.iterator():
         if not (b.latitude and b.longitude):
@@ -2017,9 +2683,9 @@ def heatmap_points(request):
         
         # For each barangay, find the highest severity level from any sensor parameter
         highest_severity = 0
-        for param, ts in thresholds.items():
+        for param in resolver.parameters():
             latest = SensorData.objects.filter(sensor__sensor_type=param, sensor__barangay=b).order_by('-timestamp').first()
-            level = eval_level(latest.value if latest else None, ts)
+            level = threshold_level(latest.value if latest else None, resolver.for_barangay(param, b))
             highest_severity = max(highest_severity, level)
 
         # Convert severity to a heat intensity (0.0 to 1.0)
@@ -2448,6 +3114,415 @@ def get_all_barangays(request):
             status=status.HTTP_500_INTERNAL_SERVER_ERROR
         )
 
+@api_view(['GET'])
+@permission_classes([permissions.AllowAny])
+def barangay_boundaries(request):
+    """
+    API endpoint returning barangay boundary polygons as a GeoJSON FeatureCollection.
+    Each feature carries `barangay_id` so maps can join it to map-data barangays.
+    Barangays without an imported boundary are listed in `missing`.
+    """
+    municipality_id = request.GET.get('municipality_id', None)
+    barangay_id = request.GET.get('barangay_id', None)
+
+    barangays_queryset = Barangay.objects.all()
+    if municipality_id:
+        barangays_queryset = barangays_queryset.filter(municipality_id=municipality_id)
+    if barangay_id:
+        barangays_queryset = barangays_queryset.filter(id=barangay_id)
+
+    features = []
+    missing = []
+    for barangay in barangays_queryset:
+        feature = boundary_feature(barangay)
+        if feature is None:
+            missing.append(barangay.id)
+        else:
+            features.append(feature)
+
+    return Response({
+        'type': 'FeatureCollection',
+        'features': features,
+        'missing': missing,
+    })
+
+# Map history (time slider) -----------------------------------------------
+
+MAP_HISTORY_MAX_FRAMES = 240
+MAP_HISTORY_MAX_HOURS = 24 * 14
+
+
+def _parse_history_time(raw):
+    """Parse an ISO 8601 query value into an aware datetime, or None."""
+    if not raw:
+        return None
+    try:
+        parsed = datetime.fromisoformat(raw.replace('Z', '+00:00'))
+    except ValueError:
+        return None
+    if timezone.is_naive(parsed):
+        parsed = timezone.make_aware(parsed, timezone.get_default_timezone())
+    return parsed
+
+
+@api_view(['GET'])
+@permission_classes([permissions.AllowAny])
+def map_history(request):
+    """
+    Historical snapshots of the map for replaying how an event developed.
+
+    Query parameters: `hours` (window ending now, default 24) or `start`/`end` (ISO 8601),
+    `step_minutes` (frame spacing, chosen automatically when omitted), `municipality_id`
+    and `barangay_id`. Each frame holds the latest sensor values and the barangay
+    severities (overall and per parameter) as they stood at that moment. An alert counts
+    from `issued_at` until it was deactivated (its last `updated_at`).
+    """
+    municipality_id = request.GET.get('municipality_id', None)
+    barangay_id = request.GET.get('barangay_id', None)
+
+    end = _parse_history_time(request.GET.get('end')) or timezone.now()
+    start = _parse_history_time(request.GET.get('start'))
+    if start is None:
+        try:
+            hours = float(request.GET.get('hours', 24))
+        except ValueError:
+            return Response({'error': 'hours must be a number'}, status=status.HTTP_400_BAD_REQUEST)
+        start = end - timedelta(hours=min(max(hours, 1), MAP_HISTORY_MAX_HOURS))
+    if start >= end:
+        return Response({'error': 'start must be before end'}, status=status.HTTP_400_BAD_REQUEST)
+    if end - start > timedelta(hours=MAP_HISTORY_MAX_HOURS):
+        start = end - timedelta(hours=MAP_HISTORY_MAX_HOURS)
+
+    total_minutes = (end - start).total_seconds() / 60
+    try:
+        step_minutes = int(request.GET.get('step_minutes', 0))
+    except ValueError:
+        step_minutes = 0
+    # Never return more than MAP_HISTORY_MAX_FRAMES frames
+    min_step = max(1, math.ceil(total_minutes / (MAP_HISTORY_MAX_FRAMES - 1)))
+    if step_minutes <= 0:
+        step_minutes = max(min_step, 5)
+    step_minutes = max(step_minutes, min_step)
+
+    sensors_queryset = Sensor.objects.filter(active=True)
+    barangays_queryset = Barangay.objects.all()
+    if municipality_id:
+        sensors_queryset = sensors_queryset.filter(Q(municipality_id=municipality_id) | Q(municipality_id__isnull=True))
+        barangays_queryset = barangays_queryset.filter(municipality_id=municipality_id)
+    if barangay_id:
+        barangays_queryset = barangays_queryset.filter(id=barangay_id)
+        sensors_queryset = sensors_queryset.filter(Q(barangay_id=barangay_id) | Q(barangay_id__isnull=True))
+
+    sensors = list(sensors_queryset)
+    barangays = list(barangays_queryset.select_related('municipality'))
+    sensor_ids = [sensor.id for sensor in sensors]
+    # Each barangay's thresholds per parameter, overrides included
+    resolver = ThresholdResolver()
+    thresholds = {barangay.id: resolver.for_location(barangay.municipality_id, barangay.id) for barangay in barangays}
+
+    # Sensors that can speak for a barangay, per parameter: its own, municipality-wide, global
+    sensors_by_scope = {}
+    for sensor in sensors:
+        if sensor.barangay_id:
+            scope = ('barangay', sensor.barangay_id)
+        elif sensor.municipality_id:
+            scope = ('municipality', sensor.municipality_id)
+        else:
+            scope = ('global', None)
+        sensors_by_scope.setdefault((sensor.sensor_type,) + scope, []).append(sensor.id)
+
+    # Value of every sensor at the start of the window, then the readings inside it
+    latest = {}
+    for sensor_id in sensor_ids:
+        seed = (SensorData.objects.filter(sensor_id=sensor_id, timestamp__lte=start)
+                .order_by('-timestamp').values_list('value', 'timestamp').first())
+        if seed:
+            latest[sensor_id] = seed
+    readings = list(SensorData.objects.filter(
+        sensor_id__in=sensor_ids, timestamp__gt=start, timestamp__lte=end
+    ).order_by('timestamp').values_list('sensor_id', 'value', 'timestamp'))
+
+    alert_spans = []
+    alerts = (FloodAlert.objects.filter(issued_at__lte=end)
+              .filter(Q(active=True) | Q(updated_at__gte=start))
+              .prefetch_related('affected_barangays'))
+    for alert in alerts:
+        alert_spans.append((
+            alert.issued_at,
+            None if alert.active else alert.updated_at,
+            alert.severity_level,
+            {b.id for b in alert.affected_barangays.all()},
+        ))
+
+    def scoped_value(parameter, barangay):
+        scopes = [('barangay', barangay.id)]
+        if barangay.municipality_id:
+            scopes.append(('municipality', barangay.municipality_id))
+        scopes.append(('global', None))
+        for scope in scopes:
+            candidates = [latest[sid] for sid in sensors_by_scope.get((parameter,) + scope, []) if sid in latest]
+            if candidates:
+                return max(candidates, key=lambda item: item[1])[0]
+        return None
+
+    manila_tz = ZoneInfo('Asia/Manila') if ZoneInfo else None
+    frames = []
+    cursor = 0
+    frame_time = start
+    while frame_time <= end:
+        while cursor < len(readings) and readings[cursor][2] <= frame_time:
+            sensor_id, value, timestamp = readings[cursor]
+            latest[sensor_id] = (value, timestamp)
+            cursor += 1
+
+        barangay_frame = {}
+        for barangay in barangays:
+            param_severities = {
+                parameter: threshold_level(scoped_value(parameter, barangay), threshold)
+                for parameter, threshold in thresholds[barangay.id].items()
+            }
+            alert_level = max(
+                (level for issued, ended, level, ids in alert_spans
+                 if barangay.id in ids and issued <= frame_time and (ended is None or ended > frame_time)),
+                default=0,
+            )
+            barangay_frame[barangay.id] = {
+                'severity': alert_level or max(param_severities.values(), default=0),
+                'param_severities': param_severities,
+            }
+
+        local_time = frame_time.astimezone(manila_tz) if manila_tz else frame_time
+        frames.append({
+            'time': frame_time.isoformat(),
+            'time_manila': local_time.strftime('%Y-%m-%d %H:%M'),
+            'sensors': {sid: latest[sid][0] for sid in sensor_ids if sid in latest},
+            'barangays': barangay_frame,
+        })
+        frame_time += timedelta(minutes=step_minutes)
+
+    return Response({
+        'start': start.isoformat(),
+        'end': end.isoformat(),
+        'step_minutes': step_minutes,
+        'sensors': [{
+            'id': sensor.id,
+            'name': sensor.name,
+            'type': sensor.sensor_type,
+            'lat': sensor.latitude,
+            'lng': sensor.longitude,
+            'unit': resolver.globals[sensor.sensor_type].unit if sensor.sensor_type in resolver.globals else '',
+            'municipality_id': sensor.municipality_id,
+            'barangay_id': sensor.barangay_id,
+        } for sensor in sensors],
+        'barangays': [{
+            'id': barangay.id,
+            'name': barangay.name,
+            'municipality_id': barangay.municipality_id,
+            'municipality_name': barangay.municipality.name if barangay.municipality else '-',
+            'population': barangay.population,
+            'lat': barangay.latitude,
+            'lng': barangay.longitude,
+        } for barangay in barangays],
+        'frames': frames,
+    })
+
+
+# Evacuation planning -------------------------------------------------------
+
+@api_view(['GET'])
+@permission_classes([permissions.AllowAny])
+def evacuation_plan(request):
+    """
+    Evacuation centres with capacity, occupancy and whether they can take evacuees, the
+    nearest usable centre and route for each barangay under an active alert, and capacity
+    against the affected population (see core.evacuation.evacuation_plan).
+
+    Query parameters: `municipality_id` and `barangay_id`. Settings: EVACUATION.
+    """
+    municipality_id = request.GET.get('municipality_id') or None
+    barangay_id = request.GET.get('barangay_id') or None
+    plan = build_evacuation_plan(municipality_id, barangay_id)
+    plan.update({
+        'generated_at': timezone.now(),
+        'filters': {'municipality_id': municipality_id, 'barangay_id': barangay_id},
+    })
+    return Response(plan)
+
+
+# Population at risk -------------------------------------------------------
+
+@api_view(['GET'])
+@permission_classes([permissions.AllowAny])
+def population_at_risk(request):
+    """
+    Population exposed to flooding by severity level, municipality and barangay, from the risk
+    zones shown on the map and the barangays named in active alerts (see
+    core.population_risk.population_at_risk).
+
+    Query parameters: `municipality_id` and `barangay_id`. Settings: POPULATION_RISK.
+    """
+    municipality_id = request.GET.get('municipality_id') or None
+    barangay_id = request.GET.get('barangay_id') or None
+    report = build_population_at_risk(municipality_id, barangay_id)
+    report.update({
+        'generated_at': timezone.now(),
+        'filters': {'municipality_id': municipality_id, 'barangay_id': barangay_id},
+    })
+    return Response(report)
+
+
+# Sensor health -------------------------------------------------------------
+
+SENSOR_HEALTH_MAX_DAYS = 30
+
+
+@api_view(['GET'])
+@permission_classes([permissions.AllowAny])
+def sensor_health(request):
+    """
+    Health of the active sensors: offline (no reading in the expected interval), flatlined
+    (stuck at one value), out of range, jumping faster than physically possible or
+    disagreeing with same-type sensors nearby, plus an uptime percentage over the window.
+
+    Query parameters: `days` (window, default SENSOR_HEALTH['window_days']),
+    `municipality_id` and `barangay_id`. Thresholds come from settings.SENSOR_HEALTH.
+    """
+    municipality_id = request.GET.get('municipality_id', None)
+    barangay_id = request.GET.get('barangay_id', None)
+    config = health_config()
+    try:
+        days = float(request.GET.get('days', config['window_days']))
+    except ValueError:
+        return Response({'error': 'days must be a number'}, status=status.HTTP_400_BAD_REQUEST)
+    days = min(max(days, 1), SENSOR_HEALTH_MAX_DAYS)
+
+    sensors_queryset = Sensor.objects.filter(active=True).select_related('municipality', 'barangay')
+    if municipality_id:
+        sensors_queryset = sensors_queryset.filter(Q(municipality_id=municipality_id) | Q(municipality_id__isnull=True))
+    if barangay_id:
+        sensors_queryset = sensors_queryset.filter(barangay_id=barangay_id)
+    sensors = {sensor.id: sensor for sensor in sensors_queryset}
+
+    now = timezone.now()
+    units = {t.parameter: t.unit for t in ThresholdSetting.objects.all()}
+    manila_tz = ZoneInfo('Asia/Manila') if ZoneInfo else None
+    results = []
+    for health in sensor_health_for(sensors.values(), now=now, days=days):
+        sensor = sensors[health['id']]
+        latest_at = health['latest_at']
+        local_time = latest_at.astimezone(manila_tz) if latest_at and manila_tz else latest_at
+        health.update({
+            'name': sensor.name,
+            'type': sensor.sensor_type,
+            'unit': units.get(sensor.sensor_type, ''),
+            'lat': sensor.latitude,
+            'lng': sensor.longitude,
+            'municipality_id': sensor.municipality_id,
+            'municipality_name': sensor.municipality.name if sensor.municipality else '-',
+            'barangay_id': sensor.barangay_id,
+            'barangay_name': sensor.barangay.name if sensor.barangay else '-',
+            'latest_at': latest_at.isoformat() if latest_at else None,
+            'latest_at_manila': local_time.strftime('%Y-%m-%d %H:%M') if local_time else None,
+        })
+        results.append(health)
+
+    results.sort(key=lambda h: (STATUSES.index(h['status']), h['uptime_percent'], h['name']))
+    summary = {name: 0 for name in STATUSES}
+    for health in results:
+        summary[health['status']] += 1
+    return Response({
+        'generated_at': now.isoformat(),
+        'days': days,
+        'summary': summary,
+        'sensors': results,
+    })
+
+# Live events -------------------------------------------------------------
+
+# A request with nothing new waits this long (checking every LIVE_EVENTS_POLL_SECONDS) before
+# returning empty, so a waiting client holds a worker thread for seconds rather than minutes
+LIVE_EVENTS_POLL_SECONDS = 1
+LIVE_EVENTS_WAIT_SECONDS = 10
+
+
+def _parse_live_cursor(raw):
+    """
+    Parse a 'sensor_data_id:alert_updated_at' cursor, the timestamp in ISO 8601 with microseconds
+    so the newest alert is not matched again; returns (int, datetime) or (None, None).
+    """
+    try:
+        sd_part, fa_part = (raw or '').split(':', 1)
+        alert_since = datetime.fromisoformat(fa_part)
+        if timezone.is_naive(alert_since):
+            return None, None
+        return int(sd_part), alert_since
+    except (ValueError, TypeError):
+        return None, None
+
+
+@api_view(['GET'])
+@permission_classes([permissions.AllowAny])
+def live_events(request):
+    """New sensor readings and flood alert changes since a cursor, as a long poll.
+
+    Query params:
+      - municipality_id (optional)
+      - barangay_id (optional)
+      - cursor (optional): the `cursor` of the previous response
+
+    Without a cursor the response comes back at once with no events and the cursor to start
+    from. With one, the request waits up to LIVE_EVENTS_WAIT_SECONDS for something new and
+    returns as soon as there is, so clients ask again straight away.
+
+    Response: {cursor, events: [{event, data}], filters}, where event is
+      - sensor_data: a SensorDataSerializer payload plus municipality_id/barangay_id
+      - flood_alert: a FloodAlertSerializer payload, sent when an alert is created or updated
+    """
+    municipality_id = request.GET.get('municipality_id')
+    barangay_id = request.GET.get('barangay_id')
+
+    readings = SensorData.objects.select_related('sensor')
+    alerts = FloodAlert.objects.all()
+    if municipality_id:
+        readings = readings.filter(sensor__municipality_id=municipality_id)
+        alerts = alerts.filter(affected_barangays__municipality_id=municipality_id)
+    if barangay_id:
+        readings = readings.filter(sensor__barangay_id=barangay_id)
+        alerts = alerts.filter(affected_barangays__id=barangay_id)
+    alerts = alerts.distinct()
+
+    last_reading_id, alert_since = _parse_live_cursor(request.GET.get('cursor'))
+    wait = LIVE_EVENTS_WAIT_SECONDS
+    if last_reading_id is None:
+        # First request: only report what happens from now on
+        last_reading_id = SensorData.objects.aggregate(m=Max('id'))['m'] or 0
+        alert_since = timezone.now()
+        wait = 0
+
+    events = []
+    deadline = time.monotonic() + wait
+    while True:
+        for reading in readings.filter(id__gt=last_reading_id).order_by('id')[:200]:
+            last_reading_id = reading.id
+            payload = SensorDataSerializer(reading).data
+            payload['municipality_id'] = reading.sensor.municipality_id
+            payload['barangay_id'] = reading.sensor.barangay_id
+            events.append({'event': 'sensor_data', 'data': payload})
+
+        for alert in alerts.filter(updated_at__gt=alert_since).order_by('updated_at')[:50]:
+            alert_since = alert.updated_at
+            events.append({'event': 'flood_alert', 'data': FloodAlertSerializer(alert).data})
+
+        if events or time.monotonic() >= deadline:
+            break
+        time.sleep(LIVE_EVENTS_POLL_SECONDS)
+
+    return Response({
+        'cursor': f'{last_reading_id}:{alert_since.isoformat()}',
+        'events': events,
+        'filters': {'municipality_id': municipality_id, 'barangay_id': barangay_id},
+    }, headers={'Cache-Control': 'no-store'})
+
 from rest_framework import viewsets
 from .serializers import BarangaySerializer
 
@@ -4,8 +4,8 @@ from django.contrib.auth.admin import UserAdmin
 from django import forms
 from .models import (
     Sensor, SensorData, Municipality, Barangay, FloodRiskZone, 
-    FloodAlert, ThresholdSetting, NotificationLog, EmergencyContact, UserProfile,
-    ResilienceScore
+    FloodAlert, ThresholdSetting, ThresholdOverride, NotificationLog, EmergencyContact, UserProfile,
+    ResilienceScore, AlertRule, EvacuationCenter
 )
 
 class SensorAdminForm(forms.ModelForm):
@@ -143,7 +143,7 @@ class FloodRiskZoneAdmin(admin.ModelAdmin):
 
 @admin.register(FloodAlert)
 class FloodAlertAdmin(admin.ModelAdmin):
-    list_display = ('title', 'severity_level', 'active', 'issued_at', 'predicted_flood_time')
+    list_display = ('title', 'severity_level', 'active', 'issued_at', 'acknowledged_at', 'assigned_to', 'escalation_count')
     list_filter = ('severity_level', 'active', 'issued_at')
     search_fields = ('title', 'description')
     filter_horizontal = ('affected_barangays',)
@@ -154,6 +154,20 @@ class ThresholdSettingAdmin(admin.ModelAdmin):
     list_display = ('parameter', 'advisory_threshold', 'warning_threshold', 'emergency_threshold', 'updated_at')
     list_filter = ('parameter',)
 
+@admin.register(ThresholdOverride)
+class ThresholdOverrideAdmin(admin.ModelAdmin):
+    list_display = ('parameter', 'municipality', 'barangay', 'advisory_threshold', 'warning_threshold', 'emergency_threshold', 'updated_at')
+    list_filter = ('parameter', 'municipality')
+    search_fields = ('barangay__name', 'municipality__name')
+    raw_id_fields = ('barangay',)
+
+@admin.register(EvacuationCenter)
+class EvacuationCenterAdmin(admin.ModelAdmin):
+    list_display = ('name', 'facility_type', 'municipality', 'barangay', 'capacity', 'current_occupancy', 'is_open', 'updated_at')
+    list_filter = ('is_open', 'facility_type', 'municipality')
+    search_fields = ('name', 'barangay__name', 'municipality__name')
+    raw_id_fields = ('barangay',)
+
 @admin.register(NotificationLog)
 class NotificationLogAdmin(admin.ModelAdmin):
     list_display = ('alert', 'notification_type', 'recipient', 'status', 'sent_at')
@@ -231,6 +245,13 @@ class ResilienceScoreAdmin(admin.ModelAdmin):
         return "Unknown Location"
     get_location_name.short_description = "Location"
 
+@admin.register(AlertRule)
+class AlertRuleAdmin(admin.ModelAdmin):
+    list_display = ('name', 'user', 'parameter', 'condition', 'threshold', 'channel', 'enabled')
+    list_filter = ('parameter', 'condition', 'channel', 'enabled')
+    search_fields = ('name', 'user__username')
+    raw_id_fields = ('user',)
+
 # Re-register UserAdmin
 admin.site.unregister(User)
 admin.site.register(User, CustomUserAdmin)
@@ -0,0 +1,104 @@
+import json
+import logging
+
+logger = logging.getLogger(__name__)
+
+POLYGON_TYPES = ('Polygon', 'MultiPolygon')
+
+
+def boundary_geometry(raw):
+    """
+    Normalise stored or imported boundary GeoJSON to a single Polygon/MultiPolygon geometry.
+
+    Accepts a geometry, a Feature or a FeatureCollection (as a dict or a JSON string).
+    Several polygons are merged into one MultiPolygon. Returns None when nothing usable is found.
+
+    Args:
+        raw (str | dict): GeoJSON text or parsed object.
+    """
+    if not raw:
+        return None
+    if isinstance(raw, str):
+        try:
+            raw = json.loads(raw)
+        except ValueError:
+            logger.warning("Ignoring boundary that is not valid JSON")
+            return None
+    if not isinstance(raw, dict):
+        return None
+
+    kind = raw.get('type')
+    if kind == 'Feature':
+        return boundary_geometry(raw.get('geometry'))
+    if kind == 'FeatureCollection':
+        polygons = []
+        for feature in raw.get('features') or []:
+            geometry = boundary_geometry(feature)
+            if geometry is None:
+                continue
+            if geometry['type'] == 'Polygon':
+                polygons.append(geometry['coordinates'])
+            else:
+                polygons.extend(geometry['coordinates'])
+        if not polygons:
+            return None
+        if len(polygons) == 1:
+            return {'type': 'Polygon', 'coordinates': polygons[0]}
+        return {'type': 'MultiPolygon', 'coordinates': polygons}
+    if kind in POLYGON_TYPES and raw.get('coordinates'):
+        return {'type': kind, 'coordinates': raw['coordinates']}
+    return None
+
+
+def _point_in_ring(lng, lat, ring):
+    """Ray casting over one linear ring of [lng, lat] positions."""
+    inside = False
+    j = len(ring) - 1
+    for i in range(len(ring)):
+        xi, yi = ring[i][0], ring[i][1]
+        xj, yj = ring[j][0], ring[j][1]
+        if (yi > lat) != (yj > lat) and lng < (xj - xi) * (lat - yi) / (yj - yi) + xi:
+            inside = not inside
+        j = i
+    return inside
+
+
+def point_in_geometry(lat, lng, geometry):
+    """Whether a point lies inside a GeoJSON Polygon or MultiPolygon (holes excluded)."""
+    if not geometry:
+        return False
+    polygons = [geometry['coordinates']] if geometry['type'] == 'Polygon' else geometry['coordinates']
+    for rings in polygons:
+        if rings and _point_in_ring(lng, lat, rings[0]) and not any(_point_in_ring(lng, lat, hole) for hole in rings[1:]):
+            return True
+    return False
+
+
+def geometry_bounds(geometry):
+    """(min_lng, min_lat, max_lng, max_lat) of a Polygon or MultiPolygon, or None when empty."""
+    if not geometry:
+        return None
+    polygons = [geometry['coordinates']] if geometry['type'] == 'Polygon' else geometry['coordinates']
+    positions = [p for rings in polygons if rings for p in rings[0]]
+    if not positions:
+        return None
+    lngs = [p[0] for p in positions]
+    lats = [p[1] for p in positions]
+    return min(lngs), min(lats), max(lngs), max(lats)
+
+
+def boundary_feature(barangay):
+    """Return a GeoJSON Feature for a barangay's boundary, or None when it has none."""
+    geometry = boundary_geometry(barangay.boundary_geojson)
+    if geometry is None:
+        return None
+    return {
+        'type': 'Feature',
+        'id': barangay.id,
+        'geometry': geometry,
+        'properties': {
+            'barangay_id': barangay.id,
+            'name': barangay.name,
+            'municipality_id': barangay.municipality_id,
+        },
+    }
@@ -0,0 +1,326 @@
+import heapq
+import json
+import logging
+import os
+
+from django.conf import settings
+
+from .boundaries import boundary_geometry, point_in_geometry
+from .models import Barangay, EvacuationCenter, FloodAlert, FloodRiskZone
+from .sensor_health import distance_km
+
+logger = logging.getLogger(__name__)
+
+DEFAULTS = {
+    'road_network_path': None,
+    'unsafe_zone_severity': 3,
+    'affected_min_severity': 1,
+    'candidates_per_barangay': 3,
+    'max_snap_distance_m': 2000,
+}
+
+# Why a centre is not offered as a destination
+UNUSABLE_REASONS = {
+    'closed': 'Closed',
+    'in_risk_zone': 'Inside a flood risk zone',
+    'full': 'Full',
+}
+
+
+def evacuation_config():
+    """EVACUATION from the settings over the defaults above."""
+    config = dict(DEFAULTS)
+    config.update(getattr(settings, 'EVACUATION', {}) or {})
+    return config
+
+
+# ---------------- Risk zones ----------------
+
+def unsafe_zones(min_severity):
+    """(zone, geometry) for every risk zone at or above min_severity with a usable polygon."""
+    zones = []
+    for zone in FloodRiskZone.objects.filter(severity_level__gte=min_severity):
+        geometry = boundary_geometry(zone.geojson)
+        if geometry is not None:
+            zones.append((zone, geometry))
+    return zones
+
+
+# ---------------- Road network ----------------
+
+class RoadNetwork:
+    """
+    Undirected graph of a road network from GeoJSON LineString/MultiLineString features.
+
+    Line vertices become nodes (joined where lines share a vertex) and consecutive vertices
+    become edges weighted by their length. One-way tags are ignored: people on foot or in
+    rescue vehicles use roads both ways during an evacuation.
+    """
+
+    def __init__(self, collection):
+        self.nodes = []       # [(lat, lng)]
+        self.edges = {}       # node -> {neighbour: metres}
+        self._index = {}
+        features = (collection.get('features') or []) if isinstance(collection, dict) else []
+        for feature in features:
+            geometry = (feature or {}).get('geometry') or {}
+            if geometry.get('type') == 'LineString':
+                lines = [geometry.get('coordinates') or []]
+            elif geometry.get('type') == 'MultiLineString':
+                lines = geometry.get('coordinates') or []
+            else:
+                continue
+            for line in lines:
+                previous = None
+                for position in line:
+                    node = self._node(position[1], position[0])
+                    if previous is not None and previous != node:
+                        metres = self._metres(previous, node)
+                        self.edges[previous][node] = metres
+                        self.edges[node][previous] = metres
+                    previous = node
+
+    @classmethod
+    def from_file(cls, path):
+        with open(path, encoding='utf-8') as fh:
+            return cls(json.load(fh))
+
+    def _node(self, lat, lng):
+        key = (round(lat, 6), round(lng, 6))
+        if key not in self._index:
+            self._index[key] = len(self.nodes)
+            self.nodes.append(key)
+            self.edges[self._index[key]] = {}
+        return self._index[key]
+
+    def _metres(self, a, b):
+        (lat1, lng1), (lat2, lng2) = self.nodes[a], self.nodes[b]
+        return distance_km(lat1, lng1, lat2, lng2) * 1000
+
+    @property
+    def edge_count(self):
+        return sum(len(n) for n in self.edges.values()) // 2
+
+    def nearest_node(self, lat, lng):
+        """(node, metres) of the road vertex closest to a point, or (None, None) when empty."""
+        best, best_m = None, None
+        for node, (n_lat, n_lng) in enumerate(self.nodes):
+            metres = distance_km(lat, lng, n_lat, n_lng) * 1000
+            if best_m is None or metres < best_m:
+                best, best_m = node, metres
+        return best, best_m
+
+    def shortest_path(self, source, target):
+        """(metres, [node, ...]) by Dijkstra, or None when the nodes are not connected."""
+        dist = {source: 0.0}
+        previous = {}
+        queue = [(0.0, source)]
+        while queue:
+            d, node = heapq.heappop(queue)
+            if node == target:
+                path = [node]
+                while node in previous:
+                    node = previous[node]
+                    path.append(node)
+                return d, path[::-1]
+            if d > dist.get(node, float('inf')):
+                continue
+            for neighbour, metres in self.edges[node].items():
+                nd = d + metres
+                if nd < dist.get(neighbour, float('inf')):
+                    dist[neighbour] = nd
+                    previous[neighbour] = node
+                    heapq.heappush(queue, (nd, neighbour))
+        return None
+
+    def route(self, origin, destination, max_snap_m):
+        """
+        Road route between two (lat, lng) points, or None when either end is further than
+        max_snap_m from the network or the two ends are not connected.
+
+        Returns:
+            dict: {'distance_m', 'path': [[lat, lng], ...]} including the walks to and from the road.
+        """
+        start, start_m = self.nearest_node(*origin)
+        end, end_m = self.nearest_node(*destination)
+        if start is None or start_m > max_snap_m or end_m > max_snap_m:
+            return None
+        found = self.shortest_path(start, end)
+        if found is None:
+            return None
+        metres, nodes = found
+        path = [list(origin)] + [list(self.nodes[n]) for n in nodes] + [list(destination)]
+        return {'distance_m': round(start_m + metres + end_m), 'path': path}
+
+
+_network_cache = {'key': None, 'network': None}
+
+
+def load_road_network(path=None):
+    """The configured road network, re-read only when the file changes; None when unavailable."""
+    path = path or evacuation_config().get('road_network_path')
+    if not path or not os.path.exists(path):
+        return None
+    key = (path, os.path.getmtime(path))
+    if _network_cache['key'] != key:
+        try:
+            network = RoadNetwork.from_file(path)
+        except (OSError, ValueError) as exc:
+            logger.warning(f"Could not load road network {path}: {exc}")
+            network = None
+        _network_cache.update(key=key, network=network)
+    return _network_cache['network']
+
+
+# ---------------- Plan ----------------
+
+def _center_status(center, zones):
+    """(reason, zone) why a centre cannot take evacuees, or (None, None) when it can."""
+    if not center.is_open:
+        return 'closed', None
+    for zone, geometry in zones:
+        if point_in_geometry(center.latitude, center.longitude, geometry):
+            return 'in_risk_zone', zone
+    if center.available_capacity <= 0:
+        return 'full', None
+    return None, None
+
+
+def evacuation_plan(municipality_id=None, barangay_id=None):
+    """
+    Evacuation centres for a location, the nearest usable centre for each affected barangay and
+    a capacity summary.
+
+    A barangay is affected when an active alert of at least `affected_min_severity` names it.
+    A centre is usable when it is open, has room and lies outside every risk zone of at least
+    `unsafe_zone_severity`. Each affected barangay is sent to whichever of its
+    `candidates_per_barangay` nearest usable centres (straight line) is shortest by road; without
+    a road network, or when no road connects them, the straight-line distance is used.
+
+    Args:
+        municipality_id (int | str | None): Centres and barangays of this municipality; all when empty.
+        barangay_id (int | str | None): Only this barangay's assignment (centres stay municipality-wide).
+    """
+    config = evacuation_config()
+    if barangay_id and not municipality_id:
+        municipality_id = Barangay.objects.filter(id=barangay_id).values_list('municipality_id', flat=True).first()
+
+    centers = EvacuationCenter.objects.select_related('municipality', 'barangay')
+    alerts = FloodAlert.objects.filter(active=True, severity_level__gte=config['affected_min_severity'])
+    if municipality_id:
+        centers = centers.filter(municipality_id=municipality_id)
+        alerts = alerts.filter(affected_barangays__municipality_id=municipality_id).distinct()
+
+    zones = unsafe_zones(config['unsafe_zone_severity'])
+    center_rows = []
+    usable = []
+    for center in centers:
+        reason, zone = _center_status(center, zones)
+        row = {
+            'id': center.id,
+            'name': center.name,
+            'facility_type': center.facility_type,
+            'facility_type_label': center.get_facility_type_display(),
+            'municipality_id': center.municipality_id,
+            'municipality_name': center.municipality.name,
+            'barangay_id': center.barangay_id,
+            'barangay_name': center.barangay.name if center.barangay_id else None,
+            'lat': center.latitude,
+            'lng': center.longitude,
+            'capacity': center.capacity,
+            'current_occupancy': center.current_occupancy,
+            'available_capacity': center.available_capacity,
+            'is_open': center.is_open,
+            'usable': reason is None,
+            'unusable_reason': reason,
+            'unusable_label': UNUSABLE_REASONS.get(reason),
+            'risk_zone': {'id': zone.id, 'name': zone.name, 'severity': zone.severity_level} if zone else None,
+            'contact_person': center.contact_person,
+            'contact_number': center.contact_number,
+            'assigned_population': 0,
+        }
+        center_rows.append(row)
+        if reason is None:
+            usable.append(row)
+
+    # Highest alert severity per affected barangay
+    severity_by_barangay = {}
+    for alert in alerts.prefetch_related('affected_barangays'):
+        for b in alert.affected_barangays.all():
+            if municipality_id and str(b.municipality_id) != str(municipality_id):
+                continue
+            if barangay_id and str(b.id) != str(barangay_id):
+                continue
+            if alert.severity_level > severity_by_barangay.get(b.id, (0, None))[0]:
+                severity_by_barangay[b.id] = (alert.severity_level, b)
+
+    network = load_road_network(config.get('road_network_path'))
+    by_center = {row['id']: row for row in usable}
+    assignments = []
+    affected = sorted(severity_by_barangay.values(), key=lambda item: (-item[0], -(item[1].population or 0)))
+    for severity, b in affected:
+        entry = {
+            'barangay_id': b.id,
+            'barangay_name': b.name,
+            'municipality_id': b.municipality_id,
+            'severity': severity,
+            'population': b.population,
+            'lat': b.latitude,
+            'lng': b.longitude,
+            'center_id': None,
+            'center_name': None,
+            'straight_distance_m': None,
+            'distance_m': None,
+            'route': None,
+            'route_source': None,
+        }
+        candidates = sorted(
+            ((distance_km(b.latitude, b.longitude, c['lat'], c['lng']) * 1000, c) for c in usable),
+            key=lambda item: item[0],
+        )[:max(1, int(config['candidates_per_barangay']))]
+        best = None
+        for straight_m, c in candidates:
+            road = network.route((b.latitude, b.longitude), (c['lat'], c['lng']), config['max_snap_distance_m']) if network else None
+            option = {
+                'center': c,
+                'straight_distance_m': round(straight_m),
+                'distance_m': road['distance_m'] if road else round(straight_m),
+                'route': road['path'] if road else [[b.latitude, b.longitude], [c['lat'], c['lng']]],
+                'route_source': 'road' if road else 'straight_line',
+            }
+            # A road route beats a straight line; among the same kind, the shorter one wins
+            rank = (option['route_source'] != 'road', option['distance_m'])
+            if best is None or rank < (best['route_source'] != 'road', best['distance_m']):
+                best = option
+        if best:
+            center = best.pop('center')
+            entry.update(best, center_id=center['id'], center_name=center['name'])
+            by_center[center['id']]['assigned_population'] += b.population or 0
+        assignments.append(entry)
+
+    available = sum(c['available_capacity'] for c in usable)
+    affected_population = sum(a['population'] or 0 for a in assignments)
+    summary = {
+        'centers': len(center_rows),
+        'usable_centers': len(usable),
+        'capacity': sum(c['capacity'] for c in center_rows),
+        'usable_capacity': sum(c['capacity'] for c in usable),
+        'occupancy': sum(c['current_occupancy'] for c in center_rows),
+        'available_capacity': available,
+        'affected_barangays': len(assignments),
+        'affected_population': affected_population,
+        'unassigned_barangays': sum(1 for a in assignments if a['center_id'] is None),
+        'shortfall': max(0, affected_population - available),
+        'coverage': round(available / affected_population, 3) if affected_population else None,
+    }
+    return {
+        'centers': center_rows,
+        'assignments': assignments,
+        'summary': summary,
+        'road_network': {
+            'loaded': network is not None,
+            'nodes': len(network.nodes) if network else 0,
+            'edges': network.edge_count if network else 0,
+        },
+        'unsafe_zone_severity': config['unsafe_zone_severity'],
+    }
@@ -9,6 +9,7 @@ from core.models import (
     ThresholdSetting,
     FloodAlert,
 )
+from core.threshold_sets import SCOPE_GLOBAL, ThresholdResolver
 from core.notifications import dispatch_notifications_for_alert
 
 
@@ -50,15 +51,20 @@ class Command(BaseCommand):
             action="store_true",
             help="Do not create/update alerts; only log what would happen.",
         )
+        parser.add_argument(
+            "--global-only",
+            action="store_true",
+            help="Ignore municipality/barangay threshold overrides.",
+        )
 
     def handle(self, *args, **options):
         barangay_id = options.get("barangay_id")
         municipality_id = options.get("municipality_id")
         dry_run = options.get("dry_run", False)
 
-        # Load all configured thresholds indexed by parameter
-        thresholds = {t.parameter: t for t in ThresholdSetting.objects.all()}
-        if not thresholds:
+        # Load all configured thresholds and overrides once
+        resolver = ThresholdResolver(use_overrides=not options.get("global_only", False))
+        if not resolver.parameters():
             self.stdout.write(self.style.WARNING("No ThresholdSetting records found. Nothing to apply."))
             return
 
@@ -80,7 +86,8 @@ class Command(BaseCommand):
             highest_severity = 0
 
             # For each configured parameter, get latest reading for sensors under this barangay
-            for param, ts in thresholds.items():
+            for param in resolver.parameters():
+                ts = resolver.for_barangay(param, b)
                 latest = (
                     SensorData.objects.filter(
                         sensor__sensor_type=param,
@@ -100,6 +107,7 @@ class Command(BaseCommand):
                             "value": latest.value,
                             "unit": ts.unit,
                             "severity": sev,
+                            "threshold_set": ts,
                         }
                     )
                     highest_severity = max(highest_severity, sev)
@@ -121,8 +129,13 @@ class Command(BaseCommand):
                 5: "Catastrophic",
             }
             for d in sorted(exceeded_details, key=lambda x: (-x["severity"], x["parameter"])):
+                set_note = (
+                    f", {d['threshold_set'].scope_name} thresholds"
+                    if d["threshold_set"].scope != SCOPE_GLOBAL
+                    else ""
+                )
                 details_lines.append(
-                    f"- {d['parameter'].replace('_', ' ').title()}: {d['value']} {d['unit']} (>= {sev_name[d['severity']]})"
+                    f"- {d['parameter'].replace('_', ' ').title()}: {d['value']} {d['unit']} (>= {sev_name[d['severity']]}{set_note})"
                 )
             description = (
                 f"Automated threshold evaluation at {now.strftime('%Y-%m-%d %H:%M:%S %Z')} for {b.name}.\n"
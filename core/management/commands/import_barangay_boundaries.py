@@ -0,0 +1,115 @@
+import json
+
+from django.core.management.base import BaseCommand, CommandError
+
+from core.boundaries import boundary_geometry
+from core.models import Barangay
+
+
+class Command(BaseCommand):
+    help = (
+        "Import barangay boundary polygons from a GeoJSON FeatureCollection. Features are "
+        "joined to barangays by ID when the ID property is present, otherwise by name "
+        "(and municipality name when given)."
+    )
+
+    def add_arguments(self, parser):
+        parser.add_argument("path", help="Path to a GeoJSON FeatureCollection file.")
+        parser.add_argument(
+            "--id-property",
+            default="barangay_id",
+            help="Feature property holding the barangay ID (default: barangay_id).",
+        )
+        parser.add_argument(
+            "--name-property",
+            default="name",
+            help="Feature property holding the barangay name (default: name).",
+        )
+        parser.add_argument(
+            "--municipality-property",
+            default="municipality",
+            help="Feature property holding the municipality name, used to disambiguate names (default: municipality).",
+        )
+        parser.add_argument(
+            "--municipality-id",
+            type=int,
+            help="Only match barangays within this municipality ID.",
+        )
+        parser.add_argument(
+            "--dry-run",
+            action="store_true",
+            help="Report matches without saving boundaries.",
+        )
+
+    def handle(self, *args, **options):
+        try:
+            with open(options["path"], encoding="utf-8") as fh:
+                collection = json.load(fh)
+        except (OSError, ValueError) as exc:
+            raise CommandError(f"Could not read {options['path']}: {exc}")
+
+        if collection.get("type") != "FeatureCollection":
+            raise CommandError("Expected a GeoJSON FeatureCollection.")
+
+        barangays = Barangay.objects.select_related("municipality")
+        if options.get("municipality_id"):
+            barangays = barangays.filter(municipality_id=options["municipality_id"])
+        by_id = {b.id: b for b in barangays}
+        by_name = {}
+        for b in by_id.values():
+            by_name.setdefault(b.name.strip().lower(), []).append(b)
+
+        id_prop = options["id_property"]
+        name_prop = options["name_property"]
+        muni_prop = options["municipality_property"]
+        dry_run = options.get("dry_run", False)
+
+        matched = 0
+        skipped = 0
+        for index, feature in enumerate(collection.get("features") or []):
+            props = feature.get("properties") or {}
+            label = props.get(name_prop) or props.get(id_prop) or f"feature #{index}"
+
+            geometry = boundary_geometry(feature)
+            if geometry is None:
+                self.stdout.write(self.style.WARNING(f"{label}: no Polygon/MultiPolygon geometry, skipped."))
+                skipped += 1
+                continue
+
+            barangay = self._match(props, by_id, by_name, id_prop, name_prop, muni_prop)
+            if barangay is None:
+                self.stdout.write(self.style.WARNING(f"{label}: no unique barangay match, skipped."))
+                skipped += 1
+                continue
+
+            matched += 1
+            self.stdout.write(f"{label} -> Barangay {barangay.id} ({barangay.name})")
+            if not dry_run:
+                # update() skips Barangay.save()/clean(), which only validate coordinates
+                Barangay.objects.filter(pk=barangay.pk).update(boundary_geojson=json.dumps(geometry))
+
+        summary = f"Matched {matched} boundaries, skipped {skipped}."
+        if dry_run:
+            summary += " Dry run: nothing saved."
+        self.stdout.write(self.style.SUCCESS(summary))
+
+    def _match(self, props, by_id, by_name, id_prop, name_prop, muni_prop):
+        raw_id = props.get(id_prop)
+        if raw_id not in (None, ""):
+            try:
+                return by_id.get(int(raw_id))
+            except (TypeError, ValueError):
+                return None
+
+        name = props.get(name_prop)
+        if not name:
+            return None
+        candidates = by_name.get(str(name).strip().lower(), [])
+        municipality = props.get(muni_prop)
+        if municipality and len(candidates) > 1:
+            wanted = str(municipality).strip().lower()
+            candidates = [
+                b for b in candidates
+                if b.municipality and b.municipality.name.strip().lower() == wanted
+            ]
+        return candidates[0] if len(candidates) == 1 else None
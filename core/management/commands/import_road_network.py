@@ -0,0 +1,58 @@
+import json
+import os
+
+from django.core.management.base import BaseCommand, CommandError
+
+from core.evacuation import RoadNetwork, evacuation_config
+
+
+class Command(BaseCommand):
+    help = (
+        "Import the road network used for evacuation routes from a GeoJSON FeatureCollection "
+        "(e.g. an OpenStreetMap highway export). LineString and MultiLineString features are "
+        "kept and written to EVACUATION['road_network_path']; other features are dropped."
+    )
+
+    def add_arguments(self, parser):
+        parser.add_argument("path", help="Path to a GeoJSON FeatureCollection file.")
+        parser.add_argument(
+            "--dry-run",
+            action="store_true",
+            help="Report the network size without writing it.",
+        )
+
+    def handle(self, *args, **options):
+        try:
+            with open(options["path"], encoding="utf-8") as fh:
+                collection = json.load(fh)
+        except (OSError, ValueError) as exc:
+            raise CommandError(f"Could not read {options['path']}: {exc}")
+
+        if collection.get("type") != "FeatureCollection":
+            raise CommandError("Expected a GeoJSON FeatureCollection.")
+
+        features = [
+            {"type": "Feature", "geometry": f["geometry"], "properties": f.get("properties") or {}}
+            for f in collection.get("features") or []
+            if (f.get("geometry") or {}).get("type") in ("LineString", "MultiLineString")
+        ]
+        skipped = len(collection.get("features") or []) - len(features)
+        network = RoadNetwork({"features": features})
+        if not network.edge_count:
+            raise CommandError("No LineString or MultiLineString roads found.")
+        self.stdout.write(
+            f"{len(features)} roads, {len(network.nodes)} junctions and vertices, "
+            f"{network.edge_count} segments; {skipped} other features skipped."
+        )
+
+        if options.get("dry_run"):
+            self.stdout.write(self.style.SUCCESS("Dry run: nothing written."))
+            return
+
+        target = evacuation_config().get("road_network_path")
+        if not target:
+            raise CommandError("Set EVACUATION['road_network_path'] in the settings first.")
+        os.makedirs(os.path.dirname(target), exist_ok=True)
+        with open(target, "w", encoding="utf-8") as fh:
+            json.dump({"type": "FeatureCollection", "features": features}, fh)
+        self.stdout.write(self.style.SUCCESS(f"Road network written to {target}."))
@@ -0,0 +1,25 @@
+from django.utils.crypto import salted_hmac
+
+CACHE_SCOPE_HEADER = 'X-Cache-Scope'
+
+
+class PageCacheScopeMiddleware:
+    """
+    Tag HTML pages rendered for a signed-in user with X-Cache-Scope, a digest of the session key.
+    The offline service worker keeps those pages in a cache for that scope and deletes the
+    previous session's cache when a new scope appears, so one user's pages are never served
+    offline to the next. Django issues a new session key at every login.
+    """
+
+    def __init__(self, get_response):
+        self.get_response = get_response
+
+    def __call__(self, request):
+        response = self.get_response(request)
+        user = getattr(request, 'user', None)
+        session = getattr(request, 'session', None)
+        if (user is not None and user.is_authenticated and session is not None and session.session_key
+                and response.get('Content-Type', '').startswith('text/html')):
+            scope = salted_hmac('core.middleware.PageCacheScope', session.session_key).hexdigest()
+            response[CACHE_SCOPE_HEADER] = scope[:16]
+        return response
@@ -0,0 +1,20 @@
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ("core", "0009_barangay_is_featured"),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name="barangay",
+            name="boundary_geojson",
+            field=models.TextField(
+                blank=True,
+                null=True,
+                help_text="GeoJSON Polygon or MultiPolygon of the barangay boundary.",
+            ),
+        ),
+    ]
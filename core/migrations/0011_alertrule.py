@@ -0,0 +1,102 @@
+import django.db.models.deletion
+from django.conf import settings
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ("core", "0010_barangay_boundary_geojson"),
+        migrations.swappable_dependency(settings.AUTH_USER_MODEL),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name="AlertRule",
+            fields=[
+                ("id", models.BigAutoField(auto_created=True, primary_key=True, serialize=False, verbose_name="ID")),
+                ("name", models.CharField(max_length=100)),
+                (
+                    "parameter",
+                    models.CharField(
+                        choices=[
+                            ("temperature", "Temperature"),
+                            ("humidity", "Humidity"),
+                            ("rainfall", "Rainfall"),
+                            ("water_level", "Water Level"),
+                            ("wind_speed", "Wind Speed"),
+                        ],
+                        max_length=50,
+                    ),
+                ),
+                (
+                    "condition",
+                    models.CharField(
+                        choices=[
+                            ("above", "Rises above"),
+                            ("below", "Falls below"),
+                            ("rise", "Rises by more than"),
+                            ("accumulation", "Total over window exceeds"),
+                        ],
+                        default="above",
+                        max_length=20,
+                    ),
+                ),
+                ("threshold", models.FloatField(help_text="Value, rise or total in the parameter's unit")),
+                (
+                    "window_hours",
+                    models.FloatField(default=1, help_text="Look-back window for rise and accumulation rules"),
+                ),
+                (
+                    "channel",
+                    models.CharField(
+                        choices=[
+                            ("sound", "Sound"),
+                            ("notification", "Desktop notification"),
+                            ("banner", "In-page banner"),
+                        ],
+                        default="banner",
+                        max_length=20,
+                    ),
+                ),
+                (
+                    "cooldown_minutes",
+                    models.PositiveIntegerField(default=30, help_text="Minimum time between repeat alerts"),
+                ),
+                ("enabled", models.BooleanField(default=True)),
+                ("created_at", models.DateTimeField(auto_now_add=True)),
+                ("updated_at", models.DateTimeField(auto_now=True)),
+                (
+                    "barangay",
+                    models.ForeignKey(
+                        blank=True,
+                        null=True,
+                        on_delete=django.db.models.deletion.CASCADE,
+                        related_name="alert_rules",
+                        to="core.barangay",
+                    ),
+                ),
+                (
+                    "municipality",
+                    models.ForeignKey(
+                        blank=True,
+                        null=True,
+                        on_delete=django.db.models.deletion.CASCADE,
+                        related_name="alert_rules",
+                        to="core.municipality",
+                    ),
+                ),
+                (
+                    "user",
+                    models.ForeignKey(
+                        on_delete=django.db.models.deletion.CASCADE,
+                        related_name="alert_rules",
+                        to=settings.AUTH_USER_MODEL,
+                    ),
+                ),
+            ],
+            options={
+                "ordering": ["name"],
+            },
+        ),
+    ]
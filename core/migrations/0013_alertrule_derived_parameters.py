@@ -0,0 +1,32 @@
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ("core", "0012_floodalert_workflow"),
+    ]
+
+    operations = [
+        migrations.AlterField(
+            model_name="alertrule",
+            name="parameter",
+            field=models.CharField(
+                choices=[
+                    ("temperature", "Temperature"),
+                    ("humidity", "Humidity"),
+                    ("rainfall", "Rainfall"),
+                    ("water_level", "Water Level"),
+                    ("wind_speed", "Wind Speed"),
+                    ("rainfall_1h", "Rainfall 1 h total"),
+                    ("rainfall_3h", "Rainfall 3 h total"),
+                    ("rainfall_6h", "Rainfall 6 h total"),
+                    ("rainfall_24h", "Rainfall 24 h total"),
+                    ("rainfall_72h", "Rainfall 72 h total"),
+                    ("water_level_rate", "Water level rate of rise"),
+                    ("rainfall_api", "Antecedent precipitation index"),
+                ],
+                max_length=50,
+            ),
+        ),
+    ]
@@ -0,0 +1,34 @@
+from django.conf import settings
+from django.db import migrations, models
+import django.db.models.deletion
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        migrations.swappable_dependency(settings.AUTH_USER_MODEL),
+        ("core", "0013_alertrule_derived_parameters"),
+    ]
+
+    operations = [
+        migrations.AddField(
+            model_name="sensordata",
+            name="source",
+            field=models.CharField(
+                choices=[("sensor", "Sensor telemetry"), ("manual", "Manual reading")],
+                default="sensor",
+                max_length=20,
+            ),
+        ),
+        migrations.AddField(
+            model_name="sensordata",
+            name="entered_by",
+            field=models.ForeignKey(
+                blank=True,
+                null=True,
+                on_delete=django.db.models.deletion.SET_NULL,
+                related_name="entered_readings",
+                to=settings.AUTH_USER_MODEL,
+            ),
+        ),
+    ]
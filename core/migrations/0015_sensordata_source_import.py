@@ -0,0 +1,24 @@
+from django.db import migrations, models
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ("core", "0014_sensordata_source"),
+    ]
+
+    operations = [
+        migrations.AlterField(
+            model_name="sensordata",
+            name="source",
+            field=models.CharField(
+                choices=[
+                    ("sensor", "Sensor telemetry"),
+                    ("manual", "Manual reading"),
+                    ("import", "Imported file"),
+                ],
+                default="sensor",
+                max_length=20,
+            ),
+        ),
+    ]
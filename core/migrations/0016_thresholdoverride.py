@@ -0,0 +1,85 @@
+from django.conf import settings
+from django.db import migrations, models
+import django.db.models.deletion
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        migrations.swappable_dependency(settings.AUTH_USER_MODEL),
+        ("core", "0015_sensordata_source_import"),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name="ThresholdOverride",
+            fields=[
+                ("id", models.BigAutoField(auto_created=True, primary_key=True, serialize=False, verbose_name="ID")),
+                (
+                    "parameter",
+                    models.CharField(
+                        choices=[
+                            ("temperature", "Temperature"),
+                            ("humidity", "Humidity"),
+                            ("rainfall", "Rainfall"),
+                            ("water_level", "Water Level"),
+                            ("wind_speed", "Wind Speed"),
+                        ],
+                        max_length=50,
+                    ),
+                ),
+                ("advisory_threshold", models.FloatField()),
+                ("watch_threshold", models.FloatField()),
+                ("warning_threshold", models.FloatField()),
+                ("emergency_threshold", models.FloatField()),
+                ("catastrophic_threshold", models.FloatField()),
+                ("created_at", models.DateTimeField(auto_now_add=True)),
+                ("updated_at", models.DateTimeField(auto_now=True)),
+                (
+                    "municipality",
+                    models.ForeignKey(
+                        blank=True,
+                        null=True,
+                        on_delete=django.db.models.deletion.CASCADE,
+                        related_name="threshold_overrides",
+                        to="core.municipality",
+                    ),
+                ),
+                (
+                    "barangay",
+                    models.ForeignKey(
+                        blank=True,
+                        null=True,
+                        on_delete=django.db.models.deletion.CASCADE,
+                        related_name="threshold_overrides",
+                        to="core.barangay",
+                    ),
+                ),
+                (
+                    "last_updated_by",
+                    models.ForeignKey(
+                        blank=True,
+                        null=True,
+                        on_delete=django.db.models.deletion.SET_NULL,
+                        related_name="threshold_overrides",
+                        to=settings.AUTH_USER_MODEL,
+                    ),
+                ),
+            ],
+            options={
+                "ordering": ["parameter"],
+                "constraints": [
+                    models.UniqueConstraint(
+                        condition=models.Q(("barangay__isnull", False)),
+                        fields=("parameter", "barangay"),
+                        name="unique_barangay_threshold_override",
+                    ),
+                    models.UniqueConstraint(
+                        condition=models.Q(("barangay__isnull", True)),
+                        fields=("parameter", "municipality"),
+                        name="unique_municipality_threshold_override",
+                    ),
+                ],
+            },
+        ),
+    ]
@@ -0,0 +1,70 @@
+from django.db import migrations, models
+import django.db.models.deletion
+
+
+class Migration(migrations.Migration):
+
+    dependencies = [
+        ("core", "0016_thresholdoverride"),
+    ]
+
+    operations = [
+        migrations.CreateModel(
+            name="EvacuationCenter",
+            fields=[
+                ("id", models.BigAutoField(auto_created=True, primary_key=True, serialize=False, verbose_name="ID")),
+                ("name", models.CharField(max_length=150)),
+                (
+                    "facility_type",
+                    models.CharField(
+                        choices=[
+                            ("school", "School"),
+                            ("covered_court", "Covered Court / Gym"),
+                            ("barangay_hall", "Barangay Hall"),
+                            ("church", "Church"),
+                            ("multipurpose_hall", "Multi-purpose Hall"),
+                            ("other", "Other"),
+                        ],
+                        default="school",
+                        max_length=30,
+                    ),
+                ),
+                ("latitude", models.FloatField()),
+                ("longitude", models.FloatField()),
+                ("capacity", models.PositiveIntegerField(help_text="Number of people the centre can shelter.")),
+                ("current_occupancy", models.PositiveIntegerField(default=0)),
+                (
+                    "is_open",
+                    models.BooleanField(
+                        default=True, help_text="Clear when the centre cannot be used, e.g. damaged or closed."
+                    ),
+                ),
+                ("contact_person", models.CharField(blank=True, max_length=100, null=True)),
+                ("contact_number", models.CharField(blank=True, max_length=20, null=True)),
+                ("notes", models.TextField(blank=True, null=True)),
+                ("created_at", models.DateTimeField(auto_now_add=True)),
+                ("updated_at", models.DateTimeField(auto_now=True)),
+                (
+                    "municipality",
+                    models.ForeignKey(
+                        on_delete=django.db.models.deletion.CASCADE,
+                        related_name="evacuation_centers",
+                        to="core.municipality",
+                    ),
+                ),
+                (
+                    "barangay",
+                    models.ForeignKey(
+                        blank=True,
+                        null=True,
+                        on_delete=django.db.models.deletion.SET_NULL,
+                        related_name="evacuation_centers",
+                        to="core.barangay",
+                    ),
+                ),
+            ],
+            options={
+                "ordering": ["municipality__name", "name"],
+            },
+        ),
+    ]
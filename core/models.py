@@ -1,3 +1,4 @@
+from django.conf import settings
 from django.db import models
 from django.utils import timezone
 from django.contrib.auth.models import User, Group
@@ -5,6 +6,7 @@ from django.db.models.signals import post_save
 from django.dispatch import receiver
 from django.core.exceptions import ValidationError
 from django.core.management import call_command
+from datetime import timedelta
 import threading
 import logging
 
@@ -33,10 +35,24 @@ class Sensor(models.Model):
         return f"{self.name} ({self.sensor_type})"
 
 class SensorData(models.Model):
+    SOURCE_SENSOR = 'sensor'
+    SOURCE_MANUAL = 'manual'
+    SOURCE_IMPORT = 'import'
+    SOURCE_CHOICES = [
+        (SOURCE_SENSOR, 'Sensor telemetry'),
+        (SOURCE_MANUAL, 'Manual reading'),
+        (SOURCE_IMPORT, 'Imported file'),
+    ]
+
     sensor = models.ForeignKey(Sensor, on_delete=models.CASCADE, related_name='readings')
     value = models.FloatField()
     timestamp = models.DateTimeField(default=timezone.now)
     accuracy_rating = models.FloatField(null=True, blank=True)  # Add this field
+    # Manual readings are read off staff or rain gauges by field observers; imported ones are
+    # backfilled from logger downloads
+    source = models.CharField(max_length=20, choices=SOURCE_CHOICES, default=SOURCE_SENSOR)
+    entered_by = models.ForeignKey(User, on_delete=models.SET_NULL, null=True, blank=True,
+                                   related_name='entered_readings')
     
     class Meta:
         ordering = ['-timestamp']
@@ -119,6 +135,9 @@ class Barangay(models.Model):
     contact_person = models.CharField(max_length=100, blank=True, null=True)
     contact_number = models.CharField(max_length=20, blank=True, null=True)
     is_featured = models.BooleanField(default=False, help_text="Mark as featured to be included in periodic weather updates.")
+    # Administrative boundary (GeoJSON Polygon/MultiPolygon geometry) for choropleth maps.
+    # Loaded with `manage.py import_barangay_boundaries`; maps fall back to the centre point when empty.
+    boundary_geojson = models.TextField(blank=True, null=True, help_text="GeoJSON Polygon or MultiPolygon of the barangay boundary.")
 
     def __str__(self):
         return self.name
@@ -179,10 +198,62 @@ class FloodAlert(models.Model):
     updated_at = models.DateTimeField(auto_now=True)
     affected_barangays = models.ManyToManyField(Barangay, related_name='flood_alerts')
     issued_by = models.ForeignKey(User, on_delete=models.SET_NULL, null=True)
+    # Operator workflow
+    acknowledged_by = models.ForeignKey(User, on_delete=models.SET_NULL, null=True, blank=True,
+                                        related_name='acknowledged_alerts')
+    acknowledged_at = models.DateTimeField(blank=True, null=True)
+    assigned_to = models.ForeignKey(User, on_delete=models.SET_NULL, null=True, blank=True,
+                                    related_name='assigned_alerts', help_text="Responder handling this alert")
+    assigned_at = models.DateTimeField(blank=True, null=True)
+    escalated_by = models.ForeignKey(User, on_delete=models.SET_NULL, null=True, blank=True,
+                                     related_name='escalated_alerts')
+    escalated_at = models.DateTimeField(blank=True, null=True)
+    escalation_count = models.PositiveIntegerField(default=0)
     
     def __str__(self):
         return f"{self.get_severity_level_display()}: {self.title}"
     
+    @property
+    def workflow_state(self):
+        """new, acknowledged, assigned or escalated (escalation waits for a fresh acknowledgement)"""
+        if self.escalated_at and not self.acknowledged_at:
+            return 'escalated'
+        if self.assigned_to_id:
+            return 'assigned'
+        if self.acknowledged_at:
+            return 'acknowledged'
+        return 'new'
+    
+    @property
+    def acknowledge_due_at(self):
+        """When an unacknowledged severity 4+ alert becomes overdue, or None when no deadline applies"""
+        if not self.active or self.acknowledged_at or self.severity_level < 4:
+            return None
+        start = self.escalated_at or self.issued_at
+        if not start:
+            return None
+        return start + timedelta(minutes=getattr(settings, 'ALERT_ACK_TIMEOUT_MINUTES', 10))
+    
+    def acknowledge(self, user):
+        self.acknowledged_by = user
+        self.acknowledged_at = timezone.now()
+        self.save(update_fields=['acknowledged_by', 'acknowledged_at', 'updated_at'])
+    
+    def assign(self, user):
+        self.assigned_to = user
+        self.assigned_at = timezone.now() if user else None
+        self.save(update_fields=['assigned_to', 'assigned_at', 'updated_at'])
+    
+    def escalate(self, user):
+        """Record an escalation; the alert needs acknowledging again at the higher level"""
+        self.escalated_by = user
+        self.escalated_at = timezone.now()
+        self.escalation_count += 1
+        self.acknowledged_by = None
+        self.acknowledged_at = None
+        self.save(update_fields=['escalated_by', 'escalated_at', 'escalation_count',
+                                 'acknowledged_by', 'acknowledged_at', 'updated_at'])
+    
     class Meta:
         ordering = ['-issued_at']
 
@@ -234,6 +305,138 @@ class ThresholdSetting(models.Model):
     class Meta:
         unique_together = ['parameter']
 
+class ThresholdOverride(models.Model):
+    """Thresholds for one municipality or barangay that replace the global ThresholdSetting.
+
+    A barangay is evaluated against its own override, else its municipality's, else the global
+    set (see core.threshold_sets). The unit is always the global setting's.
+    """
+    SCOPE_MUNICIPALITY = 'municipality'
+    SCOPE_BARANGAY = 'barangay'
+
+    parameter = models.CharField(max_length=50, choices=[
+        ('temperature', 'Temperature'),
+        ('humidity', 'Humidity'),
+        ('rainfall', 'Rainfall'),
+        ('water_level', 'Water Level'),
+        ('wind_speed', 'Wind Speed'),
+    ])
+    municipality = models.ForeignKey('Municipality', on_delete=models.CASCADE, null=True, blank=True,
+                                     related_name='threshold_overrides')
+    # Empty for a municipality-wide override
+    barangay = models.ForeignKey('Barangay', on_delete=models.CASCADE, null=True, blank=True,
+                                 related_name='threshold_overrides')
+    advisory_threshold = models.FloatField()
+    watch_threshold = models.FloatField()
+    warning_threshold = models.FloatField()
+    emergency_threshold = models.FloatField()
+    catastrophic_threshold = models.FloatField()
+    created_at = models.DateTimeField(auto_now_add=True)
+    updated_at = models.DateTimeField(auto_now=True)
+    last_updated_by = models.ForeignKey(User, on_delete=models.SET_NULL, null=True, blank=True,
+                                        related_name='threshold_overrides')
+
+    @property
+    def scope(self):
+        return self.SCOPE_BARANGAY if self.barangay_id else self.SCOPE_MUNICIPALITY
+
+    def clean(self):
+        # A barangay implies its municipality
+        if self.barangay_id:
+            self.municipality_id = self.barangay.municipality_id
+        if not self.municipality_id:
+            raise ValidationError({'municipality': 'Choose a municipality or a barangay.'})
+        msg = "Thresholds must be strictly increasing: Advisory < Watch < Warning < Emergency < Catastrophic."
+        a = self.advisory_threshold
+        w = self.watch_threshold
+        wn = self.warning_threshold
+        e = self.emergency_threshold
+        c = self.catastrophic_threshold
+        if None not in (a, w, wn, e, c):
+            if not (a < w < wn < e < c):
+                raise ValidationError({
+                    'advisory_threshold': msg,
+                    'watch_threshold': msg,
+                    'warning_threshold': msg,
+                    'emergency_threshold': msg,
+                    'catastrophic_threshold': msg,
+                })
+
+    def save(self, *args, **kwargs):
+        # Ensure model-level validation runs on every save
+        self.full_clean()
+        super().save(*args, **kwargs)
+
+    def __str__(self):
+        place = self.barangay.name if self.barangay_id else self.municipality.name
+        return f"{self.parameter} Thresholds for {place}"
+
+    class Meta:
+        ordering = ['parameter']
+        constraints = [
+            models.UniqueConstraint(
+                fields=['parameter', 'barangay'],
+                condition=models.Q(barangay__isnull=False),
+                name='unique_barangay_threshold_override',
+            ),
+            models.UniqueConstraint(
+                fields=['parameter', 'municipality'],
+                condition=models.Q(barangay__isnull=True),
+                name='unique_municipality_threshold_override',
+            ),
+        ]
+
+class EvacuationCenter(models.Model):
+    """A place people can be moved to, with its capacity and how many are there now.
+
+    Centres that are closed or full, or that lie inside a flood risk zone, are not offered as
+    destinations (see core.evacuation).
+    """
+    FACILITY_TYPES = [
+        ('school', 'School'),
+        ('covered_court', 'Covered Court / Gym'),
+        ('barangay_hall', 'Barangay Hall'),
+        ('church', 'Church'),
+        ('multipurpose_hall', 'Multi-purpose Hall'),
+        ('other', 'Other'),
+    ]
+
+    name = models.CharField(max_length=150)
+    facility_type = models.CharField(max_length=30, choices=FACILITY_TYPES, default='school')
+    municipality = models.ForeignKey(Municipality, on_delete=models.CASCADE, related_name='evacuation_centers')
+    barangay = models.ForeignKey(Barangay, on_delete=models.SET_NULL, null=True, blank=True,
+                                 related_name='evacuation_centers')
+    latitude = models.FloatField()
+    longitude = models.FloatField()
+    capacity = models.PositiveIntegerField(help_text="Number of people the centre can shelter.")
+    current_occupancy = models.PositiveIntegerField(default=0)
+    is_open = models.BooleanField(default=True, help_text="Clear when the centre cannot be used, e.g. damaged or closed.")
+    contact_person = models.CharField(max_length=100, blank=True, null=True)
+    contact_number = models.CharField(max_length=20, blank=True, null=True)
+    notes = models.TextField(blank=True, null=True)
+    created_at = models.DateTimeField(auto_now_add=True)
+    updated_at = models.DateTimeField(auto_now=True)
+
+    @property
+    def available_capacity(self):
+        return max(0, self.capacity - self.current_occupancy)
+
+    def clean(self):
+        super().clean()
+        # A barangay implies its municipality
+        if self.barangay_id and self.barangay.municipality_id:
+            self.municipality_id = self.barangay.municipality_id
+
+    def save(self, *args, **kwargs):
+        self.full_clean()
+        return super().save(*args, **kwargs)
+
+    def __str__(self):
+        return f"{self.name} ({self.current_occupancy}/{self.capacity})"
+
+    class Meta:
+        ordering = ['municipality__name', 'name']
+
 class NotificationLog(models.Model):
     """Model for logging notifications sent"""
     alert = models.ForeignKey(FloodAlert, on_delete=models.CASCADE, related_name='notifications')
@@ -269,6 +472,71 @@ class EmergencyContact(models.Model):
         return f"{self.name} ({self.role})"
 
 
+class AlertRule(models.Model):
+    """Personal alert rule evaluated in the browser against the latest readings"""
+    CONDITIONS = [
+        ('above', 'Rises above'),
+        ('below', 'Falls below'),
+        ('rise', 'Rises by more than'),
+        ('accumulation', 'Total over window exceeds'),
+    ]
+    CHANNELS = [
+        ('sound', 'Sound'),
+        ('notification', 'Desktop notification'),
+        ('banner', 'In-page banner'),
+    ]
+    # Metrics computed in the browser from the raw series (static/js/derived_metrics.js);
+    # they only support above/below and carry their own unit
+    DERIVED_PARAMETERS = [
+        ('rainfall_1h', 'Rainfall 1 h total', 'mm'),
+        ('rainfall_3h', 'Rainfall 3 h total', 'mm'),
+        ('rainfall_6h', 'Rainfall 6 h total', 'mm'),
+        ('rainfall_24h', 'Rainfall 24 h total', 'mm'),
+        ('rainfall_72h', 'Rainfall 72 h total', 'mm'),
+        ('water_level_rate', 'Water level rate of rise', 'm/h'),
+        ('rainfall_api', 'Antecedent precipitation index', 'mm'),
+    ]
+    DERIVED_UNITS = {key: unit for key, _, unit in DERIVED_PARAMETERS}
+
+    user = models.ForeignKey(User, on_delete=models.CASCADE, related_name='alert_rules')
+    name = models.CharField(max_length=100)
+    parameter = models.CharField(max_length=50, choices=[
+        ('temperature', 'Temperature'),
+        ('humidity', 'Humidity'),
+        ('rainfall', 'Rainfall'),
+        ('water_level', 'Water Level'),
+        ('wind_speed', 'Wind Speed'),
+    ] + [(key, label) for key, label, _ in DERIVED_PARAMETERS])
+    condition = models.CharField(max_length=20, choices=CONDITIONS, default='above')
+    threshold = models.FloatField(help_text="Value, rise or total in the parameter's unit")
+    window_hours = models.FloatField(default=1, help_text="Look-back window for rise and accumulation rules")
+    # No location means anywhere in the network; a municipality without a barangay means
+    # any barangay in that municipality
+    municipality = models.ForeignKey(Municipality, on_delete=models.CASCADE, null=True, blank=True,
+                                     related_name='alert_rules')
+    barangay = models.ForeignKey(Barangay, on_delete=models.CASCADE, null=True, blank=True,
+                                 related_name='alert_rules')
+    channel = models.CharField(max_length=20, choices=CHANNELS, default='banner')
+    cooldown_minutes = models.PositiveIntegerField(default=30, help_text="Minimum time between repeat alerts")
+    enabled = models.BooleanField(default=True)
+    created_at = models.DateTimeField(auto_now_add=True)
+    updated_at = models.DateTimeField(auto_now=True)
+
+    def clean(self):
+        if self.window_hours is not None and self.window_hours <= 0:
+            raise ValidationError({'window_hours': 'Window must be greater than zero.'})
+        if self.parameter in self.DERIVED_UNITS and self.condition not in ('above', 'below'):
+            raise ValidationError({'condition': 'Derived metrics support only "rises above" and "falls below".'})
+        if self.barangay_id and self.municipality_id and self.barangay.municipality_id != self.municipality_id:
+            raise ValidationError({'barangay': 'Barangay is not in the selected municipality.'})
+
+    def __str__(self):
+        return f"{self.name} ({self.user.username})"
+
+    class Meta:
+        ordering = ['name']
+
+
 class UserProfile(models.Model):
     """Extended profile for users in the system"""
     USER_ROLES = [
@@ -0,0 +1,194 @@
+from django.conf import settings
+
+from .boundaries import boundary_geometry, geometry_bounds, point_in_geometry
+from .models import Barangay, FloodAlert, FloodRiskZone
+
+DEFAULTS = {
+    'grid_size': 12,
+}
+
+LEVELS = (1, 2, 3, 4, 5)
+LEVEL_NAMES = dict(FloodAlert._meta.get_field('severity_level').choices)
+
+
+def population_risk_config():
+    """POPULATION_RISK from the settings over the defaults above."""
+    config = dict(DEFAULTS)
+    config.update(getattr(settings, 'POPULATION_RISK', {}) or {})
+    return config
+
+
+def _risk_zones():
+    """(zone, geometry, bounds) for every risk zone with a usable polygon."""
+    zones = []
+    for zone in FloodRiskZone.objects.all():
+        geometry = boundary_geometry(zone.geojson)
+        if geometry is not None:
+            zones.append((zone, geometry, geometry_bounds(geometry)))
+    return zones
+
+
+def _overlaps(a, b):
+    return a[0] <= b[2] and b[0] <= a[2] and a[1] <= b[3] and b[1] <= a[3]
+
+
+def _sample_points(barangay, geometry, grid_size):
+    """
+    Points standing in for where people live: the centres of a grid_size x grid_size grid over the
+    boundary that fall inside it, or the barangay centre when it has no boundary (or one too small
+    for the grid).
+    """
+    if geometry is not None:
+        min_lng, min_lat, max_lng, max_lat = geometry_bounds(geometry)
+        step_lng = (max_lng - min_lng) / grid_size
+        step_lat = (max_lat - min_lat) / grid_size
+        points = []
+        for i in range(grid_size):
+            for j in range(grid_size):
+                lat = min_lat + (i + 0.5) * step_lat
+                lng = min_lng + (j + 0.5) * step_lng
+                if point_in_geometry(lat, lng, geometry):
+                    points.append((lat, lng))
+        if points:
+            return points, 'boundary'
+    return [(barangay.latitude, barangay.longitude)], 'centre'
+
+
+def _apportion(total, counts):
+    """Split total over counts by largest remainder so the parts add back up to it exactly."""
+    weight = sum(counts.values())
+    if not total or not weight:
+        return {key: 0 for key in counts}
+    exact = {key: total * n / weight for key, n in counts.items()}
+    parts = {key: int(value) for key, value in exact.items()}
+    leftover = total - sum(parts.values())
+    for key in sorted(exact, key=lambda k: exact[k] - parts[k], reverse=True)[:leftover]:
+        parts[key] += 1
+    return parts
+
+
+def _empty_levels():
+    return {level: 0 for level in LEVELS}
+
+
+def population_at_risk(municipality_id=None, barangay_id=None):
+    """
+    Population exposed to flooding by severity level, municipality and barangay.
+
+    Each barangay's population is spread evenly over sample points inside its boundary (its
+    centre when it has none). A point's level is the higher of the barangay's most severe active
+    alert and the most severe risk zone containing it; risk zone severity (Low to Extreme) is read
+    on the same 1-5 scale as alert levels. The population share at each level is the share of
+    points at that level, so a barangay half covered by a High Risk zone contributes half its
+    people to level 3 even without an alert.
+
+    Args:
+        municipality_id (int | str | None): Barangays of this municipality; all when empty.
+        barangay_id (int | str | None): Only this barangay.
+    """
+    config = population_risk_config()
+    grid_size = max(1, int(config['grid_size']))
+
+    barangays = Barangay.objects.select_related('municipality').order_by('municipality__name', 'name')
+    if municipality_id:
+        barangays = barangays.filter(municipality_id=municipality_id)
+    if barangay_id:
+        barangays = barangays.filter(id=barangay_id)
+    barangays = list(barangays)
+
+    # Highest active alert severity per barangay
+    alert_severity = {}
+    links = FloodAlert.affected_barangays.through.objects.filter(
+        floodalert__active=True, barangay_id__in=[b.id for b in barangays]
+    ).values_list('barangay_id', 'floodalert__severity_level')
+    for b_id, severity in links:
+        alert_severity[b_id] = max(severity, alert_severity.get(b_id, 0))
+
+    zones = _risk_zones()
+    totals = {'population': 0, 'exposed': 0, 'by_level': _empty_levels()}
+    level_barangays = _empty_levels()
+    municipalities = {}
+    rows = []
+    for b in barangays:
+        population = b.population or 0
+        geometry = boundary_geometry(b.boundary_geojson)
+        points, method = _sample_points(b, geometry, grid_size)
+        bounds = geometry_bounds(geometry) if method == 'boundary' else (b.longitude, b.latitude, b.longitude, b.latitude)
+        nearby = [(zone, g) for zone, g, zone_bounds in zones if _overlaps(bounds, zone_bounds)]
+        alert = alert_severity.get(b.id, 0)
+
+        counts = {0: 0, **_empty_levels()}
+        in_zone = 0
+        zone_level = 0
+        for lat, lng in points:
+            point_zone = max((zone.severity_level for zone, g in nearby if point_in_geometry(lat, lng, g)), default=0)
+            if point_zone:
+                in_zone += 1
+                zone_level = max(zone_level, point_zone)
+            counts[min(5, max(alert, point_zone))] += 1
+
+        parts = _apportion(population, counts)
+        by_level = {level: parts[level] for level in LEVELS}
+        exposed = population - parts[0]
+
+        totals['population'] += population
+        muni = municipalities.setdefault(b.municipality_id, {
+            'id': b.municipality_id,
+            'name': b.municipality.name if b.municipality_id else None,
+            'population': 0,
+            'exposed': 0,
+            'by_level': _empty_levels(),
+            'barangays': 0,
+            'exposed_barangays': 0,
+        })
+        muni['population'] += population
+        muni['barangays'] += 1
+        if not exposed:
+            continue
+
+        max_level = max(level for level in LEVELS if counts[level])
+        totals['exposed'] += exposed
+        muni['exposed'] += exposed
+        muni['exposed_barangays'] += 1
+        for level in LEVELS:
+            totals['by_level'][level] += by_level[level]
+            muni['by_level'][level] += by_level[level]
+            if by_level[level]:
+                level_barangays[level] += 1
+        rows.append({
+            'id': b.id,
+            'name': b.name,
+            'municipality_id': b.municipality_id,
+            'municipality_name': muni['name'],
+            'population': population,
+            'exposed': exposed,
+            'exposed_share': round(exposed / population, 3) if population else None,
+            'by_level': by_level,
+            'max_level': max_level,
+            'max_level_name': LEVEL_NAMES.get(max_level),
+            'alert_severity': alert or None,
+            'zone_level': zone_level or None,
+            'zone_share': round(in_zone / len(points), 3),
+            'method': method,
+        })
+
+    rows.sort(key=lambda r: (-r['max_level'], -r['exposed']))
+    for muni in municipalities.values():
+        muni['exposed_share'] = round(muni['exposed'] / muni['population'], 3) if muni['population'] else None
+    totals['exposed_share'] = round(totals['exposed'] / totals['population'], 3) if totals['population'] else None
+    totals['barangays'] = len(barangays)
+    totals['exposed_barangays'] = len(rows)
+    return {
+        'totals': totals,
+        'levels': [
+            {
+                'level': level,
+                'name': LEVEL_NAMES.get(level),
+                'population': totals['by_level'][level],
+                'barangays': level_barangays[level],
+            }
+            for level in LEVELS
+        ],
+        'municipalities': sorted(municipalities.values(), key=lambda m: (-m['exposed'], m['name'] or '')),
+        'barangays': rows,
+    }
@@ -0,0 +1,238 @@
+import math
+import statistics
+from datetime import timedelta
+
+from django.conf import settings
+from django.utils import timezone
+
+from .models import Sensor, SensorData
+
+DEFAULTS = {
+    'window_days': 7,
+    'expected_interval_minutes': {'default': 15},
+    'stale_after_intervals': 3,
+    'flatline_hours': 6,
+    'flatline_min_readings': 6,
+    'flatline_allowed_values': {},
+    'valid_range': {},
+    'max_change_per_hour': {},
+    'neighbour_radius_km': 10,
+    'neighbour_min_count': 2,
+    'neighbour_tolerance': {},
+}
+
+# Worst first; a sensor takes the status of its worst issue
+STATUSES = ('offline', 'faulty', 'suspect', 'healthy')
+ISSUE_STATUS = {
+    'no_data': 'offline',
+    'stale': 'offline',
+    'flatline': 'faulty',
+    'out_of_range': 'faulty',
+    'jump': 'suspect',
+    'neighbour': 'suspect',
+}
+
+
+def health_config():
+    """SENSOR_HEALTH from the settings over the defaults above."""
+    config = dict(DEFAULTS)
+    config.update(getattr(settings, 'SENSOR_HEALTH', {}) or {})
+    return config
+
+
+def _per_type(config, key, sensor_type):
+    value = config.get(key)
+    if not isinstance(value, dict):
+        return value
+    return value.get(sensor_type, value.get('default'))
+
+
+def distance_km(lat1, lng1, lat2, lng2):
+    """Great-circle distance between two points in kilometres."""
+    phi1, phi2 = math.radians(lat1), math.radians(lat2)
+    d_phi = phi2 - phi1
+    d_lambda = math.radians(lng2 - lng1)
+    a = math.sin(d_phi / 2) ** 2 + math.cos(phi1) * math.cos(phi2) * math.sin(d_lambda / 2) ** 2
+    return 6371.0 * 2 * math.asin(math.sqrt(a))
+
+
+def assess_readings(sensor_type, readings, start, now, config, since=None):
+    """
+    Health of one sensor from its readings in the window.
+
+    Args:
+        sensor_type (str): Sensor parameter, e.g. 'water_level'.
+        readings (list): (value, timestamp) tuples in ascending time.
+        start (datetime): Start of the window.
+        now (datetime): End of the window.
+        config (dict): See health_config().
+        since (datetime): When the sensor was installed; uptime is not counted before it.
+
+    Returns:
+        dict: latest value/time, uptime percentage, counts of jumps and out-of-range
+        readings, the flatline span and the list of issue codes (without 'neighbour').
+    """
+    interval = timedelta(minutes=_per_type(config, 'expected_interval_minutes', sensor_type) or 15)
+    issues = []
+    result = {
+        'latest_value': None,
+        'latest_at': None,
+        'reading_count': len(readings),
+        'uptime_percent': 0.0,
+        'jump_count': 0,
+        'out_of_range_count': 0,
+        'flatline_hours': 0.0,
+        'issues': issues,
+    }
+
+    # Uptime: share of expected reporting slots in the window with at least one reading
+    uptime_start = max(start, since) if since else start
+    slots = max(1, math.ceil((now - uptime_start) / interval))
+    filled = {int((ts - uptime_start) / interval) for _, ts in readings if ts >= uptime_start}
+    result['uptime_percent'] = round(min(100.0, 100.0 * len(filled) / slots), 1)
+
+    if not readings:
+        issues.append('no_data')
+        return result
+
+    latest_value, latest_at = readings[-1]
+    result['latest_value'] = latest_value
+    result['latest_at'] = latest_at
+    if now - latest_at > interval * config['stale_after_intervals']:
+        issues.append('stale')
+
+    low, high = _per_type(config, 'valid_range', sensor_type) or (None, None)
+    out_of_range = [v for v, _ in readings
+                    if (low is not None and v < low) or (high is not None and v > high)]
+    result['out_of_range_count'] = len(out_of_range)
+    latest_out = (low is not None and latest_value < low) or (high is not None and latest_value > high)
+    if latest_out:
+        issues.append('out_of_range')
+
+    # Rate against at least one expected interval, so two readings seconds apart don't explode
+    max_rate = _per_type(config, 'max_change_per_hour', sensor_type)
+    if max_rate is not None:
+        interval_hours = interval.total_seconds() / 3600
+        for (v1, t1), (v2, t2) in zip(readings, readings[1:]):
+            hours = max((t2 - t1).total_seconds() / 3600, interval_hours)
+            if abs(v2 - v1) / hours > max_rate:
+                result['jump_count'] += 1
+        if result['jump_count']:
+            issues.append('jump')
+
+    # Flatline: the most recent readings all carry the same value
+    run_start = len(readings) - 1
+    while run_start > 0 and readings[run_start - 1][0] == latest_value:
+        run_start -= 1
+    run_length = len(readings) - run_start
+    run_hours = (latest_at - readings[run_start][1]).total_seconds() / 3600
+    allowed = _per_type(config, 'flatline_allowed_values', sensor_type) or []
+    if (run_length >= config['flatline_min_readings'] and run_hours >= config['flatline_hours']
+            and latest_value not in allowed):
+        result['flatline_hours'] = round(run_hours, 1)
+        issues.append('flatline')
+
+    return result
+
+
+def _neighbour_check(items, config):
+    """Flag sensors whose latest value is far from the median of nearby same-type sensors."""
+    radius = config['neighbour_radius_km']
+    for item in items:
+        sensor = item['sensor']
+        health = item['health']
+        tolerance = _per_type(config, 'neighbour_tolerance', sensor.sensor_type)
+        if tolerance is None or health['latest_value'] is None or 'stale' in health['issues']:
+            continue
+        values = [
+            other['health']['latest_value'] for other in items
+            if other is not item
+            and other['sensor'].sensor_type == sensor.sensor_type
+            and other['health']['latest_value'] is not None
+            and 'stale' not in other['health']['issues']
+            and distance_km(sensor.latitude, sensor.longitude,
+                            other['sensor'].latitude, other['sensor'].longitude) <= radius
+        ]
+        if len(values) < config['neighbour_min_count']:
+            continue
+        median = statistics.median(values)
+        health['neighbour_median'] = round(median, 3)
+        health['neighbour_count'] = len(values)
+        if abs(health['latest_value'] - median) > tolerance:
+            health['issues'].append('neighbour')
+
+
+def _neighbours(sensors, config):
+    """
+    Active sensors outside `sensors` that the neighbour check compares them with: the same
+    type, a tolerance configured for it and within the neighbour radius of one of them.
+    """
+    radius = config['neighbour_radius_km']
+    by_type = {}
+    for sensor in sensors:
+        if _per_type(config, 'neighbour_tolerance', sensor.sensor_type) is not None:
+            by_type.setdefault(sensor.sensor_type, []).append(sensor)
+    if not by_type:
+        return []
+    candidates = (Sensor.objects.filter(active=True, sensor_type__in=list(by_type))
+                  .exclude(id__in=[sensor.id for sensor in sensors]))
+    return [
+        other for other in candidates
+        if any(distance_km(other.latitude, other.longitude, s.latitude, s.longitude) <= radius
+               for s in by_type[other.sensor_type])
+    ]
+
+
+def sensor_health(sensors, now=None, days=None):
+    """
+    Assess a set of sensors over the last `days` days.
+
+    Neighbours are looked for among all active sensors, not only the ones given, so a
+    barangay's single sensor is still compared with the sensors around it. Only the latest
+    reading of each neighbour is loaded, since that is all the comparison uses.
+
+    Returns:
+        list: one dict per sensor with its id and the fields of assess_readings(), plus
+        `status` (offline, faulty, suspect or healthy).
+    """
+    config = health_config()
+    now = now or timezone.now()
+    start = now - timedelta(days=days or config['window_days'])
+
+    sensors = list(sensors)
+    wanted = {sensor.id for sensor in sensors}
+    pool = {sensor.id: sensor for sensor in sensors}
+    for sensor in _neighbours(sensors, config):
+        pool[sensor.id] = sensor
+
+    readings = {sensor_id: [] for sensor_id in pool}
+    window = SensorData.objects.filter(timestamp__gte=start, timestamp__lte=now)
+    rows = (window.filter(sensor_id__in=list(wanted))
+            .order_by('timestamp').values_list('sensor_id', 'value', 'timestamp'))
+    for sensor_id, value, timestamp in rows:
+        readings[sensor_id].append((value, timestamp))
+    for sensor_id in pool:
+        if sensor_id in wanted:
+            continue
+        latest = (window.filter(sensor_id=sensor_id).order_by('-timestamp')
+                  .values_list('value', 'timestamp').first())
+        if latest:
+            readings[sensor_id].append(latest)
+
+    items = [{
+        'sensor': sensor,
+        'health': assess_readings(sensor.sensor_type, readings[sensor.id], start, now, config,
+                                  since=sensor.created_at),
+    } for sensor in pool.values()]
+    _neighbour_check(items, config)
+
+    results = []
+    for item in items:
+        if item['sensor'].id not in wanted:
+            continue
+        health = item['health']
+        health['id'] = item['sensor'].id
+        health['status'] = min((ISSUE_STATUS[code] for code in health['issues']),
+                               key=STATUSES.index, default='healthy')
+        results.append(health)
+    return results
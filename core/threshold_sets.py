@@ -0,0 +1,156 @@
+from dataclasses import dataclass
+from typing import Optional
+
+from .models import Barangay, ThresholdOverride, ThresholdSetting
+
+SCOPE_GLOBAL = 'global'
+SCOPE_MUNICIPALITY = ThresholdOverride.SCOPE_MUNICIPALITY
+SCOPE_BARANGAY = ThresholdOverride.SCOPE_BARANGAY
+
+LEVEL_KEYS = ('advisory', 'watch', 'warning', 'emergency', 'catastrophic')
+
+
+@dataclass(frozen=True)
+class ThresholdSet:
+    """
+    The thresholds that apply to a parameter at one place, read like a ThresholdSetting
+    (`advisory_threshold` … `catastrophic_threshold`, `unit`), plus where they came from.
+    """
+    parameter: str
+    advisory_threshold: float
+    watch_threshold: float
+    warning_threshold: float
+    emergency_threshold: float
+    catastrophic_threshold: float
+    unit: str
+    scope: str = SCOPE_GLOBAL
+    scope_id: Optional[int] = None
+    scope_name: Optional[str] = None
+
+    def values(self):
+        """Thresholds keyed advisory … catastrophic."""
+        return {key: getattr(self, f'{key}_threshold') for key in LEVEL_KEYS}
+
+    def source(self):
+        """Which set was used, for API responses: {scope, id, name}."""
+        return {'scope': self.scope, 'id': self.scope_id, 'name': self.scope_name}
+
+
+def threshold_level(value, thresholds):
+    """
+    Severity level 0-5 of a value: the number of thresholds it reaches.
+
+    Args:
+        value (float | None): The reading.
+        thresholds (ThresholdSet | ThresholdSetting | None): Anything with `advisory_threshold` …
+            `catastrophic_threshold`; a missing threshold is never reached.
+    """
+    if value is None or thresholds is None:
+        return 0
+    levels = (getattr(thresholds, f'{key}_threshold', None) for key in LEVEL_KEYS)
+    return sum(1 for t in levels if t is not None and value >= t)
+
+
+def _to_id(value):
+    try:
+        return int(value) if value not in (None, '') else None
+    except (TypeError, ValueError):
+        return None
+
+
+class ThresholdResolver:
+    """
+    Effective thresholds per location. The global settings and every override are loaded once,
+    so one resolver serves a whole request or command run.
+
+    A barangay uses its own override, else its municipality's, else the global set. Overrides
+    apply only to parameters that have a global setting, since that is where the unit lives.
+
+    Args:
+        use_overrides (bool): False evaluates every location against the global sets.
+        parameters (iterable[str] | None): Only these parameters.
+    """
+
+    def __init__(self, use_overrides=True, parameters=None):
+        settings_qs = ThresholdSetting.objects.all()
+        if parameters:
+            settings_qs = settings_qs.filter(parameter__in=list(parameters))
+        self.globals = {
+            t.parameter: ThresholdSet(
+                parameter=t.parameter,
+                advisory_threshold=t.advisory_threshold,
+                watch_threshold=t.watch_threshold,
+                warning_threshold=t.warning_threshold,
+                emergency_threshold=t.emergency_threshold,
+                catastrophic_threshold=t.catastrophic_threshold,
+                unit=t.unit,
+            )
+            for t in settings_qs
+        }
+        self.by_barangay = {}
+        self.by_municipality = {}
+        self._municipality_of = {}
+        if use_overrides and self.globals:
+            overrides = (
+                ThresholdOverride.objects.filter(parameter__in=list(self.globals))
+                .select_related('municipality', 'barangay')
+            )
+            for o in overrides:
+                place = o.barangay if o.barangay_id else o.municipality
+                resolved = ThresholdSet(
+                    parameter=o.parameter,
+                    advisory_threshold=o.advisory_threshold,
+                    watch_threshold=o.watch_threshold,
+                    warning_threshold=o.warning_threshold,
+                    emergency_threshold=o.emergency_threshold,
+                    catastrophic_threshold=o.catastrophic_threshold,
+                    unit=self.globals[o.parameter].unit,
+                    scope=o.scope,
+                    scope_id=place.id,
+                    scope_name=place.name,
+                )
+                if o.barangay_id:
+                    self.by_barangay[(o.parameter, o.barangay_id)] = resolved
+                else:
+                    self.by_municipality[(o.parameter, o.municipality_id)] = resolved
+
+    def parameters(self):
+        """Parameters with a global setting."""
+        return list(self.globals)
+
+    def resolve(self, parameter, municipality_id=None, barangay_id=None):
+        """
+        Thresholds for a parameter at a location, or None when the parameter has no global setting.
+
+        Args:
+            parameter (str): e.g. 'water_level'.
+            municipality_id (int | str | None): The location's municipality.
+            barangay_id (int | str | None): The barangay, when the location is one.
+        """
+        base = self.globals.get(parameter)
+        if base is None:
+            return None
+        barangay_id = _to_id(barangay_id)
+        municipality_id = _to_id(municipality_id)
+        if barangay_id is not None and municipality_id is None and self.by_municipality:
+            municipality_id = self._municipality_id(barangay_id)
+        if barangay_id is not None and (parameter, barangay_id) in self.by_barangay:
+            return self.by_barangay[(parameter, barangay_id)]
+        if municipality_id is not None and (parameter, municipality_id) in self.by_municipality:
+            return self.by_municipality[(parameter, municipality_id)]
+        return base
+
+    def _municipality_id(self, barangay_id):
+        if barangay_id not in self._municipality_of:
+            self._municipality_of[barangay_id] = (
+                Barangay.objects.filter(id=barangay_id).values_list('municipality_id', flat=True).first()
+            )
+        return self._municipality_of[barangay_id]
+
+    def for_barangay(self, parameter, barangay):
+        """Thresholds for a parameter in a Barangay instance."""
+        return self.resolve(parameter, barangay.municipality_id, barangay.id)
+
+    def for_location(self, municipality_id=None, barangay_id=None):
+        """Every parameter's thresholds at a location, keyed by parameter."""
+        return {p: self.resolve(p, municipality_id, barangay_id) for p in self.globals}
@@ -15,11 +15,16 @@ urlpatterns = [
     path('dashboard/', views.dashboard, name='dashboard'),
     path('prediction/', views.prediction_page, name='prediction_page'),
     path('prediction/create-alert/', views.create_alert, name='create_alert'),
+    path('prediction/algorithms/', views.algorithm_comparison_page, name='algorithm_comparison_page'),
+    path('compare/', views.comparison_page, name='comparison_page'),
+    path('readings/new/', views.manual_reading_page, name='manual_reading_page'),
+    path('readings/import/', views.import_readings_page, name='import_readings_page'),
     path('barangays/', views.barangays_page, name='barangays_page'),
     path('barangays/<int:barangay_id>/', views.barangay_detail, name='barangay_detail'),
     path('notifications/', views.notifications_page, name='notifications_page'),
     path('config/', views.config_page, name='config_page'),
     path('weather/', views.weather_dashboard, name='weather_dashboard'),
+    path('service-worker.js', views.service_worker, name='service_worker'),
     path('resilience-scores/', views.resilience_scores_page, name='resilience_scores'),
     
     # User Management URLs
@@ -34,11 +39,13 @@ urlpatterns = [
     path('api/map-data/', views.get_map_data, name='get_map_data'),
     path('api/sensor-data/', views.get_latest_sensor_data, name='get_latest_sensor_data'),
     path('api/flood-alerts/', views.get_flood_alerts, name='get_flood_alerts'),
+    path('api/sitrep/', views.get_sitrep_data, name='get_sitrep_data'),
     path('api/municipalities/<int:municipality_id>/', views.get_municipality_detail, name='api_get_municipality_detail'),
     path('api/create-municipality/', views.api_create_municipality, name='api_create_municipality'),
     path('api/create-barangay/', views.api_create_barangay, name='api_create_barangay'),
     path('api/heatmap-points/', views.get_heatmap_points, name='api_heatmap_points'),
     path('sensors/add/', views.add_sensor, name='add_sensor'),
+    path('sensors/<int:sensor_id>/edit/', views.edit_sensor, name='edit_sensor'),
     path('municipalities/add/', views.add_municipality, name='add_municipality'),
     path('barangays/add/', views.add_barangay, name='add_barangay'),
     
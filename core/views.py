@@ -1,17 +1,22 @@
 from django.shortcuts import render, redirect, get_object_or_404
 from django.contrib.auth.decorators import login_required, user_passes_test
+from django.views.decorators.cache import never_cache
 from django.contrib.auth.views import LoginView, PasswordResetView
 from django.contrib.auth import login, logout
 from django.contrib.auth.forms import PasswordResetForm
 from django.contrib.auth.models import User, Group
 from django.contrib import messages
+from django.conf import settings
 from django.db.models import Avg, Max, Min, Q, Count
 from django.utils import timezone
-from django.http import JsonResponse, HttpResponseForbidden
+from django.http import JsonResponse, HttpResponse, HttpResponseForbidden, Http404
+from django.contrib.staticfiles import finders
 from django.core.paginator import Paginator
 from datetime import timedelta
 from django.db.models.functions import TruncYear
+import hashlib
 import json
+import os
 try:
     from zoneinfo import ZoneInfo
 except Exception:
@@ -21,6 +26,7 @@ from .models import (
     FloodAlert, ThresholdSetting, NotificationLog, EmergencyContact, UserProfile,
     ResilienceScore
 )
+from .threshold_sets import ThresholdResolver, SCOPE_GLOBAL, threshold_level
 from .forms import FloodAlertForm, ThresholdSettingForm, BarangaySearchForm, RegisterForm, UserProfileForm
 from .forms import SensorForm
 
@@ -109,7 +115,10 @@ def logout_view(request):
     """Log the user out and redirect to login page"""
     logout(request)
     messages.success(request, 'You have been logged out.')
-    return redirect('login')
+    response = redirect('login')
+    # Drop pages cached while signed in (offline_store.js also clears the service worker's)
+    response['Clear-Site-Data'] = '"cache"'
+    return response
 
 @login_required
 def dashboard(request):
@@ -154,6 +163,7 @@ def dashboard(request):
         'sensors': sensors,
         'flood_zones': flood_zones,
         'page': 'dashboard',
+        'sitrep_header': getattr(settings, 'SITREP_HEADER', {}),
         # Server-rendered Manila time for the header (24-hour)
         'current_time_manila': _manila_str(timezone.now(), include_seconds=True, include_date=True)
     }
@@ -201,6 +211,55 @@ def prediction_page(request):
     
     return render(request, 'prediction.html', context)
 
+@login_required
+def algorithm_comparison_page(request):
+    """Prediction models side by side for the selected location, with their recent skill"""
+    return render(request, 'algorithm_comparison.html', {'page': 'prediction'})
+
+@login_required
+def comparison_page(request):
+    """Side-by-side rainfall / water level comparison for up to four locations"""
+    context = {
+        'municipalities': Municipality.objects.filter(is_active=True).order_by('name'),
+        'page': 'compare'
+    }
+    return render(request, 'compare.html', context)
+
+@login_required
+def manual_reading_page(request):
+    """Mobile form for field observers to enter staff gauge and rain gauge readings by hand"""
+    health = getattr(settings, 'SENSOR_HEALTH', {}) or {}
+    context = {
+        'municipalities': Municipality.objects.filter(is_active=True).order_by('name'),
+        # Physical limits for the form's checks; the API enforces the ranges as well
+        'reading_limits': {
+            'valid_range': health.get('valid_range', {}),
+            'max_change_per_hour': health.get('max_change_per_hour', {}),
+        },
+        'page': 'manual_reading'
+    }
+    return render(request, 'manual_reading.html', context)
+
+@login_required
+def import_readings_page(request):
+    """Wizard for backfilling historical readings from logger CSV/XLSX downloads (admin/manager only)"""
+    if not is_admin_or_manager(request.user):
+        return HttpResponseForbidden('You do not have permission to import readings.')
+    health = getattr(settings, 'SENSOR_HEALTH', {}) or {}
+    context = {
+        # Every sensor, active or not: old logger files often name retired sensors
+        'import_sensors': [
+            {'id': sensor.id, 'name': sensor.name, 'type': sensor.sensor_type}
+            for sensor in Sensor.objects.order_by('name')
+        ],
+        'import_parameters': [
+            {'key': key, 'label': label} for key, label in Sensor._meta.get_field('sensor_type').choices
+        ],
+        'valid_range': health.get('valid_range', {}),
+        'page': 'import_readings'
+    }
+    return render(request, 'import_readings.html', context)
+
 @login_required
 def create_alert(request):
     """Create a new flood alert"""
@@ -339,18 +398,43 @@ def config_page(request):
             
             return redirect('config_page')
     
+    # Places and global values for the per-location override editor (static/js/threshold_overrides.js)
+    global_thresholds = {
+        t.parameter: {
+            'label': t.get_parameter_display(),
+            'unit': t.unit,
+            'advisory': t.advisory_threshold,
+            'watch': t.watch_threshold,
+            'warning': t.warning_threshold,
+            'emergency': t.emergency_threshold,
+            'catastrophic': t.catastrophic_threshold,
+        }
+        for t in thresholds
+    }
+    override_municipalities = list(Municipality.objects.order_by('name').values('id', 'name'))
+    override_barangays = list(Barangay.objects.order_by('name').values('id', 'name', 'municipality_id'))
+
     context = {
         'thresholds': thresholds,
         'form': form,
+        'global_thresholds': global_thresholds,
+        'override_municipalities': override_municipalities,
+        'override_barangays': override_barangays,
+        'can_edit_overrides': is_admin_or_manager(request.user),
         'page': 'config'
     }
     
     return render(request, 'config.html', context)
 
+# Longest window get_chart_data serves through `days`; the 1y range is the longest preset
+CHART_DATA_MAX_DAYS = 366
+
+
 def get_chart_data(request):
     """API endpoint to get chart data for the dashboard (no login required).
     Supports two modes:
-    - Range mode (default): last `days` days of data
+    - Range mode (default): last `days` days of data; fractions such as 0.25 (6 hours) are allowed,
+      up to CHART_DATA_MAX_DAYS
     - Limit mode: if `limit` is provided (>0), returns the latest N data points
     Both modes respect optional municipality_id and barangay_id filters.
     """
@@ -363,7 +447,7 @@ def get_chart_data(request):
     except Exception:
         limit = None
     try:
-        days = int(request.GET.get('days')) if request.GET.get('days') is not None else None
+        days = float(request.GET.get('days')) if request.GET.get('days') is not None else None
     except Exception:
         days = None
     # Map range -> limit/days only if explicit limit/days were not provided
@@ -379,10 +463,9 @@ def get_chart_data(request):
     # Final fallbacks/guards
     if limit is not None and limit <= 0:
         limit = None
-    if days is None:
-        days = 1
-    elif days <= 0:
+    if days is None or not days > 0:  # also catches nan
         days = 1
+    days = min(days, CHART_DATA_MAX_DAYS)
     historical = request.GET.get('historical', 'false').lower() == 'true'
     
     # Get location filters if provided
@@ -405,6 +488,11 @@ def get_chart_data(request):
     elif municipality_id:
         sensor_qs = sensor_qs.filter(municipality_id=municipality_id)
 
+    has_location = bool(municipality_id or barangay_id)
+    top_sensor = None
+    # True when the location has no readings of this type and all sensors are used instead
+    fallback = False
+
     if limit and limit > 0:
         # Limit mode: choose a single representative sensor (with most recent reading)
         # to avoid mixing multiple sensors in one line chart.
@@ -424,6 +512,7 @@ def get_chart_data(request):
             qs = SensorData.objects.filter(sensor=top_sensor).order_by('-timestamp')
         else:
             qs = SensorData.objects.filter(sensor__sensor_type=chart_type).order_by('-timestamp')
+            fallback = has_location
 
         rows = list(qs[:limit])
         rows.reverse()  # chronological order for chart
@@ -457,6 +546,7 @@ def get_chart_data(request):
                 'timestamp__lte': end_date
             }
             data = SensorData.objects.filter(**global_filters).order_by('timestamp')
+            fallback = has_location
 
     # Backend fallbacks when no data collected so far
     try:
@@ -470,6 +560,7 @@ def get_chart_data(request):
                 )
                 data = list(alt)
                 data.reverse()
+                fallback = has_location
             else:
                 # Retry across all sensors of this type in the time window
                 alt = (
@@ -478,6 +569,7 @@ def get_chart_data(request):
                     .order_by('timestamp')
                 )
                 data = list(alt)
+                fallback = has_location
     except Exception:
         pass
     
@@ -498,6 +590,12 @@ def get_chart_data(request):
         # Human-readable Manila strings for quick display (24-hour)
         'labels_manila': [_manila_str(reading.timestamp, include_seconds=True, include_date=(days!=1)) for reading in data],
         'values': [reading.value for reading in data],
+        # Readings entered by hand by field observers, labelled as such in charts
+        'manual': [reading.source == SensorData.SOURCE_MANUAL for reading in data],
+        # Which sensor the line comes from, so callers can tell a location's own data from the fallback
+        'sensor_id': top_sensor.id if top_sensor and not fallback else None,
+        'sensor_name': top_sensor.name if top_sensor and not fallback else None,
+        'fallback': fallback,
     }
     
     # Add historical comparison data if requested
@@ -514,6 +612,38 @@ def get_chart_data(request):
     
     return JsonResponse(chart_data)
 
+def _latest_parameter_value(parameter, barangay, cache):
+    """Latest reading for a parameter near a barangay: its own sensors, then municipality-wide
+    sensors, then global sensors. Results are memoised in `cache` for one request."""
+    scopes = [
+        (('barangay', barangay.id, parameter), {'sensor__barangay': barangay}),
+    ]
+    if barangay.municipality_id:
+        scopes.append((('municipality', barangay.municipality_id, parameter), {
+            'sensor__municipality_id': barangay.municipality_id, 'sensor__barangay__isnull': True,
+        }))
+    scopes.append((('global', parameter), {
+        'sensor__municipality__isnull': True, 'sensor__barangay__isnull': True,
+    }))
+
+    for key, filters in scopes:
+        if key not in cache:
+            latest = SensorData.objects.filter(sensor__sensor_type=parameter, **filters).order_by('-timestamp').first()
+            cache[key] = latest.value if latest else None
+        if cache[key] is not None:
+            return cache[key]
+    return None
+
+
+def _param_severities(barangay, resolver, cache):
+    """Severity level (0-5) per configured parameter for one barangay, against its effective thresholds."""
+    severities = {}
+    for param in resolver.parameters():
+        t = resolver.for_barangay(param, barangay)
+        severities[t.parameter] = threshold_level(_latest_parameter_value(t.parameter, barangay, cache), t)
+    return severities
+
+
 def get_map_data(request):
     """API endpoint to get map data (no login required)"""
     # This API endpoint is accessible without login for map visualization
@@ -547,6 +677,8 @@ def get_map_data(request):
                     'lng': sensor.longitude,
                     'value': value,
                     'unit': get_unit_for_sensor_type(sensor.sensor_type),
+                    'municipality_id': sensor.municipality_id,
+                    'barangay_id': sensor.barangay_id,
                 })
             except Exception as e:
                 print(f"Error processing sensor {sensor.id}: {str(e)}")
@@ -581,6 +713,10 @@ def get_map_data(request):
                 current_severity = alert_severity_by_barangay.get(barangay.id, 0)
                 alert_severity_by_barangay[barangay.id] = max(current_severity, alert.severity_level)
         
+        # Per-parameter severities drive the map's parameter selector
+        resolver = ThresholdResolver()
+        latest_cache = {}
+
         # Build barangay data including all barangays
         for barangay in barangay_queryset:
             # Use the highest severity from alerts, or 0 if not affected
@@ -600,7 +736,14 @@ def get_map_data(request):
                 'severity': severity,
                 # Add extra data
                 'contact_person': barangay.contact_person,
-                'contact_number': barangay.contact_number
+                'contact_number': barangay.contact_number,
+                'param_severities': _param_severities(barangay, resolver, latest_cache),
+                # Overridden parameters only; anything missing used the global thresholds
+                'threshold_sets': {
+                    p: ts.source()
+                    for p, ts in resolver.for_location(barangay.municipality_id, barangay.id).items()
+                    if ts.scope != SCOPE_GLOBAL
+                },
             })
         
     except Exception as e:
@@ -622,9 +765,9 @@ def get_heatmap_points(request):
     municipality_id = request.GET.get('municipality_id')
     barangay_id = request.GET.get('barangay_id')
 
-    # Load all threshold settings into a dictionary for quick lookups
-    thresholds = {t.parameter: t for t in ThresholdSetting.objects.all()}
-    if not thresholds:
+    # Load all threshold settings and overrides once for quick lookups
+    resolver = ThresholdResolver()
+    if not resolver.parameters():
         return JsonResponse({'points': []}) # No thresholds, no heatmap
 
     # Filter barangays based on request
@@ -641,7 +784,8 @@ def get_heatmap_points(request):
 
         # For each barangay, calculate a total risk score based on sensor readings
         total_risk_score = 0
-        for param, ts in thresholds.items():
+        for param in resolver.parameters():
+            ts = resolver.for_barangay(param, barangay)
             # Find the latest sensor reading relevant to this barangay
             # Fallback order: barangay-specific -> municipality-wide -> global
             latest_reading = SensorData.objects.filter(
@@ -684,6 +828,50 @@ def weather_dashboard(request):
     return render(request, 'weather_dashboard.html')
 
 
+_asset_version = None
+
+
+def asset_version():
+    """Identifier of the deployed static files: settings.RELEASE_VERSION, else a hash of the
+    scripts and styles in STATICFILES_DIRS (worked out once per process)."""
+    global _asset_version
+    if getattr(settings, 'RELEASE_VERSION', ''):
+        return settings.RELEASE_VERSION
+    if _asset_version is None:
+        digest = hashlib.sha1()
+        for root in settings.STATICFILES_DIRS:
+            for folder in ('js', 'css'):
+                for dirpath, dirnames, filenames in sorted(os.walk(os.path.join(root, folder))):
+                    dirnames.sort()
+                    for name in sorted(filenames):
+                        path = os.path.join(dirpath, name)
+                        digest.update(os.path.relpath(path, root).encode())
+                        with open(path, 'rb') as fh:
+                            digest.update(fh.read())
+        _asset_version = digest.hexdigest()[:12]
+    return _asset_version
+
+
+def service_worker(request):
+    """Serve the offline service worker from the site root.
+
+    A worker only controls pages under the path it is served from, so the file in
+    static/js/ is returned here instead of under /static/. Its cache version is filled in from
+    asset_version(), so each release changes the worker's bytes, which makes browsers install it
+    and drop the previous release's caches.
+    """
+    path = finders.find('js/service_worker.js')
+    if not path:
+        raise Http404('Service worker not found')
+    with open(path, encoding='utf-8') as fh:
+        source = fh.read().replace('__ASSET_VERSION__', asset_version())
+        response = HttpResponse(source, content_type='application/javascript')
+    response['Service-Worker-Allowed'] = '/'
+    # Browsers check for a new worker on navigation; never let an old copy linger
+    response['Cache-Control'] = 'no-cache'
+    return response
+
+
 @login_required
 def add_sensor(request):
     """View to add a new Sensor via a form (admin/manager only)"""
@@ -706,6 +894,29 @@ def add_sensor(request):
     return render(request, 'add_sensor.html', context)
 
 
+@login_required
+def edit_sensor(request, sensor_id):
+    """View to edit an existing Sensor (admin/manager only)"""
+    if not is_admin_or_manager(request.user):
+        return HttpResponseForbidden('You do not have permission to edit sensors.')
+    sensor = get_object_or_404(Sensor, id=sensor_id)
+    if request.method == 'POST':
+        form = SensorForm(request.POST, instance=sensor)
+        if form.is_valid():
+            sensor = form.save()
+            messages.success(request, f"Sensor '{sensor.name}' updated successfully.")
+            return redirect('dashboard')
+    else:
+        form = SensorForm(instance=sensor)
+
+    context = {
+        'form': form,
+        'sensor': sensor,
+        'page': 'add_sensor'
+    }
+    return render(request, 'add_sensor.html', context)
+
+
 @login_required
 def add_municipality(request):
     """View to add a new Municipality (admin/manager only)"""
@@ -854,6 +1065,7 @@ def get_flood_alerts(request):
         alerts = FloodAlert.objects.filter(active=True).order_by('-severity_level', '-issued_at')
     else:
         alerts = FloodAlert.objects.all().order_by('-issued_at')
+    alerts = alerts.select_related('issued_by', 'acknowledged_by', 'assigned_to')
     
     # Format alerts for JSON response
     alert_data = []
@@ -868,7 +1080,16 @@ def get_flood_alerts(request):
             'issued_at': alert.issued_at,
             'updated_at': alert.updated_at,
             'issued_by_username': alert.issued_by.username if alert.issued_by else 'System',
-            'affected_barangay_count': alert.affected_barangays.count()
+            'affected_barangay_count': alert.affected_barangays.count(),
+            # Operator workflow
+            'workflow_state': alert.workflow_state,
+            'acknowledged_by_username': alert.acknowledged_by.username if alert.acknowledged_by else None,
+            'acknowledged_at': alert.acknowledged_at,
+            'assigned_to': alert.assigned_to_id,
+            'assigned_to_username': alert.assigned_to.username if alert.assigned_to else None,
+            'escalated_at': alert.escalated_at,
+            'escalation_count': alert.escalation_count,
+            'acknowledge_due_at': alert.acknowledge_due_at,
         })
     
     # Return as JSON
@@ -877,6 +1098,92 @@ def get_flood_alerts(request):
         'results': alert_data
     })
 
+@login_required
+def get_sitrep_data(request):
+    """API endpoint with the alert and population figures for a situation report.
+
+    Lists the active alerts affecting the selected location and every affected barangay with its
+    population and highest active severity, plus population totals per severity level.
+    """
+    municipality_id = request.GET.get('municipality_id')
+    barangay_id = request.GET.get('barangay_id')
+
+    municipality = Municipality.objects.filter(pk=municipality_id).first() if municipality_id else None
+    barangay = Barangay.objects.select_related('municipality').filter(pk=barangay_id).first() if barangay_id else None
+    if barangay and not municipality:
+        municipality = barangay.municipality
+
+    alerts = FloodAlert.objects.filter(active=True)
+    if barangay:
+        alerts = alerts.filter(affected_barangays=barangay)
+    elif municipality:
+        alerts = alerts.filter(affected_barangays__municipality=municipality)
+    alerts = alerts.distinct().order_by('-severity_level', '-issued_at').prefetch_related('affected_barangays__municipality')
+
+    alert_data = []
+    affected = {}
+    for alert in alerts:
+        alert_data.append({
+            'id': alert.id,
+            'title': alert.title,
+            'description': alert.description,
+            'severity_level': alert.severity_level,
+            'severity_display': alert.get_severity_level_display(),
+            'issued_at': _iso_timestamp(alert.issued_at),
+            'issued_at_manila': _manila_str(alert.issued_at, include_seconds=False),
+            'predicted_flood_time_manila': _manila_str(alert.predicted_flood_time, include_seconds=False),
+            'workflow_state': alert.workflow_state,
+            'affected_barangay_count': alert.affected_barangays.count(),
+        })
+        for b in alert.affected_barangays.all():
+            if barangay and b.id != barangay.id:
+                continue
+            if municipality and b.municipality_id != municipality.id:
+                continue
+            # Keep the highest severity per barangay; alerts are already ordered by severity
+            if b.id not in affected:
+                affected[b.id] = {
+                    'id': b.id,
+                    'name': b.name,
+                    'municipality': b.municipality.name if b.municipality else '',
+                    'population': b.population,
+                    'severity_level': alert.severity_level,
+                    'severity_display': alert.get_severity_level_display(),
+                    'alert_title': alert.title,
+                }
+
+    barangays = sorted(affected.values(), key=lambda b: (-b['severity_level'], b['municipality'], b['name']))
+    by_level = {}
+    for b in barangays:
+        level = by_level.setdefault(str(b['severity_level']), {'barangays': 0, 'population': 0})
+        level['barangays'] += 1
+        level['population'] += b['population'] or 0
+
+    if barangay:
+        label = f"{barangay.name}, {municipality.name}" if municipality else barangay.name
+    elif municipality:
+        label = f"{municipality.name}, {municipality.province}"
+    else:
+        label = 'All monitored municipalities'
+
+    now = timezone.now()
+    return JsonResponse({
+        'generated_at': _iso_timestamp(now),
+        'generated_at_manila': _manila_str(now),
+        'location': {
+            'label': label,
+            'municipality': {'id': municipality.id, 'name': municipality.name, 'province': municipality.province} if municipality else None,
+            'barangay': {'id': barangay.id, 'name': barangay.name} if barangay else None,
+        },
+        'alerts': alert_data,
+        'affected_barangays': barangays,
+        'totals': {
+            'barangays': len(barangays),
+            'population': sum(b['population'] or 0 for b in barangays),
+            'by_level': by_level,
+        },
+    })
+
 def get_municipality_detail(request, municipality_id):
     """API endpoint to get details for a single municipality."""
     try:
@@ -979,6 +1286,7 @@ def api_create_barangay(request):
 
 # User Management and Profile Views
 
+@never_cache
 @login_required
 def profile(request):
     """User profile page view"""
@@ -993,6 +1301,7 @@ def profile(request):
     
     return render(request, 'profile.html', context)
 
+@never_cache
 @login_required
 def edit_profile(request):
     """Edit user profile view"""
@@ -1023,6 +1332,7 @@ def is_admin_or_manager(user):
         return user.profile.role in ['admin', 'manager']
     return False
 
+@never_cache
 @login_required
 @user_passes_test(is_admin_or_manager)
 def user_management(request):
@@ -1067,6 +1377,7 @@ def user_management(request):
     
     return render(request, 'user_management.html', context)
 
+@never_cache
 @login_required
 @user_passes_test(is_admin_or_manager)
 def view_user(request, user_id):
@@ -1080,6 +1391,7 @@ def view_user(request, user_id):
     
     return render(request, 'view_user.html', context)
 
+@never_cache
 @login_required
 @user_passes_test(is_admin_or_manager)
 def edit_user(request, user_id):
@@ -4,6 +4,7 @@ import datetime
 import mimetypes
 from django.shortcuts import render, redirect
 from django.contrib.auth.decorators import login_required, user_passes_test
+from django.views.decorators.cache import never_cache
 from django.contrib import messages
 from django.conf import settings
 from django.http import FileResponse, Http404
@@ -54,6 +55,7 @@ def get_backup_files():
     return backup_files
 
 # View for database management page
+@never_cache
 @login_required
 @user_passes_test(is_admin)
 def database_management(request):
@@ -1138,6 +1138,92 @@ def predict_with_time_series(data):
     return result
 
 
+FORECAST_HORIZONS = (6, 12, 24, 48)
+FORECAST_HISTORY_HOURS = 72   # hourly means fed to the forecaster
+FORECAST_CONFIDENCE_Z = 1.2816  # two-sided 80% band
+
+
+def forecast_parameter_series(readings, horizon_hours=24, step_hours=1, min_value=None):
+    """Project a sensor parameter forward from its recent readings
+
+    Readings are averaged per hour and smoothed with a damped-trend (Holt) model, so a rise
+    levels off instead of growing without bound. The band is the 80% interval from the model's
+    one-step errors, widening with the square root of the lead time.
+
+    Args:
+        readings (list): (timestamp, value) pairs, oldest first; timestamps are datetimes
+        horizon_hours (int): How far ahead to forecast
+        step_hours (int): Spacing of the forecast points
+        min_value (float, optional): Floor for the forecast and band (e.g. 0 for rainfall)
+
+    Returns:
+        dict: {'base_time', 'base_value', 'method', 'history_points',
+               'points': [{'time', 'hours_ahead', 'value', 'lower', 'upper'}]},
+              or None when there are no readings
+    """
+    if not readings:
+        return None
+
+    frame = pd.DataFrame(readings, columns=['timestamp', 'value']).dropna()
+    if frame.empty:
+        return None
+    frame['timestamp'] = pd.to_datetime(frame['timestamp'])
+    series = frame.set_index('timestamp')['value'].astype(float).sort_index()
+    base_time = series.index[-1]
+    base_value = float(series.iloc[-1])
+    hourly = series.resample('1h').mean().interpolate(limit_direction='both')
+    hourly = hourly[hourly.index > base_time - pd.Timedelta(hours=FORECAST_HISTORY_HOURS)]
+    values = hourly.to_numpy()
+
+    alpha, beta, phi = 0.5, 0.3, 0.9
+    if len(values) >= 3:
+        level, trend = values[0], values[1] - values[0]
+        errors = []
+        for observed in values[1:]:
+            predicted = level + phi * trend
+            errors.append(observed - predicted)
+            new_level = alpha * observed + (1 - alpha) * predicted
+            trend = beta * (new_level - level) + (1 - beta) * phi * trend
+            level = new_level
+        sigma = float(np.std(errors)) if len(errors) > 1 else 0.0
+        method = 'holt_damped'
+    else:
+        # Too little history for a trend: hold the last value
+        level, trend = base_value, 0.0
+        sigma = float(np.std(values)) if len(values) > 1 else 0.0
+        method = 'persistence'
+    # A perfectly flat history would give a zero-width band; keep a small floor
+    sigma = max(sigma, abs(base_value) * 0.02, 1e-3)
+
+    points = []
+    step_hours = max(1, int(step_hours))
+    damped = 0.0
+    for h in range(1, int(horizon_hours) + 1):
+        damped += phi ** h
+        if h % step_hours:
+            continue
+        value = float(level + damped * trend)
+        spread = FORECAST_CONFIDENCE_Z * sigma * np.sqrt(h)
+        lower, upper = value - spread, value + spread
+        if min_value is not None:
+            value, lower, upper = max(value, min_value), max(lower, min_value), max(upper, min_value)
+        points.append({
+            'time': (base_time + pd.Timedelta(hours=h)).to_pydatetime(),
+            'hours_ahead': h,
+            'value': round(value, 3),
+            'lower': round(float(lower), 3),
+            'upper': round(float(upper), 3),
+        })
+
+    return {
+        'base_time': base_time.to_pydatetime(),
+        'base_value': base_value,
+        'method': method,
+        'history_points': int(len(values)),
+        'points': points,
+    }
+
+
 def generate_impact_assessment(probability, hours_to_flood=None):
     """Generate a descriptive impact assessment based on probability and time to flood
     
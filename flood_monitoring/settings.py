@@ -49,6 +49,7 @@ MIDDLEWARE = [
     'django.middleware.common.CommonMiddleware',
     'django.middleware.csrf.CsrfViewMiddleware',
     'django.contrib.auth.middleware.AuthenticationMiddleware',
+    'core.middleware.PageCacheScopeMiddleware',
     'django.contrib.messages.middleware.MessageMiddleware',
     'django.middleware.clickjacking.XFrameOptionsMiddleware',
 ]
@@ -138,6 +139,11 @@ STATICFILES_DIRS = [
 ]
 STATIC_ROOT = os.path.join(BASE_DIR, 'staticfiles')
 
+# Names the offline service worker's caches (core.views.service_worker), so a deploy never mixes
+# cached pages and scripts from two releases. Set it to the release being deployed, e.g. the git
+# commit; when empty, a hash of the scripts and styles in STATICFILES_DIRS is used.
+RELEASE_VERSION = os.environ.get('RELEASE_VERSION', '')
+
 # Default primary key field type
 # https://docs.djangoproject.com/en/4.2/ref/settings/#default-auto-field
 
@@ -148,6 +154,78 @@ LOGIN_URL = '/login/'
 LOGIN_REDIRECT_URL = '/dashboard/'
 LOGOUT_REDIRECT_URL = '/login/'
 
+# Severity 4+ alerts not acknowledged within this many minutes are re-sounded and
+# highlighted on the dashboards until someone acknowledges them
+ALERT_ACK_TIMEOUT_MINUTES = 10
+
+# Letterhead for the dashboard situation report (templates/sitrep/header.html). LGUs that need
+# more than a name, office and logo can override that template instead.
+SITREP_HEADER = {
+    'lgu_name': 'Province of La Union',
+    'office': 'Provincial Disaster Risk Reduction and Management Office',
+    'address': '',
+    'contact': '',
+    'logo_url': '',
+}
+
+# Sensor health checks (core/sensor_health.py, /api/sensor-health/). Per-type values fall back
+# to 'default'. A sensor is offline after `stale_after_intervals` missed readings; changes faster
+# than `max_change_per_hour` count as jumps; a reading further than `neighbour_tolerance` from
+# the median of same-type sensors within `neighbour_radius_km` disagrees with its neighbours.
+SENSOR_HEALTH = {
+    'window_days': 7,
+    'expected_interval_minutes': {'default': 15},
+    'stale_after_intervals': 3,
+    'flatline_hours': 6,
+    'flatline_min_readings': 6,
+    # Constant values that are normal, e.g. no rain
+    'flatline_allowed_values': {'rainfall': [0.0]},
+    'valid_range': {
+        'temperature': (-10, 50),
+        'humidity': (0, 100),
+        'rainfall': (0, 500),
+        'water_level': (0, 30),
+        'wind_speed': (0, 300),
+    },
+    'max_change_per_hour': {
+        'temperature': 10,
+        'humidity': 50,
+        'rainfall': 200,
+        'water_level': 2,
+        'wind_speed': 80,
+    },
+    'neighbour_radius_km': 10,
+    'neighbour_min_count': 2,
+    'neighbour_tolerance': {
+        'temperature': 5,
+        'humidity': 25,
+        'rainfall': 30,
+        'water_level': 1.5,
+        'wind_speed': 30,
+    },
+}
+
+# Evacuation planning (core/evacuation.py, /api/evacuation-plan/). Centres inside a flood risk
+# zone of `unsafe_zone_severity` or more are not offered; barangays named in active alerts of
+# `affected_min_severity` or more are routed to one of their `candidates_per_barangay` nearest
+# usable centres over the road network in `road_network_path` (load it with
+# `manage.py import_road_network`). Points further than `max_snap_distance_m` from any road,
+# or no road network at all, fall back to straight lines.
+EVACUATION = {
+    'road_network_path': os.path.join(BASE_DIR, 'flood_monitoring', 'data', 'roads.geojson'),
+    'unsafe_zone_severity': 3,
+    'affected_min_severity': 1,
+    'candidates_per_barangay': 3,
+    'max_snap_distance_m': 2000,
+}
+
+# Population at risk (core/population_risk.py, /api/population-at-risk/). Each barangay's
+# population is spread over a `grid_size` x `grid_size` grid of points inside its boundary, and
+# each point takes the higher of the barangay's active alert level and the risk zones around it.
+POPULATION_RISK = {
+    'grid_size': 12,
+}
+
 # REST Framework settings
 REST_FRAMEWORK = {
     'DEFAULT_PERMISSION_CLASSES': [
@@ -0,0 +1,353 @@
+// alert_inbox.js
+// Session alert inbox shared by every page. Every alert a page sees (flood alerts, threshold
+// breaches, personal rule hits) is added to window.FloodInbox, which keeps them for the whole
+// browser session with read/unread and acknowledged states and lists them in the
+// #alert-inbox drawer. It also owns the two ways of getting attention: one shared
+// AudioContext that is unlocked by the first click or key press, and desktop notifications
+// (Notification API) for alerts that arrive while the tab is in the background.
+(function(window, document) {
+    'use strict';
+
+    const STORAGE_KEY = 'floodInbox:items';
+    const MAX_ITEMS = 200;
+    const NOTIFY_LEVEL = 3;   // warning and above reach a background tab as a desktop notification
+    const LEVEL_NAMES = { 0: 'Info', 1: 'Advisory', 2: 'Watch', 3: 'Warning', 4: 'Emergency', 5: 'Catastrophic' };
+    const LEVEL_CLASSES = { 0: 'secondary', 1: 'info', 2: 'primary', 3: 'warning', 4: 'danger', 5: 'danger' };
+
+    /**
+     * @typedef {Object} InboxItem
+     * @property {string} id           Stable key, e.g. "alert:12"; adding the same id again updates the item
+     * @property {string} source       flood_alert | threshold | rule
+     * @property {string} title
+     * @property {string} message
+     * @property {number} severity     0-5
+     * @property {number} time         ms when first seen
+     * @property {?string} url         Page to open from the drawer
+     * @property {boolean} read
+     * @property {boolean} acknowledged
+     */
+
+    let items = load();
+    const baseTitle = document.title;
+    let audioContext = null;
+
+    function load() {
+        try {
+            const saved = JSON.parse(window.sessionStorage.getItem(STORAGE_KEY));
+            return Array.isArray(saved) ? saved : [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function save() {
+        try {
+            window.sessionStorage.setItem(STORAGE_KEY, JSON.stringify(items.slice(0, MAX_ITEMS)));
+        } catch (e) { /* storage may be full or disabled */ }
+    }
+
+    function changed() {
+        save();
+        render();
+        window.dispatchEvent(new CustomEvent('floodinbox:change', { detail: { unread: unreadCount() } }));
+    }
+
+    function unreadCount() {
+        return items.filter(i => !i.read).length;
+    }
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatManila(ms) {
+        try {
+            return new Intl.DateTimeFormat('en-GB', {
+                timeZone: 'Asia/Manila', day: '2-digit', month: 'short',
+                hour: '2-digit', minute: '2-digit', hour12: false
+            }).format(new Date(ms));
+        } catch (e) {
+            return new Date(ms).toLocaleString();
+        }
+    }
+
+    // ---------------- Sound ----------------
+
+    // Browsers keep audio locked until the user interacts with the page; unlock on the first
+    // interaction of any kind instead of a click on one particular element
+    function unlockAudio() {
+        const Ctx = window.AudioContext || window.webkitAudioContext;
+        if (!Ctx) return;
+        if (!audioContext) audioContext = new Ctx();
+        if (audioContext.state === 'suspended') audioContext.resume().catch(() => {});
+    }
+
+    /**
+     * Play the alert tone.
+     * @returns {boolean} false while the browser still blocks audio (no interaction yet)
+     */
+    function beep() {
+        if (!audioContext || audioContext.state !== 'running') return false;
+        const oscillator = audioContext.createOscillator();
+        const gainNode = audioContext.createGain();
+        oscillator.connect(gainNode);
+        gainNode.connect(audioContext.destination);
+        oscillator.type = 'sine';
+        oscillator.frequency.setValueAtTime(880, audioContext.currentTime); // A5 note
+        gainNode.gain.setValueAtTime(0.5, audioContext.currentTime);
+        oscillator.start();
+        oscillator.stop(audioContext.currentTime + 0.5);
+        return true;
+    }
+
+    // ---------------- Desktop notifications ----------------
+
+    function permission() {
+        return 'Notification' in window ? Notification.permission : 'unsupported';
+    }
+
+    /**
+     * Ask for notification permission. Must be called from a user gesture.
+     * @returns {Promise<string>} granted | denied | default | unsupported
+     */
+    function requestPermission() {
+        if (!('Notification' in window)) return Promise.resolve('unsupported');
+        const asked = Notification.requestPermission();
+        // Older Safari only supports the callback form and returns undefined
+        return Promise.resolve(asked).then(() => {
+            renderPermission();
+            return Notification.permission;
+        });
+    }
+
+    /**
+     * Show a desktop notification when permission has been granted.
+     * @param {string} title
+     * @param {string} body
+     * @param {{tag?: string, itemId?: string}} [options]
+     * @returns {boolean} true when a notification was shown
+     */
+    function notify(title, body, options) {
+        const opts = options || {};
+        if (permission() !== 'granted') return false;
+        try {
+            const note = new Notification(title, { body, tag: opts.tag, renotify: !!opts.tag });
+            note.onclick = () => {
+                window.focus();
+                note.close();
+                openDrawer(opts.itemId);
+            };
+            return true;
+        } catch (e) {
+            return false;   // some mobile browsers only allow notifications from a service worker
+        }
+    }
+
+    // ---------------- Items ----------------
+
+    /**
+     * Record an alert. Alerts with a known id update the existing entry; it only becomes
+     * unread again when its severity goes up.
+     * @param {{id: string, source?: string, title: string, message?: string, severity?: number, url?: string, time?: number}} entry
+     * @param {{notify?: boolean}} [options]  notify=false when the caller already alerted the user
+     * @returns {{item: InboxItem, isNew: boolean}}
+     */
+    function add(entry, options) {
+        const opts = options || {};
+        const severity = Number(entry.severity) || 0;
+        let item = items.find(i => i.id === entry.id);
+        const isNew = !item;
+        const escalated = !isNew && severity > item.severity;
+
+        if (isNew) {
+            item = {
+                id: entry.id,
+                source: entry.source || 'flood_alert',
+                title: entry.title || 'Alert',
+                message: entry.message || '',
+                severity,
+                time: entry.time || Date.now(),
+                url: entry.url || null,
+                read: false,
+                acknowledged: false,
+            };
+            items.unshift(item);
+            items = items.slice(0, MAX_ITEMS);
+        } else {
+            const before = JSON.stringify(item);
+            Object.assign(item, {
+                title: entry.title || item.title,
+                message: entry.message != null ? entry.message : item.message,
+                severity,
+            });
+            if (escalated) Object.assign(item, { read: false, acknowledged: false });
+            // Pages re-report the same active alerts on every poll
+            if (JSON.stringify(item) === before) return { item, isNew };
+        }
+
+        if ((isNew || escalated) && opts.notify !== false && severity >= NOTIFY_LEVEL && document.hidden) {
+            notify(`${LEVEL_NAMES[severity]}: ${item.title}`, item.message, { tag: item.id, itemId: item.id });
+        }
+        changed();
+        return { item, isNew };
+    }
+
+    function update(id, patch) {
+        const item = items.find(i => i.id === id);
+        if (!item) return null;
+        Object.assign(item, patch);
+        changed();
+        return item;
+    }
+
+    function markRead(id) {
+        return update(id, { read: true });
+    }
+
+    function acknowledge(id) {
+        return update(id, { read: true, acknowledged: true });
+    }
+
+    function markAllRead() {
+        items.forEach(i => { i.read = true; });
+        changed();
+    }
+
+    function clearAcknowledged() {
+        items = items.filter(i => !i.acknowledged);
+        changed();
+    }
+
+    // ---------------- Drawer ----------------
+
+    function renderPermission() {
+        const box = document.getElementById('inbox-permission');
+        if (!box) return;
+        const state = permission();
+        const texts = {
+            granted: '<i class="fas fa-check-circle text-success me-1"></i> Desktop notifications are on for background tabs.',
+            denied: '<i class="fas fa-ban text-danger me-1"></i> Desktop notifications are blocked. Allow them in the browser\'s site settings.',
+            unsupported: '<i class="fas fa-info-circle me-1"></i> This browser does not support desktop notifications.',
+            default: '<button type="button" class="btn btn-sm btn-outline-primary" id="inbox-enable-notifications">' +
+                '<i class="fas fa-bell me-1"></i> Enable desktop notifications</button>',
+        };
+        box.innerHTML = texts[state] || '';
+    }
+
+    function render() {
+        const unread = unreadCount();
+        const badge = document.getElementById('inbox-unread');
+        if (badge) {
+            badge.textContent = unread > 99 ? '99+' : String(unread);
+            badge.classList.toggle('d-none', unread === 0);
+        }
+        // Unread count in the tab title is what an operator sees first when coming back
+        document.title = unread ? `(${unread}) ${baseTitle}` : baseTitle;
+
+        const list = document.getElementById('inbox-list');
+        if (!list) return;
+        const showAcknowledged = !!(document.getElementById('inbox-show-acknowledged') || {}).checked;
+        const visible = items.filter(i => showAcknowledged || !i.acknowledged);
+        if (!visible.length) {
+            list.innerHTML = '<div class="text-muted text-center py-4">No alerts this session.</div>';
+            return;
+        }
+        list.innerHTML = visible.map(item => {
+            const cls = LEVEL_CLASSES[item.severity] || 'secondary';
+            return `
+            <div class="list-group-item list-group-item-action${item.read ? '' : ' fw-semibold'}${item.acknowledged ? ' opacity-75' : ''}" data-item-id="${escapeHtml(item.id)}">
+                <div class="d-flex justify-content-between align-items-start gap-2">
+                    <div class="flex-grow-1">
+                        <span class="badge bg-${cls} me-1">${LEVEL_NAMES[item.severity] || 'Info'}</span>
+                        ${item.read ? '' : '<span class="badge rounded-pill bg-primary me-1">New</span>'}
+                        <span>${escapeHtml(item.title)}</span>
+                        ${item.message ? `<div class="small text-muted fw-normal">${escapeHtml(item.message)}</div>` : ''}
+                        <div class="small text-muted fw-normal">${formatManila(item.time)}${item.acknowledged ? ' · Acknowledged' : ''}</div>
+                    </div>
+                    <div class="d-flex flex-column gap-1">
+                        ${item.acknowledged ? '' : '<button type="button" class="btn btn-sm btn-outline-success inbox-ack" title="Acknowledge"><i class="fas fa-check"></i></button>'}
+                        ${item.url ? `<a class="btn btn-sm btn-outline-secondary" href="${escapeHtml(item.url)}" title="Open"><i class="fas fa-external-link-alt"></i></a>` : ''}
+                    </div>
+                </div>
+            </div>`;
+        }).join('');
+    }
+
+    /**
+     * Open the drawer, optionally marking one item as read.
+     * @param {string} [itemId]
+     */
+    function openDrawer(itemId) {
+        const drawer = document.getElementById('alert-inbox');
+        if (!drawer || !window.bootstrap) return;
+        if (itemId) markRead(itemId);
+        window.bootstrap.Offcanvas.getOrCreateInstance(drawer).show();
+    }
+
+    function bindDrawer() {
+        const drawer = document.getElementById('alert-inbox');
+        if (!drawer) return;
+        drawer.addEventListener('click', event => {
+            if (event.target.closest('#inbox-enable-notifications')) {
+                requestPermission();
+                return;
+            }
+            if (event.target.closest('#inbox-mark-all')) {
+                markAllRead();
+                return;
+            }
+            if (event.target.closest('#inbox-clear')) {
+                clearAcknowledged();
+                return;
+            }
+            const row = event.target.closest('[data-item-id]');
+            if (!row) return;
+            if (event.target.closest('.inbox-ack')) acknowledge(row.dataset.itemId);
+            else markRead(row.dataset.itemId);
+        });
+        const toggle = document.getElementById('inbox-show-acknowledged');
+        if (toggle) toggle.addEventListener('change', render);
+        drawer.addEventListener('show.bs.offcanvas', renderPermission);
+    }
+
+    // Personal rules choose their own channel, so their hits are recorded without a second alert
+    window.addEventListener('floodrules:fired', event => {
+        const d = event.detail || {};
+        const rule = d.rule || {};
+        add({
+            id: `rule:${rule.id}:${d.time}`,
+            source: 'rule',
+            title: rule.name || 'Alert rule',
+            message: d.message || '',
+            severity: 3,
+            time: d.time,
+        }, { notify: false });
+    });
+
+    ['pointerdown', 'keydown', 'touchstart'].forEach(type => {
+        document.addEventListener(type, unlockAudio, { capture: true, passive: true });
+    });
+    document.addEventListener('DOMContentLoaded', () => {
+        bindDrawer();
+        render();
+        renderPermission();
+    });
+
+    window.FloodInbox = {
+        add,
+        markRead,
+        acknowledge,
+        markAllRead,
+        items: () => items.slice(),
+        unreadCount,
+        open: openDrawer,
+        beep,
+        notify,
+        permission,
+        requestPermission,
+        levelName: level => LEVEL_NAMES[level] || 'Info',
+    };
+
+})(window, document);
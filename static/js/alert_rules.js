@@ -0,0 +1,494 @@
+// alert_rules.js
+// Personal alert rules for the signed-in user, e.g. "water level at Barangay X rises more than
+// 0.3 m in 1 hour" or "rainfall over 24 h exceeds 80 mm anywhere in Municipality Y". Rules are
+// stored per user through /api/alert-rules/ and evaluated here every minute against
+// /api/parameter-status/ (above/below), /api/chart-data/ (rise/accumulation) and the derived
+// metrics of derived_metrics.js (rolling totals, rate of rise, API; above/below). A matching
+// rule alerts on its own channel (sound, desktop notification or in-page banner) and is
+// announced as a `floodrules:fired` window event, which files it in the alert inbox
+// (alert_inbox.js). The builder lives in #alert-rules-modal.
+(function(window, document) {
+    'use strict';
+
+    const POLL_MS = 60000;
+    const FIRED_KEY = 'floodRules:lastFired';   // rule id -> ms of the last alert
+    const MAX_TARGETS = 20;                      // barangays checked for an area-wide rule
+
+    const PARAMETERS = {
+        water_level: 'Water Level',
+        rainfall: 'Rainfall',
+        temperature: 'Temperature',
+        humidity: 'Humidity',
+        wind_speed: 'Wind Speed',
+    };
+    const CONDITIONS = {
+        above: 'rises above',
+        below: 'falls below',
+        rise: 'rises by more than',
+        accumulation: 'total exceeds',
+    };
+    const WINDOWED = ['rise', 'accumulation'];
+    // Derived metrics are rule parameters too, compared with above/below only
+    Object.keys(FloodMetrics.METRICS).forEach(key => { PARAMETERS[key] = FloodMetrics.METRICS[key].label; });
+    const CHANNELS = { sound: 'Sound', notification: 'Desktop notification', banner: 'In-page banner' };
+
+    let rules = [];
+    let units = {};
+    let places = null;     // { municipalities, barangays } for the builder selects
+    let timer = null;
+    let evaluating = false;
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatHours(hours) {
+        const h = Number(hours) || 0;
+        if (h >= 24 && h % 24 === 0) return `${h / 24} day${h === 24 ? '' : 's'}`;
+        return `${h} h`;
+    }
+
+    function formatNumber(value) {
+        return Number(value).toFixed(2).replace(/\.?0+$/, '');
+    }
+
+    function whereLabel(rule) {
+        if (rule.barangay) return `Barangay ${rule.barangay_name || rule.barangay}`;
+        if (rule.municipality) return `anywhere in ${rule.municipality_name || 'the municipality'}`;
+        return 'anywhere';
+    }
+
+    /**
+     * One-line description of a rule, e.g. "Water Level at Barangay X rises by more than 0.3 m in 1 h".
+     * @param {Object} rule
+     * @returns {string}
+     */
+    function describe(rule) {
+        const unit = rule.unit || units[rule.parameter] || '';
+        const param = PARAMETERS[rule.parameter] || rule.parameter;
+        const where = rule.barangay ? `at ${whereLabel(rule)}` : whereLabel(rule);
+        const amount = `${formatNumber(rule.threshold)}${unit ? ' ' + unit : ''}`;
+        if (rule.condition === 'accumulation') {
+            return `${param} over ${formatHours(rule.window_hours)} exceeds ${amount} ${where}`;
+        }
+        const within = rule.condition === 'rise' ? ` in ${formatHours(rule.window_hours)}` : '';
+        return `${param} ${where} ${CONDITIONS[rule.condition] || rule.condition} ${amount}${within}`;
+    }
+
+    // ---------------- Cooldown bookkeeping ----------------
+
+    function readFired() {
+        try {
+            return JSON.parse(window.localStorage.getItem(FIRED_KEY)) || {};
+        } catch (e) {
+            return {};
+        }
+    }
+
+    function markFired(ruleId, ms) {
+        const fired = readFired();
+        fired[ruleId] = ms;
+        try { window.localStorage.setItem(FIRED_KEY, JSON.stringify(fired)); } catch (e) { /* storage disabled */ }
+    }
+
+    function coolingDown(rule, now) {
+        const last = readFired()[rule.id];
+        return !!last && now - last < (Number(rule.cooldown_minutes) || 0) * 60000;
+    }
+
+    // ---------------- Evaluation ----------------
+
+    // Memoise one request per key for the duration of an evaluation cycle
+    function cached(map, key, load) {
+        if (!map.has(key)) map.set(key, load().catch(err => {
+            if (!FloodApi.isAbort(err)) console.warn(`[Rules] ${key} unavailable:`, err.message || err);
+            return null;
+        }));
+        return map.get(key);
+    }
+
+    function locationKey(loc) {
+        return `${loc.municipalityId || ''}:${loc.barangayId || ''}`;
+    }
+
+    // Locations a rule applies to. Area-wide rules check every barangay that has a sensor
+    // for the parameter so "anywhere" really means any single place, not an average.
+    async function targetsFor(rule, cycle) {
+        if (rule.barangay) {
+            return [{ municipalityId: rule.municipality, barangayId: rule.barangay, name: rule.barangay_name }];
+        }
+        const area = rule.municipality ? { municipalityId: rule.municipality } : {};
+        const data = await cached(cycle.maps, locationKey(area), () => FloodApi.mapData(area));
+        const names = new Map(((data && data.barangays) || []).map(b => [String(b.id), b.name]));
+        const seen = new Set();
+        const targets = [];
+        const sensorType = FloodMetrics.sourceOf(rule.parameter);
+        ((data && data.sensors) || []).forEach(s => {
+            if (s.type !== sensorType || s.barangay_id == null) return;
+            if (rule.municipality && String(s.municipality_id) !== String(rule.municipality)) return;
+            const id = String(s.barangay_id);
+            if (seen.has(id) || targets.length >= MAX_TARGETS) return;
+            seen.add(id);
+            targets.push({ municipalityId: s.municipality_id, barangayId: s.barangay_id, name: names.get(id) || `Barangay ${id}` });
+        });
+        if (targets.length) return targets;
+        return [{ municipalityId: area.municipalityId || null, barangayId: null, name: rule.municipality_name || null }];
+    }
+
+    // Observed value for a rule at one location: the latest reading, the rise or the total
+    async function measure(rule, target, cycle, now) {
+        const loc = { municipalityId: target.municipalityId, barangayId: target.barangayId };
+        if (FloodMetrics.isDerived(rule.parameter)) {
+            return cached(cycle.charts, `${rule.parameter}:${locationKey(loc)}`,
+                () => FloodMetrics.latest(rule.parameter, loc, { cache: 'no-store' }));
+        }
+        if (!WINDOWED.includes(rule.condition)) {
+            const status = await cached(cycle.status, locationKey(loc),
+                () => FloodApi.parameterStatus(loc, { cache: 'no-store' }));
+            const item = ((status && status.items) || []).find(i => i.parameter === rule.parameter);
+            return item && item.latest != null ? Number(item.latest) : null;
+        }
+
+        // Whole days, one more than the window covers so the last reading before the window is
+        // there as the baseline for a rise; the window itself is cut out by timestamp below
+        const hours = Number(rule.window_hours) || 1;
+        const days = Math.ceil(hours / 24) + 1;
+        const series = await cached(cycle.charts, `${rule.parameter}:${days}:${locationKey(loc)}`,
+            () => FloodApi.chartData(rule.parameter, { days }, loc, { cache: 'no-store' }));
+        if (!series) return null;
+        const since = now - hours * 3600000;
+        const points = (series.labels || [])
+            .map((label, i) => ({ t: Date.parse(label), v: series.values[i] }))
+            .filter(p => !isNaN(p.t) && p.v !== null && p.v !== undefined)
+            .map(p => ({ t: p.t, v: Number(p.v) }))
+            .sort((a, b) => a.t - b.t);
+        const values = points.filter(p => p.t >= since).map(p => p.v);
+        if (!values.length) return null;
+        if (rule.condition === 'accumulation') return values.reduce((sum, v) => sum + v, 0);
+        const before = points.filter(p => p.t < since);
+        const earlier = values.slice(0, -1);
+        if (before.length) earlier.push(before[before.length - 1].v);
+        if (!earlier.length) return null;
+        // Rise of the latest reading over the lowest reading since just before the window
+        return values[values.length - 1] - Math.min.apply(null, earlier);
+    }
+
+    function matches(rule, value) {
+        if (value === null || !isFinite(value)) return false;
+        const threshold = Number(rule.threshold);
+        return rule.condition === 'below' ? value < threshold : value > threshold;
+    }
+
+    async function evaluateRule(rule, cycle, now) {
+        const targets = await targetsFor(rule, cycle);
+        for (const target of targets) {
+            const value = await measure(rule, target, cycle, now);
+            if (matches(rule, value)) return { target, value };
+        }
+        return null;
+    }
+
+    /**
+     * Check every enabled rule once and alert on the ones that match.
+     * @returns {Promise<number>} number of rules that fired
+     */
+    async function evaluate() {
+        if (evaluating) return 0;
+        evaluating = true;
+        const cycle = { maps: new Map(), status: new Map(), charts: new Map() };
+        const now = Date.now();
+        let fired = 0;
+        try {
+            for (const rule of rules) {
+                if (!rule.enabled || coolingDown(rule, now)) continue;
+                try {
+                    const hit = await evaluateRule(rule, cycle, now);
+                    if (hit) {
+                        fire(rule, hit);
+                        fired++;
+                    }
+                } catch (err) {
+                    console.error(`[Rules] Could not evaluate "${rule.name}":`, err);
+                }
+            }
+        } finally {
+            evaluating = false;
+        }
+        return fired;
+    }
+
+    // ---------------- Channels ----------------
+
+    function alertMessage(rule, hit) {
+        const unit = rule.unit || units[rule.parameter] || '';
+        const observed = FloodMetrics.isDerived(rule.parameter) ? PARAMETERS[rule.parameter]
+            : rule.condition === 'rise' ? 'Rise' : rule.condition === 'accumulation' ? 'Total' : 'Reading';
+        const place = hit.target.name ? ` at ${hit.target.name}` : '';
+        return `${observed} of ${formatNumber(hit.value)}${unit ? ' ' + unit : ''}${place}. Rule: ${describe(rule)}.`;
+    }
+
+    function showBanner(rule, message) {
+        const stack = document.getElementById('rule-alerts');
+        if (!stack) return;
+        const existing = stack.querySelector(`[data-rule-id="${rule.id}"]`);
+        if (existing) existing.remove();
+        const banner = document.createElement('div');
+        banner.className = 'alert alert-warning alert-dismissible fade show shadow-sm mb-2';
+        banner.setAttribute('role', 'alert');
+        banner.dataset.ruleId = rule.id;
+        banner.innerHTML = `
+            <i class="fas fa-bell me-2"></i><strong>${escapeHtml(rule.name)}:</strong>
+            <span>${escapeHtml(message)}</span>
+            <button type="button" class="btn-close" data-bs-dismiss="alert" aria-label="Close"></button>`;
+        stack.prepend(banner);
+    }
+
+    function fire(rule, hit) {
+        const now = Date.now();
+        const message = alertMessage(rule, hit);
+        markFired(rule.id, now);
+        console.info(`[Rules] ${rule.name}: ${message}`);
+
+        if (rule.channel === 'sound') {
+            FloodInbox.beep();
+        } else if (rule.channel === 'notification') {
+            // Without permission the alert still has to reach the user
+            if (!FloodInbox.notify(`Flood alert rule: ${rule.name}`, message, { tag: `rule:${rule.id}` })) {
+                showBanner(rule, message);
+            }
+        } else {
+            showBanner(rule, message);
+        }
+
+        window.dispatchEvent(new CustomEvent('floodrules:fired', {
+            detail: { rule, value: hit.value, target: hit.target, message, time: now },
+        }));
+    }
+
+    // ---------------- Loading ----------------
+
+    /**
+     * Reload the user's rules and restart the evaluation timer.
+     * @returns {Promise<Array<Object>>}
+     */
+    function load() {
+        return Promise.all([
+            FloodApi.alertRules({ key: 'rules:list' }),
+            FloodApi.thresholdSettings().catch(() => null),
+        ]).then(([list, settings]) => {
+            rules = Array.isArray(list) ? list : ((list && list.results) || []);
+            ((settings && (settings.results || settings)) || []).forEach(t => { units[t.parameter] = t.unit; });
+            Object.keys(FloodMetrics.METRICS).forEach(key => { units[key] = FloodMetrics.METRICS[key].unit; });
+            renderList();
+            clearInterval(timer);
+            timer = rules.some(r => r.enabled) ? setInterval(evaluate, POLL_MS) : null;
+            if (timer) evaluate();
+            return rules;
+        }).catch(err => {
+            if (!FloodApi.isAbort(err)) console.error('[Rules] Could not load alert rules:', err);
+            return rules;
+        });
+    }
+
+    // ---------------- Builder ----------------
+
+    function el(id) {
+        return document.getElementById(id);
+    }
+
+    function renderList() {
+        const body = el('alert-rules-list');
+        if (!body) return;
+        if (!rules.length) {
+            body.innerHTML = '<tr><td colspan="4" class="text-muted text-center py-3">No rules yet. Add one below.</td></tr>';
+            return;
+        }
+        body.innerHTML = rules.map(rule => `
+            <tr data-rule-id="${rule.id}">
+                <td>
+                    <div class="fw-semibold">${escapeHtml(rule.name)}</div>
+                    <small class="text-muted">${escapeHtml(describe(rule))}</small>
+                </td>
+                <td><span class="badge bg-secondary">${escapeHtml(CHANNELS[rule.channel] || rule.channel)}</span></td>
+                <td>
+                    <div class="form-check form-switch m-0">
+                        <input class="form-check-input rule-toggle" type="checkbox" ${rule.enabled ? 'checked' : ''} title="Enabled">
+                    </div>
+                </td>
+                <td class="text-end text-nowrap">
+                    <button type="button" class="btn btn-sm btn-outline-primary rule-edit" title="Edit"><i class="fas fa-edit"></i></button>
+                    <button type="button" class="btn btn-sm btn-outline-danger rule-delete" title="Delete"><i class="fas fa-trash"></i></button>
+                </td>
+            </tr>`).join('');
+    }
+
+    function fillBarangays(municipalityId, selected) {
+        const select = el('rule-barangay');
+        const list = ((places && places.barangays) || [])
+            .filter(b => municipalityId && String(b.municipality_id) === String(municipalityId));
+        select.innerHTML = '<option value="">Any barangay</option>' +
+            list.map(b => `<option value="${b.id}">${escapeHtml(b.name)}</option>`).join('');
+        select.disabled = !municipalityId;
+        select.value = selected ? String(selected) : '';
+    }
+
+    function loadPlaces() {
+        if (places) return Promise.resolve(places);
+        return FloodApi.allBarangays().then(data => {
+            places = { municipalities: data.municipalities || [], barangays: data.barangays || [] };
+            el('rule-municipality').innerHTML = '<option value="">Anywhere</option>' +
+                places.municipalities.map(m => `<option value="${m.id}">${escapeHtml(m.name)}</option>`).join('');
+            return places;
+        }).catch(err => {
+            console.error('[Rules] Could not load municipalities:', err);
+            return { municipalities: [], barangays: [] };
+        });
+    }
+
+    // Current form values as an API body
+    function formRule() {
+        const municipality = el('rule-municipality').value;
+        const barangay = el('rule-barangay').value;
+        return {
+            name: el('rule-name').value.trim(),
+            parameter: el('rule-parameter').value,
+            condition: el('rule-condition').value,
+            threshold: parseFloat(el('rule-threshold').value),
+            window_hours: parseFloat(el('rule-window').value) || 1,
+            municipality: municipality ? Number(municipality) : null,
+            barangay: barangay ? Number(barangay) : null,
+            channel: el('rule-channel').value,
+            cooldown_minutes: parseInt(el('rule-cooldown').value, 10) || 0,
+            enabled: el('rule-enabled').checked,
+        };
+    }
+
+    // Keep the window field, unit and plain-language summary in step with the form
+    function syncForm() {
+        // Derived metrics already cover a window; only above/below apply to them
+        const derived = FloodMetrics.isDerived(el('rule-parameter').value);
+        Array.from(el('rule-condition').options).forEach(o => { o.disabled = derived && WINDOWED.includes(o.value); });
+        if (derived && WINDOWED.includes(el('rule-condition').value)) el('rule-condition').value = 'above';
+        const rule = formRule();
+        el('rule-window-group').classList.toggle('d-none', !WINDOWED.includes(rule.condition));
+        el('rule-threshold-unit').textContent = units[rule.parameter] || '';
+        const muniOption = el('rule-municipality').selectedOptions[0];
+        const brgyOption = el('rule-barangay').selectedOptions[0];
+        rule.municipality_name = muniOption ? muniOption.textContent : null;
+        rule.barangay_name = brgyOption ? brgyOption.textContent : null;
+        el('rule-summary').textContent = isNaN(rule.threshold) ? '' : `Alert when ${describe(rule)}.`;
+    }
+
+    function resetForm(rule) {
+        const form = el('alert-rule-form');
+        form.reset();
+        el('rule-id').value = rule ? rule.id : '';
+        el('alert-rule-error').classList.add('d-none');
+        el('rule-submit').textContent = rule ? 'Save changes' : 'Add rule';
+        el('rule-cancel-edit').classList.toggle('d-none', !rule);
+        if (rule) {
+            el('rule-name').value = rule.name;
+            el('rule-parameter').value = rule.parameter;
+            el('rule-condition').value = rule.condition;
+            el('rule-threshold').value = rule.threshold;
+            el('rule-window').value = rule.window_hours;
+            el('rule-municipality').value = rule.municipality ? String(rule.municipality) : '';
+            el('rule-channel').value = rule.channel;
+            el('rule-cooldown').value = rule.cooldown_minutes;
+            el('rule-enabled').checked = rule.enabled;
+        }
+        fillBarangays(el('rule-municipality').value, rule && rule.barangay);
+        syncForm();
+    }
+
+    function showError(err) {
+        const box = el('alert-rule-error');
+        let text = err && err.message ? err.message : 'Could not save the rule.';
+        if (err && err.body && typeof err.body === 'object') {
+            text = Object.keys(err.body).map(k => {
+                const v = err.body[k];
+                return `${k === 'non_field_errors' ? '' : k.replace(/_/g, ' ') + ': '}${Array.isArray(v) ? v.join(' ') : v}`;
+            }).join(' ');
+        }
+        box.textContent = text;
+        box.classList.remove('d-none');
+    }
+
+    function onSubmit(event) {
+        event.preventDefault();
+        const form = event.target;
+        if (!form.reportValidity()) return;
+        const id = el('rule-id').value;
+        const body = formRule();
+        // Ask while we still have the click that allows the permission prompt
+        if (body.channel === 'notification' && FloodInbox.permission() === 'default') {
+            FloodInbox.requestPermission();
+        }
+        const save = id ? FloodApi.updateAlertRule(id, body) : FloodApi.createAlertRule(body);
+        el('rule-submit').disabled = true;
+        save.then(() => {
+            resetForm(null);
+            return load();
+        }).catch(showError).finally(() => { el('rule-submit').disabled = false; });
+    }
+
+    function onListClick(event) {
+        const row = event.target.closest('tr[data-rule-id]');
+        if (!row) return;
+        const rule = rules.find(r => String(r.id) === row.dataset.ruleId);
+        if (!rule) return;
+        if (event.target.closest('.rule-edit')) {
+            resetForm(rule);
+            el('rule-name').focus();
+        } else if (event.target.closest('.rule-delete')) {
+            if (!window.confirm(`Delete the rule "${rule.name}"?`)) return;
+            FloodApi.deleteAlertRule(rule.id).then(load).catch(err => {
+                console.error('[Rules] Could not delete rule:', err);
+                alert('Could not delete the rule. Please try again.');
+            });
+        }
+    }
+
+    function onListChange(event) {
+        if (!event.target.classList.contains('rule-toggle')) return;
+        const row = event.target.closest('tr[data-rule-id]');
+        const enabled = event.target.checked;
+        FloodApi.updateAlertRule(row.dataset.ruleId, { enabled }).then(load).catch(err => {
+            console.error('[Rules] Could not update rule:', err);
+            event.target.checked = !enabled;
+        });
+    }
+
+    function initBuilder() {
+        const modal = el('alert-rules-modal');
+        if (!modal) return false;
+        modal.addEventListener('show.bs.modal', () => {
+            loadPlaces().then(() => resetForm(null));
+        });
+        el('alert-rule-form').addEventListener('submit', onSubmit);
+        el('alert-rule-form').addEventListener('input', syncForm);
+        el('rule-municipality').addEventListener('change', () => {
+            fillBarangays(el('rule-municipality').value, null);
+            syncForm();
+        });
+        el('rule-cancel-edit').addEventListener('click', () => resetForm(null));
+        el('alert-rules-list').addEventListener('click', onListClick);
+        el('alert-rules-list').addEventListener('change', onListChange);
+        return true;
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        // The modal is only rendered for signed-in users, who are the only ones with rules
+        if (initBuilder()) load();
+    });
+
+    window.FloodRules = {
+        load,
+        evaluate,
+        describe,
+        rules: () => rules.slice(),
+    };
+
+})(window, document);
@@ -0,0 +1,208 @@
+// alert_workflow.js
+// Operator workflow for FloodAlerts: acknowledge, assign to a responder and escalate. Alert
+// lists render the state badges and action buttons from here and call bind() once on their
+// container. watch() re-sounds severity 4+ alerts that are still unacknowledged after their
+// deadline (`acknowledge_due_at`, from ALERT_ACK_TIMEOUT_MINUTES) and flags every element
+// marked data-workflow-alert="<id>" with .alert-overdue until someone acknowledges them.
+(function(window, document) {
+    'use strict';
+
+    const TICK_MS = 15000;
+    const RESOUND_MS = 60000;   // repeat the tone every minute while an alert is overdue
+
+    const STATES = {
+        new: { label: 'New', cls: 'bg-secondary' },
+        acknowledged: { label: 'Acknowledged', cls: 'bg-success' },
+        assigned: { label: 'Assigned', cls: 'bg-primary' },
+        escalated: { label: 'Escalated', cls: 'bg-danger' },
+    };
+
+    let responders = null;
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatManilaTime(value) {
+        const date = new Date(value);
+        if (isNaN(date)) return '';
+        try {
+            return new Intl.DateTimeFormat('en-GB', {
+                timeZone: 'Asia/Manila', hour: '2-digit', minute: '2-digit', hour12: false
+            }).format(date);
+        } catch (e) {
+            return date.toTimeString().slice(0, 5);
+        }
+    }
+
+    /**
+     * True when a severity 4+ alert has passed its acknowledgement deadline.
+     * @param {Object} alert
+     * @param {number} [now]
+     */
+    function isOverdue(alert, now) {
+        if (!alert || !alert.acknowledge_due_at || alert.acknowledged_at) return false;
+        const due = Date.parse(alert.acknowledge_due_at);
+        return !isNaN(due) && (now || Date.now()) >= due;
+    }
+
+    /**
+     * Badges describing who has the alert: state, acknowledgement, assignee, escalations.
+     * @param {Object} alert  flood-alerts record
+     * @returns {string} HTML
+     */
+    function stateHtml(alert) {
+        const state = STATES[alert.workflow_state] || STATES.new;
+        const parts = [`<span class="badge ${state.cls}">${state.label}</span>`];
+        if (alert.acknowledged_at) {
+            parts.push(`<span class="badge bg-light text-dark border">Ack ${escapeHtml(alert.acknowledged_by_username || '')} ${formatManilaTime(alert.acknowledged_at)}</span>`);
+        }
+        if (alert.assigned_to_username) {
+            parts.push(`<span class="badge bg-light text-dark border"><i class="fas fa-user me-1"></i>${escapeHtml(alert.assigned_to_username)}</span>`);
+        }
+        if (alert.escalation_count) {
+            parts.push(`<span class="badge bg-light text-danger border">Escalated &times;${alert.escalation_count}</span>`);
+        }
+        if (isOverdue(alert)) {
+            parts.push('<span class="badge bg-danger"><i class="fas fa-bell me-1"></i>Not acknowledged</span>');
+        }
+        return `<span class="alert-workflow-state d-inline-flex flex-wrap gap-1">${parts.join('')}</span>`;
+    }
+
+    /**
+     * Acknowledge / assign / escalate buttons for one alert.
+     * @param {Object} alert
+     * @returns {string} HTML
+     */
+    function actionsHtml(alert) {
+        const id = escapeHtml(alert.id);
+        return `
+            <span class="alert-workflow-actions btn-group btn-group-sm" role="group" aria-label="Alert actions">
+                ${alert.acknowledged_at ? '' : `<button type="button" class="btn btn-outline-success" data-workflow-action="acknowledge" data-alert-id="${id}" title="Acknowledge"><i class="fas fa-check"></i> Ack</button>`}
+                <button type="button" class="btn btn-outline-primary" data-workflow-action="assign" data-alert-id="${id}" title="Assign to a responder"><i class="fas fa-user-plus"></i> Assign</button>
+                <button type="button" class="btn btn-outline-danger" data-workflow-action="escalate" data-alert-id="${id}" title="Escalate"><i class="fas fa-level-up-alt"></i> Escalate</button>
+            </span>`;
+    }
+
+    function loadResponders() {
+        if (!responders) {
+            responders = FloodApi.alertResponders().catch(err => {
+                responders = null;
+                throw err;
+            });
+        }
+        return responders;
+    }
+
+    // Swap the Assign button for a responder picker
+    function showAssignee(button) {
+        const id = button.dataset.alertId;
+        loadResponders().then(list => {
+            const select = document.createElement('select');
+            select.className = 'form-select form-select-sm workflow-assignee';
+            select.dataset.alertId = id;
+            select.style.width = 'auto';
+            select.innerHTML = '<option value="" disabled selected>Assign to…</option><option value="">Nobody (unassign)</option>' +
+                list.map(u => `<option value="${u.id}">${escapeHtml(u.name)}${u.role ? ' — ' + escapeHtml(u.role) : ''}</option>`).join('');
+            button.replaceWith(select);
+            select.focus();
+        }).catch(err => {
+            console.error('[Workflow] Could not load responders:', err);
+            alert('Could not load the responder list. Please try again.');
+        });
+    }
+
+    /**
+     * Handle the workflow buttons inside a container. Safe to call again for the same container.
+     * @param {Element} container
+     * @param {Function} onChange  (updatedAlert) -> void; usually re-renders the list
+     */
+    function bind(container, onChange) {
+        if (!container || container.dataset.workflowBound) return;
+        container.dataset.workflowBound = '1';
+
+        function run(id, promise, controls) {
+            controls.forEach(c => { c.disabled = true; });
+            promise.then(updated => {
+                if (updated && updated.acknowledged_at && window.FloodInbox) FloodInbox.acknowledge(`alert:${id}`);
+                if (typeof onChange === 'function') onChange(updated);
+            }).catch(err => {
+                console.error('[Workflow] Action failed:', err);
+                const forbidden = err && (err.status === 401 || err.status === 403);
+                alert(forbidden ? 'Please sign in to update alerts.' : 'Could not update the alert. Please try again.');
+                controls.forEach(c => { c.disabled = false; });
+            });
+        }
+
+        container.addEventListener('click', event => {
+            const button = event.target.closest('[data-workflow-action]');
+            if (!button || !container.contains(button)) return;
+            const id = button.dataset.alertId;
+            const group = Array.from(button.parentElement.querySelectorAll('button'));
+            switch (button.dataset.workflowAction) {
+                case 'acknowledge':
+                    run(id, FloodApi.acknowledgeAlert(id), group);
+                    break;
+                case 'assign':
+                    showAssignee(button);
+                    break;
+                case 'escalate':
+                    if (window.confirm('Escalate this alert? Contacts for the affected barangays will be notified again.')) {
+                        run(id, FloodApi.escalateAlert(id), group);
+                    }
+                    break;
+            }
+        });
+
+        container.addEventListener('change', event => {
+            const select = event.target.closest('select.workflow-assignee');
+            if (!select) return;
+            run(select.dataset.alertId, FloodApi.assignAlert(select.dataset.alertId, select.value || null), [select]);
+        });
+    }
+
+    /**
+     * Re-sound and highlight overdue alerts until they are acknowledged.
+     * @param {Function} getAlerts  () -> Array of the alerts currently on screen
+     * @returns {{tick: Function, stop: Function}}
+     */
+    function watch(getAlerts) {
+        const lastSounded = new Map();
+
+        function tick() {
+            const now = Date.now();
+            (getAlerts() || []).forEach(alert => {
+                const overdue = isOverdue(alert, now);
+                document.querySelectorAll(`[data-workflow-alert="${alert.id}"]`)
+                    .forEach(el => el.classList.toggle('alert-overdue', overdue));
+                if (!overdue) {
+                    lastSounded.delete(alert.id);
+                    return;
+                }
+                const last = lastSounded.get(alert.id);
+                if (last && now - last < RESOUND_MS) return;
+                if (!last && window.FloodInbox) {
+                    FloodInbox.notify(`Not acknowledged: ${alert.title}`,
+                        'This alert is still waiting for an operator.', { tag: `overdue:${alert.id}`, itemId: `alert:${alert.id}` });
+                }
+                if (window.FloodInbox) FloodInbox.beep();
+                lastSounded.set(alert.id, now);
+            });
+        }
+
+        tick();
+        const timer = setInterval(tick, TICK_MS);
+        return { tick, stop: () => clearInterval(timer) };
+    }
+
+    window.FloodAlertWorkflow = {
+        stateHtml,
+        actionsHtml,
+        bind,
+        watch,
+        isOverdue,
+    };
+
+})(window, document);
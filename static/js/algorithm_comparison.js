@@ -0,0 +1,321 @@
+// static/js/algorithm_comparison.js
+// Compare Prediction Models page: every candidate model's probability, ETA and contributing
+// factors for the selected location (/api/compare-algorithms/), and a backtest that replays
+// recent readings through each model, charting its probability against the peak water level
+// that followed and scoring it (POD, FAR, accuracy, Brier) where outcomes are known.
+
+document.addEventListener('DOMContentLoaded', function() {
+    const ALGORITHM_LABELS = {
+        random_forest: 'Random Forest',
+        gradient_boosting: 'Gradient Boosting',
+        svm: 'Support Vector Machine',
+        lstm: 'LSTM Network',
+        ensemble: 'Ensemble',
+        mcda: 'Multi-criteria Analysis',
+        dtw: 'Pattern Matching (DTW)',
+        time_series: 'Time Series',
+    };
+    const COLORS = ['#2563eb', '#059669', '#d97706', '#7c3aed', '#0f766e', '#be123c', '#4d7c0f', '#1d4ed8'];
+    const INPUT_LABELS = {
+        rainfall_24h: ['Rainfall, 24 h', 'mm'],
+        rainfall_48h: ['Rainfall, 48 h', 'mm'],
+        rainfall_7d: ['Rainfall, 7 days', 'mm'],
+        water_level: ['Water level', 'm'],
+        water_level_change_24h: ['Water level change, 24 h', 'm'],
+        temperature: ['Temperature', '°C'],
+        soil_saturation: ['Soil saturation (humidity)', '%'],
+        elevation: ['Elevation', 'm'],
+        historical_floods_count: ['Past floods', ''],
+    };
+
+    // --- STATE ---
+    const state = {
+        selected: null,     // algorithm keys; null until the server's defaults are known
+        historyDays: 7,
+        data: null,         // last /api/compare-algorithms/ response
+        chart: null,
+    };
+
+    const els = {
+        choices: document.getElementById('algo-choices'),
+        history: document.getElementById('algo-history'),
+        run: document.getElementById('algo-run'),
+        error: document.getElementById('algo-error'),
+        cards: document.getElementById('algo-cards'),
+        updatedAt: document.getElementById('algo-updated-at'),
+        chartContainer: document.getElementById('algo-backtest-container'),
+        chartEmpty: document.getElementById('algo-backtest-empty'),
+        chartNote: document.getElementById('algo-backtest-note'),
+        skillBody: document.querySelector('#algo-skill-table tbody'),
+        inputs: document.getElementById('algo-inputs'),
+    };
+
+    // --- FORMATTING ---
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function algorithmLabel(key) {
+        return ALGORITHM_LABELS[key] || String(key).replace(/_/g, ' ');
+    }
+
+    function algorithmColor(key) {
+        const index = Object.keys(ALGORITHM_LABELS).indexOf(key);
+        return COLORS[(index < 0 ? 0 : index) % COLORS.length];
+    }
+
+    function formatManila(iso) {
+        try {
+            return new Intl.DateTimeFormat('en-GB', {
+                timeZone: 'Asia/Manila', day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: false
+            }).format(new Date(iso));
+        } catch (e) {
+            return new Date(iso).toLocaleString();
+        }
+    }
+
+    function formatNumber(value, digits) {
+        return value === null || value === undefined ? '—' : Number(value).toFixed(digits).replace(/\.?0+$/, '');
+    }
+
+    function formatPercent(ratio) {
+        return ratio === null || ratio === undefined ? '—' : `${Math.round(ratio * 100)}%`;
+    }
+
+    function formatEta(hours) {
+        if (hours === null || hours === undefined) return 'No flood expected';
+        if (hours < 1) return 'Within the hour';
+        return `In about ${formatNumber(hours, 1)} h`;
+    }
+
+    // --- LOCATION ---
+    function updateLocationDisplay() {
+        const display = document.getElementById('current-location-display');
+        if (display) display.textContent = FloodLocation.label();
+    }
+
+    // --- MODEL CHOICE ---
+    function renderChoices(choices) {
+        els.choices.innerHTML = choices.map(key => `
+            <div class="form-check form-check-inline m-0">
+                <input class="form-check-input" type="checkbox" id="algo-choice-${escapeHtml(key)}" value="${escapeHtml(key)}"
+                    ${state.selected.includes(key) ? 'checked' : ''}>
+                <label class="form-check-label small" for="algo-choice-${escapeHtml(key)}">
+                    <span class="d-inline-block rounded-circle me-1" style="width:10px;height:10px;background:${algorithmColor(key)};"></span>${escapeHtml(algorithmLabel(key))}
+                </label>
+            </div>`).join('');
+    }
+
+    els.choices.addEventListener('change', () => {
+        state.selected = Array.from(els.choices.querySelectorAll('input:checked')).map(i => i.value);
+        els.run.disabled = !state.selected.length;
+    });
+
+    // --- LOAD ---
+    function showError(text) {
+        els.error.textContent = text || '';
+        els.error.classList.toggle('d-none', !text);
+    }
+
+    function load() {
+        if (state.selected && !state.selected.length) return;
+        showError('');
+        els.run.disabled = true;
+        els.run.innerHTML = `<span class="spinner-border spinner-border-sm me-1"></span> ${state.historyDays ? 'Backtesting…' : 'Running…'}`;
+        FloodApi.compareAlgorithms(
+            { algorithms: state.selected || [], historyDays: state.historyDays },
+            FloodLocation.get(),
+            { key: 'algorithms:compare' }
+        )
+            .then(data => {
+                state.data = data;
+                if (!state.selected) state.selected = data.available_algorithms.slice();
+                renderChoices(data.algorithm_choices || data.available_algorithms);
+                renderCards(data);
+                renderBacktest(data.backtest);
+                renderSkill(data);
+                renderInputs(data.input_data);
+                els.updatedAt.textContent = `Last run: ${formatManila(data.timestamp)}`;
+            })
+            .catch(err => {
+                if (FloodApi.isAbort(err)) return;
+                console.error('[Models] Comparison failed:', err);
+                showError((err.body && err.body.error) || 'Could not run the models. Please try again.');
+            })
+            .finally(() => {
+                els.run.disabled = !!state.selected && !state.selected.length;
+                els.run.innerHTML = '<i class="fas fa-sync-alt me-1"></i> Run';
+            });
+    }
+
+    // --- MODEL CARDS ---
+    function severityColor(level) {
+        return level > 0 ? FloodThresholds.colorOf(level) : FloodThresholds.NORMAL_COLOR;
+    }
+
+    function renderCards(data) {
+        const skill = (data.backtest && data.backtest.skill) || {};
+        els.cards.innerHTML = data.results.map(r => {
+            const title = `<span class="d-inline-block rounded-circle me-2" style="width:12px;height:12px;background:${algorithmColor(r.algorithm)};"></span>${escapeHtml(algorithmLabel(r.algorithm))}`;
+            if (r.error) {
+                return `<div class="col-md-6 col-xl-3"><div class="card shadow-sm h-100">
+                    <div class="card-body">
+                        <h6 class="card-title">${title}</h6>
+                        <div class="alert alert-warning small mb-0">This model failed: ${escapeHtml(r.error)}</div>
+                    </div></div></div>`;
+            }
+            const color = severityColor(r.severity_level);
+            const fallback = r.model_used && r.model_used !== r.algorithm
+                ? `<div class="small text-muted mb-2" title="The trained model is not available, so a fallback was used"><i class="fas fa-exclamation-triangle me-1 text-warning"></i>Used ${escapeHtml(String(r.model_used).replace(/_/g, ' '))}</div>`
+                : '';
+            const factors = (r.contributing_factors || []).length
+                ? `<ul class="small ps-3 mb-0">${r.contributing_factors.map(f => `<li>${escapeHtml(f)}</li>`).join('')}</ul>`
+                : '<div class="small text-muted">No significant factors.</div>';
+            const s = skill[r.algorithm];
+            const skillLine = s
+                ? `<div class="small border-top pt-2 mt-2">Backtest: POD ${formatPercent(s.pod)} · FAR ${formatPercent(s.far)} · Brier ${formatNumber(s.brier, 3)}</div>`
+                : '';
+            return `<div class="col-md-6 col-xl-3"><div class="card shadow-sm h-100" style="border-top: 4px solid ${color};">
+                <div class="card-body">
+                    <h6 class="card-title">${title}</h6>
+                    <div class="d-flex align-items-baseline gap-2 mb-1">
+                        <span class="fs-2 fw-bold" style="color:${color};">${Math.round(r.probability)}%</span>
+                        <span class="badge" style="background:${color};">${escapeHtml(r.severity_level > 0 ? r.severity_name : 'Normal')}</span>
+                    </div>
+                    <div class="small mb-2"><i class="far fa-clock me-1"></i>${escapeHtml(formatEta(r.hours_to_flood))}</div>
+                    ${fallback}
+                    <div class="small fw-semibold mb-1">Contributing factors</div>
+                    ${factors}
+                    ${skillLine}
+                </div></div></div>`;
+        }).join('') || '<div class="col-12 text-center text-muted py-4">No models selected.</div>';
+    }
+
+    // --- BACKTEST CHART ---
+    function renderBacktest(backtest) {
+        if (state.chart) {
+            state.chart.destroy();
+            state.chart = null;
+        }
+        const hasSteps = backtest && backtest.steps.length;
+        els.chartContainer.classList.toggle('d-none', !hasSteps);
+        els.chartEmpty.classList.toggle('d-none', !!hasSteps);
+        if (!hasSteps) {
+            els.chartEmpty.textContent = 'Choose a backtest window to chart the models against what happened.';
+            return;
+        }
+        const steps = backtest.steps;
+        const algorithms = Object.keys(backtest.skill);
+        const datasets = algorithms.map(key => ({
+            type: 'line',
+            label: algorithmLabel(key),
+            data: steps.map(s => s.probabilities[key]),
+            borderColor: algorithmColor(key),
+            backgroundColor: algorithmColor(key),
+            borderWidth: 2,
+            pointRadius: 2,
+            spanGaps: true,
+            yAxisID: 'y',
+        }));
+        datasets.push({
+            type: 'bar',
+            label: `Flood observed (next ${backtest.outcome_hours} h)`,
+            data: steps.map(s => (s.outcome && s.outcome.flooded ? 100 : null)),
+            backgroundColor: 'rgba(220, 53, 69, 0.15)',
+            borderWidth: 0,
+            barPercentage: 1,
+            categoryPercentage: 1,
+            yAxisID: 'y',
+        });
+        datasets.push({
+            type: 'line',
+            label: `Peak water level (next ${backtest.outcome_hours} h)`,
+            data: steps.map(s => (s.outcome ? s.outcome.peak_water_level : null)),
+            borderColor: '#64748b',
+            backgroundColor: '#64748b',
+            borderDash: [6, 4],
+            borderWidth: 2,
+            pointRadius: 0,
+            yAxisID: 'y1',
+        });
+
+        state.chart = new Chart(document.getElementById('algo-backtest-chart'), {
+            type: 'line',
+            data: { labels: steps.map(s => formatManila(s.time)), datasets },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                interaction: { mode: 'index', intersect: false },
+                scales: {
+                    y: { min: 0, max: 100, title: { display: true, text: 'Flood probability (%)' } },
+                    y1: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: 'Water level (m)' } },
+                },
+                plugins: {
+                    legend: { position: 'top' },
+                    // Global water level bands, drawn against the peak water level axis
+                    floodThresholds: { parameter: 'water_level', datasetIndex: datasets.length - 1 },
+                },
+            },
+        });
+
+        const pending = steps.filter(s => !s.outcome).length;
+        const set = backtest.threshold_set;
+        const setName = set && set.name ? `${set.name} thresholds` : 'global thresholds';
+        els.chartNote.innerHTML = `<i class="fas fa-info-circle me-1"></i> One prediction every ${backtest.step_hours} h over ${backtest.days} days, `
+            + `each from the readings available at the time. A step counts as a flood when water level reached Warning on the ${escapeHtml(setName)} `
+            + `within the next ${backtest.outcome_hours} h.`
+            + (pending ? ` The last ${pending} step${pending === 1 ? ' has' : 's have'} no outcome yet.` : '')
+            + (backtest.thresholds ? '' : ' No water level thresholds are set, so outcomes cannot be scored.');
+    }
+
+    // --- SKILL TABLE ---
+    function renderSkill(data) {
+        const backtest = data.backtest;
+        if (!backtest) {
+            els.skillBody.innerHTML = '<tr><td colspan="7" class="text-center text-muted py-3">Run a backtest to score the models.</td></tr>';
+            return;
+        }
+        const rows = Object.keys(backtest.skill).map(key => {
+            const s = backtest.skill[key];
+            if (!s) {
+                return `<tr><td>${escapeHtml(algorithmLabel(key))}</td><td colspan="6" class="text-muted">No scored steps: there are no water level readings or thresholds for this period.</td></tr>`;
+            }
+            return `<tr>
+                <td>${escapeHtml(algorithmLabel(key))}</td>
+                <td class="text-end">${s.samples}</td>
+                <td class="text-end">${s.floods}</td>
+                <td class="text-end">${formatPercent(s.pod)}</td>
+                <td class="text-end">${formatPercent(s.far)}</td>
+                <td class="text-end">${formatPercent(s.accuracy)}</td>
+                <td class="text-end">${formatNumber(s.brier, 3)}</td>
+            </tr>`;
+        });
+        els.skillBody.innerHTML = rows.join('') || '<tr><td colspan="7" class="text-center text-muted py-3">No models selected.</td></tr>';
+    }
+
+    // --- INPUTS ---
+    function renderInputs(input) {
+        els.inputs.innerHTML = Object.keys(INPUT_LABELS).filter(k => input && k in input).map(k => {
+            const [label, unit] = INPUT_LABELS[k];
+            return `<dt class="col-sm-4 col-lg-2 fw-normal text-muted">${escapeHtml(label)}</dt>
+                <dd class="col-sm-8 col-lg-2">${formatNumber(input[k], 2)}${unit ? ` ${unit}` : ''}</dd>`;
+        }).join('');
+    }
+
+    // --- INIT ---
+    els.history.value = String(state.historyDays);
+    els.history.addEventListener('change', () => {
+        state.historyDays = Number(els.history.value) || 0;
+        load();
+    });
+    els.run.addEventListener('click', load);
+    FloodLocation.subscribe(() => {
+        updateLocationDisplay();
+        load();
+    });
+    FloodThresholds.load().catch(() => {});
+    updateLocationDisplay();
+    load();
+});
@@ -0,0 +1,658 @@
+// api_client.js
+// Shared client for the flood monitoring REST API. Page scripts call the typed methods on
+// window.FloodApi instead of building URLs and calling fetch by hand, so retries, timeouts,
+// CSRF handling and municipality/barangay filters behave the same on every page.
+(function(window, document) {
+    'use strict';
+
+    const DEFAULTS = {
+        timeout: 15000,   // ms before a single attempt is aborted
+        retries: 2,       // extra attempts for idempotent requests
+        backoff: 400,     // base delay (ms); doubles on every retry
+    };
+
+    // Statuses worth retrying: request timeout, rate limiting and transient server errors
+    const RETRYABLE_STATUS = [408, 429, 500, 502, 503, 504];
+
+    // Requests registered under a key; a new request with the same key aborts the old one
+    const inflight = new Map();
+
+    /**
+     * @typedef {Object} Location
+     * @property {(string|number|null)} [municipalityId]
+     * @property {(string|number|null)} [barangayId]
+     */
+
+    /**
+     * @typedef {Object} RequestOptions
+     * @property {string} [method]      HTTP method (default GET)
+     * @property {Object} [params]      Query string parameters; null/undefined/'' are skipped
+     * @property {*} [body]             JSON-serialisable request body
+     * @property {number} [timeout]     Per-attempt timeout in ms
+     * @property {number} [retries]     Extra attempts after the first one
+     * @property {string} [key]         Supersede key: a newer request with the same key aborts this one
+     * @property {AbortSignal} [signal] External signal to abort the request
+     * @property {string} [cache]       fetch cache mode, e.g. 'no-store' for live readings
+     * @property {boolean} [offlineCache] Save successful GET payloads and answer from them when the network is down
+     * @property {boolean} [queueOffline] Queue a failed write in the offline outbox and resolve with {queued: true}
+     * @property {string} [queueLabel]   Human-readable name for a queued write (logs)
+     */
+
+    /**
+     * Error raised for every failed request so callers can branch on one shape.
+     * `status` is 0 for network failures, timeouts and aborts.
+     */
+    class ApiError extends Error {
+        constructor(message, details = {}) {
+            super(message);
+            this.name = 'ApiError';
+            this.status = details.status || 0;
+            this.url = details.url || '';
+            this.body = details.body !== undefined ? details.body : null;
+            this.aborted = !!details.aborted;
+            this.timedOut = !!details.timedOut;
+            this.cause = details.cause || null;
+        }
+    }
+
+    function getCSRFToken() {
+        // Standard Django CSRF cookie name is 'csrftoken'
+        const name = 'csrftoken=';
+        const cookies = document.cookie ? document.cookie.split(';') : [];
+        for (let i = 0; i < cookies.length; i++) {
+            const c = cookies[i].trim();
+            if (c.startsWith(name)) return decodeURIComponent(c.substring(name.length));
+        }
+        return '';
+    }
+
+    function buildQuery(params) {
+        if (!params) return '';
+        const parts = [];
+        Object.keys(params).forEach(k => {
+            const v = params[k];
+            if (v === null || v === undefined || v === '') return;
+            parts.push(`${encodeURIComponent(k)}=${encodeURIComponent(v)}`);
+        });
+        return parts.length ? `?${parts.join('&')}` : '';
+    }
+
+    // Translate a { municipalityId, barangayId } location into API query parameters
+    function locationParams(location) {
+        const loc = location || {};
+        return {
+            municipality_id: loc.municipalityId != null ? loc.municipalityId : null,
+            barangay_id: loc.barangayId != null ? loc.barangayId : null,
+        };
+    }
+
+    function sleep(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+
+    async function parseBody(res) {
+        const type = res.headers.get('Content-Type') || '';
+        if (type.indexOf('application/json') !== -1) {
+            try { return await res.json(); } catch (e) { return null; }
+        }
+        try { return await res.text(); } catch (e) { return null; }
+    }
+
+    function isSafeMethod(method) {
+        return method === 'GET' || method === 'HEAD';
+    }
+
+    /**
+     * Perform a request against the API.
+     * @param {string} path
+     * @param {RequestOptions} [options]
+     * @returns {Promise<*>} parsed JSON body; offline, the saved payload (offlineCache) or {queued: true, id} (queueOffline)
+     */
+    async function request(path, options = {}) {
+        const method = (options.method || 'GET').toUpperCase();
+        const url = path + buildQuery(options.params);
+        const timeout = options.timeout != null ? options.timeout : DEFAULTS.timeout;
+        // Only idempotent requests are retried unless the caller opts in explicitly
+        const retries = options.retries != null ? options.retries : (isSafeMethod(method) ? DEFAULTS.retries : 0);
+
+        // Supersede any earlier request registered under the same key
+        const controller = new AbortController();
+        if (options.key) {
+            const previous = inflight.get(options.key);
+            if (previous) previous.abort();
+            inflight.set(options.key, controller);
+        }
+        if (options.signal) {
+            if (options.signal.aborted) controller.abort();
+            else options.signal.addEventListener('abort', () => controller.abort(), { once: true });
+        }
+
+        const headers = Object.assign({
+            'Accept': 'application/json',
+            'X-Requested-With': 'XMLHttpRequest',
+        }, options.headers || {});
+        let body;
+        if (options.body !== undefined) {
+            headers['Content-Type'] = 'application/json';
+            body = JSON.stringify(options.body);
+        }
+        if (!isSafeMethod(method)) headers['X-CSRFToken'] = getCSRFToken();
+
+        try {
+            for (let attempt = 0; ; attempt++) {
+                // One controller per attempt so a timeout does not poison the retries
+                const attemptCtrl = new AbortController();
+                const onAbort = () => attemptCtrl.abort();
+                controller.signal.addEventListener('abort', onAbort, { once: true });
+                let timedOut = false;
+                const timer = setTimeout(() => { timedOut = true; attemptCtrl.abort(); }, timeout);
+
+                let error;
+                try {
+                    const res = await fetch(url, {
+                        method, headers, body,
+                        credentials: 'same-origin',
+                        cache: options.cache || 'default',
+                        signal: attemptCtrl.signal,
+                    });
+                    const data = await parseBody(res);
+                    if (res.ok) {
+                        if (options.offlineCache && window.FloodOffline) window.FloodOffline.remember(url, data);
+                        return data;
+                    }
+                    error = new ApiError(`${method} ${path} failed with HTTP ${res.status}`, { status: res.status, url, body: data });
+                } catch (e) {
+                    if (controller.signal.aborted) {
+                        throw new ApiError(`${method} ${path} was aborted`, { url, aborted: true, cause: e });
+                    }
+                    error = timedOut
+                        ? new ApiError(`${method} ${path} timed out after ${timeout} ms`, { url, timedOut: true, cause: e })
+                        : new ApiError(`${method} ${path} failed: ${e && e.message ? e.message : 'network error'}`, { url, cause: e });
+                } finally {
+                    clearTimeout(timer);
+                    controller.signal.removeEventListener('abort', onAbort);
+                }
+
+                const retryable = error.status === 0 || RETRYABLE_STATUS.includes(error.status);
+                // Retrying cannot help while the browser knows it is offline
+                if (!retryable || attempt >= retries || (error.status === 0 && navigator.onLine === false)) throw error;
+                // Exponential backoff with a little jitter to avoid synchronized retries
+                await sleep(DEFAULTS.backoff * Math.pow(2, attempt) + Math.random() * 100);
+                if (controller.signal.aborted) {
+                    throw new ApiError(`${method} ${path} was aborted`, { url, aborted: true });
+                }
+            }
+        } catch (err) {
+            const fallback = await offlineFallback(err, method, url, options);
+            if (fallback !== undefined) return fallback;
+            throw err;
+        } finally {
+            if (options.key && inflight.get(options.key) === controller) inflight.delete(options.key);
+        }
+    }
+
+    // Network failures only: answer from the last saved payload or park the write in the outbox.
+    // Resolves undefined when neither applies so the original error is raised.
+    async function offlineFallback(err, method, url, options) {
+        const offline = window.FloodOffline;
+        if (!offline || err.status !== 0 || err.aborted) return undefined;
+        if (options.offlineCache && isSafeMethod(method)) {
+            const saved = await offline.recall(url);
+            if (!saved) return undefined;
+            offline.markStale(url, saved.savedAt);
+            return saved.data;
+        }
+        if (options.queueOffline && !isSafeMethod(method)) {
+            try {
+                const id = await offline.enqueue({ kind: 'json', url, method, body: options.body, label: options.queueLabel });
+                return { queued: true, id };
+            } catch (e) {
+                return undefined;
+            }
+        }
+        return undefined;
+    }
+
+    // True when the error only means a newer request replaced this one (or the caller aborted)
+    function isAbort(err) {
+        return !!(err && err.aborted);
+    }
+
+    function abort(key) {
+        const ctrl = inflight.get(key);
+        if (ctrl) {
+            ctrl.abort();
+            inflight.delete(key);
+        }
+    }
+
+    // ---------------- Typed endpoint methods ----------------
+
+    /**
+     * Time series for one parameter.
+     * @param {string} type  temperature|humidity|rainfall|water_level|wind_speed
+     * @param {{days?: number, limit?: number, historical?: boolean}} [range]
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{labels: string[], labels_manila: string[], values: number[], historical_values?: number[],
+     *     manual: boolean[], sensor_id: ?number, sensor_name: ?string, fallback: boolean}>}  manual: readings entered
+     *     by field observers; fallback: the location had no readings, so the values come from all sensors of the type
+     */
+    function chartData(type, range, location, options) {
+        const r = range || {};
+        return request('/api/chart-data/', Object.assign({
+            params: Object.assign({
+                type,
+                days: r.days,
+                limit: r.limit,
+                historical: r.historical ? 'true' : null,
+            }, locationParams(location)),
+        }, options));
+    }
+
+    /**
+     * Latest value and severity level per parameter.
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{items: Array<{parameter: string, unit: string, latest: ?number, level: number}>, max_level: number}>}
+     */
+    function parameterStatus(location, options) {
+        return request('/api/parameter-status/', Object.assign({ params: locationParams(location), offlineCache: true }, options));
+    }
+
+    /**
+     * Latest value, thresholds and severity per parameter.
+     * @param {string[]} parameters
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     */
+    function thresholdVisualization(parameters, location, options) {
+        return request('/api/threshold-visualization/', Object.assign({
+            params: Object.assign({ parameter: (parameters || []).join(',') }, locationParams(location)),
+        }, options));
+    }
+
+    /**
+     * @param {{active?: boolean}} [filters]
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{count: number, results: Array<Object>}>}
+     */
+    function floodAlerts(filters, location, options) {
+        const f = filters || {};
+        return request('/api/flood-alerts/', Object.assign({
+            params: Object.assign({ active: f.active ? 'true' : null }, locationParams(location)),
+            offlineCache: true,
+        }, options));
+    }
+
+    function floodAlert(id, options) {
+        return request(`/api/flood-alerts/${encodeURIComponent(id)}/`, options);
+    }
+
+    // Operator workflow actions; each resolves with the updated alert
+    function acknowledgeAlert(id, options) {
+        return request(`/api/flood-alerts/${encodeURIComponent(id)}/acknowledge/`, Object.assign({ method: 'POST' }, options));
+    }
+
+    /**
+     * @param {(string|number)} id
+     * @param {?(string|number)} userId  null clears the assignment
+     * @param {RequestOptions} [options]
+     */
+    function assignAlert(id, userId, options) {
+        return request(`/api/flood-alerts/${encodeURIComponent(id)}/assign/`, Object.assign({
+            method: 'POST', body: { user_id: userId },
+        }, options));
+    }
+
+    function escalateAlert(id, options) {
+        return request(`/api/flood-alerts/${encodeURIComponent(id)}/escalate/`, Object.assign({ method: 'POST' }, options));
+    }
+
+    /**
+     * Active users an alert can be assigned to.
+     * @returns {Promise<Array<{id: number, username: string, name: string, role: string}>>}
+     */
+    function alertResponders(options) {
+        return request('/api/flood-alerts/responders/', options);
+    }
+
+    /**
+     * Active alerts and affected barangays (with population totals) for a situation report.
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{location: Object, alerts: Array<Object>, affected_barangays: Array<Object>, totals: Object}>}
+     */
+    function sitrep(location, options) {
+        return request('/api/sitrep/', Object.assign({ params: locationParams(location), cache: 'no-store' }, options));
+    }
+
+    /**
+     * Sensors, risk zones and barangays for the map.
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{sensors: Array<Object>, zones: Array<Object>, barangays: Array<Object>}>}
+     */
+    function mapData(location, options) {
+        return request('/api/map-data/', Object.assign({ params: locationParams(location), offlineCache: true }, options));
+    }
+
+    /**
+     * Barangay boundary polygons joined to map-data barangays by `properties.barangay_id`.
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{type: string, features: Array<Object>, missing: number[]}>}
+     */
+    function barangayBoundaries(location, options) {
+        return request('/api/barangay-boundaries/', Object.assign({ params: locationParams(location), offlineCache: true }, options));
+    }
+
+    /**
+     * Historical map snapshots for the replay slider.
+     * @param {{hours?: number, start?: string, end?: string, stepMinutes?: number}} [range]
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{start: string, end: string, step_minutes: number, sensors: Array<Object>, barangays: Array<Object>, frames: Array<{time: string, time_manila: string, sensors: Object, barangays: Object}>}>}
+     */
+    function mapHistory(range, location, options) {
+        const r = range || {};
+        return request('/api/map-history/', Object.assign({
+            params: Object.assign({
+                hours: r.hours,
+                start: r.start,
+                end: r.end,
+                step_minutes: r.stepMinutes,
+            }, locationParams(location)),
+            timeout: 60000,
+        }, options));
+    }
+
+    /**
+     * Health of the active sensors (offline, flatlined, out of range, jumping or disagreeing
+     * with their neighbours) and their uptime over the last `days` days.
+     * @param {Location} [location]
+     * @param {{days?: number}} [range]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{generated_at: string, days: number, summary: Object<string, number>, sensors: Array<Object>}>}
+     */
+    function sensorHealth(location, range, options) {
+        const r = range || {};
+        return request('/api/sensor-health/', Object.assign({
+            params: Object.assign({ days: r.days }, locationParams(location)),
+            timeout: 60000,
+        }, options));
+    }
+
+    /**
+     * One sensor's metadata, readings (with accuracy rating), statistics, thresholds and health.
+     * @param {number|string} sensorId
+     * @param {{days?: number}} [range]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{sensor: Object, days: number, unit: string, readings: Array<{timestamp: string, value: number, accuracy_rating: ?number}>, stats: Object, thresholds: ?Object, health: ?Object, edit_url: ?string}>}
+     */
+    function sensorHistory(sensorId, range, options) {
+        const r = range || {};
+        return request(`/api/sensors/${encodeURIComponent(sensorId)}/history/`, Object.assign({
+            params: { days: r.days },
+            timeout: 60000,
+        }, options));
+    }
+
+    function heatmap(location, options) {
+        return request('/api/heatmap/', Object.assign({ params: locationParams(location) }, options));
+    }
+
+    /**
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{probability: number, severity_level: number, hours_to_flood: ?number, contributing_factors: string[], affected_barangays: Array<Object>}>}
+     */
+    function prediction(location, options) {
+        return request('/api/prediction/', Object.assign({ params: locationParams(location) }, options));
+    }
+
+    /**
+     * Trend extrapolation of recent readings (not the flood prediction model): forecast line, 80%
+     * band and expected threshold crossings per parameter.
+     * @param {string[]} parameters  e.g. ['rainfall', 'water_level']
+     * @param {number} horizon       Hours ahead: 6, 12, 24 or 48
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     */
+    function forecast(parameters, horizon, location, options) {
+        const params = Object.assign({ parameters: (parameters || []).join(','), horizon }, locationParams(location));
+        return request('/api/forecast/', Object.assign({ params }, options));
+    }
+
+    /**
+     * Each prediction algorithm's probability, ETA and factors, optionally with a backtest.
+     * @param {{algorithms?: string[], historyDays?: number}} [query]  historyDays 1-30 replays that
+     *        many days of readings and scores each algorithm against the observed water level
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     */
+    function compareAlgorithms(query, location, options) {
+        const q = query || {};
+        return request('/api/compare-algorithms/', Object.assign({
+            params: Object.assign({
+                algorithms: (q.algorithms || []).join(','),
+                history_days: q.historyDays,
+            }, locationParams(location)),
+            // A backtest runs every algorithm many times; wait for it rather than re-running it
+            timeout: q.historyDays ? 180000 : 60000,
+            retries: 0,
+        }, options));
+    }
+
+    /**
+     * Evacuation centres, the nearest usable centre and route per affected barangay, and
+     * capacity against the affected population.
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     */
+    function evacuationPlan(location, options) {
+        return request('/api/evacuation-plan/', Object.assign({ params: locationParams(location), offlineCache: true }, options));
+    }
+
+    /**
+     * Population exposed by severity level, municipality and barangay.
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     */
+    function populationAtRisk(location, options) {
+        return request('/api/population-at-risk/', Object.assign({ params: locationParams(location), offlineCache: true }, options));
+    }
+
+    function historicalSuggestion(query, location, options) {
+        const q = query || {};
+        return request('/api/historical-suggestion/', Object.assign({
+            params: Object.assign({ type: q.type, days: q.days }, locationParams(location)),
+        }, options));
+    }
+
+    /**
+     * Latest reading per sensor type.
+     * @param {{limit?: number}} [query]
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     */
+    function latestSensorData(query, location, options) {
+        const q = query || {};
+        return request('/api/sensor-data/', Object.assign({
+            params: Object.assign({ limit: q.limit }, locationParams(location)),
+        }, options));
+    }
+
+    function thresholdSettings(options) {
+        return request('/api/threshold-settings/', options);
+    }
+
+    function thresholds(options) {
+        return request('/api/thresholds/', options);
+    }
+
+    function municipalities(query, options) {
+        return request('/api/municipalities/', Object.assign({ params: query || {} }, options));
+    }
+
+    function municipality(id, options) {
+        return request(`/api/municipalities/${encodeURIComponent(id)}/`, options);
+    }
+
+    function barangays(query, options) {
+        return request('/api/barangays/', Object.assign({ params: query || {} }, options));
+    }
+
+    function barangay(id, options) {
+        return request(`/api/barangays/${encodeURIComponent(id)}/`, options);
+    }
+
+    function allBarangays(query, options) {
+        return request('/api/all-barangays/', Object.assign({ params: query || {} }, options));
+    }
+
+    /**
+     * Readings and alert changes since a cursor. The server holds the request for a few seconds
+     * when there is nothing new; without a cursor it answers at once with one to start from.
+     * @param {Location} [location]
+     * @param {?string} [cursor]  The previous response's cursor
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{cursor: string, events: Array<{event: string, data: Object}>}>}
+     */
+    function liveEvents(location, cursor, options) {
+        return request('/api/live-events/', Object.assign({
+            params: Object.assign(locationParams(location), { cursor }),
+            cache: 'no-store',
+            timeout: 30000,
+            retries: 0,
+        }, options));
+    }
+
+    function applyThresholds(body, options) {
+        return request('/api/apply-thresholds/', Object.assign({ method: 'POST', body }, options));
+    }
+
+    function addSensorData(body, options) {
+        return request('/api/add-sensor-data/', Object.assign({
+            method: 'POST', body, queueOffline: true, queueLabel: 'sensor reading',
+        }, options));
+    }
+
+    /**
+     * Import a chunk of historical readings (at most 500 rows). Rows already stored for the
+     * same sensor and timestamp come back as duplicates, so a chunk can safely be re-sent.
+     * Not queued offline: the import wizard keeps its own resumable progress.
+     * @param {{rows: Array<{row: number, sensor_id: number, timestamp: string, parameter?: string, value: number}>, dry_run?: boolean}} body
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{dry_run: boolean, received: number, created: number, importable: number, duplicates: number[], errors: Array<{row: number, error: string}>}>}
+     */
+    function importReadings(body, options) {
+        return request('/api/sensor-data/import/', Object.assign({
+            method: 'POST', body, timeout: 60000,
+        }, options));
+    }
+
+    function updateThreshold(body, options) {
+        return request('/api/update-threshold/', Object.assign({ method: 'POST', body }, options));
+    }
+
+    /**
+     * Municipality and barangay threshold overrides (not paginated).
+     * @param {{parameter?: string, municipality_id?: (number|string), barangay_id?: (number|string)}} [query]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Array<Object>>}
+     */
+    function thresholdOverrides(query, options) {
+        return request('/api/threshold-overrides/', Object.assign({ params: query || {} }, options));
+    }
+
+    /**
+     * Create an override, or update it when `body.id` is set.
+     * @param {Object} body
+     * @param {RequestOptions} [options]
+     */
+    function saveThresholdOverride(body, options) {
+        if (body.id) {
+            return request(`/api/threshold-overrides/${encodeURIComponent(body.id)}/`, Object.assign({ method: 'PATCH', body }, options));
+        }
+        return request('/api/threshold-overrides/', Object.assign({ method: 'POST', body }, options));
+    }
+
+    function deleteThresholdOverride(id, options) {
+        return request(`/api/threshold-overrides/${encodeURIComponent(id)}/`, Object.assign({ method: 'DELETE' }, options));
+    }
+
+    /**
+     * The signed-in user's alert rules (not paginated).
+     * @param {RequestOptions} [options]
+     * @returns {Promise<Array<Object>>}
+     */
+    function alertRules(options) {
+        return request('/api/alert-rules/', Object.assign({ offlineCache: true }, options));
+    }
+
+    function createAlertRule(body, options) {
+        return request('/api/alert-rules/', Object.assign({ method: 'POST', body }, options));
+    }
+
+    function updateAlertRule(id, body, options) {
+        return request(`/api/alert-rules/${encodeURIComponent(id)}/`, Object.assign({ method: 'PATCH', body }, options));
+    }
+
+    function deleteAlertRule(id, options) {
+        return request(`/api/alert-rules/${encodeURIComponent(id)}/`, Object.assign({ method: 'DELETE' }, options));
+    }
+
+    window.FloodApi = {
+        ApiError,
+        request,
+        abort,
+        isAbort,
+        getCSRFToken,
+        locationParams,
+        chartData,
+        parameterStatus,
+        thresholdVisualization,
+        floodAlerts,
+        floodAlert,
+        acknowledgeAlert,
+        assignAlert,
+        escalateAlert,
+        alertResponders,
+        sitrep,
+        mapData,
+        barangayBoundaries,
+        mapHistory,
+        sensorHealth,
+        sensorHistory,
+        heatmap,
+        prediction,
+        forecast,
+        compareAlgorithms,
+        evacuationPlan,
+        populationAtRisk,
+        historicalSuggestion,
+        latestSensorData,
+        thresholdSettings,
+        thresholds,
+        municipalities,
+        municipality,
+        barangays,
+        barangay,
+        allBarangays,
+        liveEvents,
+        applyThresholds,
+        addSensorData,
+        importReadings,
+        updateThreshold,
+        thresholdOverrides,
+        saveThresholdOverride,
+        deleteThresholdOverride,
+        alertRules,
+        createAlertRule,
+        updateAlertRule,
+        deleteAlertRule,
+    };
+
+})(window, document);
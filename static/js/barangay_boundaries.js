@@ -0,0 +1,189 @@
+// barangay_boundaries.js
+// Administrative boundary polygons for barangays, joined to map-data barangays by id.
+// Pages draw choropleth fills through window.FloodBoundaries instead of sizing circles by
+// population; barangays without an imported boundary fall back to a small point marker so
+// they stay visible and clickable.
+(function(window, document) {
+    'use strict';
+
+    // Boundaries rarely change; keep one request per location for the life of the page
+    const cache = new Map();
+
+    function cacheKey(location) {
+        const loc = location || {};
+        return `${loc.municipalityId || ''}:${loc.barangayId || ''}`;
+    }
+
+    /**
+     * Boundary features for a location keyed by barangay id (as a string).
+     * Resolves with an empty Map when boundaries cannot be loaded so maps still draw points.
+     * @param {{municipalityId: ?(string|number), barangayId: ?(string|number)}} [location]
+     * @returns {Promise<Map<string, Object>>}
+     */
+    function load(location) {
+        const key = cacheKey(location);
+        if (cache.has(key)) return cache.get(key);
+        const promise = FloodApi.barangayBoundaries(location)
+            .then(data => {
+                const byId = new Map();
+                ((data && data.features) || []).forEach(feature => {
+                    const id = feature.properties && feature.properties.barangay_id;
+                    if (id != null) byId.set(String(id), feature);
+                });
+                return byId;
+            })
+            .catch(err => {
+                cache.delete(key);   // try again on the next load
+                if (!FloodApi.isAbort(err)) console.warn('[Boundaries] Could not load boundaries:', err);
+                return new Map();
+            });
+        cache.set(key, promise);
+        return promise;
+    }
+
+    function baseStyle(level, color) {
+        return {
+            color,
+            weight: level >= 3 ? 2 : 1.5,          // thicker outline for higher risk
+            opacity: 0.9,
+            fillColor: color,
+            fillOpacity: 0.4,
+            dashArray: level >= 3 ? null : '4, 4', // dashed outline for lower risk
+        };
+    }
+
+    /**
+     * @typedef {Object} ChoroplethOptions
+     * @property {Function} levelFor    (barangay) -> severity level 0-5
+     * @property {Function} colorFor    (level) -> CSS colour
+     * @property {Function} [popupFor]  (barangay, level, color) -> popup HTML
+     * @property {Function} [onClick]   (barangay, layer) -> void
+     */
+
+    /**
+     * Draw one polygon (or fallback point) per barangay into `group`.
+     * @param {L.LayerGroup} group
+     * @param {Array<Object>} barangays   map-data barangays ({id, name, lat, lng, ...})
+     * @param {Map<string, Object>} boundaries  result of load()
+     * @param {ChoroplethOptions} options
+     * @returns {Map<string, L.Layer>} layer per barangay id
+     */
+    function drawChoropleth(group, barangays, boundaries, options) {
+        const opts = options || {};
+        const layers = new Map();
+
+        (barangays || []).forEach(b => {
+            if (b.id == null) return;
+            const level = Number(opts.levelFor(b)) || 0;
+            const color = opts.colorFor(level);
+            const style = baseStyle(level, color);
+            const feature = boundaries && boundaries.get(String(b.id));
+
+            let layer;
+            if (feature) {
+                layer = L.geoJSON(feature, { style: () => style });
+            } else if (b.lat && b.lng) {
+                layer = L.circleMarker([b.lat, b.lng], Object.assign({}, style, { radius: 7 }));
+            } else {
+                return;
+            }
+
+            if (opts.popupFor) layer.bindPopup(opts.popupFor(b, level, color));
+            layer.bindTooltip(b.name || 'Barangay', { sticky: true, direction: 'top' });
+            layer.on('mouseover', () => {
+                layer.setStyle({ weight: 3, fillOpacity: 0.6 });
+                if (layer.bringToFront) layer.bringToFront();
+            });
+            layer.on('mouseout', () => layer.setStyle(style));
+            if (opts.onClick) layer.on('click', () => opts.onClick(b, layer));
+
+            layer.addTo(group);
+            layers.set(String(b.id), layer);
+        });
+        return layers;
+    }
+
+    /**
+     * Bounds of a layer returned by drawChoropleth (a point for fallback markers).
+     * @param {L.Layer} layer
+     * @returns {L.LatLngBounds}
+     */
+    function boundsOf(layer) {
+        if (layer.getBounds) return layer.getBounds();
+        return L.latLngBounds([layer.getLatLng(), layer.getLatLng()]);
+    }
+
+    // Ray casting over one ring of [lng, lat] positions
+    function inRing(lng, lat, ring) {
+        let inside = false;
+        for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+            const xi = ring[i][0], yi = ring[i][1];
+            const xj = ring[j][0], yj = ring[j][1];
+            if (((yi > lat) !== (yj > lat)) && (lng < (xj - xi) * (lat - yi) / (yj - yi) + xi)) {
+                inside = !inside;
+            }
+        }
+        return inside;
+    }
+
+    function polygonsOf(feature) {
+        const geometry = feature && (feature.geometry || feature);
+        if (!geometry) return [];
+        if (geometry.type === 'Polygon') return [geometry.coordinates];
+        if (geometry.type === 'MultiPolygon') return geometry.coordinates;
+        return [];
+    }
+
+    /**
+     * True when [lat, lng] lies inside the boundary (holes excluded).
+     * @param {Object} feature  GeoJSON Feature or geometry
+     * @param {number} lat
+     * @param {number} lng
+     * @returns {boolean}
+     */
+    function contains(feature, lat, lng) {
+        return polygonsOf(feature).some(rings =>
+            rings.length > 0 && inRing(lng, lat, rings[0]) && !rings.slice(1).some(hole => inRing(lng, lat, hole))
+        );
+    }
+
+    /**
+     * Evenly spaced [lat, lng] points inside a boundary, for filling heatmaps from real extents.
+     * @param {Object} feature
+     * @param {number} [maxPoints=40]
+     * @returns {Array<Array<number>>}
+     */
+    function interiorPoints(feature, maxPoints = 40) {
+        const polygons = polygonsOf(feature);
+        if (!polygons.length) return [];
+        let minLng = Infinity, minLat = Infinity, maxLng = -Infinity, maxLat = -Infinity;
+        polygons.forEach(rings => (rings[0] || []).forEach(([lng, lat]) => {
+            minLng = Math.min(minLng, lng); maxLng = Math.max(maxLng, lng);
+            minLat = Math.min(minLat, lat); maxLat = Math.max(maxLat, lat);
+        }));
+        if (!isFinite(minLng)) return [];
+
+        // A grid of about maxPoints cells over the bounding box, keeping the cells inside
+        const steps = Math.max(2, Math.ceil(Math.sqrt(maxPoints)));
+        const dLng = (maxLng - minLng) / steps;
+        const dLat = (maxLat - minLat) / steps;
+        const points = [];
+        for (let i = 0; i < steps; i++) {
+            for (let j = 0; j < steps; j++) {
+                const lng = minLng + dLng * (i + 0.5);
+                const lat = minLat + dLat * (j + 0.5);
+                if (contains(feature, lat, lng)) points.push([lat, lng]);
+            }
+        }
+        return points;
+    }
+
+    window.FloodBoundaries = {
+        load,
+        drawChoropleth,
+        boundsOf,
+        contains,
+        interiorPoints,
+    };
+
+})(window, document);
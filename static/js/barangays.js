@@ -12,6 +12,9 @@ let selectedMunicipalityId = null;
 let selectedBarangayId = null;
 // Keep a registry of markers by barangay id for quick focus
 const markerByBarangayId = new Map();
+// Population-at-risk panel (population_risk.js) and the exposed count per barangay id for the cards
+let populationRisk = null;
+let exposureByBarangayId = {};
 
 // Initialize barangays page
 document.addEventListener('DOMContentLoaded', function() {
@@ -30,57 +33,111 @@ document.addEventListener('DOMContentLoaded', function() {
     // Load all municipalities
     loadMunicipalities();
     
-    // Set up municipality selector
+    // Selectors write to the shared FloodLocation store; applyLocation reacts to every change
     const municipalitySelect = document.getElementById('municipality-select');
     const barangaySelect = document.getElementById('barangay-select');
     if (municipalitySelect) {
         municipalitySelect.addEventListener('change', function() {
-            selectedMunicipalityId = this.value || null;
-            sessionStorage.setItem('barangays_page_muni_id', selectedMunicipalityId || '');
-            selectedBarangayId = null;
-            if (barangaySelect) {
-                barangaySelect.innerHTML = '<option value="">-- All Barangays --</option>';
-                barangaySelect.disabled = !selectedMunicipalityId;
-            }
-            if (selectedMunicipalityId) {
-                loadAllBarangaysForMunicipality(selectedMunicipalityId).then(() => {
-                    // Populate barangay dropdown
-                    populateBarangayDropdown(allBarangays);
-                });
-            } else {
-                // Reset barangay display when no municipality is selected
-                document.getElementById('barangay-cards-container').innerHTML = 
-                    '<div class="col-12 text-center py-5"><p class="text-muted">Please select a municipality to view its barangays</p></div>';
-                // Clear markers
-                clearBarangayMarkers();
-            }
+            FloodLocation.set({ municipalityId: this.value || null }, { source: 'barangays' });
         });
     }
 
     if (barangaySelect) {
         barangaySelect.addEventListener('change', function() {
-            selectedBarangayId = this.value || null;
-            sessionStorage.setItem('barangays_page_brgy_id', selectedBarangayId || '');
-            focusSelectedBarangayOnMap(selectedBarangayId);
+            FloodLocation.set({ barangayId: this.value || null }, { source: 'barangays' });
+        });
+    }
+
+    const riskSummary = document.getElementById('population-risk-summary');
+    if (riskSummary && window.FloodPopulationRisk) {
+        populationRisk = FloodPopulationRisk.attach(riskSummary, {
+            exportEl: document.getElementById('population-risk-export'),
+            onLoad: applyExposureToCards,
         });
     }
 
-    // Restore saved selections
-    const savedMuni = sessionStorage.getItem('barangays_page_muni_id');
-    const savedBrgy = sessionStorage.getItem('barangays_page_brgy_id');
-    if (savedMuni && municipalitySelect) {
-        municipalitySelect.value = savedMuni;
-        selectedMunicipalityId = savedMuni;
-        loadAllBarangaysForMunicipality(savedMuni).then(() => {
+    FloodLocation.subscribe(applyLocation);
+});
+
+/**
+ * Show the selected municipality/barangay. Called with `previous` null for the
+ * initial (restored) selection once the municipality options exist.
+ */
+function applyLocation(location, previous) {
+    const municipalitySelect = document.getElementById('municipality-select');
+    const barangaySelect = document.getElementById('barangay-select');
+    const municipalityChanged = !previous || location.municipalityId !== previous.municipalityId;
+    selectedMunicipalityId = location.municipalityId;
+    selectedBarangayId = location.barangayId;
+    
+    if (municipalitySelect) {
+        municipalitySelect.value = selectedMunicipalityId || '';
+    }
+    
+    if (!municipalityChanged) {
+        if (barangaySelect) {
+            barangaySelect.value = selectedBarangayId || '';
+        }
+        focusSelectedBarangayOnMap(selectedBarangayId);
+        return;
+    }
+    
+    if (barangaySelect) {
+        barangaySelect.innerHTML = '<option value="">-- All Barangays --</option>';
+        barangaySelect.disabled = !selectedMunicipalityId;
+    }
+    refreshPopulationRisk();
+    if (selectedMunicipalityId) {
+        loadAllBarangaysForMunicipality(selectedMunicipalityId).then(() => {
+            // Populate barangay dropdown
             populateBarangayDropdown(allBarangays);
-            if (savedBrgy && barangaySelect) {
-                barangaySelect.value = savedBrgy;
-                selectedBarangayId = savedBrgy;
+            if (selectedBarangayId && barangaySelect) {
+                barangaySelect.value = selectedBarangayId;
                 focusSelectedBarangayOnMap(selectedBarangayId);
             }
         });
+    } else {
+        // Reset barangay display when no municipality is selected
+        document.getElementById('barangay-cards-container').innerHTML = 
+            '<div class="col-12 text-center py-5"><p class="text-muted">Please select a municipality to view its barangays</p></div>';
+        // Clear markers
+        clearBarangayMarkers();
     }
-});
+}
+
+/**
+ * Reload the population at risk for the selected municipality (every barangay, so each card has
+ * its figure), or for all areas when none is selected.
+ */
+function refreshPopulationRisk() {
+    if (!populationRisk) return;
+    exposureByBarangayId = {};
+    applyExposureToCards();
+    const municipality = FloodLocation.get().municipality;
+    const label = selectedMunicipalityId ? ((municipality && municipality.name) || 'Selected municipality') : 'All Areas';
+    populationRisk.refresh({ municipalityId: selectedMunicipalityId, barangayId: null }, label);
+}
+
+/**
+ * Fill the "At risk" line of each barangay card from the last population-at-risk report.
+ */
+function applyExposureToCards(report) {
+    if (report) {
+        exposureByBarangayId = {};
+        report.barangays.forEach(b => { exposureByBarangayId[b.id] = b; });
+    }
+    const loaded = populationRisk && populationRisk.report();
+    document.querySelectorAll('[data-exposed-for]').forEach(el => {
+        const exposure = exposureByBarangayId[el.getAttribute('data-exposed-for')];
+        if (exposure) {
+            el.textContent = `${exposure.exposed.toLocaleString()} (${FloodThresholds.nameOf(exposure.max_level)})`;
+            el.style.color = FloodThresholds.colorOf(exposure.max_level);
+        } else {
+            el.textContent = loaded ? 'None' : '…';
+            el.style.color = '';
+        }
+    });
+}
 
 /**
  * Initialize the barangays overview map
@@ -102,8 +159,7 @@ function initializeBarangaysMap() {
  * Load barangay data for map visualization
  */
 function loadBarangayMapData() {
-    fetch('/api/barangays/')
-        .then(response => response.json())
+    FloodApi.barangays()
         .then(data => {
             if (!data.results || data.results.length === 0) {
                 console.warn('No barangay data available');
@@ -111,8 +167,7 @@ function loadBarangayMapData() {
             }
             
             // Load active alerts to check affected barangays
-            fetch('/api/flood-alerts/?active=true')
-                .then(alertResponse => alertResponse.json())
+            FloodApi.floodAlerts({ active: true })
                 .then(alertData => {
                     const activeAlerts = alertData.results || [];
                     // Create a map of barangay IDs to their highest alert severity
@@ -157,35 +212,10 @@ function addBarangayMarkers(barangays, affectedBarangays) {
         // Add to coordinates list
         coordinates.push([barangay.latitude, barangay.longitude]);
         
-        // Determine marker color based on alert severity
-        let markerColor = '#198754'; // Default green (Normal)
-        let severityText = 'Normal';
-        const severity = affectedBarangays[barangay.id];
-        
-        if (severity) {
-            switch (severity) {
-                case 5:
-                    markerColor = '#7F0000'; // Catastrophic
-                    severityText = 'Catastrophic';
-                    break;
-                case 4:
-                    markerColor = '#DC3545'; // Emergency
-                    severityText = 'Emergency';
-                    break;
-                case 3:
-                    markerColor = '#FD7E14'; // Warning
-                    severityText = 'Warning';
-                    break;
-                case 2:
-                    markerColor = '#FFC107'; // Watch
-                    severityText = 'Watch';
-                    break;
-                case 1:
-                    markerColor = '#0DCAF0'; // Advisory
-                    severityText = 'Advisory';
-                    break;
-            }
-        }
+        // Determine marker color based on alert severity (shared palette)
+        const severity = affectedBarangays[barangay.id] || 0;
+        const markerColor = FloodThresholds.colorOf(severity);
+        const severityText = FloodThresholds.nameOf(severity);
         
         // Create custom icon
         const icon = L.divIcon({
@@ -248,8 +278,7 @@ function setupSearchForm(form) {
  * Load all municipalities into the dropdown
  */
 function loadMunicipalities() {
-    fetch('/api/municipalities/')
-        .then(response => response.json())
+    FloodApi.municipalities()
         .then(data => {
             if (!data.results || data.results.length === 0) {
                 console.warn('No municipalities available');
@@ -278,22 +307,10 @@ function loadMunicipalities() {
                     municipalitySelect.appendChild(option);
                 });
                 
-                // Check if we need to auto-select a municipality
-                // Try to get from URL parameters first, then session storage
-                const urlParams = new URLSearchParams(window.location.search);
-                const municipalityIdFromUrl = urlParams.get('municipality_id');
-                
-                if (municipalityIdFromUrl) {
-                    municipalitySelect.value = municipalityIdFromUrl;
-                    selectedMunicipalityId = municipalityIdFromUrl;
-                    loadAllBarangaysForMunicipality(municipalityIdFromUrl);
-                } else {
-                    const savedMunicipalityId = sessionStorage.getItem('selectedMunicipalityId');
-                    if (savedMunicipalityId) {
-                        municipalitySelect.value = savedMunicipalityId;
-                        selectedMunicipalityId = savedMunicipalityId;
-                        loadAllBarangaysForMunicipality(savedMunicipalityId);
-                    }
+                // Show the restored selection (shared link or last visit)
+                const location = FloodLocation.get();
+                if (location.municipalityId) {
+                    applyLocation(location, null);
                 }
             }
         })
@@ -311,9 +328,6 @@ function loadAllBarangaysForMunicipality(municipalityId) {
     // Convert to integer for consistent comparison
     const municipalityIdInt = parseInt(municipalityId);
     
-    // Save the selection to session storage
-    sessionStorage.setItem('selectedMunicipalityId', municipalityIdInt);
-    
     // Show loading state
     const barangayCardsContainer = document.getElementById('barangay-cards-container');
     if (barangayCardsContainer) {
@@ -327,16 +341,8 @@ function loadAllBarangaysForMunicipality(municipalityId) {
         `;
     }
     
-    // Use the new comprehensive API endpoint
-    const url = `/api/all-barangays/?municipality_id=${municipalityIdInt}`;
-    
-    return fetch(url)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! Status: ${response.status}`);
-            }
-            return response.json();
-        })
+    // Use the comprehensive API endpoint; switching municipality supersedes the previous load
+    return FloodApi.allBarangays({ municipality_id: municipalityIdInt }, { key: 'barangays:municipality' })
         .then(data => {
             if (data.barangays && data.barangays.length > 0) {
                 // Determine municipality object from API (supports either `municipality` or `municipalities` array)
@@ -352,9 +358,8 @@ function loadAllBarangaysForMunicipality(municipalityId) {
                 allBarangays = data.barangays;
                 
                 // Fetch active alerts for the municipality to annotate cards with warnings
-                const alertsUrl = `/api/flood-alerts/?active=true&municipality_id=${municipalityIdInt}`;
-                return fetch(alertsUrl)
-                  .then(r => r.ok ? r.json() : { results: [] })
+                return FloodApi.floodAlerts({ active: true }, { municipalityId: municipalityIdInt })
+                  .catch(() => ({ results: [] }))
                   .then(alertData => {
                     const alerts = alertData.results || [];
                     const alertsByBarangay = {};
@@ -385,6 +390,8 @@ function loadAllBarangaysForMunicipality(municipalityId) {
             }
         })
         .catch(error => {
+            // Another municipality was selected before this one finished loading
+            if (FloodApi.isAbort(error)) return;
             console.error(`Error loading barangays for municipality ${municipalityId}:`, error);
             
             // Display error message
@@ -443,13 +450,8 @@ function displayBarangayCards(municipality, barangays, alertsByBarangay = {}) {
         // Determine warning based on alerts map
         const a = alertsByBarangay[barangay.id];
         const sev = a ? a.level : 0;
-        let stripColor = '#198754'; // default green
-        let sevText = 'Normal';
-        if (sev === 1) { stripColor = '#0DCAF0'; sevText = 'Advisory'; }
-        if (sev === 2) { stripColor = '#FFC107'; sevText = 'Watch'; }
-        if (sev === 3) { stripColor = '#FD7E14'; sevText = 'Warning'; }
-        if (sev === 4) { stripColor = '#DC3545'; sevText = 'Emergency'; }
-        if (sev === 5) { stripColor = '#7F0000'; sevText = 'Catastrophic'; }
+        const stripColor = FloodThresholds.colorOf(sev);
+        const sevText = FloodThresholds.nameOf(sev);
 
         cardsHtml += `
             <div class="col-md-4 col-lg-3 mb-3">
@@ -471,10 +473,14 @@ function displayBarangayCards(municipality, barangays, alertsByBarangay = {}) {
                             <span>Population:</span>
                             <strong>${barangay.population.toLocaleString()}</strong>
                         </div>
-                        <div class="d-flex justify-content-between mb-3">
+                        <div class="d-flex justify-content-between mb-2">
                             <span>% of Municipality:</span>
                             <strong>${populationPercentage}%</strong>
                         </div>
+                        <div class="d-flex justify-content-between mb-3">
+                            <span>At Risk:</span>
+                            <strong data-exposed-for="${barangay.id}">…</strong>
+                        </div>
                         
                         ${barangay.contact_person ? `
                         <div class="d-flex justify-content-between mb-2">
@@ -503,6 +509,7 @@ function displayBarangayCards(municipality, barangays, alertsByBarangay = {}) {
     
     // Update the container
     barangayCardsContainer.innerHTML = cardsHtml;
+    applyExposureToCards();
 }
 
 // Basic HTML escape to avoid XSS when rendering alert titles
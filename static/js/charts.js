@@ -60,9 +60,9 @@ document.addEventListener('DOMContentLoaded', function() {
     if (document.getElementById('temperature-chart')) {
         initializeCharts();
         
-        // When municipality changes, also update chart data
-        window.addEventListener('municipalityChanged', function(e) {
-            console.log('[Charts] Detected municipality change, updating all charts');
+        // When the location changes, also update chart data
+        FloodLocation.subscribe(function() {
+            console.log('[Charts] Detected location change, updating all charts');
             // Set a small delay to ensure all components have updated
             setTimeout(() => {
                 loadChartData('temperature');
@@ -71,6 +71,11 @@ document.addEventListener('DOMContentLoaded', function() {
             }, 100);
         });
         
+        // Follow the map replay (map_time_slider.js) with a time cursor
+        if (window.FloodTimeSlider) {
+            FloodTimeSlider.bindChartCursor(() => [temperatureChart, rainfallChart, waterLevelChart]);
+        }
+        
         // Setup time period selector
         document.querySelectorAll('.chart-period').forEach(item => {
             item.addEventListener('click', function(e) {
@@ -98,7 +103,7 @@ document.addEventListener('DOMContentLoaded', function() {
         document.querySelectorAll('.export-chart').forEach(btn => {
             btn.addEventListener('click', function() {
                 const chartId = this.getAttribute('data-chart');
-                exportChart(chartId);
+                exportChart(chartId, this.getAttribute('data-format') || 'png');
             });
         });
         
@@ -130,6 +135,11 @@ function initializeCharts() {
     // Create water level chart
     waterLevelChart = createChart('water-level-chart', 'Water Level (m)', chartColors.waterLevel);
     
+    // Advisory → catastrophic bands on each chart
+    addThresholdAnnotation(temperatureChart, 'temperature');
+    addThresholdAnnotation(rainfallChart, 'rainfall');
+    addThresholdAnnotation(waterLevelChart, 'water_level');
+    
     // Load initial data
     loadChartData('temperature');
     loadChartData('rainfall');
@@ -142,8 +152,7 @@ function initializeCharts() {
  */
 function updateAllCharts() {
     console.log('Updating all charts with location filters...');
-    console.log('Current Municipality:', window.selectedMunicipality ? window.selectedMunicipality.name : 'All Municipalities');
-    console.log('Current Barangay:', window.selectedBarangay ? window.selectedBarangay.name : 'All Barangays');
+    console.log('Current location:', FloodLocation.label());
     
     // Reset zoom on all charts
     resetZoom('temperature-chart');
@@ -158,17 +167,7 @@ function updateAllCharts() {
     // Update the location display in the UI if applicable
     const locationDisplay = document.getElementById('current-location-display');
     if (locationDisplay) {
-        let locationText = 'All Areas';
-        
-        if (window.selectedMunicipality) {
-            locationText = window.selectedMunicipality.name;
-            
-            if (window.selectedBarangay) {
-                locationText += ' > ' + window.selectedBarangay.name;
-            }
-        }
-        
-        locationDisplay.textContent = locationText;
+        locationDisplay.textContent = FloodLocation.label();
     }
 }
 
@@ -449,72 +448,24 @@ function loadChartData(sensorType) {
         chart.update();
     }
     
-    // Construct the URL with parameters
-    let url = `/api/chart-data/?type=${sensorType}&days=${chartTimePeriod}`;
-    
-    // Add location parameters if available
-    if (window.selectedMunicipality) {
-        url += `&municipality_id=${window.selectedMunicipality.id}`;
-        console.log(`[Chart] Adding municipality filter: ${window.selectedMunicipality.name}`);
-    }
-    
-    if (window.selectedBarangay) {
-        url += `&barangay_id=${window.selectedBarangay.id}`;
-        console.log(`[Chart] Adding barangay filter: ${window.selectedBarangay.name}`);
-    }
-    
-    console.log(`[Chart] Fetching ${sensorType} data with URL: ${url}`);
+    const location = FloodLocation.get();
+    const hasData = d => d && d.labels && d.values && d.labels.length > 0;
+    const requestKey = `charts:${sensorType}`;
     
     // Fetch data from API with location filters
-    fetch(url)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! Status: ${response.status}`);
+    FloodApi.chartData(sensorType, { days: chartTimePeriod }, location, { key: requestKey })
+        .then(data => {
+            // If there's a municipality filter, fall back to data without the filter
+            if (!hasData(data) && location.municipalityId) {
+                console.log(`Retrying ${sensorType} data fetch without municipality filter as fallback`);
+                return FloodApi.chartData(sensorType, { days: chartTimePeriod }, null, { key: requestKey });
             }
-            return response.json();
+            return data;
         })
         .then(data => {
             // Ensure we have valid data
-            if (!data.labels || !data.values || data.labels.length === 0) {
+            if (!hasData(data)) {
                 console.warn(`No chart data available for ${sensorType}`);
-                
-                // If there's a municipality filter, try fetching data without the filter
-                if (window.selectedMunicipality && !window.isRetryFetch) {
-                    console.log(`Retrying ${sensorType} data fetch without municipality filter as fallback`);
-                    window.isRetryFetch = true;
-                    let baseUrl = `/api/chart-data/?type=${sensorType}&days=${chartTimePeriod}`;
-                    
-                    fetch(baseUrl)
-                        .then(response => response.json())
-                        .then(fullData => {
-                            window.isRetryFetch = false;
-                            if (!fullData.labels || !fullData.values || fullData.labels.length === 0) {
-                                chart.data.labels = ['No Data Available'];
-                                chart.data.datasets[0].data = [0];
-                            } else {
-                                try {
-                                    chart.data.labels = fullData.labels.map(l => {
-                                        const d = new Date(l);
-                                        return (!isNaN(d.getTime())) ? d.toISOString() : l;
-                                    });
-                                } catch (e) {
-                                    chart.data.labels = fullData.labels;
-                                }
-                                chart.data.datasets[0].data = fullData.values;
-                                console.log(`Updated ${sensorType} chart with ${fullData.labels.length} data points (using global data)`); 
-                            }
-                            chart.update();
-                        })
-                        .catch(error => {
-                            window.isRetryFetch = false;
-                            console.error(`Error loading full ${sensorType} chart data:`, error);
-                            chart.data.labels = ['Error Loading Data'];
-                            chart.data.datasets[0].data = [0];
-                            chart.update();
-                        });
-                    return;
-                }
-                
                 chart.data.labels = ['No Data Available'];
                 chart.data.datasets[0].data = [0];
                 chart.update();
@@ -536,6 +487,8 @@ function loadChartData(sensorType) {
             console.log(`Updated ${sensorType} chart with ${data.labels.length} data points`);
         })
         .catch(error => {
+            // A newer load for this chart replaced this one
+            if (FloodApi.isAbort(error)) return;
             console.error(`Error loading ${sensorType} chart data:`, error);
             if (chart) {
                 chart.data.labels = ['Error Loading Data'];
@@ -546,21 +499,27 @@ function loadChartData(sensorType) {
 }
 
 /**
- * Export chart as image
+ * Export chart as an image, or its data as CSV / XLSX / JSON (via FloodExport)
+ * @param {string} chartId
+ * @param {string} [format] 'png' (default), 'csv', 'xlsx' or 'json'
  */
-function exportChart(chartId) {
+function exportChart(chartId, format = 'png') {
     let chart;
+    let parameter;
     
     // Get the appropriate chart object
     switch (chartId) {
         case 'temperature-chart':
             chart = temperatureChart;
+            parameter = 'temperature';
             break;
         case 'rainfall-chart':
             chart = rainfallChart;
+            parameter = 'rainfall';
             break;
         case 'water-level-chart':
             chart = waterLevelChart;
+            parameter = 'water_level';
             break;
         default:
             console.error('Unknown chart ID:', chartId);
@@ -569,6 +528,28 @@ function exportChart(chartId) {
     
     if (!chart) return;
     
+    if (format !== 'png') {
+        if (!window.FloodExport) {
+            console.error('trends_export.js is not loaded');
+            return;
+        }
+        // Placeholder labels ('Loading...', 'No Data Available') are not timestamps
+        const labels = [];
+        const values = [];
+        (chart.data.labels || []).forEach((label, i) => {
+            if (isNaN(Date.parse(label))) return;
+            labels.push(label);
+            values.push(chart.data.datasets[0].data[i]);
+        });
+        FloodExport.exportTrends(format, { labels, series: { [parameter]: values } }, {
+            filename: `${chartId}-${new Date().toISOString().slice(0, 10)}`,
+        }).catch(error => {
+            console.error(`Error exporting ${chartId}:`, error);
+            alert(error.message || 'Could not export the chart data.');
+        });
+        return;
+    }
+    
     // Create a temporary link for downloading
     const link = document.createElement('a');
     link.download = `${chartId}-${new Date().toISOString().slice(0, 10)}.png`;
@@ -579,36 +560,16 @@ function exportChart(chartId) {
 }
 
 /**
- * Update chart annotations with threshold markers
+ * Draw the threshold lines and severity bands for a parameter on a chart, and mark
+ * the readings that cross into another band (see thresholds.js)
+ * @param {Chart} chart
+ * @param {string} parameter  e.g. 'rainfall'
+ * @param {number} [datasetIndex] Dataset holding the readings (default 0)
  */
-function addThresholdAnnotation(chart, thresholdValue, label, color) {
-    // If we're using Chart.js v3+, we need the annotation plugin
-    if (!chart.options.plugins.annotation) {
-        chart.options.plugins.annotation = {
-            annotations: {}
-        };
-    }
-    
-    // Create a unique ID for this annotation
-    const id = `threshold-${label.replace(/\s+/g, '-').toLowerCase()}`;
-    
-    // Add the horizontal line annotation
-    chart.options.plugins.annotation.annotations[id] = {
-        type: 'line',
-        mode: 'horizontal',
-        scaleID: 'y',
-        value: thresholdValue,
-        borderColor: color,
-        borderWidth: 2,
-        label: {
-            backgroundColor: color,
-            content: label,
-            enabled: true,
-            position: 'right'
-        }
-    };
-    
-    // Update the chart
+function addThresholdAnnotation(chart, parameter, datasetIndex = 0) {
+    if (!chart || !window.FloodThresholds) return;
+    chart.options.plugins.floodThresholds = { parameter, datasetIndex };
+    FloodThresholds.load().catch(error => console.warn('Threshold settings unavailable:', error));
     chart.update();
 }
 
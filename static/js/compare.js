@@ -0,0 +1,394 @@
+// static/js/compare.js
+// Compare Locations page: rainfall or water level at up to four municipalities/barangays,
+// overlaid on one chart or as small multiples on a shared scale, with a table of peaks,
+// time to peak and the lag of each peak behind the first location's. The selection is kept
+// in the query string (?compare=<municipality>-<barangay>,...) so a comparison can be shared.
+
+document.addEventListener('DOMContentLoaded', function() {
+    const MAX_LOCATIONS = 4;
+    const COLORS = ['#2563eb', '#dc2626', '#059669', '#d97706'];
+    const UNITS = { rainfall: 'mm', water_level: 'm' };
+
+    // --- STATE ---
+    const state = {
+        locations: [],          // [{municipalityId, barangayId, label}]
+        parameter: 'water_level',
+        days: 3,
+        mode: 'overlay',        // 'overlay' | 'multiples'
+        results: [],            // per location: {times: ms[], values: number[], manual: boolean[], fallback, sensor}
+        overlayChart: null,
+        multipleCharts: [],
+    };
+
+    const els = {
+        municipality: document.getElementById('compare-municipality'),
+        barangay: document.getElementById('compare-barangay'),
+        add: document.getElementById('compare-add'),
+        parameter: document.getElementById('compare-parameter'),
+        days: document.getElementById('compare-days'),
+        chips: document.getElementById('compare-locations'),
+        empty: document.getElementById('compare-empty'),
+        overlay: document.getElementById('compare-overlay'),
+        multiples: document.getElementById('compare-multiples'),
+        tableBody: document.querySelector('#compare-table tbody'),
+        lagHeader: document.getElementById('compare-lag-header'),
+    };
+
+    // --- FORMATTING ---
+    function formatManila(ms, withDate) {
+        try {
+            return new Intl.DateTimeFormat('en-GB', Object.assign({
+                timeZone: 'Asia/Manila', hour: '2-digit', minute: '2-digit', hour12: false
+            }, withDate ? { day: '2-digit', month: 'short' } : {})).format(new Date(ms));
+        } catch (e) {
+            return new Date(ms).toLocaleString();
+        }
+    }
+
+    function formatDuration(ms, signed) {
+        const sign = signed ? (ms > 0 ? '+' : ms < 0 ? '−' : '') : '';
+        const minutes = Math.round(Math.abs(ms) / 60000);
+        const text = minutes < 60 ? `${minutes} min` : `${(minutes / 60).toFixed(1).replace(/\.0$/, '')} h`;
+        return sign + text;
+    }
+
+    function formatValue(value) {
+        return value === null || value === undefined ? '—' : `${Number(value).toFixed(2).replace(/\.?0+$/, '')} ${UNITS[state.parameter]}`;
+    }
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    // --- URL ---
+    function readUrl() {
+        const params = new URLSearchParams(window.location.search);
+        (params.get('compare') || '').split(',').filter(Boolean).slice(0, MAX_LOCATIONS).forEach(part => {
+            const [m, b] = part.split('-');
+            if (m) state.locations.push({ municipalityId: Number(m), barangayId: b ? Number(b) : null, label: null });
+        });
+        if (UNITS[params.get('parameter')]) state.parameter = params.get('parameter');
+        if (Number(params.get('days')) > 0) state.days = Number(params.get('days'));
+        if (params.get('mode') === 'multiples') state.mode = 'multiples';
+    }
+
+    function writeUrl() {
+        const params = new URLSearchParams(window.location.search);
+        params.set('compare', state.locations.map(l => `${l.municipalityId}-${l.barangayId || ''}`).join(','));
+        params.set('parameter', state.parameter);
+        params.set('days', String(state.days));
+        params.set('mode', state.mode);
+        window.history.replaceState(null, '', `${window.location.pathname}?${params.toString()}`);
+    }
+
+    // Locations restored from a link have ids only
+    function loadLabels() {
+        state.locations.forEach(loc => {
+            if (loc.label) return;
+            const municipality = FloodApi.municipality(loc.municipalityId);
+            const barangay = loc.barangayId ? FloodApi.barangay(loc.barangayId) : Promise.resolve(null);
+            Promise.all([municipality, barangay]).then(([m, b]) => {
+                loc.label = b ? `${b.name}, ${m.name}` : m.name;
+                renderChips();
+                renderCharts();
+                renderTable();
+            }).catch(() => {});
+        });
+    }
+
+    function labelOf(loc, i) {
+        return loc.label || `Location ${i + 1}`;
+    }
+
+    // --- LOCATION PICKER ---
+    function bindPicker() {
+        els.municipality.addEventListener('change', () => {
+            const id = els.municipality.value;
+            els.barangay.innerHTML = '<option value="" selected>Whole municipality</option>';
+            els.barangay.disabled = true;
+            updateAddButton();
+            if (!id) return;
+            FloodApi.allBarangays({ municipality_id: id }, { key: 'compare:barangay-options' })
+                .then(data => {
+                    (data.barangays || []).sort((a, b) => a.name.localeCompare(b.name)).forEach(b => {
+                        const opt = document.createElement('option');
+                        opt.value = b.id;
+                        opt.textContent = b.name;
+                        els.barangay.appendChild(opt);
+                    });
+                    els.barangay.disabled = false;
+                })
+                .catch(err => {
+                    if (!FloodApi.isAbort(err)) console.error('[Compare] Could not load barangays:', err);
+                });
+        });
+
+        els.add.addEventListener('click', () => {
+            const municipalityId = Number(els.municipality.value);
+            const barangayId = els.barangay.value ? Number(els.barangay.value) : null;
+            if (!municipalityId || state.locations.length >= MAX_LOCATIONS) return;
+            if (state.locations.some(l => l.municipalityId === municipalityId && l.barangayId === barangayId)) return;
+            const muniName = els.municipality.options[els.municipality.selectedIndex].text;
+            const label = barangayId ? `${els.barangay.options[els.barangay.selectedIndex].text}, ${muniName}` : muniName;
+            state.locations.push({ municipalityId, barangayId, label });
+            changed();
+        });
+
+        els.chips.addEventListener('click', e => {
+            const btn = e.target.closest('[data-remove-location]');
+            if (!btn) return;
+            state.locations.splice(Number(btn.dataset.removeLocation), 1);
+            changed();
+        });
+
+        els.parameter.addEventListener('change', () => {
+            state.parameter = els.parameter.value;
+            changed();
+        });
+        els.days.addEventListener('change', () => {
+            state.days = Number(els.days.value) || 3;
+            changed();
+        });
+        document.querySelectorAll('[data-compare-mode]').forEach(btn => {
+            btn.addEventListener('click', () => {
+                state.mode = btn.dataset.compareMode;
+                writeUrl();
+                renderCharts();
+            });
+        });
+    }
+
+    function updateAddButton() {
+        els.add.disabled = !els.municipality.value || state.locations.length >= MAX_LOCATIONS;
+        els.add.title = state.locations.length >= MAX_LOCATIONS ? `Up to ${MAX_LOCATIONS} locations` : '';
+    }
+
+    function renderChips() {
+        els.chips.innerHTML = state.locations.map((loc, i) => `
+            <span class="badge rounded-pill border text-dark bg-light d-inline-flex align-items-center gap-2 px-3 py-2">
+                <span style="display:inline-block; width:10px; height:10px; border-radius:50%; background:${COLORS[i]};"></span>
+                ${escapeHtml(labelOf(loc, i))}${i === 0 ? ' <small class="text-muted">(reference)</small>' : ''}
+                <button type="button" class="btn-close btn-close-sm" style="font-size:9px;" data-remove-location="${i}" aria-label="Remove"></button>
+            </span>`).join('');
+        updateAddButton();
+    }
+
+    function changed() {
+        writeUrl();
+        renderChips();
+        loadData();
+    }
+
+    // --- DATA ---
+    function loadData() {
+        const parameter = state.parameter;
+        const queries = state.locations.map((loc, i) =>
+            FloodApi.chartData(parameter, { days: state.days }, loc, { key: `compare:${i}` })
+                .then(d => {
+                    const times = [];
+                    const values = [];
+                    const manual = [];
+                    // Peak, time to peak and lag cover the period on the chart and nothing older
+                    const since = Date.now() - state.days * 24 * 3600 * 1000;
+                    (d.labels || []).forEach((label, j) => {
+                        const ms = Date.parse(label);
+                        const v = Number(d.values[j]);
+                        if (isNaN(ms) || ms < since || !Number.isFinite(v)) return;
+                        times.push(ms);
+                        values.push(v);
+                        manual.push(!!(d.manual && d.manual[j]));
+                    });
+                    return { times, values, manual, fallback: !!d.fallback, sensor: d.sensor_name || null };
+                })
+                .catch(err => {
+                    if (FloodApi.isAbort(err)) throw err;
+                    console.error('[Compare] Could not load chart data:', err);
+                    return { times: [], values: [], fallback: false, sensor: null, error: true };
+                })
+        );
+        Promise.all(queries).then(results => {
+            state.results = results.map(r => Object.assign(r, stats(r)));
+            renderCharts();
+            renderTable();
+        }).catch(err => {
+            if (!FloodApi.isAbort(err)) console.error('[Compare] Load failed:', err);
+        });
+    }
+
+    // Peak, the start of the rise that led to it, and the latest value
+    function stats(series) {
+        // A location without its own sensor gets everyone's data back; it says nothing about that place
+        if (series.fallback || !series.values.length) return { peak: null };
+        let peakIndex = 0;
+        series.values.forEach((v, i) => { if (v > series.values[peakIndex]) peakIndex = i; });
+        let riseIndex = peakIndex;
+        while (riseIndex > 0 && series.values[riseIndex - 1] <= series.values[riseIndex]) riseIndex--;
+        return {
+            peak: series.values[peakIndex],
+            peakTime: series.times[peakIndex],
+            timeToPeak: series.times[peakIndex] - series.times[riseIndex],
+            latest: series.values[series.values.length - 1],
+        };
+    }
+
+    // --- CHARTS ---
+    function destroyCharts() {
+        if (state.overlayChart) state.overlayChart.destroy();
+        state.overlayChart = null;
+        state.multipleCharts.forEach(c => c.destroy());
+        state.multipleCharts = [];
+    }
+
+    function chartOptions(yMax, thresholds) {
+        const windowEnd = Date.now();
+        return {
+            responsive: true,
+            maintainAspectRatio: false,
+            animation: false,
+            interaction: { mode: 'nearest', axis: 'x', intersect: false },
+            scales: {
+                x: {
+                    type: 'linear',
+                    min: windowEnd - state.days * 24 * 3600 * 1000,
+                    max: windowEnd,
+                    ticks: { maxTicksLimit: 8, callback: value => formatManila(value, state.days > 1) },
+                },
+                y: {
+                    beginAtZero: true,
+                    suggestedMax: yMax,
+                    title: { display: true, text: `${state.parameter === 'rainfall' ? 'Rainfall' : 'Water Level'} (${UNITS[state.parameter]})` },
+                },
+            },
+            plugins: {
+                legend: { position: 'top' },
+                tooltip: {
+                    callbacks: {
+                        title: items => (items.length ? `${formatManila(items[0].parsed.x, true)} (Asia/Manila)` : ''),
+                        label: item => `${item.dataset.label}: ${formatValue(item.parsed.y)}`,
+                    },
+                },
+                floodThresholds: thresholds,
+            },
+        };
+    }
+
+    function dataset(i) {
+        const r = state.results[i];
+        return {
+            label: labelOf(state.locations[i], i),
+            data: r.fallback ? [] : r.times.map((t, j) => ({ x: t, y: r.values[j] })),
+            manual: r.fallback ? [] : (r.manual || []),
+            borderColor: COLORS[i],
+            backgroundColor: COLORS[i],
+            borderWidth: 2,
+            pointRadius: 0,
+            pointHoverRadius: 4,
+            tension: 0.2,
+        };
+    }
+
+    function renderCharts() {
+        document.querySelectorAll('[data-compare-mode]').forEach(btn => {
+            btn.classList.toggle('active', btn.dataset.compareMode === state.mode);
+        });
+        destroyCharts();
+        const ready = state.results.length === state.locations.length && state.locations.length > 0;
+        els.empty.classList.toggle('d-none', ready);
+        els.overlay.classList.toggle('d-none', !ready || state.mode !== 'overlay');
+        els.multiples.classList.toggle('d-none', !ready || state.mode !== 'multiples');
+        els.multiples.innerHTML = '';
+        if (!ready) return;
+
+        // One scale for every location so heights compare directly
+        const yMax = Math.max(0, ...state.results.filter(r => !r.fallback).map(r => Math.max(0, ...r.values)));
+
+        if (state.mode === 'overlay') {
+            state.overlayChart = new Chart(document.getElementById('compare-overlay-chart'), {
+                type: 'line',
+                data: { datasets: state.locations.map((_, i) => dataset(i)) },
+                options: chartOptions(yMax, { parameter: state.parameter, markCrossings: false }),
+            });
+            return;
+        }
+
+        state.locations.forEach((loc, i) => {
+            const col = document.createElement('div');
+            col.className = 'col-md-6';
+            const note = state.results[i].fallback
+                ? '<div class="small text-muted">No local sensor for this parameter.</div>' : '';
+            col.innerHTML = `
+                <div class="border rounded p-2">
+                    <div class="fw-semibold small mb-1" style="color:${COLORS[i]};">${escapeHtml(labelOf(loc, i))}</div>
+                    ${note}
+                    <div style="height: 240px;"><canvas></canvas></div>
+                </div>`;
+            els.multiples.appendChild(col);
+            const options = chartOptions(yMax, { parameter: state.parameter, datasetIndex: 0 });
+            options.plugins.legend = { display: false };
+            state.multipleCharts.push(new Chart(col.querySelector('canvas'), {
+                type: 'line',
+                data: { datasets: [dataset(i)] },
+                options,
+            }));
+        });
+    }
+
+    // --- TABLE ---
+    function renderTable() {
+        if (!state.locations.length) {
+            els.tableBody.innerHTML = '<tr><td colspan="7" class="text-center text-muted py-3">No locations selected.</td></tr>';
+            els.lagHeader.textContent = 'Lag';
+            return;
+        }
+        const reference = state.results[0];
+        els.lagHeader.textContent = `Lag vs ${labelOf(state.locations[0], 0)}`;
+        els.tableBody.innerHTML = state.locations.map((loc, i) => {
+            const r = state.results[i];
+            const swatch = `<span style="display:inline-block; width:10px; height:10px; border-radius:50%; background:${COLORS[i]};" class="me-2"></span>`;
+            if (!r) {
+                return `<tr><td>${swatch}${escapeHtml(labelOf(loc, i))}</td><td colspan="6" class="text-muted">Loading…</td></tr>`;
+            }
+            if (r.peak === null) {
+                const why = r.error ? 'Could not load data.' : r.fallback ? 'No sensor for this parameter at this location.' : 'No readings in this window.';
+                return `<tr><td>${swatch}${escapeHtml(labelOf(loc, i))}</td><td colspan="6" class="text-muted">${why}</td></tr>`;
+            }
+            const lag = i === 0 ? '—' : (reference && reference.peak !== null ? formatDuration(r.peakTime - reference.peakTime, true) : 'n/a');
+            return `<tr>
+                <td>${swatch}${escapeHtml(labelOf(loc, i))}</td>
+                <td>${escapeHtml(r.sensor || '—')}</td>
+                <td class="text-end fw-semibold">${formatValue(r.peak)}</td>
+                <td>${formatManila(r.peakTime, true)}</td>
+                <td class="text-end">${formatDuration(r.timeToPeak, false)}</td>
+                <td class="text-end">${lag}</td>
+                <td class="text-end">${formatValue(r.latest)}</td>
+            </tr>`;
+        }).join('');
+    }
+
+    // --- INITIALIZATION ---
+    function initialize() {
+        readUrl();
+        // Start from the location chosen elsewhere in the app when the link names none
+        if (!state.locations.length) {
+            const current = FloodLocation.get();
+            if (current.municipalityId) {
+                state.locations.push({ municipalityId: current.municipalityId, barangayId: current.barangayId, label: null });
+            }
+        }
+        els.parameter.value = state.parameter;
+        els.days.value = String(state.days);
+        bindPicker();
+        renderChips();
+        loadLabels();
+        if (state.locations.length) {
+            writeUrl();
+            loadData();
+        } else {
+            renderCharts();
+        }
+    }
+
+    initialize();
+});
@@ -1,41 +1,31 @@
 /**
  * Dashboard.js - Main dashboard functionality
- * Handles real-time data updates for sensor widgets, alerts, and dashboard refresh
+ * Handles real-time data updates for sensor widgets and alerts
  */
 
-// Dashboard refresh interval in milliseconds (5 minutes)
-const DASHBOARD_REFRESH_INTERVAL = 5 * 60 * 1000;
+// Live channel for pushed sensor readings and alerts (see live_updates.js)
+let dashboardLive = null;
 
-// Cache for threshold settings by parameter
-let THRESHOLDS_MAP = null; // { parameter: {advisory, watch, warning, emergency, catastrophic, unit} }
+// Active alerts currently listed (watched for overdue acknowledgements)
+let dashboardAlerts = [];
 
-// Load threshold settings from API and cache them
+// Load threshold settings (shared with the chart threshold bands and gauge colours)
 async function loadThresholds() {
     try {
-        const resp = await fetch('/api/threshold-settings/', {
-            headers: { 'Accept': 'application/json' }
-        });
-        const data = await resp.json();
-        const list = Array.isArray(data) ? data : (data.results || []);
-        const map = {};
-        list.forEach(t => {
-            map[t.parameter] = {
-                advisory: t.advisory_threshold,
-                watch: t.watch_threshold,
-                warning: t.warning_threshold,
-                emergency: t.emergency_threshold,
-                catastrophic: t.catastrophic_threshold,
-                unit: t.unit
-            };
-        });
-        THRESHOLDS_MAP = map;
+        await FloodThresholds.load(true);
         console.log('[Dashboard] Threshold settings loaded');
     } catch (e) {
-        console.warn('[Dashboard] Failed to load thresholds. Falling back to static gauge colors.', e);
-        THRESHOLDS_MAP = null;
+        console.warn('[Dashboard] Failed to load thresholds. Gauges will show as normal.', e);
     }
 }
 
+/**
+ * Current municipality/barangay selection as a FloodApi location
+ */
+function currentDashboardLocation() {
+    return FloodLocation.get();
+}
+
 // Dashboard initialization
 document.addEventListener('DOMContentLoaded', function() {
     // Load thresholds first (do not block UI if it fails)
@@ -54,26 +44,56 @@ document.addEventListener('DOMContentLoaded', function() {
         console.error('Error updating sensor data:', e);
     }
     
+    // Acknowledge / assign / escalate actions; overdue severity 4+ alerts re-sound until handled
+    if (window.FloodAlertWorkflow) {
+        FloodAlertWorkflow.bind(document.getElementById('alerts-list'), () => checkActiveAlerts());
+        FloodAlertWorkflow.watch(() => dashboardAlerts);
+    }
+    
     // Check for active alerts
     checkActiveAlerts();
     
-    // Update data periodically
-    setInterval(updateSensorData, 60000); // Update every minute
-    setInterval(checkActiveAlerts, 30000); // Check alerts every 30 seconds
-    
-    // Check regularly if location has changed
-    setInterval(checkLocationChange, 1000); // Check location change flag every second
+    // Receive new readings and alerts as they are stored; poll only while the stream is down
+    startLiveUpdates();
     
-    // Auto-refresh dashboard
-    setInterval(function() {
-        // Don't refresh if user is interacting with form elements
-        if (!document.activeElement || 
-            !['INPUT', 'SELECT', 'TEXTAREA', 'BUTTON'].includes(document.activeElement.tagName)) {
-            location.reload();
-        }
-    }, DASHBOARD_REFRESH_INTERVAL);
+    // Refresh everything when the selection changes anywhere on the page
+    FloodLocation.subscribe(onLocationChange);
 });
 
+/**
+ * Subscribe to pushed sensor readings and alerts for the selected location
+ */
+function startLiveUpdates() {
+    if (!window.FloodLive || dashboardLive) return;
+    
+    // Readings arrive one per sensor, so coalesce bursts into a single refresh
+    let sensorTimer = null;
+    let alertTimer = null;
+    
+    dashboardLive = FloodLive.open({
+        location: currentDashboardLocation(),
+        handlers: {
+            sensor_data: () => {
+                clearTimeout(sensorTimer);
+                sensorTimer = setTimeout(() => {
+                    updateSensorData();
+                    if (typeof updateAllCharts === 'function') {
+                        updateAllCharts();
+                    }
+                }, 500);
+            },
+            flood_alert: () => {
+                clearTimeout(alertTimer);
+                alertTimer = setTimeout(checkActiveAlerts, 300);
+            }
+        },
+        polling: [
+            { run: updateSensorData, interval: 60000 },  // every minute
+            { run: checkActiveAlerts, interval: 30000 }  // every 30 seconds
+        ]
+    });
+}
+
 /**
  * Initialize gauge visualizations
  */
@@ -90,114 +110,48 @@ function initializeGauges() {
  * Update sensor data for all gauges and stats
  */
 function updateSensorData() {
-    // No longer checking for login status since API endpoints don't require authentication
-    
-    // Construct the URL with location parameters
-    let url = '/api/sensor-data/?limit=5';
-    
-    // Add location parameters if available
-    if (window.selectedMunicipality) {
-        url += `&municipality_id=${window.selectedMunicipality.id}`;
-        console.log(`[Sensor Data] Adding municipality filter: ${window.selectedMunicipality.name}`);
-    }
-    
-    console.log(`[Sensor Data] Fetching sensor data with URL: ${url}`);
-    
-    if (window.selectedBarangay) {
-        url += `&barangay_id=${window.selectedBarangay.id}`;
-        console.log(`[Sensor Data] Adding barangay filter: ${window.selectedBarangay.name}`);
-    }
+    const location = currentDashboardLocation();
     
-    console.log(`[Sensor Data] Fetching latest readings with URL: ${url}`);
+    const clearGauges = () => {
+        ['temperature-gauge', 'humidity-gauge', 'rainfall-gauge', 'water-level-gauge', 'wind-speed-gauge'].forEach(gaugeId => {
+            updateGauge(gaugeId, null, '', `#${gaugeId.split('-')[0]}-updated`, null);
+        });
+    };
     
     // Fetch the latest sensor data with location filters (no authentication required)
-    fetch(url, {
-        headers: {
-            'X-Requested-With': 'XMLHttpRequest',
-            'Accept': 'application/json'
-        }
-    })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! Status: ${response.status}`);
+    FloodApi.latestSensorData({ limit: 5 }, location, { key: 'dashboard:sensor-data' })
+        .then(data => {
+            if (data.results && data.results.length > 0) {
+                return data.results;
+            }
+            console.warn('No sensor data available with location filters');
+            // If no data with location filters, fall back to global sensor data
+            if (!location.municipalityId) {
+                return [];
             }
-            return response.json();
+            console.log('Retrying sensor data fetch without municipality filter as fallback');
+            return FloodApi.latestSensorData({ limit: 5 }, null, { key: 'dashboard:sensor-data' })
+                .then(globalData => globalData.results || []);
         })
-        .then(data => {
-            if (!data.results || data.results.length === 0) {
-                console.warn('No sensor data available with location filters');
-                
-                // If no data with location filters, try getting global sensor data
-                if (window.selectedMunicipality && !window.isRetrySensorFetch) {
-                    console.log('Retrying sensor data fetch without municipality filter as fallback');
-                    window.isRetrySensorFetch = true;
-                    
-                    // Fetch global data (without location filters)
-                    fetch('/api/sensor-data/?limit=5', {
-                        headers: {
-                            'X-Requested-With': 'XMLHttpRequest',
-                            'Accept': 'application/json'
-                        }
-                    })
-                        .then(response => {
-                            if (!response.ok) {
-                                throw new Error(`HTTP error! Status: ${response.status}`);
-                            }
-                            return response.json();
-                        })
-                        .then(globalData => {
-                            window.isRetrySensorFetch = false;
-                            
-                            if (!globalData.results || globalData.results.length === 0) {
-                                console.warn('No global sensor data available');
-                                
-                                // Update gauges to show no data
-                                ['temperature-gauge', 'humidity-gauge', 'rainfall-gauge', 'water-level-gauge', 'wind-speed-gauge'].forEach(gaugeId => {
-                                    updateGauge(gaugeId, null, '', `#${gaugeId.split('-')[0]}-updated`, null);
-                                });
-                                
-                                return;
-                            }
-                            
-                            console.log('Using global sensor data as fallback');
-                            // Use the global data instead
-                            updateGaugesWithData(globalData.results);
-                        })
-                        .catch(error => {
-                            window.isRetrySensorFetch = false;
-                            console.error('Error fetching global sensor data:', error);
-                            
-                            // Update gauges to show error
-                            ['temperature-gauge', 'humidity-gauge', 'rainfall-gauge', 'water-level-gauge', 'wind-speed-gauge'].forEach(gaugeId => {
-                                updateGauge(gaugeId, null, '', `#${gaugeId.split('-')[0]}-updated`, null);
-                            });
-                        });
-                } else {
-                    // No data and no retry, update gauges to show no data
-                    ['temperature-gauge', 'humidity-gauge', 'rainfall-gauge', 'water-level-gauge', 'wind-speed-gauge'].forEach(gaugeId => {
-                        updateGauge(gaugeId, null, '', `#${gaugeId.split('-')[0]}-updated`, null);
-                    });
-                }
+        .then(results => {
+            if (results.length === 0) {
+                console.warn('No sensor data available');
+                clearGauges();
                 return;
             }
-            
-            // Process received data
-            console.log('[Sensor Data] Received data:', data.results);
-            updateGaugesWithData(data.results);
+            updateGaugesWithData(results);
         })
         .catch(error => {
+            // A newer refresh replaced this one
+            if (FloodApi.isAbort(error)) return;
+            
             // Check if map-last-updated element exists before trying to update it
             const lastUpdatedElement = document.getElementById('map-last-updated');
             if (lastUpdatedElement) {
                 lastUpdatedElement.textContent = 'Data unavailable';
             }
             
-            // Update gauges to show error
-            ['temperature-gauge', 'humidity-gauge', 'rainfall-gauge', 'water-level-gauge', 'wind-speed-gauge'].forEach(gaugeId => {
-                updateGauge(gaugeId, null, '', `#${gaugeId.split('-')[0]}-updated`, null);
-            });
-            
-            // Log the error but don't display the empty object in the console
+            clearGauges();
             console.error('Error fetching sensor data:', error.message || 'Network or server error');
         });
 }
@@ -290,7 +244,7 @@ function updateGauge(gaugeId, value, unit, timestampElementId, timestamp = null)
 }
 
 /**
- * Update gauge color based on value and thresholds
+ * Update gauge color based on the value's severity against the threshold settings
  */
 function updateGaugeColor(gaugeId, value) {
     // Map gaugeId to parameter name used server-side
@@ -308,38 +262,9 @@ function updateGaugeColor(gaugeId, value) {
     // Remove any previous classes
     gauge.classList.remove('gauge-normal', 'gauge-advisory', 'gauge-watch', 'gauge-warning', 'gauge-emergency', 'gauge-danger');
 
-    // If thresholds are not loaded or value invalid, default to normal
-    if (!THRESHOLDS_MAP || value === null || value === undefined || isNaN(value)) {
-        gauge.classList.add('gauge-normal');
-        gauge.style.setProperty('--gauge-color', '#198754'); // green
-        return;
-    }
-
-    const param = paramByGauge[gaugeId];
-    const t = THRESHOLDS_MAP[param];
-    if (!t) {
-        gauge.classList.add('gauge-normal');
-        gauge.style.setProperty('--gauge-color', '#198754');
-        return;
-    }
-
-    // Compute severity (0..5)
-    let level = 0;
-    if (value > t.catastrophic) level = 5;
-    else if (value > t.emergency) level = 4;
-    else if (value > t.warning) level = 3;
-    else if (value > t.watch) level = 2;
-    else if (value > t.advisory) level = 1;
-
-    // Choose color per level
-    const colorByLevel = {
-        0: '#198754', // green normal
-        1: '#0dcaf0', // info
-        2: '#0dcaf0', // info (watch)
-        3: '#ffc107', // warning
-        4: '#dc3545', // danger
-        5: '#dc3545'  // danger
-    };
+    // Without a value or thresholds the gauge is shown as normal
+    const severity = FloodThresholds.severityOf(paramByGauge[gaugeId], value, null, currentDashboardLocation());
+    const level = severity.level || 0;
     const classByLevel = {
         0: 'gauge-normal',
         1: 'gauge-advisory',
@@ -350,78 +275,42 @@ function updateGaugeColor(gaugeId, value) {
     };
 
     gauge.classList.add(classByLevel[level]);
-    gauge.style.setProperty('--gauge-color', colorByLevel[level]);
+    gauge.style.setProperty('--gauge-color', FloodThresholds.colorOf(level));
 }
 
 /**
  * Check for active alerts and update the dashboard
  */
 function checkActiveAlerts() {
-    // Construct the URL with location parameters
-    let url = '/api/flood-alerts/?active=true';
-    
-    // Add location parameters if available
-    if (window.selectedMunicipality) {
-        url += `&municipality_id=${window.selectedMunicipality.id}`;
-        console.log(`[Alerts] Adding municipality filter: ${window.selectedMunicipality.name}`);
-    }
-    
-    if (window.selectedBarangay) {
-        url += `&barangay_id=${window.selectedBarangay.id}`;
-        console.log(`[Alerts] Adding barangay filter: ${window.selectedBarangay.name}`);
-    }
+    const location = currentDashboardLocation();
     
-    console.log(`[Alerts] Fetching alerts with URL: ${url}`);
-    
-    fetch(url, {
-        headers: {
-            'X-Requested-With': 'XMLHttpRequest',
-            'Accept': 'application/json'
-        }
-    })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! Status: ${response.status}`);
-            }
-            return response.json();
-        })
+    FloodApi.floodAlerts({ active: true }, location, { key: 'dashboard:alerts' })
         .then(data => {
-            // If no results with municipality filter, try getting global data
-            if ((!data.results || data.results.length === 0) && 
-                window.selectedMunicipality && 
-                !window.isRetryAlertsFetch) {
+            // If no results with municipality filter, fall back to global alerts
+            if ((!data.results || data.results.length === 0) && location.municipalityId) {
                 console.log('No alerts found with location filters, trying global alerts as fallback');
-                window.isRetryAlertsFetch = true;
-                
-                // Fetch global alerts (without location filters)
-                fetch('/api/flood-alerts/?active=true', {
-                    headers: {
-                        'X-Requested-With': 'XMLHttpRequest',
-                        'Accept': 'application/json'
-                    }
-                })
-                    .then(response => {
-                        if (!response.ok) {
-                            throw new Error(`HTTP error! Status: ${response.status}`);
-                        }
-                        return response.json();
-                    })
-                    .then(globalData => {
-                        window.isRetryAlertsFetch = false;
-                        processAlertsData(globalData);
-                    })
-                    .catch(error => {
-                        window.isRetryAlertsFetch = false;
-                        console.error('Error fetching global alerts:', error);
-                    });
-                return;
+                return FloodApi.floodAlerts({ active: true }, null, { key: 'dashboard:alerts' });
             }
-            
-            // Process the alerts data
-            processAlertsData(data);
+            return data;
         })
+        .then(data => processAlertsData(data))
         .catch(error => {
-            console.error('Error checking alerts:', error);
+            // A newer check replaced this one
+            if (FloodApi.isAbort(error)) return;
+            
+            // Check if containers exist before trying to update them
+            const alertsContainer = document.getElementById('alerts-list');
+            const noAlertsElement = document.getElementById('no-alerts');
+            
+            // If alert elements exist, show no alerts message
+            if (alertsContainer && noAlertsElement) {
+                alertsContainer.classList.add('d-none');
+                noAlertsElement.classList.remove('d-none');
+                noAlertsElement.innerHTML = '<div class="alert alert-secondary">Unable to load alerts at this time.</div>';
+            }
+            
+            // Log the error but don't display the empty object in the console
+            console.error('Error checking alerts:', error.message || 'Network or server error');
             
             // Update alert status to normal as a fallback
             if (typeof updateAlertStatus === 'function') {
@@ -450,6 +339,8 @@ function processAlertsData(data) {
         
         // Sort alerts by severity (highest first)
         const alerts = data.results.sort((a, b) => b.severity_level - a.severity_level);
+        dashboardAlerts = alerts;
+        const workflow = window.FloodAlertWorkflow;
         
         // Update alerts list
         let alertsHtml = '';
@@ -509,7 +400,7 @@ function processAlertsData(data) {
             
             // Build the HTML for this alert
             alertsHtml += `
-                <div class="alert ${alertClass} mb-3">
+                <div class="alert ${alertClass} mb-3${workflow && workflow.isOverdue(alert) ? ' alert-overdue' : ''}" data-workflow-alert="${alert.id}">
                     <div class="d-flex justify-content-between align-items-start">
                         <div>
                             <h5 class="alert-heading">${severityText}: ${alert.title}</h5>
@@ -517,6 +408,10 @@ function processAlertsData(data) {
                             <div class="small text-muted mt-2">
                                 Issued: ${issuedDate} by ${alert.issued_by_username || 'System'}
                             </div>
+                            ${workflow ? `
+                                <div class="mt-2">${workflow.stateHtml(alert)}</div>
+                                <div class="mt-2">${workflow.actionsHtml(alert)}</div>
+                            ` : ''}
                         </div>
                         <div>
                             ${alert.predicted_flood_time ? `
@@ -553,30 +448,9 @@ function processAlertsData(data) {
                 noAffectedBarangaysElement.classList.add('d-none');
             }
             
-            // Construct the URL with location parameters
-            let barangayUrl = '/api/barangays/';
-            
-            // Add location parameters if available
-            if (window.selectedMunicipality) {
-                barangayUrl += `?municipality_id=${window.selectedMunicipality.id}`;
-                console.log(`[Barangays] Adding municipality filter: ${window.selectedMunicipality.name}`);
-            }
-            
-            console.log(`[Barangays] Fetching barangay data with URL: ${barangayUrl}`);
-            
-            // Fetch barangay details
-            fetch(barangayUrl, {
-                headers: {
-                    'X-Requested-With': 'XMLHttpRequest',
-                    'Accept': 'application/json'
-                }
-            })
-                .then(response => {
-                    if (!response.ok) {
-                        throw new Error(`HTTP error! Status: ${response.status}`);
-                    }
-                    return response.json();
-                })
+            // Fetch barangay details for the selected municipality
+            const { municipalityId } = currentDashboardLocation();
+            FloodApi.barangays({ municipality_id: municipalityId }, { key: 'dashboard:affected-barangays' })
                 .then(barangayData => {
                     if (barangayData.results && barangayData.results.length > 0) {
                         const barangays = barangayData.results;
@@ -616,6 +490,7 @@ function processAlertsData(data) {
                     }
                 })
                 .catch(error => {
+                    if (FloodApi.isAbort(error)) return;
                     // Log the error but don't display the empty object in the console
                     console.error('Error fetching barangay data:', error.message || 'Network or server error');
                     
@@ -644,6 +519,7 @@ function processAlertsData(data) {
         updateAlertStatus(alerts[0]);
     } else {
         // No active alerts
+        dashboardAlerts = [];
         if (alertsContainer) {
             alertsContainer.classList.add('d-none');
         }
@@ -662,27 +538,6 @@ function processAlertsData(data) {
         // Update alert status to normal
         updateAlertStatus(null);
     }
-    })
-    .catch(error => {
-        // Check if containers exist before trying to update them
-        const alertsContainer = document.getElementById('alerts-list');
-        const noAlertsElement = document.getElementById('no-alerts');
-        
-        // If alert elements exist, show no alerts message
-        if (alertsContainer && noAlertsElement) {
-            alertsContainer.classList.add('d-none');
-            noAlertsElement.classList.remove('d-none');
-            noAlertsElement.innerHTML = '<div class="alert alert-secondary">Unable to load alerts at this time.</div>';
-        }
-        
-        // Log the error but don't display the empty object in the console
-        console.error('Error checking alerts:', error.message || 'Network or server error');
-        
-        // Update alert status to normal as a fallback
-        if (typeof updateAlertStatus === 'function') {
-            updateAlertStatus(null);
-        }
-    });
 }
 
 /**
@@ -733,33 +588,14 @@ function updateAlertStatus(highestAlert) {
     
     // Update alerts count text
     if (alertsCount) {
-        // Construct the URL with location parameters
-        let alertCountUrl = '/api/flood-alerts/?active=true';
-        
-        // Add location parameters if available
-        if (window.selectedMunicipality) {
-            alertCountUrl += `&municipality_id=${window.selectedMunicipality.id}`;
-        }
-        
-        if (window.selectedBarangay) {
-            alertCountUrl += `&barangay_id=${window.selectedBarangay.id}`;
-        }
-        
-        fetch(alertCountUrl, {
-            headers: {
-                'X-Requested-With': 'XMLHttpRequest',
-                'Accept': 'application/json'
-            }
-        })
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`HTTP error! Status: ${response.status}`);
-                }
-                return response.json();
-            })
+        FloodApi.floodAlerts({ active: true }, currentDashboardLocation(), { key: 'dashboard:alert-count' })
             .then(data => {
                 const count = data.count || 0;
                 alertsCount.textContent = `${count} active alert${count !== 1 ? 's' : ''}`;
+            })
+            .catch(error => {
+                if (FloodApi.isAbort(error)) return;
+                console.error('Error counting alerts:', error.message || 'Network or server error');
             });
     }
 }
@@ -790,20 +626,21 @@ function updateCountdown(element, targetTime) {
 }
 
 /**
- * Check if the location has changed and update data if needed
+ * Update data for a new location selection (FloodLocation subscriber)
  */
-function checkLocationChange() {
-    // Check for global location change flag
-    if (window.locationChanged) {
-        console.log('Location change detected in dashboard.js');
-        // Update sensor data
-        updateSensorData();
-        // Update alerts
-        checkActiveAlerts();
-        // Update charts if applicable
-        if (typeof updateAllCharts === 'function') {
-            updateAllCharts();
-        }
+function onLocationChange() {
+    console.log('Location change detected in dashboard.js');
+    // Re-subscribe the live channel to the new location
+    if (dashboardLive) {
+        dashboardLive.setLocation(currentDashboardLocation());
+    }
+    // Update sensor data
+    updateSensorData();
+    // Update alerts
+    checkActiveAlerts();
+    // Update charts if applicable
+    if (typeof updateAllCharts === 'function') {
+        updateAllCharts();
     }
 }
 
@@ -0,0 +1,193 @@
+// derived_metrics.js
+// Series derived from the raw /api/chart-data/ readings: rolling rainfall totals over
+// 1/3/6/24/72 h, the water-level rate of rise in m/h and an antecedent precipitation index
+// (API). Each metric fetches enough extra history for its look-back window, so the first
+// point of a chart is as complete as the last. The metric keys double as alert rule
+// parameters (core.models.AlertRule.DERIVED_PARAMETERS).
+(function(window, document) {
+    'use strict';
+
+    const HOUR_MS = 3600000;
+    const API_DECAY_PER_DAY = 0.85;   // fraction of yesterday's index that carries over
+    const API_WARMUP_DAYS = 14;       // 0.85^14 ≈ 0.1: older rain barely counts
+    const RATE_WINDOW_H = 1;
+    const RATE_MAX_GAP_H = 3;         // no rate across gaps longer than this
+
+    /**
+     * @typedef {Object} Metric
+     * @property {string} label
+     * @property {string} unit
+     * @property {string} source     Raw parameter the metric is computed from
+     * @property {number} historyH   Extra history needed before the first point
+     * @property {Function} compute  (times ms[], values number[]) -> Array<?number>
+     */
+
+    /** @type {Object<string, Metric>} */
+    const METRICS = {
+        rainfall_1h: rollingTotal(1),
+        rainfall_3h: rollingTotal(3),
+        rainfall_6h: rollingTotal(6),
+        rainfall_24h: rollingTotal(24),
+        rainfall_72h: rollingTotal(72),
+        water_level_rate: {
+            label: 'Water level rate of rise',
+            unit: 'm/h',
+            source: 'water_level',
+            historyH: RATE_WINDOW_H + RATE_MAX_GAP_H,
+            compute: rateOfRise,
+        },
+        rainfall_api: {
+            label: 'Antecedent precipitation index',
+            unit: 'mm',
+            source: 'rainfall',
+            historyH: API_WARMUP_DAYS * 24,
+            compute: antecedentIndex,
+        },
+    };
+
+    function rollingTotal(hours) {
+        return {
+            label: `Rainfall ${hours} h total`,
+            unit: 'mm',
+            source: 'rainfall',
+            historyH: hours,
+            compute: (times, values) => rollingSum(times, values, hours),
+        };
+    }
+
+    /**
+     * Total of the readings in the `hours` up to and including each reading.
+     * @param {number[]} times   ms, ascending
+     * @param {number[]} values
+     * @param {number} hours
+     * @returns {number[]}
+     */
+    function rollingSum(times, values, hours) {
+        const out = [];
+        let start = 0;
+        let sum = 0;
+        for (let i = 0; i < values.length; i++) {
+            sum += values[i];
+            while (times[start] <= times[i] - hours * HOUR_MS) {
+                sum -= values[start];
+                start++;
+            }
+            out.push(Math.round(sum * 1000) / 1000);
+        }
+        return out;
+    }
+
+    /**
+     * Change per hour against the earliest reading in the previous hour (or the reading
+     * just before, when readings are sparser than hourly). Negative while falling.
+     * @returns {Array<?number>}
+     */
+    function rateOfRise(times, values) {
+        const out = [];
+        let start = 0;
+        for (let i = 0; i < values.length; i++) {
+            while (start < i && times[start] < times[i] - RATE_WINDOW_H * HOUR_MS) start++;
+            let j = start < i ? start : i - 1;
+            if (j < 0 || times[i] - times[j] > RATE_MAX_GAP_H * HOUR_MS || times[i] === times[j]) {
+                out.push(null);
+                continue;
+            }
+            out.push(Math.round(((values[i] - values[j]) / ((times[i] - times[j]) / HOUR_MS)) * 1000) / 1000);
+        }
+        return out;
+    }
+
+    /**
+     * Antecedent precipitation index: API = API_prev × k^(days elapsed) + rainfall.
+     * @returns {number[]}
+     */
+    function antecedentIndex(times, values) {
+        const out = [];
+        let index = 0;
+        for (let i = 0; i < values.length; i++) {
+            const days = i ? (times[i] - times[i - 1]) / (24 * HOUR_MS) : 0;
+            index = index * Math.pow(API_DECAY_PER_DAY, days) + values[i];
+            out.push(Math.round(index * 100) / 100);
+        }
+        return out;
+    }
+
+    function isDerived(key) {
+        return Object.prototype.hasOwnProperty.call(METRICS, key);
+    }
+
+    function sourceOf(key) {
+        return isDerived(key) ? METRICS[key].source : key;
+    }
+
+    /**
+     * Derived series for a location, trimmed to the requested range.
+     * @param {string} key          Metric key, e.g. 'rainfall_24h'
+     * @param {{days?: number, limit?: number}} range  Same as FloodApi.chartData
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{labels: string[], values: Array<?number>, unit: string, label: string}>}
+     */
+    function series(key, range, location, options) {
+        const metric = METRICS[key];
+        if (!metric) return Promise.reject(new Error(`Unknown metric: ${key}`));
+        const r = range || {};
+        const shownDays = r.days || 1;
+        const days = shownDays + Math.ceil(metric.historyH / 24);
+
+        return FloodApi.chartData(metric.source, { days }, location, options).then(d => {
+            const times = [];
+            const values = [];
+            const labels = [];
+            (d.labels || []).forEach((label, i) => {
+                const t = Date.parse(label);
+                const v = Number(d.values[i]);
+                if (isNaN(t) || !Number.isFinite(v)) return;
+                times.push(t);
+                values.push(v);
+                labels.push(label);
+            });
+            const derived = metric.compute(times, values);
+            let from = 0;
+            if (r.limit) {
+                from = Math.max(0, labels.length - r.limit);
+            } else {
+                const since = Date.now() - shownDays * 24 * HOUR_MS;
+                while (from < times.length && times[from] < since) from++;
+            }
+            return {
+                labels: labels.slice(from),
+                values: derived.slice(from),
+                unit: metric.unit,
+                label: metric.label,
+                fallback: !!d.fallback,
+            };
+        });
+    }
+
+    /**
+     * Most recent value of a metric at a location, or null without readings.
+     * @param {string} key
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<?number>}
+     */
+    function latest(key, location, options) {
+        return series(key, { limit: 1 }, location, options).then(s => {
+            const v = s.values[s.values.length - 1];
+            return v === undefined ? null : v;
+        });
+    }
+
+    window.FloodMetrics = {
+        METRICS,
+        isDerived,
+        sourceOf,
+        series,
+        latest,
+        rollingSum,
+        rateOfRise,
+        antecedentIndex,
+    };
+
+})(window, document);
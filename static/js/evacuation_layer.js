@@ -0,0 +1,206 @@
+// evacuation_layer.js
+// Evacuation centres and routes on a Leaflet map, from /api/evacuation-plan/. Centres are drawn
+// by status (room available, full, closed or inside a risk zone) with capacity and occupancy in
+// the popup; each barangay under an active alert gets a line to its assigned centre, solid along
+// the road network and dashed where only the straight line is known. A map opts in with
+// attach(map, {summaryEl}) and calls refresh(location) whenever its data reloads; the summary
+// element, when given, shows capacity against the affected population.
+(function(window, document) {
+    'use strict';
+
+    const STORAGE_KEY = 'evacuationLayer';
+    const STATUS_COLORS = {
+        usable: '#198754',
+        full: '#FD7E14',
+        closed: '#6C757D',
+        in_risk_zone: '#DC3545',
+    };
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatCount(n) {
+        return Number(n || 0).toLocaleString();
+    }
+
+    function formatDistance(m) {
+        if (m === null || m === undefined) return '—';
+        return m < 1000 ? `${Math.round(m)} m` : `${(m / 1000).toFixed(1)} km`;
+    }
+
+    function statusColor(center) {
+        return STATUS_COLORS[center.usable ? 'usable' : center.unusable_reason] || STATUS_COLORS.closed;
+    }
+
+    function severityColor(level) {
+        return window.FloodThresholds ? FloodThresholds.colorOf(level) : '#DC3545';
+    }
+
+    function ensureStyle() {
+        if (document.getElementById('flood-evacuation-style')) return;
+        const st = document.createElement('style');
+        st.id = 'flood-evacuation-style';
+        st.textContent = [
+            '.evac-marker{width:26px;height:26px;border-radius:6px;border:2px solid #fff;color:#fff;display:flex;align-items:center;justify-content:center;font-size:13px;box-shadow:0 1px 4px rgba(0,0,0,.35);}',
+            '.leaflet-control-evac a{background:#fff;display:inline-block;width:30px;height:30px;line-height:30px;text-align:center;font-size:15px;color:#333;}',
+            '.leaflet-control-evac a.active{background:#dcfce7;color:#166534;}',
+        ].join('');
+        document.head.appendChild(st);
+    }
+
+    function centerIcon(center) {
+        return L.divIcon({
+            className: '',
+            html: `<div class="evac-marker" style="background:${statusColor(center)};"><i class="fas fa-house-user"></i></div>`,
+            iconSize: [26, 26],
+            iconAnchor: [13, 13],
+            popupAnchor: [0, -14],
+        });
+    }
+
+    function centerPopup(center) {
+        const pct = center.capacity ? Math.min(100, Math.round(center.current_occupancy / center.capacity * 100)) : 0;
+        const status = center.usable
+            ? `<span style="color:${STATUS_COLORS.usable};">Accepting evacuees</span>`
+            : `<span style="color:${statusColor(center)};">${escapeHtml(center.unusable_label)}${center.risk_zone ? `: ${escapeHtml(center.risk_zone.name)}` : ''}</span>`;
+        const place = center.barangay_name ? `${escapeHtml(center.barangay_name)}, ${escapeHtml(center.municipality_name)}` : escapeHtml(center.municipality_name);
+        const contact = center.contact_person || center.contact_number
+            ? `<div>Contact: ${escapeHtml(center.contact_person || '')} ${escapeHtml(center.contact_number || '')}</div>` : '';
+        return `<div style="min-width:200px;">
+            <strong>${escapeHtml(center.name)}</strong>
+            <div class="text-muted small">${escapeHtml(center.facility_type_label)} · ${place}</div>
+            <div class="small mt-1">${status}</div>
+            <div class="progress my-1" style="height:6px;"><div class="progress-bar" style="width:${pct}%;background:${statusColor(center)};"></div></div>
+            <div class="small">${formatCount(center.current_occupancy)} of ${formatCount(center.capacity)} occupied · ${formatCount(center.available_capacity)} free</div>
+            ${center.assigned_population ? `<div class="small">Assigned from affected barangays: ${formatCount(center.assigned_population)}</div>` : ''}
+            <div class="small">${contact}</div>
+        </div>`;
+    }
+
+    /**
+     * Capacity against affected population for a summary panel.
+     * @param {HTMLElement} el
+     * @param {Object} plan  /api/evacuation-plan/ response
+     */
+    function renderSummary(el, plan) {
+        if (!el) return;
+        const s = plan.summary;
+        if (!s.centers) {
+            el.innerHTML = '<p style="color: var(--gray);">No evacuation centres recorded for this location.</p>';
+            return;
+        }
+        const demand = s.affected_population;
+        const pct = demand ? Math.min(100, Math.round(s.available_capacity / demand * 100)) : 100;
+        const barColor = !demand || s.shortfall === 0 ? STATUS_COLORS.usable : (pct >= 50 ? STATUS_COLORS.full : STATUS_COLORS.in_risk_zone);
+        const headline = demand
+            ? (s.shortfall
+                ? `<strong style="color:${STATUS_COLORS.in_risk_zone};">Short by ${formatCount(s.shortfall)} places</strong>`
+                : `<strong style="color:${STATUS_COLORS.usable};">Enough room for everyone affected</strong>`)
+            : '<strong>No barangays under an active alert</strong>';
+        const rows = plan.assignments.map(a => `<tr>
+                <td><span class="d-inline-block rounded-circle me-1" style="width:8px;height:8px;background:${severityColor(a.severity)};"></span>${escapeHtml(a.barangay_name)}</td>
+                <td style="text-align:right;">${formatCount(a.population)}</td>
+                <td>${a.center_name ? escapeHtml(a.center_name) : '<span style="color: var(--gray);">No usable centre</span>'}</td>
+                <td style="text-align:right;" title="${a.route_source === 'road' ? 'By road' : 'Straight line'}">${formatDistance(a.distance_m)}${a.route_source === 'straight_line' ? '*' : ''}</td>
+            </tr>`).join('');
+        const straight = plan.assignments.some(a => a.route_source === 'straight_line');
+        el.innerHTML = `
+            <div style="display:flex; justify-content:space-between; font-size:13px;">
+                <span>Free places: <strong>${formatCount(s.available_capacity)}</strong></span>
+                <span>Affected population: <strong>${formatCount(demand)}</strong></span>
+            </div>
+            <div class="progress my-2" style="height:8px;"><div class="progress-bar" style="width:${pct}%; background:${barColor};"></div></div>
+            <div style="font-size:13px;">${headline}</div>
+            <div style="font-size:12px; color: var(--gray); margin-top:4px;">
+                ${s.usable_centers} of ${s.centers} centres usable · ${formatCount(s.occupancy)} already sheltered of ${formatCount(s.capacity)} total capacity
+            </div>
+            ${rows ? `<table class="data-table" style="margin-top:8px;">
+                <thead><tr><th>Barangay</th><th style="text-align:right;">Population</th><th>Centre</th><th style="text-align:right;">Distance</th></tr></thead>
+                <tbody>${rows}</tbody>
+            </table>` : ''}
+            ${straight ? `<div style="font-size:11px; color: var(--gray); margin-top:4px;">* Straight-line distance${plan.road_network.loaded ? '; no road connects these points' : '; no road network is loaded'}.</div>` : ''}`;
+    }
+
+    /**
+     * Add the evacuation layer and its toggle button to a map.
+     * @param {L.Map} map
+     * @param {{summaryEl?: HTMLElement}} [options]
+     * @returns {{refresh: function(Object): Promise, setVisible: function(boolean), isVisible: function(): boolean}}
+     */
+    function attach(map, options) {
+        const opts = options || {};
+        ensureStyle();
+        const group = L.layerGroup();
+        let visible = true;
+        try { visible = localStorage.getItem(STORAGE_KEY) !== 'off'; } catch (e) { /* storage disabled */ }
+        if (visible) group.addTo(map);
+
+        const Toggle = L.Control.extend({
+            options: { position: 'topleft' },
+            onAdd: function() {
+                const c = L.DomUtil.create('div', 'leaflet-control leaflet-bar leaflet-control-evac');
+                const a = L.DomUtil.create('a', visible ? 'active' : '', c);
+                a.href = '#';
+                a.title = 'Evacuation centres and routes';
+                a.innerHTML = '<i class="fas fa-house-user"></i>';
+                L.DomEvent.on(a, 'click', L.DomEvent.stop).on(a, 'click', () => setVisible(!visible));
+                return c;
+            }
+        });
+        const toggle = new Toggle();
+        map.addControl(toggle);
+
+        function setVisible(on) {
+            visible = !!on;
+            if (visible) group.addTo(map); else map.removeLayer(group);
+            const a = toggle.getContainer() && toggle.getContainer().querySelector('a');
+            if (a) a.classList.toggle('active', visible);
+            try { localStorage.setItem(STORAGE_KEY, visible ? 'on' : 'off'); } catch (e) { /* storage disabled */ }
+        }
+
+        function draw(plan) {
+            group.clearLayers();
+            plan.assignments.forEach(a => {
+                if (!a.route) return;
+                const line = L.polyline(a.route, {
+                    color: severityColor(a.severity),
+                    weight: 3,
+                    opacity: 0.85,
+                    dashArray: a.route_source === 'road' ? null : '6 6',
+                });
+                line.bindTooltip(`${escapeHtml(a.barangay_name)} → ${escapeHtml(a.center_name)}: ${formatDistance(a.distance_m)}${a.route_source === 'road' ? ' by road' : ' (straight line)'}`, { sticky: true });
+                group.addLayer(line);
+            });
+            plan.centers.forEach(center => {
+                if (center.lat == null || center.lng == null) return;
+                group.addLayer(L.marker([center.lat, center.lng], { icon: centerIcon(center), zIndexOffset: 500 }).bindPopup(centerPopup(center)));
+            });
+        }
+
+        function refresh(location) {
+            return FloodApi.evacuationPlan(location, { key: 'evacuation:plan' })
+                .then(plan => {
+                    draw(plan);
+                    renderSummary(opts.summaryEl, plan);
+                    return plan;
+                })
+                .catch(err => {
+                    if (FloodApi.isAbort(err)) return null;
+                    console.warn('[Evacuation] Plan unavailable:', err);
+                    if (opts.summaryEl) opts.summaryEl.innerHTML = '<p style="color: var(--gray);">Evacuation plan unavailable.</p>';
+                    return null;
+                });
+        }
+
+        return { refresh, setVisible, isVisible: () => visible };
+    }
+
+    window.FloodEvacuation = {
+        attach,
+        renderSummary,
+    };
+
+})(window, document);
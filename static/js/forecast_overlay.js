@@ -0,0 +1,278 @@
+// forecast_overlay.js
+// Trend projection overlay for category-axis trend charts. The projection is a damped-trend
+// extrapolation of each parameter's recent readings, not the flood prediction model, and the
+// labels and notes say so. The chart's labels are extended past the last reading with a few
+// evenly spaced forecast slots; each attached series is drawn from its last reading as a dashed
+// line inside a shaded 80% band (from /api/forecast/), with a marker
+// where the forecast is expected to cross a threshold level (filled) or only its band does
+// (hollow). A page calls attach(chart, {series}) after loading a forecast and detach(chart) to
+// remove it; replacing chart.data.labels (a data refresh) keeps the overlay.
+(function(window, document) {
+    'use strict';
+
+    const HORIZONS = [6, 12, 24, 48];
+    const METHOD_NOTE = 'Trend extrapolation of recent readings, not the flood prediction model.';
+    const MIN_SLOTS = 4;
+    const MAX_SLOTS = 24;
+
+    /**
+     * Fetch forecasts for a location.
+     * @param {string[]} parameters
+     * @param {number} horizon  One of HORIZONS
+     * @param {Object} [location]
+     * @param {Object} [options]  FloodApi request options
+     */
+    function load(parameters, horizon, location, options) {
+        return FloodApi.forecast(parameters, horizon, location, options);
+    }
+
+    function defaultFormat(ms) {
+        try {
+            return new Intl.DateTimeFormat('en-US', {
+                timeZone: 'Asia/Manila', month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit', hour12: false,
+            }).format(new Date(ms));
+        } catch (e) {
+            return new Date(ms).toLocaleString();
+        }
+    }
+
+    /**
+     * Draw forecasts on a chart.
+     * @param {Chart} chart
+     * @param {Object} config
+     * @param {Array<{datasetIndex: number, label?: string, forecast: Object}>} config.series
+     *        forecast is one parameter's entry from /api/forecast/
+     * @param {Function} [config.formatLabel]  (ms) -> label for a forecast slot
+     */
+    function attach(chart, config) {
+        if (!chart) return;
+        const previous = chart.$floodForecast;
+        const series = (config.series || []).filter(s => s.forecast && s.forecast.points && s.forecast.points.length);
+        chart.$floodForecast = {
+            series,
+            formatLabel: config.formatLabel || defaultFormat,
+            base: previous ? previous.base : null,
+            extended: previous ? previous.extended : null,
+            slots: 0,
+            horizon: 0,
+        };
+        try { chart.update(); } catch (e) { /* chart may be mid-update */ }
+    }
+
+    function detach(chart) {
+        if (!chart || !chart.$floodForecast) return;
+        chart.$floodForecast.series = [];
+        try { chart.update(); } catch (e) { /* chart may be mid-update */ }
+    }
+
+    /**
+     * What the projection is, then one line per parameter naming the threshold crossings, for a
+     * note under the chart.
+     * @param {Object} response  /api/forecast/ response
+     * @param {Object<string, string>} labels  parameter -> display name
+     * @returns {string[]}
+     */
+    function describe(response, labels) {
+        const params = (response && response.parameters) || {};
+        return [METHOD_NOTE].concat(Object.keys(params).map(key => {
+            const f = params[key];
+            const name = (labels && labels[key]) || key.replace(/_/g, ' ');
+            if (!f.points || !f.points.length) return `${name}: no recent readings to forecast from.`;
+            const expected = f.crossings.filter(c => c.likelihood === 'expected');
+            const possible = f.crossings.filter(c => c.likelihood === 'possible');
+            const when = c => `${c.name} in ~${formatHours(c.hours_ahead)}`;
+            if (expected.length) {
+                return `${name}: expected to reach ${expected.map(when).join(', ')}` +
+                    (possible.length ? `; possibly ${possible.map(when).join(', ')}` : '') + '.';
+            }
+            if (possible.length) return `${name}: could reach ${possible.map(when).join(', ')}.`;
+            return `${name}: no threshold crossing expected in the next ${response.horizon_hours} h.`;
+        }));
+    }
+
+    function formatHours(h) {
+        if (h < 1) return `${Math.max(5, Math.round(h * 60 / 5) * 5)} min`;
+        return `${Number(h).toFixed(h < 10 ? 1 : 0).replace(/\.0$/, '')} h`;
+    }
+
+    // ---------------- Chart plugin ----------------
+
+    function active(chart) {
+        const state = chart.$floodForecast;
+        return state && state.series.length ? state : null;
+    }
+
+    // Keep the page's labels as the base and append the forecast slots after them
+    function syncLabels(chart) {
+        const state = chart.$floodForecast;
+        if (!state) return;
+        const labels = chart.data.labels || [];
+        if (labels !== state.extended) state.base = labels;
+        const base = state.base || [];
+        if (!state.series.length || !base.length) {
+            if (labels === state.extended) chart.data.labels = base;
+            state.extended = null;
+            state.slots = 0;
+            return;
+        }
+        state.horizon = Math.max(...state.series.map(s => s.forecast.points[s.forecast.points.length - 1].hours_ahead));
+        state.slots = Math.max(MIN_SLOTS, Math.min(MAX_SLOTS, Math.round(base.length / 2)));
+        const start = Math.max(...state.series.map(s => new Date(s.forecast.base_time).getTime()));
+        const extra = [];
+        for (let k = 1; k <= state.slots; k++) {
+            extra.push(state.formatLabel(start + (k / state.slots) * state.horizon * 3600 * 1000));
+        }
+        state.extended = base.concat(extra);
+        chart.data.labels = state.extended;
+    }
+
+    // Category position of a point `hours` after the last reading
+    function xFor(chart, state, hours) {
+        const last = state.base.length - 1;
+        return chart.scales.x.getPixelForValue(last + (hours / state.horizon) * state.slots);
+    }
+
+    function seriesScale(chart, s) {
+        const dataset = chart.data.datasets[s.datasetIndex];
+        if (!dataset || !chart.isDatasetVisible(s.datasetIndex)) return null;
+        return { dataset, scale: chart.scales[dataset.yAxisID || 'y'] };
+    }
+
+    function colorOf(dataset) {
+        return typeof dataset.borderColor === 'string' ? dataset.borderColor : '#64748b';
+    }
+
+    const plugin = {
+        id: 'floodForecast',
+
+        beforeUpdate(chart) {
+            syncLabels(chart);
+        },
+
+        // Make room on the value axis for the band
+        afterDataLimits(chart, args) {
+            const state = active(chart);
+            if (!state) return;
+            state.series.forEach(s => {
+                const dataset = chart.data.datasets[s.datasetIndex];
+                if (!dataset || (dataset.yAxisID || 'y') !== args.scale.id || !chart.isDatasetVisible(s.datasetIndex)) return;
+                s.forecast.points.forEach(p => {
+                    if (p.upper > args.scale.max) args.scale.max = p.upper;
+                    if (p.lower < args.scale.min) args.scale.min = p.lower;
+                });
+            });
+        },
+
+        beforeDatasetsDraw(chart) {
+            const state = active(chart);
+            if (!state || !state.slots) return;
+            const ctx = chart.ctx;
+            const area = chart.chartArea;
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+            ctx.clip();
+
+            // Shaded band per series, starting from the last reading
+            state.series.forEach(s => {
+                const target = seriesScale(chart, s);
+                if (!target) return;
+                const f = s.forecast;
+                const x0 = xFor(chart, state, 0);
+                const y0 = target.scale.getPixelForValue(f.base_value);
+                ctx.beginPath();
+                ctx.moveTo(x0, y0);
+                f.points.forEach(p => ctx.lineTo(xFor(chart, state, p.hours_ahead), target.scale.getPixelForValue(p.upper)));
+                f.points.slice().reverse().forEach(p => ctx.lineTo(xFor(chart, state, p.hours_ahead), target.scale.getPixelForValue(p.lower)));
+                ctx.closePath();
+                ctx.globalAlpha = 0.15;
+                ctx.fillStyle = colorOf(target.dataset);
+                ctx.fill();
+                ctx.globalAlpha = 1;
+            });
+
+            // "Now": where the readings end and the forecast begins
+            const xNow = xFor(chart, state, 0);
+            ctx.strokeStyle = '#94a3b8';
+            ctx.lineWidth = 1;
+            ctx.setLineDash([2, 3]);
+            ctx.beginPath();
+            ctx.moveTo(xNow, area.top);
+            ctx.lineTo(xNow, area.bottom);
+            ctx.stroke();
+            ctx.setLineDash([]);
+            ctx.fillStyle = '#64748b';
+            ctx.font = '10px sans-serif';
+            ctx.textAlign = 'left';
+            ctx.textBaseline = 'top';
+            ctx.fillText(`Trend ${state.horizon} h →`, xNow + 4, area.top + 2);
+            ctx.restore();
+        },
+
+        afterDatasetsDraw(chart) {
+            const state = active(chart);
+            if (!state || !state.slots) return;
+            const ctx = chart.ctx;
+            const area = chart.chartArea;
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+            ctx.clip();
+            state.series.forEach(s => {
+                const target = seriesScale(chart, s);
+                if (!target) return;
+                const f = s.forecast;
+                const color = colorOf(target.dataset);
+
+                // Dashed forecast line
+                ctx.strokeStyle = color;
+                ctx.lineWidth = 2;
+                ctx.setLineDash([6, 4]);
+                ctx.beginPath();
+                ctx.moveTo(xFor(chart, state, 0), target.scale.getPixelForValue(f.base_value));
+                f.points.forEach(p => ctx.lineTo(xFor(chart, state, p.hours_ahead), target.scale.getPixelForValue(p.value)));
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                // Threshold crossings: filled when the line crosses, hollow when only the band does
+                (f.crossings || []).forEach(c => {
+                    const x = xFor(chart, state, c.hours_ahead);
+                    const y = target.scale.getPixelForValue(c.threshold);
+                    const levelColor = window.FloodThresholds ? FloodThresholds.colorOf(c.level) : color;
+                    const size = 6;
+                    ctx.beginPath();
+                    ctx.moveTo(x, y - size);
+                    ctx.lineTo(x + size, y);
+                    ctx.lineTo(x, y + size);
+                    ctx.lineTo(x - size, y);
+                    ctx.closePath();
+                    ctx.lineWidth = 2;
+                    ctx.strokeStyle = levelColor;
+                    ctx.fillStyle = c.likelihood === 'expected' ? levelColor : '#ffffff';
+                    ctx.fill();
+                    ctx.stroke();
+                    ctx.fillStyle = levelColor;
+                    ctx.font = '10px sans-serif';
+                    ctx.textAlign = 'center';
+                    ctx.textBaseline = 'bottom';
+                    ctx.fillText(`${c.name}${c.likelihood === 'possible' ? '?' : ''} ~${formatHours(c.hours_ahead)}`, x, y - size - 2);
+                });
+            });
+            ctx.restore();
+        },
+    };
+
+    if (window.Chart && typeof window.Chart.register === 'function') {
+        window.Chart.register(plugin);
+    }
+
+    window.FloodForecast = {
+        HORIZONS,
+        load,
+        attach,
+        detach,
+        describe,
+        plugin,
+    };
+
+})(window, document);
@@ -0,0 +1,653 @@
+// static/js/import_wizard.js
+// Import readings page: reads a logger download (CSV or XLSX, via SheetJS), lets the user map
+// its columns to sensor, timestamp, parameter and value, previews every row with its problems,
+// checks the rows against readings already stored (a dry run of /api/sensor-data/import/) and
+// then uploads them in chunks. Progress is kept in localStorage per file, so choosing the same
+// file again after a closed tab or a lost connection continues where the upload stopped; the
+// API skips rows it already has, so a re-sent chunk does no harm.
+
+document.addEventListener('DOMContentLoaded', function() {
+    const CHUNK_SIZE = 500;        // SENSOR_IMPORT_MAX_ROWS in api/views.py
+    const PREVIEW_LIMIT = 300;
+    const PROGRESS_PREFIX = 'importReadings:progress:';
+    const FUTURE_TOLERANCE_MS = 5 * 60 * 1000;
+    const MANILA_OFFSET = '+08:00';
+    // Column names that usually hold each field, for the first guess at a mapping
+    const GUESSES = {
+        sensor: /sensor|station|device|logger|gauge/i,
+        timestamp: /time|date/i,
+        parameter: /param|variable|type|measure/i,
+        value: /value|reading|level|amount|mm/i,
+    };
+
+    function readJson(id, fallback) {
+        const node = document.getElementById(id);
+        try {
+            return node ? JSON.parse(node.textContent) : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    const SENSORS = readJson('import-sensors', []);
+    const PARAMETERS = readJson('import-parameters', []);
+    const VALID_RANGE = readJson('import-valid-range', {});
+
+    const state = {
+        file: null,
+        fingerprint: null,
+        book: null,
+        header: [],
+        table: [],          // data rows of the chosen sheet, as arrays of cells
+        rows: [],           // parsed rows, see parseRows()
+        checked: false,     // rows were compared with the database
+        uploading: false,
+        paused: false,
+    };
+
+    const els = {
+        file: document.getElementById('import-file'),
+        sheet: document.getElementById('import-sheet'),
+        fileStatus: document.getElementById('import-file-status'),
+        resume: document.getElementById('import-resume'),
+        columns: {
+            sensor: document.getElementById('import-col-sensor'),
+            timestamp: document.getElementById('import-col-timestamp'),
+            parameter: document.getElementById('import-col-parameter'),
+            value: document.getElementById('import-col-value'),
+        },
+        previewBtn: document.getElementById('import-preview-btn'),
+        previewCard: document.getElementById('import-preview-card'),
+        previewFilter: document.getElementById('import-preview-filter'),
+        summary: document.getElementById('import-summary'),
+        checkStatus: document.getElementById('import-check-status'),
+        previewBody: document.getElementById('import-preview-body'),
+        previewNote: document.getElementById('import-preview-note'),
+        uploadCard: document.getElementById('import-upload-card'),
+        progress: document.getElementById('import-progress'),
+        uploadStatus: document.getElementById('import-upload-status'),
+        uploadBtn: document.getElementById('import-upload-btn'),
+        pauseBtn: document.getElementById('import-pause-btn'),
+        restartBtn: document.getElementById('import-restart-btn'),
+        uploadErrors: document.getElementById('import-upload-errors'),
+    };
+
+    // --- LOOKUPS ---
+    const sensorsById = new Map(SENSORS.map(s => [String(s.id), s]));
+    const sensorsByName = new Map();
+    SENSORS.forEach(s => {
+        const key = s.name.trim().toLowerCase();
+        if (!sensorsByName.has(key)) sensorsByName.set(key, []);
+        sensorsByName.get(key).push(s);
+    });
+    const parameterKeys = new Map();
+    PARAMETERS.forEach(p => {
+        parameterKeys.set(p.key.toLowerCase(), p.key);
+        parameterKeys.set(p.label.toLowerCase(), p.key);
+    });
+    const parameterLabel = key => (PARAMETERS.find(p => p.key === key) || {}).label || key;
+
+    // --- FORMATTING ---
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatManila(ms) {
+        try {
+            return new Intl.DateTimeFormat('en-GB', {
+                timeZone: 'Asia/Manila', year: 'numeric', month: 'short', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false
+            }).format(new Date(ms));
+        } catch (e) {
+            return new Date(ms).toLocaleString();
+        }
+    }
+
+    function formatCount(n) {
+        return Number(n || 0).toLocaleString();
+    }
+
+    function errorText(err) {
+        if (err && err.body && err.body.error) return err.body.error;
+        return err && err.message ? err.message : String(err);
+    }
+
+    // --- FILE READING ---
+    // SheetJS comes from the shared loader in trends_export.js, pinned to a build that parses
+    // untrusted uploads safely
+    function readFile(file) {
+        const isCsv = /\.(csv|txt)$/i.test(file.name);
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => resolve(reader.result);
+            reader.onerror = () => reject(reader.error || new Error('Could not read the file'));
+            if (isCsv) reader.readAsText(file);
+            else reader.readAsArrayBuffer(file);
+        }).then(content => FloodExport.loadSheetJs().then(XLSX => (isCsv
+            // raw keeps CSV cells as text, so timestamps are not reinterpreted in the browser's zone
+            ? XLSX.read(content, { type: 'string', raw: true })
+            : XLSX.read(content, { type: 'array', cellDates: true }))));
+    }
+
+    // Name, size and modification time identify "the same file" when it is chosen again
+    function fingerprintOf(file) {
+        return `${file.name}|${file.size}|${file.lastModified}`;
+    }
+
+    function onFileChosen() {
+        const file = els.file.files && els.file.files[0];
+        resetAfterFile();
+        if (!file) return;
+        state.file = file;
+        state.fingerprint = fingerprintOf(file);
+        els.fileStatus.innerHTML = '<span class="text-muted"><i class="fas fa-spinner fa-spin me-1"></i>Reading file…</span>';
+        readFile(file)
+            .then(book => {
+                if (state.file !== file) return;
+                state.book = book;
+                els.sheet.innerHTML = book.SheetNames.map(name =>
+                    `<option value="${escapeHtml(name)}">${escapeHtml(name)}</option>`).join('');
+                els.sheet.disabled = book.SheetNames.length < 2;
+                loadSheet();
+            })
+            .catch(err => {
+                console.error('[Import] Could not read file:', err);
+                els.fileStatus.innerHTML = `<span class="text-danger">Could not read this file: ${escapeHtml(errorText(err))}</span>`;
+            });
+    }
+
+    function loadSheet() {
+        const sheet = state.book && state.book.Sheets[els.sheet.value];
+        const cells = sheet ? window.XLSX.utils.sheet_to_json(sheet, { header: 1, raw: true, defval: '' }) : [];
+        state.header = (cells[0] || []).map((name, i) => String(name).trim() || `Column ${i + 1}`);
+        state.table = cells.slice(1).filter(row => row.some(cell => String(cell).trim() !== ''));
+        els.fileStatus.innerHTML = state.header.length
+            ? `<span class="text-success"><i class="fas fa-check me-1"></i>${formatCount(state.table.length)} rows, ${state.header.length} columns</span>`
+            : '<span class="text-danger">This sheet is empty.</span>';
+        fillColumnSelects(savedProgress());
+        showResumeNotice();
+    }
+
+    // --- COLUMN MAPPING ---
+    function fillColumnSelects(saved) {
+        const used = new Set();
+        Object.keys(els.columns).forEach(field => {
+            const select = els.columns[field];
+            const optional = field === 'parameter';
+            select.innerHTML = `<option value="">${optional ? 'Use the sensor\'s type' : 'Select column…'}</option>` +
+                state.header.map((name, i) => `<option value="${i}">${escapeHtml(name)}</option>`).join('');
+            // A restored mapping keeps an unmapped parameter column unmapped
+            let choice = saved && saved.mapping && saved.sheet === els.sheet.value ? saved.mapping[field] : undefined;
+            if (choice === undefined || (choice !== null && choice >= state.header.length)) {
+                choice = state.header.findIndex((name, i) => !used.has(i) && GUESSES[field].test(name));
+            }
+            if (choice !== null && choice >= 0) {
+                select.value = String(choice);
+                used.add(choice);
+            }
+            select.disabled = !state.header.length;
+        });
+        updatePreviewButton();
+    }
+
+    function mapping() {
+        const result = {};
+        Object.keys(els.columns).forEach(field => {
+            const value = els.columns[field].value;
+            result[field] = value === '' ? null : Number(value);
+        });
+        return result;
+    }
+
+    function updatePreviewButton() {
+        const m = mapping();
+        els.previewBtn.disabled = !state.table.length || m.sensor === null || m.timestamp === null || m.value === null;
+    }
+
+    // --- PARSING AND VALIDATION ---
+    function pad(n) {
+        return String(n).padStart(2, '0');
+    }
+
+    /**
+     * ISO 8601 string for a timestamp cell. Excel dates carry no zone and come from SheetJS as
+     * local Date objects holding the wall-clock time; they and text without an offset are read
+     * as Asia/Manila. Accepts "2024-07-01 13:00[:00]" (optionally with T and an offset or Z)
+     * and "7/1/2024 1:00[:00] PM" (month first, as Excel writes it).
+     * @returns {string|null}
+     */
+    function parseTimestamp(cell) {
+        if (cell instanceof Date) {
+            if (isNaN(cell.getTime())) return null;
+            return `${cell.getFullYear()}-${pad(cell.getMonth() + 1)}-${pad(cell.getDate())}T` +
+                `${pad(cell.getHours())}:${pad(cell.getMinutes())}:${pad(cell.getSeconds())}${MANILA_OFFSET}`;
+        }
+        const text = String(cell).trim();
+        let m = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ](\d{1,2}):(\d{2})(?::(\d{2})(?:\.\d+)?)?)?\s*(Z|[+-]\d{2}:?\d{2})?$/i);
+        let parts;
+        if (m) {
+            parts = { y: m[1], mo: m[2], d: m[3], h: m[4] || 0, mi: m[5] || 0, s: m[6] || 0, zone: m[7] };
+        } else {
+            m = text.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:\s+(\d{1,2}):(\d{2})(?::(\d{2}))?\s*(AM|PM)?)?$/i);
+            if (!m) return null;
+            let hour = Number(m[4] || 0);
+            if (m[7]) {
+                if (hour < 1 || hour > 12) return null;
+                hour = (hour % 12) + (m[7].toUpperCase() === 'PM' ? 12 : 0);
+            }
+            parts = { y: m[3], mo: m[1], d: m[2], h: hour, mi: m[5] || 0, s: m[6] || 0 };
+        }
+        const [y, mo, d, h, mi, s] = [parts.y, parts.mo, parts.d, parts.h, parts.mi, parts.s].map(Number);
+        const daysInMonth = new Date(Date.UTC(y, mo, 0)).getUTCDate();
+        if (mo < 1 || mo > 12 || d < 1 || d > daysInMonth || h > 23 || mi > 59 || s > 59) return null;
+        let zone = parts.zone ? parts.zone.toUpperCase() : MANILA_OFFSET;
+        if (zone !== 'Z' && zone.indexOf(':') === -1) zone = `${zone.slice(0, 3)}:${zone.slice(3)}`;
+        const iso = `${parts.y}-${pad(mo)}-${pad(d)}T${pad(h)}:${pad(mi)}:${pad(s)}${zone}`;
+        return isNaN(Date.parse(iso)) ? null : iso;
+    }
+
+    function findSensor(text, parameter) {
+        if (text === '') return { error: 'No sensor' };
+        if (sensorsById.has(text)) return { sensor: sensorsById.get(text) };
+        let matches = sensorsByName.get(text.toLowerCase()) || [];
+        // A station often has one sensor per parameter under the same name
+        if (matches.length > 1 && parameter) matches = matches.filter(s => s.type === parameter);
+        if (!matches.length) return { error: `Unknown sensor "${text}"` };
+        if (matches.length > 1) return { error: `"${text}" matches ${matches.length} sensors; use the sensor ID` };
+        return { sensor: matches[0] };
+    }
+
+    /**
+     * Parse and validate every data row with the current mapping. Each row holds the original
+     * cell text for display, the values to send and its status: 'ok', 'error' or 'duplicate'
+     * (within the file or, after checkAgainstDatabase(), already stored).
+     */
+    function parseRows() {
+        const m = mapping();
+        const now = Date.now();
+        const seen = new Set();
+        state.rows = state.table.map((cells, index) => {
+            const cell = field => (m[field] === null ? '' : cells[m[field]]);
+            const row = {
+                line: index + 2,   // the header is line 1
+                sensorText: String(cell('sensor')).trim(),
+                timestampCell: cell('timestamp'),
+                parameterText: String(cell('parameter')).trim(),
+                valueText: String(cell('value')).trim(),
+                status: 'ok',
+                message: '',
+            };
+            const fail = message => Object.assign(row, { status: 'error', message });
+
+            let parameter = null;
+            if (row.parameterText) {
+                parameter = parameterKeys.get(row.parameterText.toLowerCase()) || null;
+                if (!parameter) return fail(`Unknown parameter "${row.parameterText}"`);
+            }
+            const found = findSensor(row.sensorText, parameter);
+            if (found.error) return fail(found.error);
+            row.sensor = found.sensor;
+            if (parameter && parameter !== row.sensor.type) {
+                return fail(`${row.sensor.name} measures ${parameterLabel(row.sensor.type)}, not ${parameterLabel(parameter)}`);
+            }
+
+            row.timestamp = parseTimestamp(row.timestampCell);
+            if (!row.timestamp) return fail('Unreadable timestamp');
+            row.ms = Date.parse(row.timestamp);
+            if (row.ms > now + FUTURE_TOLERANCE_MS) return fail('Timestamp is in the future');
+
+            row.value = row.valueText === '' ? NaN : Number(row.valueText.replace(/,/g, ''));
+            if (!isFinite(row.value)) return fail('Value is not a number');
+            const range = VALID_RANGE[row.sensor.type];
+            if (range && (row.value < range[0] || row.value > range[1])) {
+                return fail(`Outside the possible range (${range[0]} to ${range[1]})`);
+            }
+
+            const key = `${row.sensor.id}|${row.ms}`;
+            if (seen.has(key)) return Object.assign(row, { status: 'duplicate', message: 'Repeated in this file' });
+            seen.add(key);
+            return row;
+        });
+    }
+
+    function payloadRow(row) {
+        return { row: row.line, sensor_id: row.sensor.id, timestamp: row.timestamp, parameter: row.sensor.type, value: row.value };
+    }
+
+    function importable() {
+        return state.rows.filter(row => row.status === 'ok');
+    }
+
+    function chunksOf(rows) {
+        const chunks = [];
+        for (let i = 0; i < rows.length; i += CHUNK_SIZE) chunks.push(rows.slice(i, i + CHUNK_SIZE));
+        return chunks;
+    }
+
+    /**
+     * Dry-run the importable rows so rows already in the database, and anything the server
+     * refuses, show up in the preview before the upload.
+     */
+    function checkAgainstDatabase() {
+        const chunks = chunksOf(importable());
+        const byLine = new Map(state.rows.map(row => [row.line, row]));
+        let done = 0;
+        state.checked = false;
+        updateUploadCard();
+        const step = () => {
+            if (done >= chunks.length) {
+                state.checked = true;
+                els.checkStatus.textContent = chunks.length ? 'Compared with the readings already stored.' : '';
+                return Promise.resolve();
+            }
+            els.checkStatus.innerHTML = `<i class="fas fa-spinner fa-spin me-1"></i>Checking for existing readings… ${done + 1} of ${chunks.length}`;
+            return FloodApi.importReadings({ rows: chunks[done].map(payloadRow), dry_run: true }, { key: 'import:check' })
+                .then(result => {
+                    (result.duplicates || []).forEach(line => {
+                        const row = byLine.get(line);
+                        if (row) Object.assign(row, { status: 'duplicate', message: 'Already stored' });
+                    });
+                    (result.errors || []).forEach(item => {
+                        const row = byLine.get(item.row);
+                        if (row) Object.assign(row, { status: 'error', message: item.error });
+                    });
+                    done += 1;
+                    renderPreview();
+                    return step();
+                });
+        };
+        return step()
+            .catch(err => {
+                if (FloodApi.isAbort(err)) return;
+                els.checkStatus.innerHTML = `<span class="text-danger">Could not check for existing readings: ${escapeHtml(errorText(err))}. The upload still skips them.</span>`;
+                state.checked = true;
+            })
+            .then(updateUploadCard);
+    }
+
+    // --- PREVIEW ---
+    function renderSummary() {
+        const counts = { ok: 0, error: 0, duplicate: 0 };
+        state.rows.forEach(row => { counts[row.status] += 1; });
+        const badge = (cls, text) => `<span class="badge ${cls}">${text}</span>`;
+        els.summary.innerHTML = [
+            badge('bg-light text-dark border', `${formatCount(state.rows.length)} rows`),
+            badge('bg-success', `${formatCount(counts.ok)} to import`),
+            badge('bg-danger', `${formatCount(counts.error)} with errors`),
+            badge('bg-warning text-dark', `${formatCount(counts.duplicate)} duplicates`),
+        ].join('');
+    }
+
+    function renderPreview() {
+        renderSummary();
+        const problemsOnly = els.previewFilter.value === 'problems';
+        const rows = state.rows.filter(row => !problemsOnly || row.status !== 'ok');
+        const shown = rows.slice(0, PREVIEW_LIMIT);
+        const statusCell = row => {
+            if (row.status === 'error') return `<i class="fas fa-circle-xmark text-danger me-1"></i>${escapeHtml(row.message)}`;
+            if (row.status === 'duplicate') return `<i class="fas fa-clone text-warning me-1"></i>${escapeHtml(row.message)}`;
+            return '<i class="fas fa-check text-success"></i>';
+        };
+        els.previewBody.innerHTML = shown.length ? shown.map(row => `
+            <tr class="${row.status === 'error' ? 'table-danger' : row.status === 'duplicate' ? 'table-warning' : ''}">
+                <td>${row.line}</td>
+                <td>${row.sensor ? escapeHtml(row.sensor.name) : escapeHtml(row.sensorText)}</td>
+                <td>${row.ms !== undefined ? formatManila(row.ms) : escapeHtml(row.timestampCell)}</td>
+                <td>${row.sensor ? escapeHtml(parameterLabel(row.sensor.type)) : escapeHtml(row.parameterText)}</td>
+                <td class="text-end">${escapeHtml(row.valueText)}</td>
+                <td>${statusCell(row)}</td>
+            </tr>`).join('')
+            : '<tr><td colspan="6" class="text-center text-muted py-3">No rows to show.</td></tr>';
+        els.previewNote.textContent = rows.length > shown.length
+            ? `Showing the first ${formatCount(shown.length)} of ${formatCount(rows.length)} rows. Rows with errors or duplicates are not uploaded.`
+            : 'Rows with errors or duplicates are not uploaded.';
+    }
+
+    function preview() {
+        parseRows();
+        els.previewCard.classList.remove('d-none');
+        els.uploadCard.classList.remove('d-none');
+        renderPreview();
+        return checkAgainstDatabase();
+    }
+
+    // --- RESUMABLE PROGRESS ---
+    // Rows are sent in file order, so "every importable row up to line N was sent" is enough
+    // to resume, whatever the database check makes of the rows already saved
+    function progressKey() {
+        return PROGRESS_PREFIX + state.fingerprint;
+    }
+
+    function savedProgress() {
+        if (!state.fingerprint) return null;
+        try {
+            return JSON.parse(localStorage.getItem(progressKey()) || 'null');
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function saveProgress(progress) {
+        try {
+            localStorage.setItem(progressKey(), JSON.stringify(Object.assign(progress, { updated_at: Date.now() })));
+        } catch (e) {
+            console.warn('[Import] Could not save progress:', e);
+        }
+    }
+
+    function clearProgress() {
+        try {
+            localStorage.removeItem(progressKey());
+        } catch (e) { /* storage unavailable */ }
+    }
+
+    function showResumeNotice() {
+        const saved = savedProgress();
+        const show = !!saved && !saved.finished && saved.sheet === els.sheet.value;
+        els.resume.classList.toggle('d-none', !show);
+        if (show) {
+            els.resume.innerHTML = '<i class="fas fa-clock-rotate-left me-1"></i>An earlier upload of this file stopped after ' +
+                `line ${saved.last_line} (${formatCount(saved.created)} readings saved, last active ` +
+                `${escapeHtml(new Date(saved.updated_at).toLocaleString())}). Its column mapping has been restored; ` +
+                'preview the rows and press Resume to continue.';
+        }
+    }
+
+    // Saved progress applies only to the same sheet read with the same mapping
+    function resumableProgress() {
+        const saved = savedProgress();
+        if (!saved || saved.finished || saved.sheet !== els.sheet.value) return null;
+        return JSON.stringify(saved.mapping) === JSON.stringify(mapping()) ? saved : null;
+    }
+
+    function newProgress() {
+        return {
+            sheet: els.sheet.value,
+            mapping: mapping(),
+            last_line: 1,
+            created: 0,
+            duplicates: 0,
+            errors: [],
+            finished: false,
+        };
+    }
+
+    function remainingRows(progress) {
+        return importable().filter(row => row.line > progress.last_line);
+    }
+
+    // --- UPLOAD ---
+    function setProgress(done, total) {
+        const percent = total ? Math.round((done / total) * 100) : 0;
+        els.progress.style.width = `${percent}%`;
+        els.progress.setAttribute('aria-valuenow', String(percent));
+        els.progress.textContent = `${percent}%`;
+    }
+
+    function progressDone(progress) {
+        return progress.created + progress.duplicates + progress.errors.length;
+    }
+
+    function renderUploadErrors(errors) {
+        els.uploadErrors.innerHTML = errors.slice(0, 50).map(item =>
+            `<li>Line ${escapeHtml(item.row)}: ${escapeHtml(item.error)}</li>`).join('') +
+            (errors.length > 50 ? `<li>…and ${formatCount(errors.length - 50)} more</li>` : '');
+    }
+
+    function updateUploadCard() {
+        const saved = resumableProgress();
+        const remaining = remainingRows(saved || newProgress()).length;
+        const chunkCount = Math.ceil(remaining / CHUNK_SIZE);
+        els.pauseBtn.classList.toggle('d-none', !state.uploading);
+        els.restartBtn.classList.toggle('d-none', state.uploading || !saved);
+        els.uploadBtn.classList.toggle('d-none', state.uploading);
+        els.uploadBtn.disabled = !state.checked || !remaining;
+        els.uploadBtn.innerHTML = saved
+            ? '<i class="fas fa-play me-1"></i> Resume'
+            : `<i class="fas fa-upload me-1"></i> Upload ${formatCount(remaining)} readings`;
+        if (state.uploading) return;
+        if (saved) {
+            setProgress(progressDone(saved), progressDone(saved) + remaining);
+            els.uploadStatus.textContent = `Stopped after line ${saved.last_line}: ${formatCount(saved.created)} readings saved, ` +
+                `${formatCount(remaining)} left to send.`;
+            renderUploadErrors(saved.errors);
+        } else {
+            setProgress(0, remaining);
+            els.uploadStatus.textContent = remaining
+                ? `${formatCount(remaining)} readings will be sent in ${chunkCount} chunk${chunkCount === 1 ? '' : 's'} of up to ${CHUNK_SIZE}.`
+                : 'There are no rows to upload.';
+            renderUploadErrors([]);
+        }
+    }
+
+    function upload() {
+        if (state.uploading) return Promise.resolve();
+        const progress = resumableProgress() || newProgress();
+        const chunks = chunksOf(remainingRows(progress));
+        if (!chunks.length) return Promise.resolve();
+        const total = progressDone(progress) + chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+        saveProgress(progress);
+        state.uploading = true;
+        state.paused = false;
+        els.pauseBtn.disabled = false;
+        els.resume.classList.add('d-none');
+        setControlsDisabled(true);
+        updateUploadCard();
+
+        let index = 0;
+        const step = () => {
+            if (index >= chunks.length) {
+                progress.finished = true;
+                saveProgress(progress);
+                setProgress(1, 1);
+                els.uploadStatus.innerHTML = '<span class="text-success"><i class="fas fa-check me-1"></i>Import finished: ' +
+                    `${formatCount(progress.created)} readings saved, ${formatCount(progress.duplicates)} were already stored` +
+                    `${progress.errors.length ? `, ${formatCount(progress.errors.length)} refused` : ''}.</span>`;
+                return Promise.resolve();
+            }
+            if (state.paused) {
+                els.uploadStatus.textContent = `Paused after line ${progress.last_line}. Press Resume to continue.`;
+                return Promise.resolve();
+            }
+            setProgress(progressDone(progress), total);
+            els.uploadStatus.innerHTML = `<i class="fas fa-spinner fa-spin me-1"></i>Sending chunk ${index + 1} of ${chunks.length}… ` +
+                `${formatCount(progress.created)} readings saved so far.`;
+            const chunk = chunks[index];
+            return FloodApi.importReadings({ rows: chunk.map(payloadRow) }, { key: 'import:upload' })
+                .then(result => {
+                    progress.created += result.created || 0;
+                    progress.duplicates += (result.duplicates || []).length;
+                    progress.errors = progress.errors.concat(result.errors || []);
+                    progress.last_line = chunk[chunk.length - 1].line;
+                    saveProgress(progress);
+                    setProgress(progressDone(progress), total);
+                    renderUploadErrors(progress.errors);
+                    index += 1;
+                    return step();
+                });
+        };
+
+        return step()
+            .catch(err => {
+                if (FloodApi.isAbort(err)) return;
+                console.error('[Import] Upload failed:', err);
+                els.uploadStatus.innerHTML = `<span class="text-danger">Upload stopped after line ${progress.last_line}: ` +
+                    `${escapeHtml(errorText(err))}. Press Resume to try again; choosing this file later also continues from here.</span>`;
+            })
+            .then(() => {
+                state.uploading = false;
+                setControlsDisabled(false);
+                if (progress.finished) {
+                    els.uploadBtn.classList.remove('d-none');
+                    els.uploadBtn.disabled = true;
+                    els.pauseBtn.classList.add('d-none');
+                    return;
+                }
+                const status = els.uploadStatus.innerHTML;
+                updateUploadCard();
+                els.uploadStatus.innerHTML = status;
+            });
+    }
+
+    function setControlsDisabled(disabled) {
+        els.file.disabled = disabled;
+        els.sheet.disabled = disabled || !state.book || state.book.SheetNames.length < 2;
+        els.previewBtn.disabled = disabled;
+        Object.keys(els.columns).forEach(field => { els.columns[field].disabled = disabled || !state.header.length; });
+        if (!disabled) updatePreviewButton();
+    }
+
+    function resetAfterFile() {
+        state.file = null;
+        state.fingerprint = null;
+        state.book = null;
+        state.header = [];
+        state.table = [];
+        state.rows = [];
+        state.checked = false;
+        els.fileStatus.innerHTML = '';
+        els.sheet.innerHTML = '<option value="">—</option>';
+        els.sheet.disabled = true;
+        els.resume.classList.add('d-none');
+        els.previewCard.classList.add('d-none');
+        els.uploadCard.classList.add('d-none');
+        fillColumnSelects(null);
+    }
+
+    function resetAfterMapping() {
+        state.rows = [];
+        state.checked = false;
+        els.previewCard.classList.add('d-none');
+        els.uploadCard.classList.add('d-none');
+        updatePreviewButton();
+    }
+
+    // --- EVENTS ---
+    els.file.addEventListener('change', onFileChosen);
+    els.sheet.addEventListener('change', () => {
+        resetAfterMapping();
+        loadSheet();
+    });
+    Object.keys(els.columns).forEach(field => els.columns[field].addEventListener('change', resetAfterMapping));
+    els.previewBtn.addEventListener('click', preview);
+    els.previewFilter.addEventListener('change', renderPreview);
+    els.uploadBtn.addEventListener('click', upload);
+    els.pauseBtn.addEventListener('click', () => {
+        state.paused = true;
+        els.pauseBtn.disabled = true;
+        els.uploadStatus.textContent = 'Pausing after the current chunk…';
+    });
+    els.restartBtn.addEventListener('click', () => {
+        if (!confirm('Forget the earlier progress and send every chunk again? Readings already saved are skipped.')) return;
+        clearProgress();
+        els.resume.classList.add('d-none');
+        updateUploadCard();
+    });
+    window.addEventListener('beforeunload', e => {
+        if (!state.uploading) return;
+        e.preventDefault();
+        e.returnValue = '';
+    });
+});
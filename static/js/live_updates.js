@@ -0,0 +1,139 @@
+// live_updates.js
+// Push channel for new sensor readings and flood alerts. Long-polls /api/live-events/ for the
+// selected location: each request returns as soon as something happens (or after a few seconds
+// with nothing) and the next one follows at once. Whenever a request fails the page's own
+// refreshes run on an interval instead, so pages never go stale when the channel drops.
+(function(window, document) {
+    'use strict';
+
+    const RECONNECT_MIN = 2000;    // first retry delay after a failed request (ms)
+    const RECONNECT_MAX = 60000;   // retry delay cap (ms)
+    const REPOLL_DELAY = 250;      // pause between answered requests (ms)
+
+    let channels = 0;
+
+    /**
+     * @typedef {Object} PollTask
+     * @property {Function} run       Refresh function to call
+     * @property {number} interval    Interval in ms while polling
+     */
+
+    /**
+     * @typedef {Object} LiveOptions
+     * @property {{municipalityId: ?(string|number), barangayId: ?(string|number)}} [location]
+     * @property {Object<string, Function>} [handlers]  Event name (sensor_data, flood_alert) -> handler(payload)
+     * @property {PollTask[]} [polling]                 Tasks run on their interval while the channel is down
+     * @property {Function} [onStatus]                  Called with 'connecting' | 'live' | 'polling'
+     */
+
+    /**
+     * Open a live channel.
+     * @param {LiveOptions} options
+     * @returns {{setLocation: Function, close: Function, status: Function}}
+     */
+    function open(options) {
+        const opts = options || {};
+        const handlers = opts.handlers || {};
+        const polling = opts.polling || [];
+        const key = `live:${++channels}`;   // FloodApi supersede key
+        let location = opts.location || {};
+        let cursor = null;
+        let status = null;
+        let closed = false;
+        let pollTimers = [];
+        let nextTimer = null;
+        let reconnectDelay = RECONNECT_MIN;
+
+        function setStatus(next) {
+            if (status === next) return;
+            status = next;
+            if (typeof opts.onStatus === 'function') {
+                try { opts.onStatus(next); } catch (e) { console.warn('[Live] status handler failed:', e); }
+            }
+        }
+
+        function startPolling() {
+            if (pollTimers.length || closed) return;
+            console.info('[Live] Live feed unavailable, falling back to polling');
+            setStatus('polling');
+            pollTimers = polling.map(task => setInterval(task.run, task.interval));
+        }
+
+        function stopPolling() {
+            pollTimers.forEach(clearInterval);
+            pollTimers = [];
+        }
+
+        // Run every refresh once; used after the channel recovers to cover anything missed
+        function resync() {
+            polling.forEach(task => {
+                try { task.run(); } catch (e) { console.warn('[Live] resync failed:', e); }
+            });
+        }
+
+        function dispatch(item) {
+            const handler = handlers[item.event];
+            if (typeof handler !== 'function') return;
+            try { handler(item.data); } catch (e) { console.error(`[Live] ${item.event} handler failed:`, e); }
+        }
+
+        function schedule(delay) {
+            clearTimeout(nextTimer);
+            nextTimer = setTimeout(poll, delay);
+        }
+
+        function poll() {
+            clearTimeout(nextTimer);
+            if (closed) return;
+            if (cursor === null && !pollTimers.length) setStatus('connecting');
+            FloodApi.liveEvents(location, cursor, { key })
+                .then(data => {
+                    const recovering = pollTimers.length > 0;
+                    cursor = data.cursor;
+                    reconnectDelay = RECONNECT_MIN;
+                    stopPolling();
+                    setStatus('live');
+                    if (recovering) resync();
+                    (data.events || []).forEach(dispatch);
+                    schedule(REPOLL_DELAY);
+                })
+                .catch(err => {
+                    // Superseded by a location change or closed
+                    if (FloodApi.isAbort(err)) return;
+                    startPolling();
+                    schedule(reconnectDelay);
+                    reconnectDelay = Math.min(reconnectDelay * 2, RECONNECT_MAX);
+                });
+        }
+
+        poll();
+
+        return {
+            // Follow new municipality/barangay filters (no-op if unchanged)
+            setLocation(next) {
+                const loc = next || {};
+                if (String(loc.municipalityId || '') === String(location.municipalityId || '') &&
+                    String(loc.barangayId || '') === String(location.barangayId || '')) {
+                    return;
+                }
+                location = loc;
+                // A new location starts from a fresh cursor; the request in flight is aborted
+                cursor = null;
+                reconnectDelay = RECONNECT_MIN;
+                poll();
+            },
+            close() {
+                closed = true;
+                clearTimeout(nextTimer);
+                stopPolling();
+                FloodApi.abort(key);
+            },
+            status() {
+                return status;
+            },
+        };
+    }
+
+    window.FloodLive = { open };
+
+})(window, document);
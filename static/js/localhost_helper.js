@@ -211,8 +211,8 @@ function retryMapDataIfNeeded() {
             
             // Try to get selected municipality
             let municipalityId = null;
-            if (window.selectedMunicipality && window.selectedMunicipality.id) {
-                municipalityId = window.selectedMunicipality.id;
+            if (window.FloodLocation) {
+                municipalityId = window.FloodLocation.get().municipalityId;
             }
             
             // Build URL for map data
@@ -0,0 +1,174 @@
+// location_store.js
+// Single source of truth for the selected municipality/barangay. Every page module reads
+// the selection from window.FloodLocation and subscribes to changes instead of keeping its
+// own copy. The selection is mirrored to the URL query string (shareable links) and to
+// localStorage (survives reloads and navigation between pages).
+(function(window, document) {
+    'use strict';
+
+    const STORAGE_KEY = 'floodLocation';
+    const URL_PARAMS = { municipalityId: 'municipality_id', barangayId: 'barangay_id' };
+
+    /**
+     * @typedef {Object} LocationState
+     * @property {?number} municipalityId
+     * @property {?number} barangayId
+     * @property {?Object} municipality  Municipality record ({id, name, ...}); at least {id, name} when an id is set
+     * @property {?Object} barangay      Barangay record ({id, name, ...}); at least {id, name} when an id is set
+     */
+
+    let current = { municipalityId: null, barangayId: null, municipality: null, barangay: null };
+    const listeners = new Set();
+
+    // Ids arrive as strings from <select> values and the URL; keep them numeric when possible
+    function toId(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const n = Number(value);
+        return Number.isFinite(n) ? n : String(value);
+    }
+
+    // Keep a details record consistent with its id; fall back to a minimal {id, name}
+    function detailsFor(id, details, previous) {
+        if (id === null) return null;
+        if (details && toId(details.id) === id) return details;
+        if (previous && toId(previous.id) === id) return previous;
+        return { id, name: details && details.name ? details.name : null };
+    }
+
+    function readUrl() {
+        try {
+            const params = new URLSearchParams(window.location.search);
+            if (!params.has(URL_PARAMS.municipalityId) && !params.has(URL_PARAMS.barangayId)) return null;
+            return {
+                municipalityId: toId(params.get(URL_PARAMS.municipalityId)),
+                barangayId: toId(params.get(URL_PARAMS.barangayId)),
+            };
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function readStorage() {
+        try {
+            const raw = window.localStorage.getItem(STORAGE_KEY);
+            return raw ? JSON.parse(raw) : null;
+        } catch (e) {
+            return null;
+        }
+    }
+
+    function persist() {
+        try {
+            window.localStorage.setItem(STORAGE_KEY, JSON.stringify({
+                municipalityId: current.municipalityId,
+                barangayId: current.barangayId,
+                municipalityName: current.municipality ? current.municipality.name : null,
+                barangayName: current.barangay ? current.barangay.name : null,
+            }));
+        } catch (e) { /* storage may be disabled */ }
+
+        try {
+            const url = new URL(window.location.href);
+            Object.keys(URL_PARAMS).forEach(key => {
+                if (current[key] !== null) url.searchParams.set(URL_PARAMS[key], current[key]);
+                else url.searchParams.delete(URL_PARAMS[key]);
+            });
+            if (url.href !== window.location.href) {
+                window.history.replaceState(window.history.state, '', url.href);
+            }
+        } catch (e) { /* history API unavailable */ }
+    }
+
+    /**
+     * Current selection (a copy; mutate through set()).
+     * @returns {LocationState}
+     */
+    function get() {
+        return Object.assign({}, current);
+    }
+
+    /**
+     * Update the selection. Changing the municipality clears the barangay unless one is given.
+     * Passing a record (municipality/barangay) for the already-selected id only refreshes its
+     * details and does not notify subscribers.
+     * @param {{municipalityId?: *, barangayId?: *, municipality?: Object, barangay?: Object}} next
+     * @param {Object} [meta]  Passed to subscribers, e.g. { source: 'map' }
+     */
+    function set(next, meta) {
+        const n = next || {};
+        const previous = current;
+
+        let municipalityId = previous.municipalityId;
+        if ('municipality' in n) municipalityId = n.municipality ? toId(n.municipality.id) : null;
+        if ('municipalityId' in n) municipalityId = toId(n.municipalityId);
+        // A barangay record knows its municipality; keep the pair consistent
+        if (n.barangay && n.barangay.municipality_id != null && !('municipality' in n) && !('municipalityId' in n)) {
+            municipalityId = toId(n.barangay.municipality_id);
+        }
+
+        let barangayId = municipalityId === previous.municipalityId ? previous.barangayId : null;
+        if ('barangay' in n) barangayId = n.barangay ? toId(n.barangay.id) : null;
+        if ('barangayId' in n) barangayId = toId(n.barangayId);
+
+        current = {
+            municipalityId,
+            barangayId,
+            municipality: detailsFor(municipalityId, n.municipality, previous.municipality),
+            barangay: detailsFor(barangayId, n.barangay, previous.barangay),
+        };
+        persist();
+
+        if (current.municipalityId === previous.municipalityId && current.barangayId === previous.barangayId) return;
+        const snapshot = get();
+        listeners.forEach(fn => {
+            try {
+                fn(snapshot, previous, meta || {});
+            } catch (e) {
+                console.error('[Location] Subscriber failed:', e);
+            }
+        });
+    }
+
+    /**
+     * Call `fn(location, previous, meta)` whenever the selected ids change.
+     * @param {Function} fn
+     * @returns {Function} unsubscribe
+     */
+    function subscribe(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    /**
+     * Human-readable label such as "Santa Lucia > Barangay 1" or "All Areas".
+     * @returns {string}
+     */
+    function label() {
+        if (current.municipalityId === null) return 'All Areas';
+        let text = (current.municipality && current.municipality.name) || 'Selected municipality';
+        if (current.barangayId !== null) {
+            text += ' > ' + ((current.barangay && current.barangay.name) || 'Selected barangay');
+        }
+        return text;
+    }
+
+    // Restore: a shared link (URL) wins over the last selection on this device
+    (function restore() {
+        const fromUrl = readUrl();
+        const stored = readStorage() || {};
+        const source = fromUrl || stored;
+        const municipalityId = toId(source.municipalityId);
+        const barangayId = municipalityId === null ? null : toId(source.barangayId);
+        const sameAsStored = municipalityId === toId(stored.municipalityId);
+        current = {
+            municipalityId,
+            barangayId,
+            municipality: detailsFor(municipalityId, sameAsStored ? { id: municipalityId, name: stored.municipalityName } : null, null),
+            barangay: detailsFor(barangayId, sameAsStored && barangayId === toId(stored.barangayId) ? { id: barangayId, name: stored.barangayName } : null, null),
+        };
+        persist();
+    })();
+
+    window.FloodLocation = { get, set, subscribe, label };
+
+})(window, document);
@@ -0,0 +1,316 @@
+// static/js/manual_entry.js
+// Manual reading page: field observers pick a sensor by municipality and barangay, type what
+// they read off the staff or rain gauge and submit it to /api/add-sensor-data/ as a manual
+// reading. Values outside the physical range are refused; readings at a threshold level and
+// jumps faster than SENSOR_HEALTH['max_change_per_hour'] since the last reading need a second
+// look before they can be sent. Offline, FloodApi queues the reading and sends it later.
+
+document.addEventListener('DOMContentLoaded', function() {
+    const HISTORY_KEY = 'manualReadings:history';
+    const HISTORY_SIZE = 10;
+    // Gauges read by hand are nearly always one of these; they are listed first
+    const TYPE_ORDER = ['water_level', 'rainfall', 'temperature', 'humidity', 'wind_speed'];
+    const TYPE_LABELS = {
+        water_level: 'Water Level', rainfall: 'Rainfall', temperature: 'Temperature',
+        humidity: 'Humidity', wind_speed: 'Wind Speed',
+    };
+
+    const limitsEl = document.getElementById('manual-reading-limits');
+    const LIMITS = limitsEl ? JSON.parse(limitsEl.textContent) : { valid_range: {}, max_change_per_hour: {} };
+
+    const state = {
+        sensors: [],        // from /api/map-data/ for the chosen municipality
+        sensor: null,
+        last: null,         // {value, time: ms} of the sensor's latest reading
+        warnings: [],
+    };
+
+    const els = {
+        form: document.getElementById('manual-reading-form'),
+        municipality: document.getElementById('manual-municipality'),
+        barangay: document.getElementById('manual-barangay'),
+        sensor: document.getElementById('manual-sensor'),
+        lastReading: document.getElementById('manual-last-reading'),
+        value: document.getElementById('manual-value'),
+        unit: document.getElementById('manual-unit'),
+        feedback: document.getElementById('manual-value-feedback'),
+        time: document.getElementById('manual-time'),
+        warnings: document.getElementById('manual-warnings'),
+        warningList: document.getElementById('manual-warning-list'),
+        confirm: document.getElementById('manual-confirm'),
+        result: document.getElementById('manual-result'),
+        submit: document.getElementById('manual-submit'),
+        history: document.getElementById('manual-history'),
+    };
+
+    // --- FORMATTING ---
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatValue(value, unit) {
+        const text = Number(value).toFixed(2).replace(/\.?0+$/, '');
+        return unit ? `${text} ${unit}` : text;
+    }
+
+    function formatManila(ms) {
+        try {
+            return new Intl.DateTimeFormat('en-GB', {
+                timeZone: 'Asia/Manila', day: '2-digit', month: 'short', hour: '2-digit', minute: '2-digit', hour12: false
+            }).format(new Date(ms));
+        } catch (e) {
+            return new Date(ms).toLocaleString();
+        }
+    }
+
+    // Value for a datetime-local input: local time without seconds
+    function localInputValue(date) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+    }
+
+    function showResult(kind, html) {
+        els.result.className = `alert alert-${kind} mb-3`;
+        els.result.innerHTML = html;
+    }
+
+    // --- LOCATION AND SENSOR PICKERS ---
+    function loadBarangays() {
+        els.barangay.innerHTML = '<option value="" selected>All barangays</option>';
+        els.barangay.disabled = true;
+        if (!els.municipality.value) return Promise.resolve();
+        return FloodApi.allBarangays({ municipality_id: els.municipality.value }, { key: 'manual:barangays' })
+            .then(data => {
+                (data.barangays || []).slice().sort((a, b) => a.name.localeCompare(b.name)).forEach(b => {
+                    const option = document.createElement('option');
+                    option.value = b.id;
+                    option.textContent = b.name;
+                    els.barangay.appendChild(option);
+                });
+                els.barangay.disabled = false;
+            })
+            .catch(err => {
+                if (!FloodApi.isAbort(err)) console.error('[Manual] Could not load barangays:', err);
+            });
+    }
+
+    function loadSensors() {
+        state.sensors = [];
+        renderSensors();
+        if (!els.municipality.value) return Promise.resolve();
+        els.sensor.innerHTML = '<option value="" selected>Loading sensors…</option>';
+        return FloodApi.mapData({ municipalityId: els.municipality.value }, { key: 'manual:sensors' })
+            .then(data => {
+                state.sensors = data.sensors || [];
+                renderSensors();
+            })
+            .catch(err => {
+                if (FloodApi.isAbort(err)) return;
+                console.error('[Manual] Could not load sensors:', err);
+                els.sensor.innerHTML = '<option value="" selected>Could not load sensors</option>';
+            });
+    }
+
+    function renderSensors() {
+        const barangayId = els.barangay.value;
+        const sensors = state.sensors
+            .filter(s => !barangayId || String(s.barangay_id) === String(barangayId))
+            .sort((a, b) => (TYPE_ORDER.indexOf(a.type) - TYPE_ORDER.indexOf(b.type)) || a.name.localeCompare(b.name));
+        if (!sensors.length) {
+            els.sensor.innerHTML = `<option value="" selected>${els.municipality.value ? 'No sensors at this location' : 'Select a municipality first'}</option>`;
+            els.sensor.disabled = true;
+        } else {
+            els.sensor.innerHTML = '<option value="" selected>Select sensor…</option>' + sensors.map(s =>
+                `<option value="${escapeHtml(String(s.id))}">${escapeHtml(TYPE_LABELS[s.type] || s.type)} — ${escapeHtml(s.name)}</option>`
+            ).join('');
+            els.sensor.disabled = false;
+        }
+        selectSensor();
+    }
+
+    function selectSensor() {
+        state.sensor = state.sensors.find(s => String(s.id) === els.sensor.value) || null;
+        state.last = null;
+        els.unit.textContent = state.sensor ? (state.sensor.unit || '—') : '—';
+        els.value.disabled = !state.sensor;
+        els.lastReading.textContent = '';
+        validate();
+        if (!state.sensor) return;
+
+        const sensor = state.sensor;
+        els.lastReading.textContent = 'Checking the last reading…';
+        FloodApi.sensorHistory(sensor.id, { days: 2 }, { key: 'manual:last-reading' })
+            .then(data => {
+                if (state.sensor !== sensor) return;
+                const readings = data.readings || [];
+                const last = readings[readings.length - 1];
+                if (!last) {
+                    els.lastReading.textContent = 'No readings in the last 2 days.';
+                    return;
+                }
+                state.last = { value: last.value, time: Date.parse(last.timestamp) };
+                els.lastReading.textContent = `Last reading: ${formatValue(last.value, sensor.unit)} at ${formatManila(state.last.time)}${last.manual ? ' (manual)' : ''}`;
+                validate();
+            })
+            .catch(err => {
+                if (FloodApi.isAbort(err) || state.sensor !== sensor) return;
+                els.lastReading.textContent = 'The last reading could not be loaded; jumps will not be checked.';
+            });
+    }
+
+    // --- VALIDATION ---
+    // Errors block the submission; warnings need the confirmation box
+    function validate() {
+        const sensor = state.sensor;
+        const raw = els.value.value.trim();
+        const value = Number(raw);
+        const time = Date.parse(els.time.value);
+        const errors = [];
+        const warnings = [];
+        let info = '';
+
+        if (sensor && raw !== '') {
+            const range = LIMITS.valid_range[sensor.type];
+            if (!Number.isFinite(value)) {
+                errors.push('Enter a number.');
+            } else if (range && (value < range[0] || value > range[1])) {
+                errors.push(`${TYPE_LABELS[sensor.type] || sensor.type} readings must be between ${range[0]} and ${range[1]} ${sensor.unit || ''}.`);
+            } else {
+                const level = FloodThresholds.levelOf(sensor.type, value, null, sensor);
+                if (level) {
+                    const name = FloodThresholds.LEVELS[level - 1].name;
+                    info = `At the ${name} level.`;
+                    if (level >= 3) warnings.push(`${formatValue(value, sensor.unit)} is at the ${name} level and may raise an alert.`);
+                }
+                const maxRate = LIMITS.max_change_per_hour[sensor.type];
+                if (state.last && maxRate && Number.isFinite(time)) {
+                    const hours = Math.max(Math.abs(time - state.last.time) / 3600000, 0.25);
+                    const change = value - state.last.value;
+                    if (Math.abs(change) / hours > maxRate) {
+                        warnings.push(`${change > 0 ? 'Up' : 'Down'} ${formatValue(Math.abs(change), sensor.unit)} from the last reading ` +
+                            `(${formatValue(state.last.value, sensor.unit)} at ${formatManila(state.last.time)}), faster than ${maxRate} ${sensor.unit || ''} per hour.`);
+                    }
+                }
+            }
+        }
+        if (!Number.isFinite(time)) {
+            errors.push('Enter the time of the reading.');
+        } else if (time > Date.now() + 5 * 60000) {
+            errors.push('The time of the reading is in the future.');
+        }
+
+        els.feedback.className = `small mt-1 ${errors.length ? 'text-danger' : 'text-muted'}`;
+        els.feedback.textContent = errors.length ? errors.join(' ') : info;
+        els.value.classList.toggle('is-invalid', !!(raw !== '' && errors.length));
+
+        const changed = warnings.join('|') !== state.warnings.join('|');
+        state.warnings = warnings;
+        if (changed) els.confirm.checked = false;
+        els.warnings.classList.toggle('d-none', !warnings.length);
+        els.warningList.innerHTML = warnings.map(w => `<li>${escapeHtml(w)}</li>`).join('');
+
+        const ready = !!sensor && raw !== '' && !errors.length && (!warnings.length || els.confirm.checked);
+        els.submit.disabled = !ready;
+        return ready;
+    }
+
+    // --- HISTORY ---
+    function loadHistory() {
+        try {
+            return JSON.parse(window.localStorage.getItem(HISTORY_KEY)) || [];
+        } catch (e) {
+            return [];
+        }
+    }
+
+    function addHistory(entry) {
+        const history = [entry].concat(loadHistory()).slice(0, HISTORY_SIZE);
+        try { window.localStorage.setItem(HISTORY_KEY, JSON.stringify(history)); } catch (e) { /* private mode */ }
+        renderHistory();
+    }
+
+    function renderHistory() {
+        const history = loadHistory();
+        if (!history.length) {
+            els.history.innerHTML = '<li class="list-group-item text-muted small">No readings submitted yet.</li>';
+            return;
+        }
+        els.history.innerHTML = history.map(h => `
+            <li class="list-group-item d-flex justify-content-between align-items-center">
+                <div>
+                    <strong>${escapeHtml(formatValue(h.value, h.unit))}</strong> · ${escapeHtml(h.sensor)}
+                    <div class="small text-muted">${escapeHtml(formatManila(h.time))}</div>
+                </div>
+                ${h.queued
+                    ? '<span class="badge bg-warning text-dark" title="Sent when the connection is back">Queued</span>'
+                    : '<span class="badge bg-success">Sent</span>'}
+            </li>`).join('');
+    }
+
+    // --- SUBMIT ---
+    function submit(e) {
+        e.preventDefault();
+        if (!validate()) return;
+        const sensor = state.sensor;
+        const value = Number(els.value.value);
+        const time = Date.parse(els.time.value);
+        els.submit.disabled = true;
+
+        FloodApi.addSensorData({
+            sensor_id: sensor.id,
+            value,
+            // Sent with the reading so a queued submission keeps the time it was taken
+            timestamp: new Date(time).toISOString(),
+            source: 'manual',
+        })
+            .then(res => {
+                const queued = !!(res && res.queued);
+                addHistory({ sensor: sensor.name, value, unit: sensor.unit, time, queued });
+                showResult(queued ? 'warning' : 'success', queued
+                    ? '<i class="fas fa-cloud-arrow-up me-1"></i> You are offline. The reading is saved on this device and will be sent when the connection is back.'
+                    : `<i class="fas fa-check me-1"></i> ${escapeHtml(formatValue(value, sensor.unit))} recorded for ${escapeHtml(sensor.name)}.`);
+                state.last = { value, time };
+                els.value.value = '';
+                els.confirm.checked = false;
+                els.time.value = localInputValue(new Date());
+                validate();
+            })
+            .catch(err => {
+                const message = err && err.body && err.body.error ? err.body.error : (err && err.message ? err.message : err);
+                showResult('danger', `<i class="fas fa-triangle-exclamation me-1"></i> The reading was not saved: ${escapeHtml(message)}`);
+                validate();
+            });
+    }
+
+    // --- INIT ---
+    els.time.value = localInputValue(new Date());
+    els.municipality.addEventListener('change', () => {
+        loadBarangays();
+        loadSensors();
+    });
+    els.barangay.addEventListener('change', renderSensors);
+    els.sensor.addEventListener('change', selectSensor);
+    ['input', 'change'].forEach(type => {
+        els.value.addEventListener(type, validate);
+        els.time.addEventListener(type, validate);
+    });
+    els.confirm.addEventListener('change', validate);
+    els.form.addEventListener('submit', submit);
+    window.addEventListener('floodoffline:flushed', e => {
+        // The outbox sends oldest first; mark that many of the oldest queued readings as sent
+        let sent = (e.detail && e.detail.sent) || 0;
+        const history = loadHistory();
+        for (let i = history.length - 1; i >= 0 && sent > 0; i--) {
+            if (!history[i].queued) continue;
+            history[i].queued = false;
+            sent--;
+        }
+        try { window.localStorage.setItem(HISTORY_KEY, JSON.stringify(history)); } catch (err) { /* private mode */ }
+        renderHistory();
+    });
+
+    FloodThresholds.load().then(validate).catch(() => {});
+    renderHistory();
+});
@@ -0,0 +1,74 @@
+// manual_readings.js
+// Readings typed in by field observers (SensorData.source = 'manual', entered on the manual
+// reading page) are drawn differently in every chart: a larger diamond instead of the usual
+// point, and "Manual reading" in the tooltip. A chart opts in per dataset by setting
+// `dataset.manual` to an array of booleans aligned with `dataset.data`, e.g. the `manual`
+// array that /api/chart-data/ returns next to `values`.
+(function(window, document) {
+    'use strict';
+
+    const MANUAL_STYLE = 'rectRot';
+    const MANUAL_RADIUS = 5;
+    const TOOLTIP_TEXT = 'Manual reading';
+
+    function hasManual(dataset) {
+        return Array.isArray(dataset.manual) && dataset.manual.some(Boolean);
+    }
+
+    /**
+     * Align manual flags with values that were filtered or re-keyed, e.g. by timestamp.
+     * @param {string[]} labels        Labels of the returned series
+     * @param {boolean[]} manual       Flags for those labels
+     * @param {string[]} targetLabels  Labels of the chart
+     * @returns {boolean[]}
+     */
+    function alignFlags(labels, manual, targetLabels) {
+        const byLabel = new Map();
+        (labels || []).forEach((label, i) => { if (manual && manual[i]) byLabel.set(label, true); });
+        return (targetLabels || []).map(label => byLabel.has(label));
+    }
+
+    const plugin = {
+        id: 'floodManualReadings',
+
+        // Per-point styles are rebuilt on every update so they follow new data
+        beforeUpdate(chart) {
+            chart.data.datasets.forEach(dataset => {
+                if (!Array.isArray(dataset.manual)) return;
+                if (dataset._manualBase === undefined) {
+                    dataset._manualBase = {
+                        pointStyle: dataset.pointStyle,
+                        pointRadius: dataset.pointRadius,
+                    };
+                }
+                const base = dataset._manualBase;
+                if (!hasManual(dataset)) {
+                    dataset.pointStyle = base.pointStyle;
+                    dataset.pointRadius = base.pointRadius;
+                    return;
+                }
+                const baseRadius = typeof base.pointRadius === 'number' ? base.pointRadius : 3;
+                dataset.pointStyle = dataset.data.map((_, i) => (dataset.manual[i] ? MANUAL_STYLE : (base.pointStyle || 'circle')));
+                dataset.pointRadius = dataset.data.map((_, i) => (dataset.manual[i] ? Math.max(baseRadius, MANUAL_RADIUS) : baseRadius));
+            });
+        },
+    };
+
+    if (window.Chart && typeof window.Chart.register === 'function') {
+        window.Chart.register(plugin);
+        // Charts that define their own afterLabel callback keep it
+        const callbacks = window.Chart.defaults.plugins.tooltip.callbacks;
+        const previous = callbacks.afterLabel;
+        callbacks.afterLabel = function(context) {
+            const dataset = context.dataset || {};
+            if (Array.isArray(dataset.manual) && dataset.manual[context.dataIndex]) return TOOLTIP_TEXT;
+            return previous ? previous.apply(this, arguments) : '';
+        };
+    }
+
+    window.FloodManualReadings = {
+        alignFlags,
+        plugin,
+    };
+
+})(window, document);
@@ -3,64 +3,36 @@
  * Returns a promise that resolves to { barangayThresholds, sensorThresholds }
  */
 
-// --- CSRF and location refresh helpers ---
-function getCookie(name) {
-    const value = `; ${document.cookie}`;
-    const parts = value.split(`; ${name}=`);
-    if (parts.length === 2) return parts.pop().split(';').shift();
-}
-
-function getCSRFToken() {
-    return getCookie('csrftoken');
-}
-
+// --- Location refresh helpers ---
 // Call backend to apply thresholds for current selection, then refresh UI
 function refreshAllDataForNewLocation() {
     // Determine scope and payload based on current selection
     let body = { dry_run: false };
-    if (window.selectedBarangay && window.selectedMunicipality) {
+    if (getSelectedBarangay() && getSelectedMunicipality()) {
         body.process_scope = 'barangay';
-        body.municipality_id = window.selectedMunicipality.id;
-        body.barangay_id = window.selectedBarangay.id;
-    } else if (window.selectedMunicipality) {
+        body.municipality_id = getSelectedMunicipality().id;
+        body.barangay_id = getSelectedBarangay().id;
+    } else if (getSelectedMunicipality()) {
         body.process_scope = 'municipality';
-        body.municipality_id = window.selectedMunicipality.id;
+        body.municipality_id = getSelectedMunicipality().id;
     } else {
         body.process_scope = 'all';
     }
 
-    fetch('/api/apply-thresholds/', {
-        method: 'POST',
-        headers: {
-            'Content-Type': 'application/json',
-            'X-Requested-With': 'XMLHttpRequest',
-            'X-CSRFToken': getCSRFToken() || ''
-        },
-        body: JSON.stringify(body)
-    })
-    .then(resp => {
-        if (!resp.ok) throw new Error(`HTTP ${resp.status}`);
-        return resp.json();
-    })
+    FloodApi.applyThresholds(body, { key: 'map:apply-thresholds' })
     .then(() => {
-        // Reload map data immediately
+        // Reload map data immediately (other modules follow FloodLocation themselves)
         loadMapData();
-        // Signal dashboard.js to refresh gauges/alerts for the new location
-        window.locationChanged = true;
     })
     .catch(err => {
+        if (FloodApi.isAbort(err)) return;
         console.error('Error applying thresholds for current location:', err);
         // Even if apply fails, still refresh visual data for location change
         loadMapData();
-        window.locationChanged = true;
     });
 }
 function fetchThresholdData() {
-    return fetch('/api/thresholds/')
-        .then(response => {
-            if (!response.ok) throw new Error('Failed to fetch thresholds');
-            return response.json();
-        })
+    return FloodApi.thresholds()
         .then(data => {
             // Expected: { barangayThresholds: { [barangayId]: value }, sensorThresholds: { [sensorId]: value } }
             return data;
@@ -88,9 +60,14 @@ let activeMapMode = 'risk-zones';
 let floodAffectedBarangays = new Set();
 let barangayAlertDetails = {}; // Store alert details for affected barangays
 
-// Selected municipality and barangay - global variables to be used in all modules
-window.selectedMunicipality = null;
-window.selectedBarangay = null;
+// Selected municipality and barangay records come from the shared FloodLocation store
+function getSelectedMunicipality() {
+    return FloodLocation.get().municipality;
+}
+
+function getSelectedBarangay() {
+    return FloodLocation.get().barangay;
+}
 
 // Store all data
 let allMunicipalities = [];
@@ -102,108 +79,12 @@ let loadedMunicipalityBarangays = [];
 // Map markers for barangays
 let barangayMarkers = {};
 
-//map boundery
-// Function to calculate radius from area (in square kilometers)
-function getRadiusFromArea(areaSqKm) {
-    // Convert area to square meters (Leaflet uses meters)
-    const areaSqM = areaSqKm * 1000000;
-    // Calculate radius in meters: area = πr² => r = √(area/π)
-    return Math.sqrt(areaSqM / Math.PI);
-}
+// Boundary polygons keyed by barangay id (string), loaded with the map data
+let barangayBoundaries = new Map();
 
-// Function to create a circular boundary for a given area
-function createAreaBoundary(centerLatLng, areaSqKm, options = {}) {
-    const radius = getRadiusFromArea(areaSqKm);
-    
-    // Default options
-    const defaultOptions = {
-        color: '#3388ff',
-        weight: 3,
-        opacity: 0.7,
-        fillOpacity: 0.2,
-        fillColor: '#3388ff',
-        interactive: false
-    };
-    
-    // Merge with provided options
-    const finalOptions = {...defaultOptions, ...options};
-    
-    // Create and return the circle
-    return L.circle(centerLatLng, {
-        radius: radius,
-        ...finalOptions
-    });
-}
+// Replay control for historical snapshots (map_time_slider.js)
+let mapTimeSlider = null;
 
-// Function to create a boundary line (just the outline) for a given area
-function createAreaBoundaryLine(centerLatLng, areaSqKm, options = {}) {
-    const radius = getRadiusFromArea(areaSqKm);
-    
-    // Default options for just the line
-    const defaultOptions = {
-        color: '#3388ff',
-        weight: 3,
-        opacity: 0.7,
-        fill: false,
-        interactive: false
-    };
-    
-    // Merge with provided options
-    const finalOptions = {...defaultOptions, ...options};
-    
-    // Create and return the circle
-    return L.circle(centerLatLng, {
-        radius: radius,
-        ...finalOptions
-    });
-}
-
-// Example usage with Leaflet map
-function addAreaBoundariesToMap(map) {
-    // Example areas in square kilometers
-    const areas = [
-        { latlng: [14.6760, 121.0437], area: 5, color: '#ff0000' },    // 5 sqkm
-        { latlng: [14.6860, 121.0537], area: 10, color: '#00ff00' },   // 10 sqkm
-        { latlng: [14.6660, 121.0337], area: 2.5, color: '#0000ff' }   // 2.5 sqkm
-    ];
-    
-    areas.forEach(area => {
-        // Add filled boundary
-        const boundary = createAreaBoundary(
-            area.latlng, 
-            area.area, 
-            { color: area.color, fillColor: area.color }
-        );
-        boundary.addTo(map);
-        
-        // Add label showing the area
-        L.marker(area.latlng, {
-            icon: L.divIcon({
-                html: `<div class="area-label">${area.area} km²</div>`,
-                className: 'area-label-container'
-            }),
-            zIndexOffset: 1000
-        }).addTo(map);
-    });
-}
-
-// CSS for the area labels (add to your stylesheet)
-/*
-.area-label-container {
-    background: transparent;
-    border: none;
-}
-.area-label {
-    background: white;
-    padding: 2px 5px;
-    border-radius: 3px;
-    border: 1px solid #ccc;
-    font-size: 12px;
-    font-weight: bold;
-}
-*/
- 
-    
 /**
  * Initialize the flood map
  */
@@ -226,16 +107,67 @@ function initMap() {
     const focusButton = document.getElementById('focus-selected-barangay');
     if (focusButton) {
         focusButton.addEventListener('click', function() {
-            if (selectedBarangay) {
-                focusOnBarangay(selectedBarangay);
+            const barangay = getSelectedBarangay();
+            if (barangay) {
+                focusOnBarangay(allBarangays.find(b => b.id === barangay.id) || barangay);
             }
         });
     }
 
+    // Replay historical snapshots; loadMapData restores the live view afterwards
+    mapTimeSlider = FloodTimeSlider.attach(floodMap, {
+        onFrame: drawHistoryFrame,
+        onExit: loadMapData
+    });
+
+    // Selectors write to the shared location store; every change refreshes the map
+    bindLocationSelectors();
+    FloodLocation.subscribe(syncMapWithLocation);
+
+    // Recolour markers when thresholds are edited (in any tab)
+    FloodThresholds.subscribe(loadMapData);
+
     // Refresh map data every 3 minutes
     setInterval(loadMapData, 3 * 60 * 1000);
 }
 
+/**
+ * Write municipality/barangay selector changes to the shared location store
+ */
+function bindLocationSelectors() {
+    const municipalitySelector = document.getElementById('municipality-selector');
+    if (municipalitySelector) {
+        municipalitySelector.addEventListener('change', function() {
+            const municipality = allMunicipalities.find(m => m.id.toString() === this.value);
+            FloodLocation.set({ municipality: municipality || null }, { source: 'map' });
+        });
+    }
+    
+    const barangaySelector = document.getElementById('barangay-selector');
+    if (barangaySelector) {
+        barangaySelector.addEventListener('change', function() {
+            const barangay = allBarangays.find(b => b.id.toString() === this.value);
+            FloodLocation.set({ barangay: barangay || null }, { source: 'map' });
+        });
+    }
+}
+
+/**
+ * FloodLocation subscriber: mirror the selection into the selectors and reload map data
+ */
+function syncMapWithLocation(location) {
+    const municipalitySelector = document.getElementById('municipality-selector');
+    if (municipalitySelector) {
+        municipalitySelector.value = location.municipalityId || '';
+    }
+    setupBarangaySelector();
+    const barangaySelector = document.getElementById('barangay-selector');
+    if (barangaySelector) {
+        barangaySelector.value = location.barangayId || '';
+    }
+    refreshAllDataForNewLocation();
+}
+
 /**
  * Set up map control buttons
  */
@@ -306,46 +238,33 @@ function setMapMode(mode) {
     }
 }
 
+/**
+ * Current municipality/barangay selection as a FloodApi location
+ */
+function currentMapLocation() {
+    return FloodLocation.get();
+}
+
 /**
  * Load map data from API
  */
 function loadMapData() {
+    // Live refreshes must not overwrite a replayed snapshot
+    if (mapTimeSlider && mapTimeSlider.isActive()) return;
+    
     // Show loading status on the map
     if (document.getElementById('map-last-updated')) {
         document.getElementById('map-last-updated').textContent = 'Loading data...';
     }
     
-    // Construct URL with location filters
-    let url = '/api/map-data/';
-    const params = [];
-    
-    // Add municipality filter if selected
-    if (window.selectedMunicipality) {
-        params.push(`municipality_id=${window.selectedMunicipality.id}`);
-        console.log(`[Map] Adding municipality filter: ${window.selectedMunicipality.name}`);
-    }
-    
-    // Add barangay filter if selected
-    if (window.selectedBarangay) {
-        params.push(`barangay_id=${window.selectedBarangay.id}`);
-        console.log(`[Map] Adding barangay filter: ${window.selectedBarangay.name}`);
-    }
-    
-    // Add parameters to URL if any
-    if (params.length > 0) {
-        url += '?' + params.join('&');
-    }
-    
-    console.log(`[Map] Fetching map data with URL: ${url}`);
-    
-    fetch(url)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! Status: ${response.status}`);
-            }
-            return response.json();
-        })
-        .then(data => {
+    // Fetch with location filters; a newer call supersedes this one
+    const location = currentMapLocation();
+    Promise.all([
+        FloodApi.mapData(location, { key: 'map:map-data' }),
+        FloodBoundaries.load(location),
+    ])
+        .then(([data, boundaries]) => {
+            barangayBoundaries = boundaries;
             console.log(`[Map] Received map data with ${data.barangays ? data.barangays.length : 0} barangays, ${data.sensors ? data.sensors.length : 0} sensors, and ${data.zones ? data.zones.length : 0} risk zones`);
             
             // Clear existing layers
@@ -376,6 +295,7 @@ function loadMapData() {
             }
         })
         .catch(error => {
+            if (FloodApi.isAbort(error)) return;
             // Log the error but don't display the empty object in the console
             console.error('Error loading map data:', error.message || 'Network or server error');
             
@@ -413,6 +333,37 @@ function loadMapData() {
         });
 }
 
+/**
+ * Draw one replayed snapshot from /api/map-history/: sensor values and barangay
+ * severities as they stood at frame.time
+ */
+function drawHistoryFrame(frame, history) {
+    sensorsLayer.clearLayers();
+    (history.sensors || []).forEach(sensor => {
+        if (!sensor.lat || !sensor.lng) return;
+        const value = frame.sensors[sensor.id];
+        const snapshot = Object.assign({}, sensor, { value: value != null ? value : null });
+        L.marker([sensor.lat, sensor.lng], { icon: createSensorIcon(snapshot) })
+            .bindPopup(`
+                <strong>${sensor.name}</strong><br>
+                Type: ${formatSensorType(sensor.type)}<br>
+                ${snapshot.value !== null ? `Value: ${snapshot.value} ${sensor.unit}` : 'No data available'}<br>
+                <small>${frame.time_manila}</small>
+            `)
+            .addTo(sensorsLayer);
+    });
+
+    barangaysLayer.clearLayers();
+    const barangays = (history.barangays || []).map(b =>
+        Object.assign({}, b, frame.barangays[b.id] || { severity: 0, param_severities: {} })
+    );
+    FloodBoundaries.drawChoropleth(barangaysLayer, barangays, barangayBoundaries, {
+        levelFor: b => b.severity,
+        colorFor: getSeverityColor,
+        popupFor: (b, level, color) => barangayPopupHtml(b, color),
+    });
+}
+
 /**
  * Generate heatmap based on flood risk data
  */
@@ -428,9 +379,9 @@ function generateHeatmap() {
     const heatPoints = [];
     // Filter barangays based on selected municipality if applicable
     let filteredBarangays = [...allBarangays];
-    if (window.selectedMunicipality) {
+    if (getSelectedMunicipality()) {
         filteredBarangays = allBarangays.filter(barangay => 
-            barangay.municipality_id === parseInt(window.selectedMunicipality.id));
+            barangay.municipality_id === parseInt(getSelectedMunicipality().id));
     }
     // Add points from barangays with severity as intensity
     filteredBarangays.forEach(barangay => {
@@ -438,41 +389,31 @@ function generateHeatmap() {
         let intensity = 1;
         if (barangay.severity > 0) intensity = barangay.severity * 6;
         if (barangay.severity >= 4) intensity += 10;
-        // Add population factor
-        const populationFactor = Math.sqrt(barangay.population || 1) / 18;
-        // Add a little randomization for visual effect
-        const baseRadius = Math.max(populationFactor, 1) * 600;
         // Center point (strongest)
         heatPoints.push([
             barangay.lat,
             barangay.lng,
             intensity * 3.5
         ]);
-        // Add a ring of points for a glowing effect
-        const numPoints = Math.min(Math.max(barangay.severity, 1) * 7, 25);
-        for (let i = 0; i < numPoints; i++) {
-            const angle = (i / numPoints) * 2 * Math.PI;
-            const distance = (baseRadius / 1000) * (0.7 + Math.random() * 0.7);
-            const latOffset = distance * Math.cos(angle) / 111.111;
-            const lngOffset = distance * Math.sin(angle) / (111.111 * Math.cos(barangay.lat * (Math.PI / 180)));
-            // Intensity fades with distance
-            const pointIntensity = intensity * (0.7 + 0.3 * Math.random());
-            heatPoints.push([
-                barangay.lat + latOffset,
-                barangay.lng + lngOffset,
-                pointIntensity
-            ]);
+        // Spread the glow over the real boundary instead of a made-up ring
+        const boundary = barangayBoundaries.get(String(barangay.id));
+        if (boundary) {
+            const maxPoints = Math.min(Math.max(barangay.severity, 1) * 10, 40);
+            FloodBoundaries.interiorPoints(boundary, maxPoints).forEach(([lat, lng]) => {
+                heatPoints.push([lat, lng, intensity]);
+            });
         }
         // Show outline only for selected barangay
-        if (floodMap && window.selectedBarangay && barangay.id === window.selectedBarangay.id) {
-            const outline = L.circle([barangay.lat, barangay.lng], {
-                radius: baseRadius, // meters
-                color: '#FFD700', // gold outline for visibility
-                weight: 3,
-                fill: false,
-                opacity: 0.9,
+        if (floodMap && boundary && getSelectedBarangay() && barangay.id === getSelectedBarangay().id) {
+            if (window.selectedBarangayOutline) floodMap.removeLayer(window.selectedBarangayOutline);
+            const outline = L.geoJSON(boundary, {
+                style: {
+                    color: '#FFD700', // gold outline for visibility
+                    weight: 3,
+                    fill: false,
+                    opacity: 0.9
+                },
                 interactive: false
-                // No auto-remove, stays visible while barangay is selected
             });
             outline.addTo(floodMap);
             // Store reference for later removal if needed
@@ -498,33 +439,6 @@ function generateHeatmap() {
             else if (value > 0.5) intensity = value * 8;
             if (intensity > 0) {
                 heatPoints.push([latLng.lat, latLng.lng, intensity * 2.5]);
-                const radius = value * 300;
-                const numPoints = Math.min(Math.max(value * 12, 4), 18);
-                for (let i = 0; i < numPoints; i++) {
-                    const angle = (i / numPoints) * 2 * Math.PI;
-                    const distance = (radius / 1000) * (0.7 + Math.random() * 0.7);
-                    const latOffset = distance * Math.cos(angle) / 111.111;
-                    const lngOffset = distance * Math.sin(angle) / (111.111 * Math.cos(latLng.lat * (Math.PI / 180)));
-                    const pointIntensity = intensity * (0.7 + 0.3 * Math.random());
-                    heatPoints.push([
-                        latLng.lat + latOffset,
-                        latLng.lng + lngOffset,
-                        pointIntensity
-                    ]);
-                }
-                // Show outline only for selected barangay and sensors within it
-                if (floodMap && window.selectedBarangay && sensor.barangay_id && sensor.barangay_id.toString() === window.selectedBarangay.id.toString()) {
-                    const outline = L.circle([latLng.lat, latLng.lng], {
-                        radius: radius,
-                        color: '#00BFFF', // deep sky blue for water sensors
-                        weight: 3,
-                        fill: false,
-                        opacity: 0.9,
-                        interactive: false
-                    });
-                    outline.addTo(floodMap);
-                    window.selectedWaterSensorOutline = outline;
-                }
             }
         }
     });
@@ -547,33 +461,6 @@ function generateHeatmap() {
             else if (value > 20) intensity = value / 4;
             if (intensity > 0) {
                 heatPoints.push([latLng.lat, latLng.lng, intensity * 2.5]);
-                const radius = value * 180;
-                const numPoints = Math.min(Math.max(value / 3, 4), 18);
-                for (let i = 0; i < numPoints; i++) {
-                    const angle = (i / numPoints) * 2 * Math.PI;
-                    const distance = (radius / 1000) * (0.7 + Math.random() * 0.7);
-                    const latOffset = distance * Math.cos(angle) / 111.111;
-                    const lngOffset = distance * Math.sin(angle) / (111.111 * Math.cos(latLng.lat * (Math.PI / 180)));
-                    const pointIntensity = intensity * (0.7 + 0.3 * Math.random());
-                    heatPoints.push([
-                        latLng.lat + latOffset,
-                        latLng.lng + lngOffset,
-                        pointIntensity
-                    ]);
-                }
-                // Show outline only for selected barangay and sensors within it
-                if (floodMap && window.selectedBarangay && sensor.barangay_id && sensor.barangay_id.toString() === window.selectedBarangay.id.toString()) {
-                    const outline = L.circle([latLng.lat, latLng.lng], {
-                        radius: radius,
-                        color: '#FF69B4', // hot pink for rainfall sensors
-                        weight: 3,
-                        fill: false,
-                        opacity: 0.9,
-                        interactive: false
-                    });
-                    outline.addTo(floodMap);
-                    window.selectedRainSensorOutline = outline;
-                }
             }
         }
     });
@@ -635,24 +522,24 @@ function processFloodRiskZones(zones) {
     
     // If a barangay is selected, filter zones to only those relevant to the barangay
     let filteredZones = zones;
-    if (window.selectedBarangay) {
+    if (getSelectedBarangay()) {
         filteredZones = zones.filter(zone => {
             // Check if zone has barangay_id and matches selected barangay
-            if (zone.barangay_id && zone.barangay_id.toString() === window.selectedBarangay.id.toString()) {
+            if (zone.barangay_id && zone.barangay_id.toString() === getSelectedBarangay().id.toString()) {
                 return true;
             }
             // If zone has a list of affected barangays
             if (zone.affected_barangays && Array.isArray(zone.affected_barangays)) {
-                return zone.affected_barangays.includes(window.selectedBarangay.id);
+                return zone.affected_barangays.includes(getSelectedBarangay().id);
             }
             // Optionally, check if zone geometry contains barangay center
-            if (zone.geojson && window.selectedBarangay.lat && window.selectedBarangay.lng) {
+            if (zone.geojson && getSelectedBarangay().lat && getSelectedBarangay().lng) {
                 try {
                     const geoJson = typeof zone.geojson === 'string' ? JSON.parse(zone.geojson) : zone.geojson;
                     if (geoJson && geoJson.geometry && geoJson.geometry.type === 'Polygon') {
                         // Simple point-in-polygon check
                         const polygon = geoJson.geometry.coordinates[0];
-                        if (isPointInPolygon([window.selectedBarangay.lng, window.selectedBarangay.lat], polygon)) {
+                        if (isPointInPolygon([getSelectedBarangay().lng, getSelectedBarangay().lat], polygon)) {
                             return true;
                         }
                     }
@@ -712,8 +599,8 @@ function processFloodRiskZones(zones) {
     });
 
     // If a barangay is selected and there are relevant zones, focus map on barangay
-    if (window.selectedBarangay && filteredZones.length > 0) {
-        floodMap.setView([window.selectedBarangay.lat, window.selectedBarangay.lng], 15);
+    if (getSelectedBarangay() && filteredZones.length > 0) {
+        floodMap.setView([getSelectedBarangay().lat, getSelectedBarangay().lng], 15);
     }
 }
 /**
@@ -744,24 +631,34 @@ function processSensors(sensors) {
 
     // Filter sensors by selected barangay if applicable
     let filteredSensors = sensors;
-    if (window.selectedBarangay) {
+    if (getSelectedBarangay()) {
         filteredSensors = sensors.filter(sensor => {
             // Sensor must have barangay_id and match selected barangay
-            return sensor.barangay_id && sensor.barangay_id.toString() === window.selectedBarangay.id.toString();
+            return sensor.barangay_id && sensor.barangay_id.toString() === getSelectedBarangay().id.toString();
         });
     }
 
+    // Sensor health is optional; without it the markers are drawn without a badge
+    const health = window.FloodSensorHealth
+        ? FloodSensorHealth.load(currentMapLocation(), { key: 'map:sensor-health' }).catch(() => null)
+        : Promise.resolve(null);
+
     // Fetch and visualize thresholds for sensors
-    fetchThresholdData().then(thresholdData => {
+    // Marker colours need the threshold settings; without them the markers are drawn grey
+    const settings = FloodThresholds.load().catch(() => null);
+    Promise.all([fetchThresholdData(), health, settings]).then(([thresholdData, healthData]) => {
         filteredSensors.forEach(sensor => {
+            const sensorHealth = healthData ? FloodSensorHealth.get(sensor.id) : null;
             // Create custom icon based on sensor type
-            const icon = createSensorIcon(sensor);
+            const icon = createSensorIcon(sensor, sensorHealth);
             // Add marker with popup
             const marker = L.marker([sensor.lat, sensor.lng], { icon: icon })
                 .bindPopup(`
                     <strong>${sensor.name}</strong><br>
                     Type: ${formatSensorType(sensor.type)}<br>
                     ${sensor.value !== null ? `Value: ${sensor.value} ${sensor.unit}` : 'No data available'}
+                    ${sensorHealth ? FloodSensorHealth.popupHtml(sensorHealth) : ''}
+                    ${window.FloodSensorDrawer ? FloodSensorDrawer.popupLinkHtml(sensor.id) : ''}
                 `)
                 .addTo(sensorsLayer);
             // Add animation for active sensors
@@ -771,7 +668,7 @@ function processSensors(sensors) {
             // Threshold visualization: draw a circle if threshold exists
             const threshold = thresholdData.sensorThresholds[sensor.id];
             if (threshold !== undefined && sensor.lat && sensor.lng) {
-                const color = '#FF4500'; // orange-red for threshold
+                const color = FloodThresholds.severityOf(sensor.type, sensor.value, sensor.unit, sensor).color;
                 const radius = threshold * 200; // scale for visualization
                 const thresholdCircle = L.circle([sensor.lat, sensor.lng], {
                     radius: radius,
@@ -793,7 +690,7 @@ function processSensors(sensors) {
  */
 function processBarangays(barangays) {
     // First, save references to any highlighted barangay
-    const selectedBarangayId = window.selectedBarangay ? window.selectedBarangay.id : null;
+    const selectedBarangayId = getSelectedBarangay() ? getSelectedBarangay().id : null;
     
     // Clear previous layers
     barangaysLayer.clearLayers();
@@ -802,6 +699,19 @@ function processBarangays(barangays) {
     // Store all barangays for the selector
     allBarangays = barangays;
     
+    // Boundary polygons underneath the markers, coloured by severity
+    FloodBoundaries.drawChoropleth(
+        barangaysLayer,
+        barangays.filter(b => barangayBoundaries.has(String(b.id))),
+        barangayBoundaries,
+        {
+            levelFor: b => b.severity,
+            colorFor: getSeverityColor,
+            popupFor: (b, level, color) => barangayPopupHtml(b, color),
+            onClick: b => FloodLocation.set({ barangay: b }, { source: 'map' }),
+        }
+    );
+
     // Fetch and visualize thresholds for barangays
     fetchThresholdData().then(thresholdData => {
         barangays.forEach(barangay => {
@@ -810,7 +720,7 @@ function processBarangays(barangays) {
             const popScale = Math.min(Math.max(barangay.population / 1000, 1), 5);
             const size = Math.floor(18 + (popScale * 4));
             let iconHtml = `<div style="background-color: ${color}; width: ${size}px; height: ${size}px; border-radius: 50%; border: 2px solid white; display: flex; justify-content: center; align-items: center; box-shadow: 0 0 8px rgba(0,0,0,0.3);"></div>`;
-            if (window.selectedBarangay && barangay.id === window.selectedBarangay.id) {
+            if (getSelectedBarangay() && barangay.id === getSelectedBarangay().id) {
                 iconHtml = `<div class="selected-barangay-anim" style="background-color: ${color}; width: ${size}px; height: ${size}px; border-radius: 50%; border: 3px solid #FFD700; animation: pulse-barangay 1.2s infinite; box-shadow: 0 0 16px #FFD700, 0 0 8px rgba(0,0,0,0.3);"></div>`;
             }
             const icon = L.divIcon({
@@ -819,42 +729,7 @@ function processBarangays(barangays) {
                 iconSize: [size, size],
                 iconAnchor: [size/2, size/2]
             });
-            // ...existing code...
-            const popupContent = `
-                <div class="barangay-popup">
-                    <h5>${barangay.name}</h5>
-                    <div class="popup-details">
-                        <table class="table table-sm popup-table">
-                            <tr>
-                                <th>Municipality:</th>
-                                <td>${barangay.municipality_name}</td>
-                            </tr>
-                            <tr>
-                                <th>Population:</th>
-                                <td>${barangay.population.toLocaleString()}</td>
-                            </tr>
-                            <tr>
-                                <th>Alert Level:</th>
-                                <td>
-                                    <span class="badge" style="background-color: ${color}">
-                                        ${getSeverityText(barangay.severity)}
-                                    </span>
-                                </td>
-                            </tr>
-                            ${barangay.contact_person ? `
-                            <tr>
-                                <th>Contact:</th>
-                                <td>${barangay.contact_person}</td>
-                            </tr>` : ''}
-                            ${barangay.contact_number ? `
-                            <tr>
-                                <th>Phone:</th>
-                                <td>${barangay.contact_number}</td>
-                            </tr>` : ''}
-                        </table>
-                    </div>
-                </div>
-            `;
+            const popupContent = barangayPopupHtml(barangay, color);
             const marker = L.marker([barangay.lat, barangay.lng], { icon: icon })
                 .bindPopup(popupContent, {maxWidth: 300})
                 .addTo(barangaysLayer);
@@ -862,7 +737,7 @@ function processBarangays(barangays) {
             // Threshold visualization: draw a circle if threshold exists
             const threshold = thresholdData.barangayThresholds[barangay.id];
             if (threshold !== undefined && barangay.lat && barangay.lng) {
-                const color = '#32CD32'; // lime green for barangay threshold
+                const color = getSeverityColor(barangay.severity);
                 const radius = threshold * 400; // scale for visualization
                 const thresholdCircle = L.circle([barangay.lat, barangay.lng], {
                     radius: radius,
@@ -895,7 +770,7 @@ document.head.appendChild(style);
     setupBarangaySelector();
     
     // If a barangay was previously selected, highlight it again
-    if (window.selectedBarangay) {
+    if (getSelectedBarangay()) {
         // Find the updated barangay object that matches our selected ID
         const updatedBarangay = allBarangays.find(b => b.id === selectedBarangayId);
         if (updatedBarangay) {
@@ -911,6 +786,47 @@ document.head.appendChild(style);
     }
 }
 
+/**
+ * Popup HTML shared by barangay markers and boundary polygons
+ */
+function barangayPopupHtml(barangay, color) {
+    return `
+        <div class="barangay-popup">
+            <h5>${barangay.name}</h5>
+            <div class="popup-details">
+                <table class="table table-sm popup-table">
+                    <tr>
+                        <th>Municipality:</th>
+                        <td>${barangay.municipality_name}</td>
+                    </tr>
+                    <tr>
+                        <th>Population:</th>
+                        <td>${barangay.population.toLocaleString()}</td>
+                    </tr>
+                    <tr>
+                        <th>Alert Level:</th>
+                        <td>
+                            <span class="badge" style="background-color: ${color}">
+                                ${getSeverityText(barangay.severity)}
+                            </span>
+                        </td>
+                    </tr>
+                    ${barangay.contact_person ? `
+                    <tr>
+                        <th>Contact:</th>
+                        <td>${barangay.contact_person}</td>
+                    </tr>` : ''}
+                    ${barangay.contact_number ? `
+                    <tr>
+                        <th>Phone:</th>
+                        <td>${barangay.contact_number}</td>
+                    </tr>` : ''}
+                </table>
+            </div>
+        </div>
+    `;
+}
+
 /**
  * Update map view based on data
  */
@@ -919,17 +835,17 @@ function updateMapView(data) {
     let points = [];
     
     // If a specific municipality is selected, prioritize that location
-    if (window.selectedMunicipality && window.selectedMunicipality.latitude && window.selectedMunicipality.longitude) {
-        console.log(`[Map] Centering map on selected municipality: ${window.selectedMunicipality.name}`);
+    if (getSelectedMunicipality() && getSelectedMunicipality().latitude && getSelectedMunicipality().longitude) {
+        console.log(`[Map] Centering map on selected municipality: ${getSelectedMunicipality().name}`);
         // If we have a specific barangay selected and it exists in our data
-        if (window.selectedBarangay && window.selectedBarangay.lat && window.selectedBarangay.lng) {
-            console.log(`[Map] Focusing on selected barangay: ${window.selectedBarangay.name}`);
-            floodMap.setView([window.selectedBarangay.lat, window.selectedBarangay.lng], 14);
+        if (getSelectedBarangay() && getSelectedBarangay().lat && getSelectedBarangay().lng) {
+            console.log(`[Map] Focusing on selected barangay: ${getSelectedBarangay().name}`);
+            floodMap.setView([getSelectedBarangay().lat, getSelectedBarangay().lng], 14);
             return; // Exit early since we have a specific point to focus on
         }
         
         // Otherwise focus on the municipality
-        floodMap.setView([window.selectedMunicipality.latitude, window.selectedMunicipality.longitude], 13);
+        floodMap.setView([getSelectedMunicipality().latitude, getSelectedMunicipality().longitude], 13);
         return; // Exit early since we have a specific point to focus on
     }
     
@@ -990,10 +906,10 @@ function updateMapView(data) {
 function refreshAllDataForNewLocation() {
     console.log('========== LOCATION CHANGE DETECTED ==========');
     console.log('Refreshing all data for new location filter:');
-    console.log('Selected Municipality:', window.selectedMunicipality ? 
-        `${window.selectedMunicipality.name} (ID: ${window.selectedMunicipality.id})` : 'All Municipalities');
-    console.log('Selected Barangay:', window.selectedBarangay ? 
-        `${window.selectedBarangay.name} (ID: ${window.selectedBarangay.id})` : 'All Barangays');
+    console.log('Selected Municipality:', getSelectedMunicipality() ? 
+        `${getSelectedMunicipality().name} (ID: ${getSelectedMunicipality().id})` : 'All Municipalities');
+    console.log('Selected Barangay:', getSelectedBarangay() ? 
+        `${getSelectedBarangay().name} (ID: ${getSelectedBarangay().id})` : 'All Barangays');
     console.log('============================================');
     
     // Update any UI location displays
@@ -1001,27 +917,24 @@ function refreshAllDataForNewLocation() {
     locationDisplays.forEach(display => {
         let locationText = 'All Areas';
         
-        if (window.selectedMunicipality) {
-            locationText = window.selectedMunicipality.name;
+        if (getSelectedMunicipality()) {
+            locationText = getSelectedMunicipality().name;
             
-            if (window.selectedBarangay) {
-                locationText += ' > ' + window.selectedBarangay.name;
+            if (getSelectedBarangay()) {
+                locationText += ' > ' + getSelectedBarangay().name;
             }
         }
         
         display.textContent = locationText;
     });
     
-    // Set a global flag that can be detected by other components
-    window.locationChanged = true;
-    
     // Refresh map data with location filters
     console.log('Refreshing map with location filters...');
     loadMapData();
     
     // Load barangays for the selected municipality if not already loaded
-    if (window.selectedMunicipality && !loadedMunicipalityBarangays.includes(parseInt(window.selectedMunicipality.id))) {
-        loadBarangaysForMunicipality(window.selectedMunicipality.id);
+    if (getSelectedMunicipality() && !loadedMunicipalityBarangays.includes(parseInt(getSelectedMunicipality().id))) {
+        loadBarangaysForMunicipality(getSelectedMunicipality().id);
     }
     
     // Check for flood alerts affecting the current location
@@ -1075,13 +988,6 @@ function refreshAllDataForNewLocation() {
         checkActiveAlerts();
     }
     
-    // Set a global indication that the location has changed (for other components to check)
-    window.locationChanged = true;
-    
-    // Reset the flag after a brief delay (giving components time to check)
-    setTimeout(() => {
-        window.locationChanged = false;
-    }, 500);
 }
 
 /**
@@ -1100,19 +1006,12 @@ function loadBarangaysForMunicipality(municipalityId) {
         return;
     }
 
-    // Use our new API endpoint that returns all barangays without pagination
-    const url = `/api/all-barangays/?municipality_id=${municipalityId}`;
-    const municipalityName = window.selectedMunicipality ? window.selectedMunicipality.name : 'selected municipality';
+    const municipalityName = getSelectedMunicipality() ? getSelectedMunicipality().name : 'selected municipality';
     
     console.log(`[Barangays] Automatically loading all barangays for ${municipalityName} (ID: ${municipalityId})`);
     
-    fetch(url)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! Status: ${response.status}`);
-            }
-            return response.json();
-        })
+    // Use the endpoint that returns all barangays without pagination
+    FloodApi.allBarangays({ municipality_id: municipalityId })
         .then(data => {
             // Store all the barangays for this municipality in our global array
             if (data.barangays && data.barangays.length > 0) {
@@ -1155,7 +1054,7 @@ function displayMunicipalityBarangays() {
     if (!municipalBarangaysSection) return;
     
     // If no municipality is selected, show the message
-    if (!window.selectedMunicipality) {
+    if (!getSelectedMunicipality()) {
         if (noMunicipalitySelectedDiv) noMunicipalitySelectedDiv.classList.remove('d-none');
         if (municipalityBarangaysList) municipalityBarangaysList.classList.add('d-none');
         return;
@@ -1163,7 +1062,7 @@ function displayMunicipalityBarangays() {
     
     // Update the municipality name display
     if (selectedMunicipalityName) {
-        selectedMunicipalityName.textContent = window.selectedMunicipality.name;
+        selectedMunicipalityName.textContent = getSelectedMunicipality().name;
     }
     
     // Hide the no municipality selected message and show the barangay list
@@ -1171,7 +1070,7 @@ function displayMunicipalityBarangays() {
     if (municipalityBarangaysList) municipalityBarangaysList.classList.remove('d-none');
     
     // Convert to integer for consistent comparison
-    const municipalityIdInt = parseInt(window.selectedMunicipality.id);
+    const municipalityIdInt = parseInt(getSelectedMunicipality().id);
     
     // Filter the already loaded barangays for this municipality
     const municipalityBarangays = allBarangays.filter(
@@ -1187,7 +1086,7 @@ function displayMunicipalityBarangays() {
         }
     }
             
-    console.log(`[Municipal Barangays] Displaying ${municipalityBarangays.length} barangays for ${window.selectedMunicipality.name}`);
+    console.log(`[Municipal Barangays] Displaying ${municipalityBarangays.length} barangays for ${getSelectedMunicipality().name}`);
     
     // Sort barangays alphabetically
     const sortedBarangays = [...municipalityBarangays].sort((a, b) => a.name.localeCompare(b.name));
@@ -1197,7 +1096,7 @@ function displayMunicipalityBarangays() {
             <div class="col-12 text-center py-4">
                 <div class="text-muted">
                     <i class="fas fa-info-circle fa-2x mb-3"></i>
-                    <h5>No barangays found for ${window.selectedMunicipality.name}</h5>
+                    <h5>No barangays found for ${getSelectedMunicipality().name}</h5>
                 </div>
             </div>
         `;
@@ -1211,14 +1110,14 @@ function displayMunicipalityBarangays() {
     const totalPopulation = sortedBarangays.reduce((sum, b) => sum + b.population, 0);
     
     // Add municipality summary card
-    if (window.selectedMunicipality && sortedBarangays.length > 0) {
+    if (getSelectedMunicipality() && sortedBarangays.length > 0) {
         cardsHtml += `
             <div class="col-12 mb-3">
                 <div class="card bg-light">
                     <div class="card-body py-2">
                         <div class="d-flex justify-content-between align-items-center">
                             <div>
-                                <h5 class="mb-0">${window.selectedMunicipality.name}</h5>
+                                <h5 class="mb-0">${getSelectedMunicipality().name}</h5>
                                 <p class="mb-0">Total: ${sortedBarangays.length} Barangays</p>
                             </div>
                             <div class="text-end">
@@ -1291,38 +1190,13 @@ function displayMunicipalityBarangays() {
 // to fix the "Maximum call stack size exceeded" error. Only the implementation at line ~618 is used.
 
 /**
- * Create a sensor icon based on type and value
+ * Create a sensor icon based on type and value, coloured by the reading's severity against the
+ * threshold settings, with a health badge when `health` is given
  */
-function createSensorIcon(sensor) {
+function createSensorIcon(sensor, health) {
     let iconHtml;
-    let iconColor;
-    
-    // Determine color based on value if available
-    if (sensor.value !== null) {
-        // Use different colors based on sensor type and value
-        switch (sensor.type) {
-            case 'temperature':
-                iconColor = sensor.value > 30 ? '#dc3545' : (sensor.value > 25 ? '#ffc107' : '#198754');
-                break;
-            case 'humidity':
-                iconColor = sensor.value > 80 ? '#0dcaf0' : (sensor.value > 60 ? '#0d6efd' : '#6c757d');
-                break;
-            case 'rainfall':
-                iconColor = sensor.value > 50 ? '#0d6efd' : (sensor.value > 20 ? '#0dcaf0' : '#6c757d');
-                break;
-            case 'water_level':
-                iconColor = sensor.value > 1.5 ? '#dc3545' : (sensor.value > 1 ? '#ffc107' : '#198754');
-                break;
-            case 'wind_speed':
-                iconColor = sensor.value > 40 ? '#dc3545' : (sensor.value > 20 ? '#ffc107' : '#198754');
-                break;
-            default:
-                iconColor = '#6c757d';
-        }
-    } else {
-        // Default color for sensors without values
-        iconColor = '#6c757d';
-    }
+    // Same severity and palette as the rest of the app; grey without a reading or thresholds
+    const iconColor = FloodThresholds.severityOf(sensor.type, sensor.value, sensor.unit, sensor).color;
     
     // Create icon HTML based on sensor type
     switch (sensor.type) {
@@ -1347,32 +1221,24 @@ function createSensorIcon(sensor) {
     
     return L.divIcon({
         className: 'custom-div-icon',
-        html: `<div style="background-color: white; width: 30px; height: 30px; border-radius: 50%; border: 2px solid ${iconColor}; display: flex; justify-content: center; align-items: center; box-shadow: 0 0 8px rgba(0,0,0,0.3);">${iconHtml}</div>`,
+        html: `<div style="position: relative; background-color: white; width: 30px; height: 30px; border-radius: 50%; border: 2px solid ${iconColor}; display: flex; justify-content: center; align-items: center; box-shadow: 0 0 8px rgba(0,0,0,0.3);">${iconHtml}${health ? FloodSensorHealth.markerBadgeHtml(health) : ''}</div>`,
         iconSize: [30, 30],
         iconAnchor: [15, 15]
     });
 }
 
 /**
- * Helper function to get color based on severity level
+ * Helper function to get color based on severity level (0-5)
  */
 function getSeverityColor(severity) {
-    // Simplified color scheme: only green (normal) and red (danger)
-    return parseInt(severity) > 0 ? '#DC3545' : '#198754'; // Red for danger, Green for normal
+    return FloodThresholds.colorOf(parseInt(severity) || 0);
 }
 
 /**
  * Helper function to get severity text
  */
 function getSeverityText(severity) {
-    switch (parseInt(severity)) {
-        case 5: return 'Catastrophic';
-        case 4: return 'Emergency';
-        case 3: return 'Warning';
-        case 2: return 'Watch';
-        case 1: return 'Advisory';
-        default: return 'Normal';
-    }
+    return FloodThresholds.nameOf(parseInt(severity) || 0);
 }
 
 /**
@@ -1419,18 +1285,8 @@ function darkenColor(hex, percent) {
  */
 function loadMunicipalityData() {
     // Optionally, allow province/region selection via UI
-    let regionParam = '';
-    if (window.selectedRegion) {
-        regionParam = `?region=${encodeURIComponent(window.selectedRegion)}`;
-    }
     return new Promise((resolve, reject) => {
-        fetch(`/api/municipalities/${regionParam}`)
-            .then(response => {
-                if (!response.ok) {
-                    throw new Error(`HTTP error! Status: ${response.status}`);
-                }
-                return response.json();
-            })
+        FloodApi.municipalities({ region: window.selectedRegion })
             .then(data => {
                 console.log('[Map] Municipality data received:', data);
                 
@@ -1548,18 +1404,8 @@ function preloadAllBarangays() {
  * Preload all barangays for the selected region or all of the Philippines in a single request
  */
 function preloadAllBarangaysForRegion() {
-    let regionParam = '';
-    if (window.selectedRegion) {
-        regionParam = `?region=${encodeURIComponent(window.selectedRegion)}`;
-    }
     console.log(`[Barangays] Loading all barangays for region: ${window.selectedRegion || 'Philippines'}...`);
-    fetch(`/api/all-barangays/${regionParam}`)
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`HTTP error! Status: ${response.status}`);
-            }
-            return response.json();
-        })
+    FloodApi.allBarangays({ region: window.selectedRegion })
         .then(data => {
             console.log(`[Barangays] Received ${data.count} barangays for ${window.selectedRegion || 'Philippines'}`);
             // Store the barangays in our global array
@@ -1577,12 +1423,12 @@ function preloadAllBarangaysForRegion() {
                 setupBarangaySelector();
                 // Display all barangays on the map
                 displayAllBarangays();
-                // If we had a saved barangay selection, restore it
-                const savedBarangayId = sessionStorage.getItem('selectedBarangayId');
+                // If we had a saved barangay selection, attach its full record
+                const savedBarangayId = FloodLocation.get().barangayId;
                 if (savedBarangayId) {
-                    const barangay = allBarangays.find(b => b.id.toString() === savedBarangayId);
+                    const barangay = allBarangays.find(b => b.id === savedBarangayId);
                     if (barangay) {
-                        window.selectedBarangay = barangay;
+                        FloodLocation.set({ barangay: barangay });
                         const barangaySelector = document.getElementById('barangay-selector');
                         if (barangaySelector) {
                             barangaySelector.value = savedBarangayId;
@@ -1649,6 +1495,7 @@ function setupBarangaySelector() {
     
     // Filter barangays by selected municipality if applicable
     let filteredBarangays = allBarangays;
+    const selectedMunicipality = getSelectedMunicipality();
     if (selectedMunicipality) {
         filteredBarangays = allBarangays.filter(
             barangay => barangay.municipality_id === selectedMunicipality.id
@@ -1748,9 +1595,9 @@ function highlightBarangay(barangayId) {
         const event = new Event('change');
         barangaySelector.dispatchEvent(event);
     } else {
-        // If dropdown doesn't exist, set the global directly and focus
-        window.selectedBarangay = barangay;
-        // Since we're directly setting the global, highlight the barangay
+        // If dropdown doesn't exist, select it in the store directly and focus
+        FloodLocation.set({ barangay: barangay }, { source: 'map' });
+        // Without a dropdown change event, highlight the barangay here
         highlightSelectedBarangay(barangay);
         focusOnBarangay(barangay);
     }
@@ -1761,7 +1608,13 @@ function highlightBarangay(barangayId) {
  */
 function focusOnBarangay(barangay) {
     if (barangay && barangay.lat && barangay.lng) {
-        floodMap.setView([barangay.lat, barangay.lng], 14);
+        // Fit the real boundary when one is loaded, otherwise centre on the point
+        const boundary = barangayBoundaries.get(String(barangay.id));
+        if (boundary) {
+            floodMap.fitBounds(L.geoJSON(boundary).getBounds(), { padding: [20, 20], maxZoom: 16 });
+        } else {
+            floodMap.setView([barangay.lat, barangay.lng], 14);
+        }
         
         // Switch to barangays view mode
         setMapMode('barangays');
@@ -1860,32 +1713,8 @@ function fetchFloodAlertsForCurrentLocation() {
     floodAffectedBarangays.clear();
     barangayAlertDetails = {};
     
-    // Construct URL with appropriate filters
-    let url = '/api/flood-alerts/?active=true';
-    
-    // Add location parameters if available
-    if (window.selectedMunicipality) {
-        url += `&municipality_id=${window.selectedMunicipality.id}`;
-        console.log(`[Alerts] Checking for flood alerts in ${window.selectedMunicipality.name}`);
-    }
-    
-    if (window.selectedBarangay) {
-        url += `&barangay_id=${window.selectedBarangay.id}`;
-    }
-    
-    // Fetch active alerts
-    fetch(url, {
-        headers: {
-            'X-Requested-With': 'XMLHttpRequest',
-            'Accept': 'application/json'
-        }
-    })
-    .then(response => {
-        if (!response.ok) {
-            throw new Error(`HTTP error! Status: ${response.status}`);
-        }
-        return response.json();
-    })
+    // Fetch active alerts for the current location
+    FloodApi.floodAlerts({ active: true }, currentMapLocation(), { key: 'map:flood-alerts' })
     .then(data => {
         if (data.results && data.results.length > 0) {
             console.log(`[Alerts] Found ${data.results.length} active flood alerts`);
@@ -1910,6 +1739,7 @@ function fetchFloodAlertsForCurrentLocation() {
         }
     })
     .catch(error => {
+        if (FloodApi.isAbort(error)) return;
         console.error('Error fetching flood alerts:', error);
     });
 }
@@ -1924,13 +1754,7 @@ function processFloodAlerts(alerts) {
     // Create promises for each alert
     alerts.forEach(alert => {
         // Need to fetch complete details including affected_barangays
-        const alertPromise = fetch(`/api/flood-alerts/${alert.id}/`, {
-            headers: {
-                'X-Requested-With': 'XMLHttpRequest',
-                'Accept': 'application/json'
-            }
-        })
-        .then(response => response.json())
+        const alertPromise = FloodApi.floodAlert(alert.id)
         .then(alertDetail => {
             if (alertDetail.affected_barangays && alertDetail.affected_barangays.length > 0) {
                 console.log(`[Alerts] Alert ${alertDetail.id} affects ${alertDetail.affected_barangays.length} barangays`);
@@ -2053,20 +1877,8 @@ function highlightFloodAffectedBarangays() {
                 });
             }
             
-            // Determine highlight color based on severity
-            let highlightColor;
-            switch (alertDetail.severity_level) {
-                case 5:
-                case 4:
-                    highlightColor = '#dc3545'; // Red (danger)
-                    break;
-                case 3:
-                case 2:
-                    highlightColor = '#ffc107'; // Yellow (warning)
-                    break;
-                default:
-                    highlightColor = '#0dcaf0'; // Light blue (info)
-            }
+            // Determine highlight color based on severity (an alert is at least an advisory)
+            const highlightColor = getSeverityColor(Math.max(1, parseInt(alertDetail.severity_level) || 1));
             
             // Create a pulsing circle effect for the marker
             if (!marker._pulsingCircle) {
@@ -2197,7 +2009,7 @@ function focusOnBarangayById(barangayId) {
     const barangay = allBarangays.find(b => b.id === barangayId);
     if (barangay) {
         // Set as currently selected barangay
-        window.selectedBarangay = barangay;
+        FloodLocation.set({ barangay: barangay }, { source: 'map' });
         
         // Apply highlight using marker's position
         highlightSelectedBarangay(barangay);
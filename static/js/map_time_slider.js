@@ -0,0 +1,276 @@
+// map_time_slider.js
+// Replay control for the Leaflet flood maps. Loads historical snapshots from
+// /api/map-history/ for a chosen window and steps through them with play/pause and a
+// speed setting. The page draws each frame itself (onFrame) and restores its live view
+// when the replay is closed (onExit). The scrubbed time is broadcast as a
+// `floodmap:time` window event so charts can draw a synchronised cursor.
+(function(window, document) {
+    'use strict';
+
+    const WINDOWS = [
+        { hours: 6, label: 'Last 6 h' },
+        { hours: 24, label: 'Last 24 h' },
+        { hours: 48, label: 'Last 48 h' },
+        { hours: 72, label: 'Last 3 days' },
+        { hours: 168, label: 'Last 7 days' },
+    ];
+    const SPEEDS = [1, 2, 4, 8];
+    const FRAME_MS = 1000;   // time per frame at 1x
+    const CURSOR_COLOR = '#6366f1';
+
+    function formatManila(ms) {
+        try {
+            return new Intl.DateTimeFormat('en-GB', {
+                timeZone: 'Asia/Manila', day: '2-digit', month: 'short',
+                hour: '2-digit', minute: '2-digit', hour12: false
+            }).format(new Date(ms));
+        } catch (e) {
+            return new Date(ms).toLocaleString();
+        }
+    }
+
+    function broadcastTime(ms) {
+        window.dispatchEvent(new CustomEvent('floodmap:time', { detail: { time: ms } }));
+    }
+
+    /**
+     * @typedef {Object} SliderOptions
+     * @property {Function} onFrame  (frame, history) -> void; draw one snapshot
+     * @property {Function} onExit   () -> void; restore the live map
+     * @property {string} [position] Leaflet control position (default 'bottomleft')
+     */
+
+    /**
+     * Add the replay control to a Leaflet map.
+     * @param {L.Map} map
+     * @param {SliderOptions} options
+     * @returns {{isActive: Function, reload: Function, stop: Function}}
+     */
+    function attach(map, options) {
+        const opts = options || {};
+        let history = null;
+        let index = 0;
+        let active = false;
+        let speed = 1;
+        let hours = 24;
+        let timer = null;
+        let els = null;
+
+        const control = L.control({ position: opts.position || 'bottomleft' });
+        control.onAdd = function() {
+            const root = L.DomUtil.create('div', 'leaflet-bar map-time-slider');
+            Object.assign(root.style, { background: '#fff', padding: '6px 8px', font: '12px/1.4 sans-serif' });
+            root.innerHTML = `
+                <button type="button" class="btn btn-sm btn-outline-primary mts-open" title="Replay how the event developed">
+                    <i class="fas fa-history"></i> Replay
+                </button>
+                <div class="mts-panel d-none" style="min-width: 280px;">
+                    <div class="d-flex align-items-center gap-1 mb-1">
+                        <button type="button" class="btn btn-sm btn-primary mts-play" title="Play/pause"><i class="fas fa-play"></i></button>
+                        <select class="form-select form-select-sm mts-window" style="width:auto;" title="Replay window">
+                            ${WINDOWS.map(w => `<option value="${w.hours}"${w.hours === hours ? ' selected' : ''}>${w.label}</option>`).join('')}
+                        </select>
+                        <select class="form-select form-select-sm mts-speed" style="width:auto;" title="Playback speed">
+                            ${SPEEDS.map(s => `<option value="${s}">${s}&times;</option>`).join('')}
+                        </select>
+                        <button type="button" class="btn btn-sm btn-outline-secondary ms-auto mts-close" title="Back to live">Live</button>
+                    </div>
+                    <input type="range" class="form-range mts-range" min="0" max="0" value="0" disabled>
+                    <div class="mts-time text-muted">Loading…</div>
+                </div>`;
+            L.DomEvent.disableClickPropagation(root);
+            L.DomEvent.disableScrollPropagation(root);
+
+            els = {
+                open: root.querySelector('.mts-open'),
+                panel: root.querySelector('.mts-panel'),
+                play: root.querySelector('.mts-play'),
+                windowSel: root.querySelector('.mts-window'),
+                speedSel: root.querySelector('.mts-speed'),
+                close: root.querySelector('.mts-close'),
+                range: root.querySelector('.mts-range'),
+                time: root.querySelector('.mts-time'),
+            };
+            els.open.addEventListener('click', start);
+            els.close.addEventListener('click', stop);
+            els.play.addEventListener('click', () => (timer ? pause() : play()));
+            els.windowSel.addEventListener('change', () => {
+                hours = Number(els.windowSel.value) || 24;
+                load();
+            });
+            els.speedSel.addEventListener('change', () => {
+                speed = Number(els.speedSel.value) || 1;
+                if (timer) { pause(); play(); }
+            });
+            els.range.addEventListener('input', () => {
+                pause();
+                show(Number(els.range.value));
+            });
+            return root;
+        };
+        control.addTo(map);
+
+        function setPlayIcon(playing) {
+            els.play.innerHTML = playing ? '<i class="fas fa-pause"></i>' : '<i class="fas fa-play"></i>';
+        }
+
+        function show(i) {
+            if (!history || !history.frames.length) return;
+            index = Math.max(0, Math.min(i, history.frames.length - 1));
+            const frame = history.frames[index];
+            const ms = Date.parse(frame.time);
+            els.range.value = String(index);
+            els.time.textContent = `${formatManila(ms)} (${index + 1}/${history.frames.length})`;
+            try { opts.onFrame(frame, history); } catch (e) { console.error('[TimeSlider] Frame render failed:', e); }
+            broadcastTime(ms);
+        }
+
+        function play() {
+            if (!history || !history.frames.length) return;
+            if (index >= history.frames.length - 1) show(0);
+            setPlayIcon(true);
+            timer = setInterval(() => {
+                if (index >= history.frames.length - 1) {
+                    pause();
+                    return;
+                }
+                show(index + 1);
+            }, FRAME_MS / speed);
+        }
+
+        function pause() {
+            clearInterval(timer);
+            timer = null;
+            if (els) setPlayIcon(false);
+        }
+
+        function load() {
+            pause();
+            history = null;
+            els.range.disabled = true;
+            els.time.textContent = 'Loading…';
+            return FloodApi.mapHistory({ hours }, FloodLocation.get(), { key: 'map:history' })
+                .then(data => {
+                    if (!active) return;
+                    history = data;
+                    const count = (data.frames || []).length;
+                    if (!count) {
+                        els.time.textContent = 'No history for this window.';
+                        return;
+                    }
+                    els.range.max = String(count - 1);
+                    els.range.disabled = false;
+                    show(0);
+                })
+                .catch(err => {
+                    if (FloodApi.isAbort(err)) return;
+                    console.error('[TimeSlider] Could not load map history:', err);
+                    els.time.textContent = 'Could not load history.';
+                });
+        }
+
+        function start() {
+            if (active) return;
+            active = true;
+            els.open.classList.add('d-none');
+            els.panel.classList.remove('d-none');
+            load();
+        }
+
+        function stop() {
+            if (!active) return;
+            active = false;
+            pause();
+            FloodApi.abort('map:history');
+            history = null;
+            els.panel.classList.add('d-none');
+            els.open.classList.remove('d-none');
+            broadcastTime(null);
+            if (typeof opts.onExit === 'function') opts.onExit();
+        }
+
+        // A new location while replaying reloads the history for that location
+        FloodLocation.subscribe(() => {
+            if (active) load();
+        });
+
+        return {
+            isActive: () => active,
+            reload: () => (active ? load() : Promise.resolve()),
+            stop,
+        };
+    }
+
+    // ---------------- Chart cursor ----------------
+
+    // X pixel for a time on a time scale, or on a category scale whose labels are ISO strings
+    function cursorX(chart, ms) {
+        const scale = chart.scales && chart.scales.x;
+        if (!scale) return null;
+        let x = null;
+        if (scale.type === 'time' || scale.type === 'timeseries') {
+            x = scale.getPixelForValue(ms);
+        } else {
+            const labels = chart.data.isoLabels || chart.data.labels || [];
+            const times = labels.map(l => Date.parse(l));
+            for (let i = 0; i < times.length - 1; i++) {
+                if (isNaN(times[i]) || isNaN(times[i + 1])) continue;
+                if (ms >= times[i] && ms <= times[i + 1]) {
+                    const frac = times[i + 1] === times[i] ? 0 : (ms - times[i]) / (times[i + 1] - times[i]);
+                    const x0 = scale.getPixelForValue(i);
+                    x = x0 + frac * (scale.getPixelForValue(i + 1) - x0);
+                    break;
+                }
+            }
+        }
+        const area = chart.chartArea;
+        if (x === null || !area || x < area.left || x > area.right) return null;
+        return x;
+    }
+
+    // Draws a vertical line at chart.$timeCursor (ms); charts without it are untouched
+    const cursorPlugin = {
+        id: 'floodTimeCursor',
+        afterDatasetsDraw(chart) {
+            const ms = chart.$timeCursor;
+            if (ms == null) return;
+            const x = cursorX(chart, ms);
+            if (x === null) return;
+            const area = chart.chartArea;
+            const ctx = chart.ctx;
+            ctx.save();
+            ctx.strokeStyle = CURSOR_COLOR;
+            ctx.lineWidth = 2;
+            ctx.setLineDash([6, 4]);
+            ctx.beginPath();
+            ctx.moveTo(x, area.top);
+            ctx.lineTo(x, area.bottom);
+            ctx.stroke();
+            ctx.restore();
+        },
+    };
+    if (window.Chart && typeof window.Chart.register === 'function') {
+        window.Chart.register(cursorPlugin);
+    }
+
+    /**
+     * Keep a time cursor on charts in sync with the map replay.
+     * @param {Function} getCharts  () -> Chart[]; called on every update because charts may be recreated
+     */
+    function bindChartCursor(getCharts) {
+        window.addEventListener('floodmap:time', e => {
+            (getCharts() || []).forEach(chart => {
+                if (!chart) return;
+                chart.$timeCursor = e.detail.time;
+                try { chart.draw(); } catch (err) { /* chart may be mid-update */ }
+            });
+        });
+    }
+
+    window.FloodTimeSlider = {
+        attach,
+        bindChartCursor,
+        cursorPlugin,
+    };
+
+})(window, document);
@@ -21,24 +21,39 @@
     lastAlertId: null, // Track the last seen alert to play sound only for new ones
     lastCombinedLevel: 0, // Track the last severity level to trigger popups only on change
     mapDisplayParam: 'overall', // New state for map parameter
+    boundaries: new Map(), // barangay boundary features from the last map load
+    timeSlider: null, // map replay control
+    evacuation: null, // evacuation centres and routes layer (evacuation_layer.js)
+    populationRisk: null, // population-at-risk panel (population_risk.js)
+    alerts: [], // active FloodAlerts for the selected location (workflow list)
+    _lastMerged: null, // labels + series behind the trends chart, for export
+    trendsThresholds: 'water_level', // parameter whose threshold bands are drawn on the trends chart
+    derived: [], // derived metrics (derived_metrics.js) drawn as extra trends lines
+    trendsForecast: null, // forecast horizon (hours) drawn past the latest trends reading, or null
+    _forecastKey: null, // location and horizon of the last forecast, to throttle reloads
+    _forecastAt: 0,
+    _forecastToken: 0, // latest forecast request wins
+    health: null, // last /api/sensor-health/ response, for the panel and marker badges
+    _healthKey: null, // location and time of that response, to throttle reloads
+    _healthAt: 0,
   };
-  let audioContext = null; // Audio context for playing sounds
-
-  function initAudioContext() {
-    if (!audioContext) {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-    }
-  }
-
-  document.body.addEventListener('click', initAudioContext, { once: true });
-
+  const HEALTH_REFRESH_MS = 5 * 60 * 1000; // health covers days of readings; no need to recompute per reading
+  const FORECAST_REFRESH_MS = 5 * 60 * 1000; // the model resamples to hours; new readings barely move it
   document.addEventListener('DOMContentLoaded', () => {
     setupLocationSelector();
     initChart();
     initMap();
+    renderSeverityLegend();
     bindApplyThresholdsButton();
     setupMapParamSelector(); // New: Bind the map parameter selector
     setupTrendsRangeControls();
+    setupTrendsExport();
+    setupTrendsThresholds();
+    setupTrendsForecast();
+    setupTrendsDerived();
+    setupSitRep();
+    setupSensorHealth();
+    setupPopulationRisk();
     // Ensure any previous chart overlay from older versions is removed
     try { clearChartOverlay(); } catch (e) {}
 
@@ -48,6 +63,8 @@
       state.normalize = !!alignToggle.checked;
       alignToggle.addEventListener('change', () => {
         state.normalize = !!alignToggle.checked;
+        applyTrendsThresholds();
+        loadTrendsForecast(true);
         // Re-apply scaling using the cached raw series
         if (state.chart && state._rawSeries && Array.isArray(state.chart.data.labels)) {
           applyChartScaling(state._rawSeries);
@@ -76,6 +93,21 @@
     if (modalCloseBtn) {
         modalCloseBtn.addEventListener('click', closeAlertModal);
     }
+    const modalInboxBtn = document.getElementById('modal-open-inbox');
+    if (modalInboxBtn) {
+        modalInboxBtn.addEventListener('click', () => {
+          closeAlertModal();
+          FloodInbox.open();
+        });
+    }
+    const modalAckBtn = document.getElementById('modal-acknowledge');
+    if (modalAckBtn) {
+        modalAckBtn.addEventListener('click', () => {
+          const id = document.getElementById('alert-modal').dataset.itemId;
+          if (id) FloodInbox.acknowledge(id);
+          closeAlertModal();
+        });
+    }
     const modalOverlay = document.getElementById('alert-modal');
     if (modalOverlay) {
         modalOverlay.addEventListener('click', (e) => {
@@ -85,16 +117,16 @@
         });
     }
 
+    // Acknowledge / assign / escalate on the alert panel; overdue alerts re-sound until handled
+    FloodAlertWorkflow.bind(document.getElementById('alert-workflow-list'), () => updateAlerts());
+    FloodAlertWorkflow.watch(() => state.alerts);
+
     // Initial loads
     refreshAll();
 
-    // Periodic refreshes (guard to prevent double interval setup on hot-reloads)
-    if (!state._intervalsSet) {
-      setInterval(updateSensorValues, 60 * 1000);
-      setInterval(updateAlerts, 30 * 1000);
-      setInterval(updateMapData, 5 * 60 * 1000); // Refresh map data every 5 minutes
-      state._intervalsSet = true;
-    }
+    // Live updates pushed by the server; the old refresh intervals are only used
+    // while the stream is down (guard to prevent double setup on hot-reloads)
+    if (!state.live) startLiveUpdates();
     // When the tab becomes visible again, refresh immediately
     document.addEventListener('visibilitychange', () => {
       if (document.visibilityState === 'visible') {
@@ -140,15 +172,14 @@
     } catch (e) { /* ignore */ }
   }
 
+  // Current municipality/barangay selection in the shape FloodApi expects
+  function currentLocation() {
+    return { municipalityId: state.municipalityId, barangayId: state.barangayId };
+  }
+
   async function fetchHeatmapPoints() {
     try {
-      const params = [];
-      if (state.municipalityId) params.push(`municipality_id=${state.municipalityId}`);
-      if (state.barangayId) params.push(`barangay_id=${state.barangayId}`);
-      const url = `/api/heatmap/${params.length ? ('?' + params.join('&')) : ''}`;
-      const res = await fetch(url, { headers: { 'Accept': 'application/json' }});
-      if (!res.ok) return null;
-      return await res.json();
+      return await FloodApi.heatmap(currentLocation(), { key: 'dashboard:heatmap' });
     } catch (e) { return null; }
   }
 
@@ -246,12 +277,302 @@
   }
 
   function refreshAll() {
+    if (state.live) state.live.setLocation(currentLocation());
     updateSensorValues();
     updateAlerts();
     updateMapData();
     loadTrendsChart();
   }
 
+  // ---------------- Live updates ----------------
+  // Pushed events arrive in bursts (one per sensor), so each widget refresh is debounced
+  function debounce(fn, wait) {
+    let t;
+    return function() {
+      clearTimeout(t);
+      t = setTimeout(fn, wait);
+    };
+  }
+
+  function startLiveUpdates() {
+    if (!window.FloodLive) return;
+    const refreshGauges = debounce(updateSensorValues, 500);
+    const refreshTrends = debounce(loadTrendsChart, 2000);
+    const refreshAlerts = debounce(updateAlerts, 300);
+    const refreshMap = debounce(updateMapData, 3000);
+
+    state.live = FloodLive.open({
+      location: currentLocation(),
+      handlers: {
+        sensor_data: () => {
+          refreshGauges();
+          refreshTrends();
+          refreshMap();
+        },
+        flood_alert: () => {
+          refreshAlerts();
+          refreshMap();
+        },
+      },
+      polling: [
+        { run: updateSensorValues, interval: 60 * 1000 },
+        { run: updateAlerts, interval: 30 * 1000 },
+        { run: updateMapData, interval: 5 * 60 * 1000 },
+      ],
+      onStatus: renderLiveStatus,
+    });
+  }
+
+  // Series keys used by mergeSeries -> parameter names used by the API
+  const TREND_SERIES_PARAMS = { t: 'temperature', h: 'humidity', r: 'rainfall', wl: 'water_level', ws: 'wind_speed' };
+  const TREND_RANGE_LABELS = { latest: 'Latest 10 readings', '1w': 'Last week', '1m': 'Last month', '1y': 'Last year' };
+
+  // Export menu (CSV / Excel / JSON) for the data currently drawn on the trends chart
+  function setupTrendsExport() {
+    const menu = document.getElementById('trends-export');
+    if (!menu || !window.FloodExport) return;
+    menu.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-export-format]');
+      if (!item) return;
+      e.preventDefault();
+      const merged = state._lastMerged;
+      if (!merged || !merged.labels.length) {
+        alert('There is no trends data to export for this location and range yet.');
+        return;
+      }
+      const series = {};
+      Object.keys(TREND_SERIES_PARAMS).forEach(k => { series[TREND_SERIES_PARAMS[k]] = merged.series[k] || []; });
+
+      const noteEl = document.getElementById('trends-location-note');
+      const location = noteEl ? noteEl.textContent.replace(/^For\s+/i, '').trim() : 'All Locations';
+      const range = state.trendsRange || 'latest';
+      const slug = location.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'all-locations';
+      const stamp = FloodExport.manilaTimestamp(Date.now()).replace(/[-: ]/g, '');
+
+      FloodExport.exportTrends(item.getAttribute('data-export-format'), { labels: merged.labels, series }, {
+        location,
+        place: FloodLocation.get(),
+        range: TREND_RANGE_LABELS[range] || range,
+        filename: `trends-${slug}-${range}-${stamp}`,
+      }).catch(err => {
+        console.error('[Trends] Export failed:', err);
+        alert(`Could not export the trends data: ${err && err.message ? err.message : err}`);
+      });
+    });
+  }
+
+  // Population at risk card: people at each severity level for the selected location
+  function setupPopulationRisk() {
+    const el = document.getElementById('population-risk-summary');
+    if (!el || !window.FloodPopulationRisk) return;
+    state.populationRisk = FloodPopulationRisk.attach(el, {
+      exportEl: document.getElementById('population-risk-export'),
+      barangayLimit: 5,
+    });
+  }
+
+  // Trends dataset index for each parameter (see initChart)
+  const TREND_DATASET_INDEX = { temperature: 0, humidity: 1, rainfall: 2, water_level: 3, wind_speed: 4 };
+
+  // Threshold bands for one parameter at a time; five sets of bands on one chart are unreadable
+  function setupTrendsThresholds() {
+    const sel = document.getElementById('trends-thresholds');
+    if (sel) {
+      sel.value = state.trendsThresholds || '';
+      sel.addEventListener('change', () => {
+        state.trendsThresholds = sel.value || null;
+        applyTrendsThresholds();
+      });
+    }
+    applyTrendsThresholds();
+  }
+
+  function applyTrendsThresholds() {
+    if (!state.chart || !window.FloodThresholds) return;
+    const sel = document.getElementById('trends-thresholds');
+    // Normalised lines are 0-100 per series, so thresholds have no place on the axis
+    if (sel) sel.disabled = !!state.normalize;
+    const param = state.normalize ? null : state.trendsThresholds;
+    state.chart.options.plugins.floodThresholds = param
+      ? { parameter: param, datasetIndex: TREND_DATASET_INDEX[param], location: FloodLocation.get() }
+      : { parameter: null };
+    try { state.chart.update(); } catch (e) { /* chart may be mid-update */ }
+  }
+
+  // Forecast overlay (forecast_overlay.js) for rainfall and water level
+  const FORECAST_STORAGE_KEY = 'trendsForecast';
+  const FORECAST_PARAMS = ['rainfall', 'water_level'];
+  const FORECAST_LABELS = { rainfall: 'Rainfall', water_level: 'Water level' };
+
+  function setupTrendsForecast() {
+    const sel = document.getElementById('trends-forecast');
+    if (!sel || !window.FloodForecast) return;
+    try {
+      const saved = Number(localStorage.getItem(FORECAST_STORAGE_KEY));
+      state.trendsForecast = FloodForecast.HORIZONS.includes(saved) ? saved : null;
+    } catch (e) { /* storage disabled */ }
+    sel.value = state.trendsForecast ? String(state.trendsForecast) : '';
+    sel.addEventListener('change', () => {
+      state.trendsForecast = sel.value ? Number(sel.value) : null;
+      try { localStorage.setItem(FORECAST_STORAGE_KEY, sel.value); } catch (e) { /* storage disabled */ }
+      loadTrendsForecast(true);
+    });
+  }
+
+  function showForecastNote(lines) {
+    const note = document.getElementById('trends-forecast-note');
+    if (!note) return;
+    note.textContent = lines.join(' ');
+    note.classList.toggle('d-none', !lines.length);
+  }
+
+  // Fetch the forecast for the current location and draw it past the latest reading.
+  // Trends refresh on every pushed reading, so the same forecast is reused for a few minutes.
+  function loadTrendsForecast(force) {
+    if (!state.chart || !window.FloodForecast) return;
+    const sel = document.getElementById('trends-forecast');
+    // Normalised lines are 0-100 per series, so a forecast in real units cannot be drawn on them
+    if (sel) sel.disabled = !!state.normalize;
+    if (!state.trendsForecast || state.normalize) {
+      state._forecastKey = null;
+      state._forecastToken++;
+      FloodForecast.detach(state.chart);
+      showForecastNote([]);
+      return;
+    }
+    const loc = currentLocation();
+    const key = `${loc.municipalityId || ''}|${loc.barangayId || ''}|${state.trendsForecast}`;
+    if (!force && key === state._forecastKey && Date.now() - state._forecastAt < FORECAST_REFRESH_MS) return;
+    state._forecastKey = key;
+    state._forecastAt = Date.now();
+    const token = ++state._forecastToken;
+    FloodForecast.load(FORECAST_PARAMS, state.trendsForecast, loc)
+      .then(res => {
+        if (token !== state._forecastToken || !state.chart) return;
+        FloodForecast.attach(state.chart, {
+          series: FORECAST_PARAMS.map(p => ({ datasetIndex: TREND_DATASET_INDEX[p], forecast: res.parameters[p] })),
+          formatLabel: ms => formatManilaShort(new Date(ms).toISOString()),
+        });
+        showForecastNote(FloodForecast.describe(res, FORECAST_LABELS));
+      })
+      .catch(err => {
+        if (token !== state._forecastToken || FloodApi.isAbort(err)) return;
+        console.warn('[Trends] Forecast unavailable:', err);
+        state._forecastKey = null;
+        FloodForecast.detach(state.chart);
+        showForecastNote(['Trend projection unavailable.']);
+      });
+  }
+
+  // Datasets 0-4 are the raw parameters; derived lines are appended after them
+  const DERIVED_DATASET_START = 5;
+  const DERIVED_STORAGE_KEY = 'trendsDerived';
+
+  // "Derived" menu: rolling rainfall totals, rate of rise and API as extra lines
+  function setupTrendsDerived() {
+    const menu = document.querySelector('#trends-derived .dropdown-menu');
+    if (!menu || !window.FloodMetrics) return;
+    try {
+      state.derived = (JSON.parse(localStorage.getItem(DERIVED_STORAGE_KEY)) || []).filter(FloodMetrics.isDerived);
+    } catch (e) { state.derived = []; }
+    menu.innerHTML = Object.keys(FloodMetrics.METRICS).map(key => {
+      const m = FloodMetrics.METRICS[key];
+      return `<label class="dropdown-item d-flex align-items-center gap-2" style="cursor:pointer;">
+        <input type="checkbox" class="form-check-input m-0" value="${key}" ${state.derived.includes(key) ? 'checked' : ''}>
+        <span>${m.label} <small class="text-muted">(${m.unit})</small></span>
+      </label>`;
+    }).join('');
+    menu.addEventListener('change', () => {
+      state.derived = Array.from(menu.querySelectorAll('input:checked')).map(i => i.value);
+      try { localStorage.setItem(DERIVED_STORAGE_KEY, JSON.stringify(state.derived)); } catch (e) { /* storage disabled */ }
+      loadDerivedSeries();
+    });
+  }
+
+  // Same range as the raw lines (see fetchChart)
+  function trendsQuery() {
+    const range = state.trendsRange || 'latest';
+    const days = range === '1w' ? 7 : range === '1m' ? 30 : range === '1y' ? 365 : null;
+    return days ? { days } : { limit: 10 };
+  }
+
+  // Fetch the selected derived metrics and line them up with the chart's timestamps
+  function loadDerivedSeries() {
+    if (!state.chart || !window.FloodMetrics) return;
+    const isoLabels = state.chart.data.isoLabels || [];
+    const keys = state.derived.slice();
+    Promise.all(keys.map(key =>
+      FloodMetrics.series(key, trendsQuery(), currentLocation(), { key: `dashboard:derived:${key}` })
+        .catch(err => {
+          if (!FloodApi.isAbort(err)) console.warn(`[Trends] ${key} unavailable:`, err);
+          return null;
+        })
+    )).then(results => {
+      if (!state.chart || keys.join() !== state.derived.join()) return;
+      const palette = ['#0f766e', '#7c3aed', '#be123c', '#a16207', '#1d4ed8', '#4d7c0f', '#9d174d'];
+      const datasets = state.chart.data.datasets.slice(0, DERIVED_DATASET_START);
+      results.forEach((res, i) => {
+        if (!res) return;
+        const byLabel = new Map(res.labels.map((l, j) => [l, res.values[j]]));
+        let data = isoLabels.map(l => (byLabel.has(l) ? byLabel.get(l) : null));
+        if (state.normalize) data = normalizeArray(data);
+        const color = palette[Object.keys(FloodMetrics.METRICS).indexOf(keys[i]) % palette.length];
+        datasets.push({
+          label: `${res.label} (${res.unit})`,
+          data,
+          borderColor: color,
+          backgroundColor: 'transparent',
+          borderDash: [6, 4],
+          borderWidth: 2,
+          pointRadius: 2,
+          pointHoverRadius: 4,
+          pointBorderColor: color,
+          pointBackgroundColor: '#ffffff',
+          yAxisID: 'y1',
+          fill: false,
+          spanGaps: true,
+        });
+      });
+      state.chart.data.datasets = datasets;
+      try { state.chart.update(); } catch (e) { console.error('[Trends] Could not draw derived lines:', e); }
+    });
+  }
+
+  // "Generate SitRep": PDF of the current location, parameter status, alerts, map and trends
+  function setupSitRep() {
+    const btn = document.getElementById('generate-sitrep');
+    if (!btn || !window.FloodSitRep) return;
+    btn.addEventListener('click', async () => {
+      const label = btn.innerHTML;
+      btn.disabled = true;
+      btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Preparing…';
+      try {
+        const sev = await fetchThresholdSeverity();
+        await FloodSitRep.generate({
+          location: currentLocation(),
+          statusHtml: sev ? buildParameterStatusHTML(sev) : '',
+          mapElement: document.getElementById('flood-map'),
+          chart: state.chart,
+        });
+      } catch (err) {
+        console.error('[SitRep] Could not generate the report:', err);
+        alert(`Could not generate the situation report: ${err && err.message ? err.message : err}`);
+      } finally {
+        btn.disabled = false;
+        btn.innerHTML = label;
+      }
+    });
+  }
+
+  function renderLiveStatus(status) {
+    const el = document.getElementById('live-status');
+    if (!el) return;
+    const labels = { connecting: 'Connecting…', live: 'Live', polling: 'Polling (live feed offline)' };
+    el.textContent = labels[status] || status;
+    el.classList.toggle('live', status === 'live');
+    el.classList.toggle('polling', status === 'polling');
+  }
+
   // Bind Latest / 1W / 1M / 1Y controls and update state.trendsRange
   function setupTrendsRangeControls() {
     const group = document.getElementById('trends-range');
@@ -315,33 +636,20 @@
 
   async function applyThresholdsNow() {
     try {
-      const body = buildApplyThresholdsBody();
-      const res = await fetch('/api/apply-thresholds/', {
-        method: 'POST',
-        headers: {
-          'Content-Type': 'application/json',
-          'Accept': 'application/json',
-          'X-CSRFToken': getCSRFToken(),
-        },
-        body: JSON.stringify(body),
-        credentials: 'same-origin',
-      });
-      if (!res.ok) {
-        // Silently ignore 401/403 (not logged in) for automatic attempts
-        if (res.status === 401 || res.status === 403) return;
-        const txt = await res.text().catch(() => '');
-        throw new Error(`Failed to apply thresholds (${res.status}): ${txt || res.statusText}`);
-      }
+      await FloodApi.applyThresholds(buildApplyThresholdsBody(), { key: 'dashboard:apply-thresholds' });
       // On success, refresh alerts UI
       updateAlerts();
     } catch (e) {
+      // Silently ignore 401/403 (not logged in) and superseded attempts
+      if (FloodApi.isAbort(e) || e.status === 401 || e.status === 403) return;
       // Quietly log for automatic path
       console.warn('[Apply Thresholds] Auto-apply failed:', e.message || e);
     }
   }
 
   function buildApplyThresholdsBody() {
-    const body = { dry_run: false };
+    // Barangays are evaluated against their own or their municipality's overrides, else the global set
+    const body = { dry_run: false, use_overrides: true };
     if (state.barangayId) {
       body.process_scope = 'barangay';
       body.barangay_id = state.barangayId;
@@ -354,26 +662,22 @@
     return body;
   }
 
-  function getCSRFToken() {
-    // Standard Django CSRF cookie name is 'csrftoken'
-    const name = 'csrftoken=';
-    const cookies = document.cookie ? document.cookie.split(';') : [];
-    for (let i = 0; i < cookies.length; i++) {
-      const c = cookies[i].trim();
-      if (c.startsWith(name)) return decodeURIComponent(c.substring(name.length));
-    }
-    return '';
-  }
-
   // ---------------- Location selector ----------------
+  // The selection lives in the shared FloodLocation store; the selects write to it and
+  // onLocationChange applies every change, whichever widget (or page) made it.
   function setupLocationSelector() {
     const muniSel = document.getElementById('location-select');
     const brgySel = document.getElementById('barangay-select');
+
+    // Start from the restored selection (URL or last visit)
+    const initial = FloodLocation.get();
+    state.municipalityId = initial.municipalityId;
+    state.barangayId = initial.barangayId;
+    FloodLocation.subscribe(onLocationChange);
     if (!muniSel) return;
 
     // Populate municipalities
-    fetch('/api/municipalities/?limit=200')
-      .then(r => r.ok ? r.json() : Promise.reject(r))
+    FloodApi.municipalities({ limit: 200 })
       .then(data => {
         const results = data.results || [];
         // Clear existing non-default options
@@ -384,25 +688,18 @@
           opt.textContent = m.name;
           muniSel.appendChild(opt);
         });
-        // Restore persisted selection
-        const savedMuni = sessionStorage.getItem('dashboard_municipality_id');
-        const savedBrgy = sessionStorage.getItem('dashboard_barangay_id');
-        if (savedMuni) {
-          muniSel.value = savedMuni;
-          state.municipalityId = savedMuni;
-          populateBarangays(savedMuni).then(() => {
-            if (savedBrgy && brgySel) {
-              brgySel.value = savedBrgy;
-              state.barangayId = savedBrgy;
+        // Reflect the restored selection
+        if (state.municipalityId) {
+          muniSel.value = state.municipalityId;
+          const muni = results.find(m => String(m.id) === String(state.municipalityId));
+          if (muni) FloodLocation.set({ municipality: muni });
+          populateBarangays(state.municipalityId).then(() => {
+            if (state.barangayId && brgySel) {
+              brgySel.value = state.barangayId;
               brgySel.disabled = false;
-              updateCurrentLocationCard();
-              refreshAll();
-              applyThresholdsNow();
-            } else {
-              updateCurrentLocationCard();
-              refreshAll();
-              applyThresholdsNow();
             }
+            updateCurrentLocationCard();
+            applyThresholdsNow();
           });
         } else {
           // No saved selection; still reflect defaults in the card
@@ -411,46 +708,70 @@
       })
       .catch(() => {});
 
-    // On municipality change, load barangays
     muniSel.addEventListener('change', () => {
-      const val = muniSel.value;
-      state.municipalityId = val || null;
-      sessionStorage.setItem('dashboard_municipality_id', state.municipalityId || '');
-      state.barangayId = null;
-      sessionStorage.setItem('dashboard_barangay_id', ''); // Clear barangay selection
+      const id = muniSel.value || null;
+      const opt = muniSel.options[muniSel.selectedIndex];
+      FloodLocation.set({ municipality: id ? { id, name: opt ? opt.textContent : null } : null }, { source: 'dashboard' });
+    });
+    if (brgySel) {
+      brgySel.addEventListener('change', () => {
+        const id = brgySel.value || null;
+        const opt = brgySel.options[brgySel.selectedIndex];
+        FloodLocation.set({ barangay: id ? { id, name: opt ? opt.textContent : null } : null }, { source: 'dashboard' });
+      });
+    }
+  }
+
+  // Reset the Alert Status UI immediately to avoid a stale badge while loading
+  function resetAlertStatus(message) {
+    const badge = document.getElementById('alert-status-badge');
+    const title = document.getElementById('alert-title');
+    const msg = document.getElementById('alert-message');
+    if (badge) { badge.textContent = 'Normal'; badge.classList.remove('status-warning','status-danger'); badge.classList.add('status-normal'); }
+    if (title) title.textContent = 'Loading status…';
+    if (msg) msg.textContent = message;
+    const list = document.getElementById('param-status-list');
+    if (list) list.innerHTML = '';
+    // Bump token to invalidate in-flight alert requests for the previous selection
+    state._alertsReqToken++;
+  }
+
+  function onLocationChange(loc, prev) {
+    const muniSel = document.getElementById('location-select');
+    const brgySel = document.getElementById('barangay-select');
+    state.municipalityId = loc.municipalityId;
+    state.barangayId = loc.barangayId;
+    applyTrendsThresholds();
+
+    if (loc.municipalityId !== prev.municipalityId) {
+      if (muniSel) muniSel.value = state.municipalityId || '';
       if (brgySel) {
         brgySel.innerHTML = '<option value="" selected>All Barangays</option>';
         brgySel.disabled = !state.municipalityId;
       }
       updateCurrentLocationCard();
-      // Reset Alert Status UI and invalidate any in-flight alert requests
-      const badge = document.getElementById('alert-status-badge');
-      const title = document.getElementById('alert-title');
-      const msg = document.getElementById('alert-message');
-      if (badge) { badge.textContent = 'Normal'; badge.classList.remove('status-warning','status-danger'); badge.classList.add('status-normal'); }
-      if (title) title.textContent = 'Loading status…';
-      if (msg) msg.textContent = 'Fetching latest advisory for the selected location.';
-      const list = document.getElementById('param-status-list');
-      if (list) list.innerHTML = '';
-      state._alertsReqToken++;
+      resetAlertStatus('Fetching latest advisory for the selected location.');
       if (state.municipalityId) {
+        // Select the barangay (if any) once the options for the new municipality exist
+        const afterBarangays = () => {
+          if (brgySel && state.barangayId) brgySel.value = state.barangayId;
+          updateCurrentLocationCard();
+          refreshAll();
+        };
         // A municipality is selected. Find its details to center the map.
-        fetch(`/api/municipalities/${state.municipalityId}/`)
-          .then(r => r.ok ? r.json() : Promise.reject(r))
+        FloodApi.municipality(state.municipalityId)
           .then(municipality => {
-            if (state.map && municipality.latitude && municipality.longitude) {
+            FloodLocation.set({ municipality });
+            if (state.map && municipality.latitude && municipality.longitude && !state.barangayId) {
               // Zoom to the municipality's center. The zoom level (e.g., 12) can be adjusted.
               state.map.setView([municipality.latitude, municipality.longitude], 12);
             }
             // Now that the map is centered, refresh other data.
-            populateBarangays(state.municipalityId).then(() => {
-              // After populating barangays, refresh all dashboard components.
-              refreshAll();
-            });
+            populateBarangays(state.municipalityId).then(afterBarangays);
           })
           .catch(() => {
             // Fallback if fetching municipality details fails
-            populateBarangays(state.municipalityId).then(() => refreshAll());
+            populateBarangays(state.municipalityId).then(afterBarangays);
           });
 
         // Automatically apply thresholds for the new scope (municipality-wide for all barangays)
@@ -459,40 +780,24 @@
         if (state.heatEnabled) updateHeatLayer();
         refreshAll();
       }
-    });
-
-    // On barangay change, just set barangayId and refresh
-    if (brgySel) {
-      brgySel.addEventListener('change', () => {
-        state.barangayId = brgySel.value || null;
-        sessionStorage.setItem('dashboard_barangay_id', state.barangayId || '');
-        updateCurrentLocationCard();
-        // Reset Alert Status UI immediately to avoid stale badge while loading
-        const badge = document.getElementById('alert-status-badge');
-        const title = document.getElementById('alert-title');
-        const msg = document.getElementById('alert-message');
-        if (badge) { badge.textContent = 'Normal'; badge.classList.remove('status-warning','status-danger'); badge.classList.add('status-normal'); }
-        if (title) title.textContent = 'Loading status…';
-        if (msg) msg.textContent = 'Fetching latest advisory for the selected barangay.';
-        const list = document.getElementById('param-status-list');
-        if (list) list.innerHTML = '';
-        // Bump token to invalidate in-flight requests for previous selection
-        state._alertsReqToken++;
-        refreshAll();
-        // Explicitly update map data to trigger zoom for the selected barangay
-        updateMapData();
-        // Automatically apply thresholds for selected barangay
-        applyThresholdsNow();
-      });
+      return;
     }
+
+    // Same municipality, different barangay
+    if (brgySel) brgySel.value = state.barangayId || '';
+    updateCurrentLocationCard();
+    resetAlertStatus('Fetching latest advisory for the selected barangay.');
+    // refreshAll also updates map data, which zooms to the selected barangay
+    refreshAll();
+    // Automatically apply thresholds for selected barangay
+    applyThresholdsNow();
   }
 
   function populateBarangays(municipalityId) {
     const brgySel = document.getElementById('barangay-select');
     if (!brgySel || !municipalityId) return Promise.resolve();
     brgySel.disabled = true;
-    return fetch(`/api/all-barangays/?municipality_id=${encodeURIComponent(municipalityId)}`)
-      .then(r => r.ok ? r.json() : Promise.reject(r))
+    return FloodApi.allBarangays({ municipality_id: municipalityId }, { key: 'dashboard:barangay-options' })
       .then(d => {
         const items = d.barangays || [];
         brgySel.innerHTML = '<option value="" selected>All Barangays</option>';
@@ -515,15 +820,7 @@
         if (el) el.textContent = '...';
     });
 
-    let url = '/api/parameter-status/';
-    const params = [];
-    if (state.municipalityId) params.push(`municipality_id=${state.municipalityId}`);
-    if (state.barangayId) params.push(`barangay_id=${state.barangayId}`);
-    params.push(`_=${new Date().getTime()}`); // Cache buster
-    if (params.length) url += '?' + params.join('&');
-
-    fetch(url, { headers: { 'Accept': 'application/json' }})
-      .then(r => r.ok ? r.json() : Promise.reject(r))
+    FloodApi.parameterStatus(currentLocation(), { key: 'dashboard:sensor-values', cache: 'no-store' })
       .then(data => {
         const items = data.items || [];
         const latest = {};
@@ -542,7 +839,9 @@
         if (lastUpdated) lastUpdated.textContent = ts.toLocaleString();
         updateWeatherSeverityStyles();
       })
-      .catch(() => {
+      .catch(err => {
+        // A newer request for another location replaced this one; it will fill the values
+        if (FloodApi.isAbort(err)) return;
         setValue('temperature-value', null, '°C');
         setValue('humidity-value', null, '%');
         setValue('rainfall-value', null, 'mm');
@@ -581,10 +880,11 @@
         const latest = (it.latest != null) ? Number(it.latest).toFixed(unit === '%' ? 0 : 2).replace(/\.00$/,'') : '—';
         const refText = ref !== '' ? Number(ref).toFixed(2).replace(/\.00$/,'') : '';
         const statusText = badge(lvl);
-        const color = (lvl>=4)?'#dc2626':(lvl>=3)?'#d97706':(lvl>=1)?'#0ea5e9':'#16a34a';
+        const color = getThresholdColor(lvl);
         const extra = (lvl>0 && refText!=='') ? ` (>= ${refText} ${unit})` : '';
-        return `<div style="display:flex; justify-content:space-between; gap:10px; padding:4px 0;">
-          <span>${paramLabel(it.parameter)}</span>
+        const setLabel = thresholdSetLabel(it.thresholdSet);
+        return `<div style="display:flex; justify-content:space-between; gap:10px; padding:4px 0;" title="Evaluated against ${escapeHtml(setLabel)}">
+          <span>${paramLabel(it.parameter)}${isOverride(it.thresholdSet) ? ` <small style="color:var(--gray)">(${escapeHtml(setLabel)})</small>` : ''}</span>
           <span style="white-space:nowrap; color:${color}; font-weight:600;">${statusText}</span>
           <span style="white-space:nowrap; color:var(--gray)">Latest: ${latest} ${unit}${extra}</span>
         </div>`;
@@ -596,6 +896,16 @@
     }
   }
 
+  // Which threshold set a severity was computed against, from the API's threshold_set {scope, id, name}
+  function isOverride(set) {
+    return !!(set && set.scope && set.scope !== 'global');
+  }
+
+  function thresholdSetLabel(set) {
+    if (!isOverride(set)) return 'global thresholds';
+    return `${set.name} ${set.scope} thresholds`;
+  }
+
   function unitFor(key){
     const u={temperature:'°C',humidity:'%',rainfall:'mm',water_level:'m',wind_speed:'km/h'}; return u[key]||'';
   }
@@ -643,6 +953,11 @@
         const unit = it.unit || '';
         setStatusChip(`${idBase}-status`, it.level || 0);
         setExtraText(`${idBase}-extra`, latest, unit);
+        const chip = document.getElementById(`${idBase}-status`);
+        if (chip) {
+          chip.title = `Evaluated against ${thresholdSetLabel(it.thresholdSet)}`;
+          chip.classList.toggle('threshold-override', isOverride(it.thresholdSet));
+        }
       });
     } catch (e) { /* ignore */ }
   }
@@ -650,12 +965,7 @@
   function applySeverityStyle(id, level) {
     const el = document.getElementById(id);
     if (!el) return;
-    const lvl = Math.max(0, Math.min(5, Number(level) || 0));
-    let color = '#16a34a'; // sev-0
-    if (lvl >= 4) color = '#dc2626'; // sev-4, sev-5
-    else if (lvl === 3) color = '#d97706'; // sev-3
-    else if (lvl >= 1) color = '#0ea5e9'; // sev-1, sev-2
-    el.style.color = color;
+    el.style.color = getThresholdColor(level);
   }
 
   // Add/remove .sev-* classes on the container .weather-item for modern styles
@@ -669,9 +979,10 @@
     for (let i = 0; i <= 5; i++) {
       container.classList.remove(`sev-${i}`);
     }
-    // Clamp level between 0 and 5 and apply
+    // Clamp level between 0 and 5 and apply; the palette colour drives the border and icon
     const lvl = Math.max(0, Math.min(5, Number(level) || 0));
     container.classList.add(`sev-${lvl}`);
+    container.style.setProperty('--sev-color', getThresholdColor(lvl));
   }
 
   function paramIdBase(key) {
@@ -692,6 +1003,8 @@
     else if (lvl >= 3) cls = 'warning';
     else if (lvl >= 1) cls = 'info';
     el.classList.add(cls);
+    el.style.setProperty('--sev-color', getThresholdColor(lvl));
+    el.style.setProperty('--sev-text', lvl >= 4 ? '#fff' : (lvl >= 1 ? '#0f172a' : getThresholdColor(0)));
     el.textContent = (lvl === 0) ? 'Normal' : severityName(lvl);
   }
 
@@ -708,28 +1021,13 @@
   }
 
   function playAlertSound() {
-    if (!audioContext) {
-        console.warn("AudioContext not initialized. Click on the page to enable sound.");
-        return;
-    }
-
-    const oscillator = audioContext.createOscillator();
-    const gainNode = audioContext.createGain();
-
-    oscillator.connect(gainNode);
-    gainNode.connect(audioContext.destination);
-
-    oscillator.type = 'sine';
-    oscillator.frequency.setValueAtTime(880, audioContext.currentTime);
-    gainNode.gain.setValueAtTime(0.5, audioContext.currentTime);
-
-    oscillator.start();
-    oscillator.stop(audioContext.currentTime + 0.5);
+    // The shared inbox owns the AudioContext and unlocks it on the first interaction
+    if (!FloodInbox.beep()) console.warn('Alert sound blocked until the page is clicked or a key is pressed.');
   }
 
   // New: Setup map parameter selector dropdown
   function setupMapParamSelector() {
-    const selector = document.getElementById('map-param-selector');
+    const selector = document.getElementById('map-param-select');
     if (!selector) return;
 
     // Populate options
@@ -753,22 +1051,77 @@
       updateMapData();
     });
   }
+  // Inbox entry for a FloodAlert or a synthetic threshold alert (which has no id)
+  function inboxEntry(alert) {
+    return {
+      id: alert.id != null ? `alert:${alert.id}` : `threshold:${state.municipalityId || ''}:${state.barangayId || ''}:${alert.parameter || ''}`,
+      source: alert.id != null ? 'flood_alert' : 'threshold',
+      title: alert.title,
+      message: alert.description,
+      severity: alert.severity_level,
+      url: window.location.pathname + window.location.search,
+    };
+  }
+
   function openAlertModal(alert) {
     if (!alert) return;
     const modal = document.getElementById('alert-modal');
     const header = modal.querySelector('.modal-header');
     if (!modal || !header) return;
 
+    // The modal shows the newest alert; the inbox keeps the ones it replaces
+    const { item } = FloodInbox.add(inboxEntry(alert));
+    FloodInbox.markRead(item.id);
+    modal.dataset.itemId = item.id;
+
     modal.querySelector('#modal-title').textContent = alert.title;
     modal.querySelector('#modal-description').textContent = alert.description;
     modal.querySelector('#modal-severity').textContent = severityName(alert.severity_level);
 
+    const more = modal.querySelector('#modal-more');
+    if (more) {
+      const unread = FloodInbox.unreadCount();
+      more.classList.toggle('d-none', unread === 0);
+      const count = more.querySelector('#modal-more-count');
+      if (count) count.textContent = `${unread} other unread alert${unread === 1 ? '' : 's'}`;
+    }
+
     header.classList.remove('sev-3', 'sev-4', 'sev-5');
     if (alert.severity_level >= 3) header.classList.add(`sev-${alert.severity_level}`);
 
     modal.style.display = 'flex';
   }
 
+  // Active alerts with their workflow state; overdue ones are listed first
+  function renderAlertWorkflow(alerts) {
+    const list = document.getElementById('alert-workflow-list');
+    if (!list) return;
+    if (!alerts.length) {
+      list.innerHTML = '';
+      return;
+    }
+    const now = Date.now();
+    const ordered = alerts.slice().sort((a, b) =>
+      (FloodAlertWorkflow.isOverdue(b, now) - FloodAlertWorkflow.isOverdue(a, now)) || (b.severity_level - a.severity_level));
+    list.innerHTML = ordered.map(a => `
+      <div class="alert-workflow-item" data-workflow-alert="${a.id}">
+        <div class="d-flex justify-content-between align-items-start gap-2 flex-wrap">
+          <div>
+            <strong>${escapeHtml(severityName(a.severity_level))}:</strong> ${escapeHtml(a.title)}
+            <div class="mt-1">${FloodAlertWorkflow.stateHtml(a)}</div>
+          </div>
+          ${FloodAlertWorkflow.actionsHtml(a)}
+        </div>
+      </div>`).join('');
+    // Apply the overdue highlight straight away instead of on the next tick
+    ordered.forEach(a => {
+      if (FloodAlertWorkflow.isOverdue(a, now)) {
+        const el = list.querySelector(`[data-workflow-alert="${a.id}"]`);
+        if (el) el.classList.add('alert-overdue');
+      }
+    });
+  }
+
   function closeAlertModal() {
     document.getElementById('alert-modal').style.display = 'none';
   }
@@ -776,12 +1129,8 @@
   // ---------------- Alerts ----------------
   function updateAlerts() {
     const token = ++state._alertsReqToken; // capture a new token for this invocation
-    let url = '/api/flood-alerts/?active=true';
-    if (state.municipalityId) url += `&municipality_id=${state.municipalityId}`;
-    if (state.barangayId) url += `&barangay_id=${state.barangayId}`;
 
-    fetch(url, { headers: { 'Accept': 'application/json' }})
-      .then(r => r.ok ? r.json() : Promise.reject(r))
+    FloodApi.floodAlerts({ active: true }, currentLocation(), { key: 'dashboard:alerts' })
       .then(async data => {
         // Ensure this response belongs to the latest request
         if (token !== state._alertsReqToken) return; // stale response; ignore
@@ -792,6 +1141,9 @@
           results = results.filter(a => Array.isArray(a.affected_barangays) && a.affected_barangays.map(String).includes(selId));
         }
         results = results.sort((a,b) => b.severity_level - a.severity_level);
+        results.forEach(a => FloodInbox.add(inboxEntry(a)));
+        state.alerts = results;
+        renderAlertWorkflow(results);
         let highest = results[0] || null;
         const badge = document.getElementById('alert-status-badge');
         const title = document.getElementById('alert-title');
@@ -816,7 +1168,8 @@
                 const syntheticAlert = {
                     title: `${severityName(topParam.level)}: ${paramLabel(topParam.parameter)} Threshold Exceeded`,
                     description: `The latest reading for ${paramLabel(topParam.parameter)} has exceeded the configured threshold for your selected location.`,
-                    severity_level: topParam.level
+                    severity_level: topParam.level,
+                    parameter: topParam.parameter
                 };
                 openAlertModal(syntheticAlert);
             }
@@ -932,14 +1285,8 @@
 
   async function fetchParameterStatus() {
     try {
-      const params = [];
       // Request a compact per-parameter status for the current selection
-      if (state.municipalityId) params.push(`municipality_id=${state.municipalityId}`);
-      if (state.barangayId) params.push(`barangay_id=${state.barangayId}`);
-      const url = `/api/parameter-status/${params.length ? ('?' + params.join('&')) : ''}`;
-      const res = await fetch(url, { headers: { 'Accept': 'application/json' } });
-      if (!res.ok) return null;
-      return await res.json();
+      return await FloodApi.parameterStatus(currentLocation());
     } catch (e) {
       return null;
     }
@@ -947,20 +1294,17 @@
 
   async function fetchThresholdSeverity() {
     try {
-      const params = [];
-      params.push('parameter=rainfall,water_level,temperature,humidity,wind_speed');
-      if (state.municipalityId) params.push(`municipality_id=${state.municipalityId}`);
-      if (state.barangayId) params.push(`barangay_id=${state.barangayId}`);
-      const url = `/api/threshold-visualization/?${params.join('&')}`;
-      const res = await fetch(url, { headers: { 'Accept': 'application/json' }});
-      if (!res.ok) return null;
-      const data = await res.json();
+      const data = await FloodApi.thresholdVisualization(
+        ['rainfall', 'water_level', 'temperature', 'humidity', 'wind_speed'],
+        currentLocation()
+      );
       const items = (data.data || []).map(it => ({
         parameter: it.parameter,
         unit: it.unit,
         latest: it.latest ? it.latest.value : null,
         level: it.severity ? (it.severity.level || 0) : 0,
-        thresholds: it.thresholds || {}
+        thresholds: it.thresholds || {},
+        thresholdSet: it.threshold_set || null
       }));
       const maxLevel = items.reduce((m, it) => Math.max(m, it.level || 0), 0);
       return { level: maxLevel, items };
@@ -977,10 +1321,7 @@
     }
 
     // Fetch details for each affected barangay individually to ensure we get them all
-    const promises = affectedBarangayIds.map(id =>
-      fetch(`/api/barangays/${id}/`, { headers: { 'Accept': 'application/json' }})
-        .then(r => r.ok ? r.json() : Promise.reject(new Error(`Failed to fetch barangay ${id}`)))
-    );
+    const promises = affectedBarangayIds.map(id => FloodApi.barangay(id));
 
     Promise.allSettled(promises)
       .then(results => {
@@ -993,16 +1334,13 @@
             // Use the severity from the API response for each barangay
             const severityLevel = b.severity || 0;
             const riskLevel = getSeverityText(severityLevel);
-            const riskClass = 
-                severityLevel >= 4 ? 'status-danger' :
-                severityLevel >= 3 ? 'status-warning' :
-                severityLevel >= 1 ? 'status-info' : 
-                'status-normal';
+            const color = getThresholdColor(severityLevel);
+            const textColor = severityLevel >= 4 ? '#fff' : '#0f172a';
 
             return `<tr>
               <td>${escapeHtml(b.name || '—')}</td>
               <td>${Number(b.population || 0).toLocaleString()}</td>
-              <td><span class="status-badge ${riskClass}">${riskLevel}</span></td>
+              <td><span class="status-badge" style="background:${color}; color:${textColor};">${riskLevel}</span></td>
             </tr>`;
           }).join('');
         } else {
@@ -1014,20 +1352,22 @@
       });
   }
 
-  // New helper function to get color based on severity
+  // Severity level (0-5) colour and name; the palette is shared with every other page
   function getThresholdColor(level) {
-    const l = Number(level) || 0;
-    if (l >= 4) return '#ef4444'; // High Risk (Danger)
-    if (l >= 2) return '#f59e0b'; // Medium Risk (Warning)
-    return '#10b981'; // Low Risk (Success)
+    return FloodThresholds.colorOf(Number(level) || 0);
   }
 
-  // New helper to get severity text
   function getSeverityText(level) {
-    const l = Number(level) || 0;
-    if (l >= 4) return 'High Risk';
-    if (l >= 2) return 'Medium Risk';
-    return 'Low Risk';
+    return FloodThresholds.nameOf(Number(level) || 0);
+  }
+
+  // Map legend: Normal plus the five threshold levels
+  function renderSeverityLegend() {
+    const legend = document.getElementById('map-severity-legend');
+    if (!legend) return;
+    legend.innerHTML = [0, 1, 2, 3, 4, 5].map(level =>
+      `<div class="risk-indicator"><div class="risk-color" style="background-color:${getThresholdColor(level)};"></div><div>${getSeverityText(level)}</div></div>`
+    ).join('');
   }
 
   // ---------------- Map ----------------
@@ -1063,6 +1403,17 @@
 
     addFullscreenControl(state.map, 'flood-map');
 
+    // Replay of historical snapshots; the trends chart follows with a time cursor
+    state.timeSlider = FloodTimeSlider.attach(state.map, {
+      onFrame: drawHistoryFrame,
+      onExit: updateMapData,
+    });
+    FloodTimeSlider.bindChartCursor(() => [state.chart]);
+
+    if (window.FloodEvacuation) {
+      state.evacuation = FloodEvacuation.attach(state.map, { summaryEl: document.getElementById('evacuation-summary') });
+    }
+
     // ESC to exit fullscreen
     window.addEventListener('keydown', (ev) => {
       if (ev.key === 'Escape') {
@@ -1104,22 +1455,29 @@
 
   function updateMapData() {
     if (!state.map) return;
-    let url = '/api/map-data/';
-    const params = [];
-    if (state.municipalityId) params.push(`municipality_id=${state.municipalityId}`);
-    if (state.barangayId) params.push(`barangay_id=${state.barangayId}`);
-    if (params.length) url += '?' + params.join('&');
+    // Live refreshes must not overwrite a replayed snapshot; only keep boundaries current
+    if (state.timeSlider && state.timeSlider.isActive()) {
+      FloodBoundaries.load(currentLocation()).then(boundaries => { state.boundaries = boundaries; });
+      return;
+    }
 
     const lastUpdated = document.getElementById('map-last-updated');
     if (lastUpdated) lastUpdated.textContent = 'Loading data...';
 
-    fetch(url, { headers: { 'Accept': 'application/json' }})
-      .then(r => r.ok ? r.json() : Promise.reject(r))
-      .then(async data => {
+    const location = currentLocation();
+    if (state.evacuation) state.evacuation.refresh(location);
+    if (state.populationRisk) state.populationRisk.refresh(location);
+    Promise.all([
+      FloodApi.mapData(location, { key: 'dashboard:map-data' }),
+      FloodBoundaries.load(location),
+      loadSensorHealth(location),
+    ])
+      .then(async ([data, boundaries]) => {
+        state.boundaries = boundaries;
         clearMapLayers();
         drawZones(data.zones || []);
-        drawSensors(data.sensors || []);
-        drawBarangays(data.barangays || []);
+        drawSensors(data.sensors || [], true);
+        drawBarangays(data.barangays || [], boundaries);
         renderLocationsList(data.barangays || []);
         if (lastUpdated) lastUpdated.textContent = new Date().toLocaleString();
         // Ensure map tiles realign after layer updates
@@ -1130,7 +1488,8 @@
           setTimeout(() => { try { state.map && state.map.invalidateSize(true); } catch (e) {} }, 300);
         } catch (e) {}
       })
-      .catch(() => {
+      .catch(err => {
+        if (FloodApi.isAbort(err)) return;
         if (lastUpdated) lastUpdated.textContent = 'Unable to load map data';
       });
   }
@@ -1157,101 +1516,188 @@
     });
   }
 
-  function drawSensors(sensors) {
+  // Sensor dots; with `withHealth` each carries its sensor-health badge (not for replayed frames,
+  // whose values are historical while the health is current)
+  function drawSensors(sensors, withHealth) {
     sensors.forEach(s => {
       if (!s.lat || !s.lng) return;
-      const marker = L.circleMarker([s.lat, s.lng], {
-        radius: 6,
-        color: '#0d6efd',
-        fillColor: '#0d6efd',
-        fillOpacity: 0.8
+      const health = withHealth && window.FloodSensorHealth ? FloodSensorHealth.get(s.id) : null;
+      const marker = L.marker([s.lat, s.lng], {
+        icon: L.divIcon({
+          className: 'sensor-dot-icon',
+          html: `<span class="sensor-dot"></span>${health ? FloodSensorHealth.markerBadgeHtml(health) : ''}`,
+          iconSize: [14, 14],
+          iconAnchor: [7, 7],
+          popupAnchor: [0, -7],
+        })
       });
-      const valueText = (s.latest_reading && s.latest_reading.value != null) ? s.latest_reading.value : '—';
+      const reading = s.latest_reading ? s.latest_reading.value : s.value;
+      const valueText = reading != null ? reading : '—';
       marker.bindPopup(
         `<strong>${escapeHtml(s.name || 'Sensor')}</strong><br>` +
         `Type: ${escapeHtml((s.type || '').toString())}<br>` +
-        `Value: ${escapeHtml(valueText.toString())}`
+        `Value: ${escapeHtml(valueText.toString())}` +
+        (health ? FloodSensorHealth.popupHtml(health) : '') +
+        (window.FloodSensorDrawer && s.id != null ? FloodSensorDrawer.popupLinkHtml(s.id) : '')
       );
       marker.addTo(state.mapLayers.sensors);
     });
   }
 
-  function drawBarangays(items) {
-    const coords = [];
-    if (state.barangayLayerById) state.barangayLayerById.clear();
-    items.forEach(b => {
-      if (!b.lat || !b.lng) return;
-      coords.push([b.lat, b.lng]);
-      
-      // Use the severity level from the backend API, which is calculated based on
-      // threshold analysis of sensor readings (with active alerts taking priority).
-      let severityLevel = 0; // Default to 0 (Normal)
-      if (state.mapDisplayParam === 'overall') {
-        severityLevel = b.severity || 0;
-      } else if (b.param_severities && b.param_severities[state.mapDisplayParam] !== undefined) {
-        // Use the specific parameter's severity if it exists
-        severityLevel = b.param_severities[state.mapDisplayParam];
-      }
-      const color = getThresholdColor(severityLevel);
-
-      const radius = 200 + Math.min(800, Math.sqrt(b.population || 1));
-      const circle = L.circle([b.lat, b.lng], {
-        radius,
-        color,
-        weight: severityLevel >= 3 ? 2 : 1.5, // Thicker border for higher risk
-        fillColor: color,
-        fillOpacity: 0.4, // Increased opacity for better visibility
-        dashArray: severityLevel >= 3 ? null : '4, 4' // Dashed line for lower risk
-      });
-      const severityText = getSeverityText(severityLevel);
-      circle.bindPopup(
-        `<strong>${escapeHtml(b.name || 'Barangay')}</strong><br>` +
-        `Population: ${Number(b.population||0).toLocaleString()}<br>`+
-        `Risk Level: <span style="color:${color}; font-weight:bold;">${severityText}</span>`
-      );
-      circle.addTo(state.mapLayers.barangays);
+  // ---------------- Sensor health ----------------
 
-      // Keep reference by id for focusing and interaction
-      if (b.id != null) {
-        state.barangayLayerById.set(String(b.id), circle);
-      }
+  function setupSensorHealth() {
+    const filter = document.getElementById('sensor-health-filter');
+    if (!filter || !window.FloodSensorHealth) return;
+    filter.addEventListener('change', renderSensorHealth);
+    const refresh = document.getElementById('sensor-health-refresh');
+    if (refresh) {
+      refresh.addEventListener('click', () => {
+        state._healthAt = 0;
+        updateMapData();
+      });
+    }
+  }
 
-      // Clicking a barangay circle updates the dropdown and filters dashboard
-      circle.on('click', () => {
-        const brgySel = document.getElementById('barangay-select');
-        if (b.id != null) {
-          state.barangayId = String(b.id);
-          if (brgySel) brgySel.value = String(b.id);
-          sessionStorage.setItem('dashboard_barangay_id', state.barangayId || '');
-          refreshAll();
-          // Automatically apply thresholds when selecting via map
-          applyThresholdsNow();
+  // Health for the map and the panel; reused for HEALTH_REFRESH_MS at the same location.
+  // Never rejects, so a failing health check does not keep the map from drawing.
+  function loadSensorHealth(location) {
+    if (!window.FloodSensorHealth) return Promise.resolve(null);
+    const key = `${location.municipalityId || ''}:${location.barangayId || ''}`;
+    if (state.health && state._healthKey === key && Date.now() - state._healthAt < HEALTH_REFRESH_MS) {
+      return Promise.resolve(state.health);
+    }
+    return FloodSensorHealth.load(location, { key: 'dashboard:sensor-health' })
+      .then(data => {
+        state.health = data;
+        state._healthKey = key;
+        state._healthAt = Date.now();
+        renderSensorHealth();
+        return data;
+      })
+      .catch(err => {
+        if (!FloodApi.isAbort(err)) {
+          console.warn('[Health] Could not load sensor health:', err);
+          const body = document.getElementById('sensor-health-body');
+          if (body && !state.health) body.innerHTML = '<tr><td colspan="6" style="color: var(--gray)">Unable to load sensor health.</td></tr>';
         }
+        return null;
       });
+  }
+
+  function renderSensorHealth() {
+    if (!state.health || !window.FloodSensorHealth) return;
+    const filter = document.getElementById('sensor-health-filter');
+    FloodSensorHealth.renderPanel(state.health, {
+      summary: document.getElementById('sensor-health-summary'),
+      body: document.getElementById('sensor-health-body'),
+      problemsOnly: !filter || filter.value === 'problems',
+      onSelect: health => {
+        if (!health) return;
+        if (state.map && health.lat && health.lng) {
+          state.map.setView([health.lat, health.lng], Math.max(state.map.getZoom(), 15));
+        }
+        if (window.FloodSensorDrawer) FloodSensorDrawer.open(health.id);
+      },
     });
+  }
 
-    // If a specific barangay is selected, zoom tighter and open popup
-    if (state.barangayId && state.barangayLayerById.has(String(state.barangayId))) {
-      const layer = state.barangayLayerById.get(String(state.barangayId));
-      const ll = layer.getLatLng();
-      state.map.setView(ll, 17);
+  // Choropleth of barangay boundaries coloured by overall severity or by the parameter
+  // picked in the map selector; barangays without a boundary are drawn as points
+  function drawBarangays(items, boundaries, keepView) {
+    const layers = FloodBoundaries.drawChoropleth(state.mapLayers.barangays, items, boundaries, {
+      levelFor: barangayLevel,
+      colorFor: getThresholdColor,
+      popupFor: (b, level, color) =>
+        `<strong>${escapeHtml(b.name || 'Barangay')}</strong><br>` +
+        `Population: ${Number(b.population||0).toLocaleString()}<br>`+
+        `Risk Level: <span style="color:${color}; font-weight:bold;">${getSeverityText(level)}</span>` +
+        barangayThresholdNote(b),
+      // Clicking a barangay updates the dropdown and filters the dashboard;
+      // the location subscriber refreshes the dashboard and applies thresholds
+      onClick: b => FloodLocation.set({ barangay: b }, { source: 'map' }),
+    });
+    state.barangayLayerById = layers;
+    if (keepView) return;
+
+    // If a specific barangay is selected, zoom to it and open its popup
+    if (state.barangayId && layers.has(String(state.barangayId))) {
+      const layer = layers.get(String(state.barangayId));
+      const bounds = FloodBoundaries.boundsOf(layer);
+      state.map.fitBounds(bounds, { padding: [20, 20], maxZoom: 17 });
       layer.openPopup();
-      // Brief highlight pulse
-      const pulse = L.circleMarker(ll, { radius: 18, color: '#0d6efd', fillColor: '#0d6efd', fillOpacity: 0.3, weight: 2 });
+      // Brief highlight of the outline
+      const pulse = L.rectangle(bounds, { color: '#0d6efd', weight: 2, fill: false, interactive: false });
       pulse.addTo(state.mapLayers.barangays);
       setTimeout(() => { state.mapLayers.barangays.removeLayer(pulse); }, 1500);
-    } else if (state.barangayId && coords.length === 1) {
-      state.map.setView(coords[0], 17);
-    } else if (coords.length > 0) {
-      state.map.fitBounds(coords, { padding: [20, 20] });
+    } else if (layers.size > 0) {
+      const bounds = L.latLngBounds([]);
+      layers.forEach(layer => bounds.extend(FloodBoundaries.boundsOf(layer)));
+      state.map.fitBounds(bounds, { padding: [20, 20], maxZoom: 17 });
+    }
+  }
+
+  // One replayed snapshot from /api/map-history/: sensor values and barangay severities at frame.time
+  function drawHistoryFrame(frame, history) {
+    clearMapLayers();
+    drawSensors((history.sensors || []).map(s => {
+      const value = frame.sensors[s.id];
+      return Object.assign({}, s, { latest_reading: value != null ? { value } : null });
+    }));
+    drawBarangays((history.barangays || []).map(b =>
+      Object.assign({}, b, frame.barangays[b.id] || { severity: 0, param_severities: {} })
+    ), state.boundaries, true);
+  }
+
+  // Locations list under the map; hovering an entry highlights its boundary like hovering the map
+  function renderLocationsList(items) {
+    const list = document.getElementById('map-locations-list');
+    if (!list) return;
+    if (!items.length) {
+      list.innerHTML = '<div class="map-locations-empty">No barangays for this location.</div>';
+      return;
+    }
+    list.innerHTML = items.map(b => `
+      <div class="map-loc-item${String(b.id) === String(state.barangayId) ? ' active' : ''}" data-id="${escapeHtml(String(b.id))}">
+        <span class="map-loc-name">${escapeHtml(b.name || 'Barangay')}</span>
+        <span class="map-loc-pop">${Number(b.population || 0).toLocaleString()}</span>
+      </div>`).join('');
+    list.querySelectorAll('.map-loc-item').forEach(el => {
+      const layer = state.barangayLayerById.get(el.dataset.id);
+      const b = items.find(x => String(x.id) === el.dataset.id);
+      el.addEventListener('mouseenter', () => layer && layer.fire('mouseover'));
+      el.addEventListener('mouseleave', () => layer && layer.fire('mouseout'));
+      el.addEventListener('click', () => b && FloodLocation.set({ barangay: b }, { source: 'map' }));
+    });
+  }
+
+  // Severity from the backend: overall (active alerts take priority over threshold analysis)
+  // or the per-parameter level selected in the map parameter selector
+  function barangayLevel(b) {
+    if (state.mapDisplayParam === 'overall') return b.severity || 0;
+    if (b.param_severities && b.param_severities[state.mapDisplayParam] !== undefined) {
+      return b.param_severities[state.mapDisplayParam];
     }
+    return 0;
   }
 
+  // Popup line naming the local threshold sets a barangay was coloured against; the map data
+  // lists only overridden parameters, so no line means the global thresholds
+  function barangayThresholdNote(b) {
+    const sets = b.threshold_sets || {};
+    const params = state.mapDisplayParam === 'overall'
+      ? Object.keys(sets)
+      : (sets[state.mapDisplayParam] ? [state.mapDisplayParam] : []);
+    if (!params.length) return '';
+    const lines = params.map(p => `${paramLabel(p)}: ${escapeHtml(thresholdSetLabel(sets[p]))}`);
+    return `<br><small style="color:var(--gray)">Thresholds &mdash; ${lines.join('; ')}</small>`;
+  }
+
+  // Risk zones carry a severity level, or low/medium/high on older records
   function zoneColor(level) {
-    const l = (typeof level === 'string') ? level.toLowerCase() : level;
-    if (l === 'high' || l === 3) return '#ef4444';
-    if (l === 'medium' || l === 2) return '#f59e0b';
-    return '#10b981';
+    const named = { low: 1, medium: 3, high: 4 };
+    const l = (typeof level === 'string' && named[level.toLowerCase()] !== undefined) ? named[level.toLowerCase()] : level;
+    return getThresholdColor(l);
   }
 
   // ---------------- Trends chart ----------------
@@ -1354,11 +1800,11 @@
       const wind = (results[4].status === 'fulfilled') ? results[4].value : { labels: [], values: [] };
 
       const merged = mergeSeries([
-        { labels: temp.labels,  values: temp.values,  key: 't' },
-        { labels: hum.labels,   values: hum.values,   key: 'h' },
-        { labels: rain.labels,  values: rain.values,  key: 'r' },
-        { labels: water.labels, values: water.values, key: 'wl' },
-        { labels: wind.labels,  values: wind.values,  key: 'ws' },
+        { labels: temp.labels,  values: temp.values,  manual: temp.manual,  key: 't' },
+        { labels: hum.labels,   values: hum.values,   manual: hum.manual,   key: 'h' },
+        { labels: rain.labels,  values: rain.values,  manual: rain.manual,  key: 'r' },
+        { labels: water.labels, values: water.values, manual: water.manual, key: 'wl' },
+        { labels: wind.labels,  values: wind.values,  manual: wind.manual,  key: 'ws' },
       ]);
 
       const anyData = (() => {
@@ -1392,6 +1838,10 @@
       state.chart.data.labels = [];
       state.chart.data.isoLabels = [];
       state.chart.data.datasets.forEach(ds => { ds.data = []; });
+      state._lastMerged = null;
+      state._forecastKey = null;
+      if (window.FloodForecast) FloodForecast.detach(state.chart);
+      showForecastNote([]);
       state.chart.update();
       setChartOverlay('No data available for the selected location and time range.');
       const el = document.getElementById('trends-updated-at');
@@ -1404,6 +1854,7 @@
 
     // Store raw series for normalization toggle
     state._rawSeries = merged.series;
+    state._lastMerged = merged;
     // Store original ISO labels for tooltips
     state.chart.data.isoLabels = merged.labels;
 
@@ -1412,6 +1863,12 @@
 
     // Apply scaling (either raw values or normalized 0-100)
     applyChartScaling(merged.series);
+    // Field observers' readings are drawn as diamonds (manual_readings.js)
+    Object.keys(TREND_SERIES_PARAMS).forEach(key => {
+      const dataset = state.chart.data.datasets[TREND_DATASET_INDEX[TREND_SERIES_PARAMS[key]]];
+      if (dataset) dataset.manual = (merged.manual && merged.manual[key]) || [];
+    });
+    loadDerivedSeries();
 
     // Update the chart
     state.chart.update();
@@ -1435,6 +1892,7 @@
 
     if (hasData) {
       clearChartOverlay();
+      loadTrendsForecast(false);
     } else {
       showTrendsNoData();
     }
@@ -1589,30 +2047,10 @@
   }
 
   function fetchChart(type, opts = {}) {
-    // Map UI range to backend params
-    const range = state.trendsRange || 'latest';
-    const rangeToDays = (r) => r === '1w' ? 7 : r === '1m' ? 30 : r === '1y' ? 365 : null;
-    const days = rangeToDays(range);
-    // Build URL: use limit for 'latest', use days otherwise
-    let url = `/api/chart-data/?type=${encodeURIComponent(type)}`;
-    if (days) {
-      url += `&days=${days}`;
-    } else {
-      url += `&limit=10`;
-    }
-    if (state.municipalityId) url += `&municipality_id=${state.municipalityId}`;
-    if (state.barangayId) url += `&barangay_id=${state.barangayId}`;
-    try { console.debug('[Trends] GET', url); } catch(e) {}
-
-    const doFetch = (u) => fetch(u, { headers: { 'Accept': 'application/json' }})
-      .then(r => {
-        if (!r.ok) {
-          const err = new Error(`chart-data HTTP ${r.status}`);
-          err.status = r.status; err.url = u;
-          throw err;
-        }
-        return r.json();
-      })
+    // Map UI range to backend params: limit for 'latest', days otherwise
+    const query = trendsQuery();
+
+    return FloodApi.chartData(type, query, currentLocation(), Object.assign({ key: `dashboard:chart:${type}` }, opts))
       .then(d => {
         // Some endpoints provide labels_manila only. Fallback to that when labels are empty.
         let labels = Array.isArray(d.labels) ? d.labels.slice() : [];
@@ -1626,13 +2064,12 @@
         });
         // Ensure labels and values have the same length
         const n = Math.min(labels.length, values.length);
-        return { labels: labels.slice(0, n), labelsManila: labelsManila.slice(0, Math.min(labelsManila.length, n)), values: values.slice(0, n) };
-      });
-
-    return doFetch(url)
+        const manual = Array.isArray(d.manual) ? d.manual.slice(0, n) : [];
+        return { labels: labels.slice(0, n), labelsManila: labelsManila.slice(0, Math.min(labelsManila.length, n)), values: values.slice(0, n), manual };
+      })
       .catch(err => {
         try { console.warn('[Trends] chart-data fetch failed:', err && err.message ? err.message : err); } catch(e) {}
-        return { labels: [], labelsManila: [], values: [] };
+        return { labels: [], labelsManila: [], values: [], manual: [] };
       });
   }
 
@@ -1641,12 +2078,14 @@
     arr.forEach(s => (s.labels || []).forEach(l => labelSet.add(l)));
     const labels = Array.from(labelSet).sort((a,b) => new Date(a) - new Date(b));
     const series = {};
+    const manual = {};
     arr.forEach(s => {
       const map = new Map();
       (s.labels || []).forEach((l, i) => map.set(l, s.values[i]));
       series[s.key] = labels.map(l => (map.has(l) ? map.get(l) : null));
+      manual[s.key] = window.FloodManualReadings ? FloodManualReadings.alignFlags(s.labels, s.manual, labels) : [];
     });
-    return { labels, series };
+    return { labels, series, manual };
   }
 
   // ---------------- Utils ----------------
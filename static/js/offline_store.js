@@ -0,0 +1,299 @@
+// offline_store.js
+// Offline support shared by every page. Keeps the last good API payloads (parameter status,
+// alerts, map data) in IndexedDB so FloodApi can answer from them when the network is down,
+// queues writes made while offline in an outbox that is replayed once the connection returns,
+// shows the "stale since HH:MM" banner and registers the service worker that caches pages,
+// static assets and map tiles. Logging out clears the saved pages and payloads.
+(function(window, document) {
+    'use strict';
+
+    const DB_NAME = 'flood-offline';
+    const DB_VERSION = 1;
+    const RESPONSES = 'responses';   // { key: url, data, savedAt }
+    const OUTBOX = 'outbox';         // { id, kind: 'json'|'form', url, method, body, label, createdAt }
+    const SERVICE_WORKER_URL = '/service-worker.js';
+    const LOGOUT_PATH = '/logout/';
+    const PAGE_CACHE_PREFIX = 'flood-pages-';   // service_worker.js PAGE_CACHE
+
+    let dbPromise = null;
+    let flushing = null;
+    let pendingCount = 0;
+    // Cached payloads currently on screen: url -> savedAt (ms)
+    const staleSince = new Map();
+
+    function openDb() {
+        if (dbPromise) return dbPromise;
+        dbPromise = new Promise((resolve, reject) => {
+            if (!window.indexedDB) {
+                reject(new Error('IndexedDB is not available'));
+                return;
+            }
+            const req = window.indexedDB.open(DB_NAME, DB_VERSION);
+            req.onupgradeneeded = () => {
+                const db = req.result;
+                if (!db.objectStoreNames.contains(RESPONSES)) db.createObjectStore(RESPONSES, { keyPath: 'key' });
+                if (!db.objectStoreNames.contains(OUTBOX)) db.createObjectStore(OUTBOX, { keyPath: 'id', autoIncrement: true });
+            };
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+        // Allow a later call to try again (e.g. private mode refusing the first open)
+        dbPromise.catch(() => { dbPromise = null; });
+        return dbPromise;
+    }
+
+    // Run one request against a store inside its own transaction
+    function withStore(name, mode, fn) {
+        return openDb().then(db => new Promise((resolve, reject) => {
+            const tx = db.transaction(name, mode);
+            const req = fn(tx.objectStore(name));
+            tx.oncomplete = () => resolve(req ? req.result : undefined);
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        }));
+    }
+
+    function formatManilaTime(ms) {
+        const date = new Date(ms);
+        try {
+            return new Intl.DateTimeFormat('en-GB', {
+                timeZone: 'Asia/Manila', hour: '2-digit', minute: '2-digit', hour12: false
+            }).format(date);
+        } catch (e) {
+            return date.toTimeString().slice(0, 5);
+        }
+    }
+
+    // ---------------- Banner ----------------
+
+    function renderBanner() {
+        const banner = document.getElementById('offline-banner');
+        if (!banner) return;
+        const message = document.getElementById('offline-message');
+        const queue = document.getElementById('offline-queue');
+        const offline = navigator.onLine === false;
+
+        let text = '';
+        if (staleSince.size) {
+            const oldest = Math.min.apply(null, Array.from(staleSince.values()));
+            text = `Showing saved data — stale since ${formatManilaTime(oldest)}.`;
+        } else if (offline) {
+            text = 'No connection. Data on this page may be out of date.';
+        }
+        const title = document.getElementById('offline-title');
+        if (title) title.textContent = text ? 'OFFLINE:' : 'SYNCING:';
+        if (message) message.textContent = text;
+        if (queue) {
+            queue.textContent = pendingCount
+                ? `${pendingCount} submission${pendingCount === 1 ? '' : 's'} waiting to be sent`
+                : '';
+        }
+        banner.classList.toggle('d-none', !text && !pendingCount);
+    }
+
+    // ---------------- Cached responses ----------------
+
+    /**
+     * Save a successful payload and clear any stale marker for it.
+     * @param {string} key  Request URL including the query string
+     * @param {*} data
+     */
+    function remember(key, data) {
+        markFresh(key);
+        return withStore(RESPONSES, 'readwrite', store => store.put({ key, data, savedAt: Date.now() }))
+            .catch(err => console.warn('[Offline] Could not save response:', err));
+    }
+
+    /**
+     * Last saved payload for a URL.
+     * @param {string} key
+     * @returns {Promise<?{key: string, data: *, savedAt: number}>} null when nothing is saved
+     */
+    function recall(key) {
+        return withStore(RESPONSES, 'readonly', store => store.get(key))
+            .then(record => record || null)
+            .catch(() => null);
+    }
+
+    function markStale(key, savedAt) {
+        staleSince.set(key, savedAt);
+        renderBanner();
+    }
+
+    function markFresh(key) {
+        if (staleSince.delete(key)) renderBanner();
+    }
+
+    // ---------------- Outbox ----------------
+
+    function refreshPendingCount() {
+        return withStore(OUTBOX, 'readonly', store => store.count())
+            .then(count => {
+                pendingCount = count || 0;
+                renderBanner();
+                return pendingCount;
+            })
+            .catch(() => pendingCount);
+    }
+
+    /**
+     * Queue a write to send once the connection returns.
+     * @param {{kind: string, url: string, method?: string, body?: *, label?: string}} entry
+     * @returns {Promise<number>} outbox id
+     */
+    function enqueue(entry) {
+        const record = Object.assign({ method: 'POST', createdAt: Date.now() }, entry);
+        return withStore(OUTBOX, 'readwrite', store => store.add(record)).then(id => {
+            console.info(`[Offline] Queued ${record.label || record.url} until the connection returns`);
+            refreshPendingCount();
+            return id;
+        });
+    }
+
+    function removeEntry(id) {
+        return withStore(OUTBOX, 'readwrite', store => store.delete(id));
+    }
+
+    // Replay one entry; resolves true when it should leave the outbox
+    async function send(entry) {
+        if (entry.kind === 'form') {
+            const body = new URLSearchParams(entry.body || []);
+            // The token captured offline may have rotated since; use the current one
+            const token = window.FloodApi.getCSRFToken();
+            if (token) body.set('csrfmiddlewaretoken', token);
+            let res;
+            try {
+                res = await fetch(entry.url, {
+                    method: entry.method,
+                    body,
+                    credentials: 'same-origin',
+                    headers: { 'X-CSRFToken': token },
+                });
+            } catch (e) {
+                return false;   // still offline
+            }
+            if (res.ok) return true;
+            if (res.status >= 500) return false;
+            console.error(`[Offline] Dropping queued ${entry.label || entry.url}: HTTP ${res.status}`);
+            return true;
+        }
+
+        try {
+            await window.FloodApi.request(entry.url, { method: entry.method, body: entry.body, retries: 0 });
+            return true;
+        } catch (err) {
+            if (err.status === 0 || err.status >= 500) return false;
+            console.error(`[Offline] Dropping queued ${entry.label || entry.url}:`, err);
+            return true;
+        }
+    }
+
+    /**
+     * Send queued writes in the order they were made. Stops at the first entry that still
+     * cannot be delivered so later writes never overtake earlier ones.
+     * @returns {Promise<number>} entries still pending
+     */
+    function flush() {
+        if (flushing) return flushing;
+        flushing = (async () => {
+            let entries;
+            try {
+                entries = await withStore(OUTBOX, 'readonly', store => store.getAll());
+            } catch (e) {
+                return 0;
+            }
+            let sent = 0;
+            for (const entry of entries || []) {
+                if (!(await send(entry))) break;
+                await removeEntry(entry.id).catch(() => {});
+                sent++;
+            }
+            if (sent) {
+                console.info(`[Offline] Sent ${sent} queued submission(s)`);
+                window.dispatchEvent(new CustomEvent('floodoffline:flushed', { detail: { sent } }));
+            }
+            return refreshPendingCount();
+        })().finally(() => { flushing = null; });
+        return flushing;
+    }
+
+    // Forms marked with data-offline-queue="<label>" are queued instead of submitted while offline
+    function onFormSubmit(event) {
+        const form = event.target;
+        if (!(form instanceof HTMLFormElement) || !form.hasAttribute('data-offline-queue')) return;
+        if (navigator.onLine !== false) return;
+        event.preventDefault();
+        if (!form.reportValidity()) return;
+
+        const label = form.getAttribute('data-offline-queue') || 'form submission';
+        const body = Array.from(new FormData(form).entries()).filter(pair => typeof pair[1] === 'string');
+        enqueue({
+            kind: 'form',
+            url: form.getAttribute('action') || window.location.pathname,
+            method: (form.getAttribute('method') || 'POST').toUpperCase(),
+            body,
+            label,
+        }).then(() => {
+            form.reset();
+            window.dispatchEvent(new CustomEvent('floodoffline:queued', { detail: { label } }));
+        }).catch(err => {
+            console.error('[Offline] Could not queue form:', err);
+            alert('You are offline and this form could not be saved for later. Please try again when connected.');
+        });
+    }
+
+    function registerServiceWorker() {
+        if (!('serviceWorker' in navigator)) return;
+        navigator.serviceWorker.register(SERVICE_WORKER_URL, { scope: '/' })
+            .catch(err => console.warn('[Offline] Service worker registration failed:', err));
+    }
+
+    // ---------------- Logout ----------------
+
+    // Drop the pages and payloads saved while signed in so the next person on this device
+    // cannot read them offline. The outbox is kept: its writes have not reached the server yet.
+    function clearSavedData() {
+        staleSince.clear();
+        const pages = window.caches
+            ? caches.keys().then(names => Promise.all(
+                names.filter(name => name.startsWith(PAGE_CACHE_PREFIX)).map(name => caches.delete(name))))
+            : Promise.resolve();
+        return Promise.all([pages, withStore(RESPONSES, 'readwrite', store => store.clear())])
+            .catch(err => console.warn('[Offline] Could not clear saved data:', err));
+    }
+
+    function onLogoutClick(event) {
+        const link = event.target.closest && event.target.closest('a[href]');
+        if (!link || new URL(link.href, window.location.href).pathname !== LOGOUT_PATH) return;
+        event.preventDefault();
+        // Log out anyway if clearing stalls
+        const timeout = new Promise(resolve => setTimeout(resolve, 2000));
+        Promise.race([clearSavedData(), timeout]).then(() => { window.location.href = link.href; });
+    }
+
+    window.addEventListener('online', () => {
+        renderBanner();
+        flush();
+    });
+    window.addEventListener('offline', renderBanner);
+    document.addEventListener('submit', onFormSubmit);
+    document.addEventListener('click', onLogoutClick);
+    document.addEventListener('DOMContentLoaded', () => {
+        renderBanner();
+        refreshPendingCount().then(count => {
+            if (count && navigator.onLine !== false) flush();
+        });
+    });
+    window.addEventListener('load', registerServiceWorker);
+
+    window.FloodOffline = {
+        remember,
+        recall,
+        markStale,
+        markFresh,
+        enqueue,
+        flush,
+        pending: () => pendingCount,
+    };
+
+})(window, document);
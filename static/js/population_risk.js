@@ -0,0 +1,232 @@
+// population_risk.js
+// Population at risk from /api/population-at-risk/: how many people live where a risk zone or an
+// active alert puts them at each severity level, with totals per municipality and barangay. A page
+// opts in with attach(el, {exportEl, onLoad}) and calls refresh(location) when the location
+// changes; exportEl is a dropdown of [data-export-format] items (CSV, XLSX or JSON, written with
+// the FloodExport helpers from trends_export.js).
+(function(window, document) {
+    'use strict';
+
+    const LEVELS = [1, 2, 3, 4, 5];
+    const MIME = {
+        csv: 'text/csv;charset=utf-8',
+        json: 'application/json',
+    };
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatCount(n) {
+        return Number(n || 0).toLocaleString();
+    }
+
+    function formatShare(share) {
+        return share === null || share === undefined ? '—' : `${(share * 100).toFixed(1)}%`;
+    }
+
+    function levelColor(level) {
+        return window.FloodThresholds ? FloodThresholds.colorOf(level) : '#DC3545';
+    }
+
+    function levelName(level, levels) {
+        const row = (levels || []).find(l => l.level === level);
+        if (row && row.name) return row.name;
+        return window.FloodThresholds ? FloodThresholds.nameOf(level) : `Level ${level}`;
+    }
+
+    function byLevel(row, level) {
+        return (row.by_level || {})[level] || 0;
+    }
+
+    /**
+     * Exposed population for a summary panel: a bar split by level, then the municipalities and
+     * the most exposed barangays.
+     * @param {HTMLElement} el
+     * @param {Object} report  /api/population-at-risk/ response
+     * @param {{barangayLimit?: number}} [options]
+     */
+    function render(el, report, options) {
+        if (!el) return;
+        const opts = options || {};
+        const t = report.totals;
+        if (!t.population) {
+            el.innerHTML = '<p style="color: var(--gray);">No barangay population recorded for this location.</p>';
+            return;
+        }
+        if (!t.exposed) {
+            el.innerHTML = `<p style="margin:0;"><strong style="color:${levelColor(0)};">No one is exposed</strong>
+                <span style="color: var(--gray);">: no active alert or risk zone covers the ${formatCount(t.population)} residents here.</span></p>`;
+            return;
+        }
+
+        const segments = LEVELS.filter(level => t.by_level[level]).map(level => {
+            const pct = t.by_level[level] / t.population * 100;
+            return `<div title="${escapeHtml(levelName(level, report.levels))}: ${formatCount(t.by_level[level])}" style="width:${pct}%;background:${levelColor(level)};"></div>`;
+        }).join('');
+        const legend = report.levels.filter(l => l.population).map(l => `
+            <span style="white-space:nowrap; margin-right:10px;">
+                <span class="d-inline-block rounded-circle me-1" style="width:8px;height:8px;background:${levelColor(l.level)};"></span>${escapeHtml(l.name)}: <strong>${formatCount(l.population)}</strong>
+            </span>`).join('');
+
+        const municipalities = report.municipalities.filter(m => m.exposed);
+        const muniRows = municipalities.length > 1 ? municipalities.map(m => `<tr>
+                <td>${escapeHtml(m.name || 'Unassigned')}</td>
+                <td style="text-align:right;">${formatCount(m.exposed)}</td>
+                <td style="text-align:right;">${formatShare(m.exposed_share)}</td>
+                <td style="text-align:right;">${m.exposed_barangays} of ${m.barangays}</td>
+            </tr>`).join('') : '';
+
+        const limit = opts.barangayLimit || 10;
+        const shown = report.barangays.slice(0, limit);
+        const brgyRows = shown.map(b => `<tr>
+                <td><span class="d-inline-block rounded-circle me-1" style="width:8px;height:8px;background:${levelColor(b.max_level)};"></span>${escapeHtml(b.name)}</td>
+                <td style="text-align:right;">${formatCount(b.exposed)}</td>
+                <td style="text-align:right;">${formatShare(b.exposed_share)}</td>
+                <td>${b.alert_severity ? `Alert: ${escapeHtml(levelName(b.alert_severity, report.levels))}` : ''}${b.alert_severity && b.zone_level ? ' · ' : ''}${b.zone_level ? `Zone ${formatShare(b.zone_share)}` : ''}</td>
+            </tr>`).join('');
+        const more = report.barangays.length - shown.length;
+
+        el.innerHTML = `
+            <div style="display:flex; justify-content:space-between; align-items:baseline; font-size:13px;">
+                <span>Exposed: <strong style="font-size:16px;">${formatCount(t.exposed)}</strong> of ${formatCount(t.population)}</span>
+                <span>${formatShare(t.exposed_share)} · ${t.exposed_barangays} of ${t.barangays} barangays</span>
+            </div>
+            <div class="progress my-2" style="height:10px;">${segments}</div>
+            <div style="font-size:12px;">${legend}</div>
+            ${muniRows ? `<table class="data-table" style="margin-top:8px;">
+                <thead><tr><th>Municipality</th><th style="text-align:right;">Exposed</th><th style="text-align:right;">Share</th><th style="text-align:right;">Barangays</th></tr></thead>
+                <tbody>${muniRows}</tbody>
+            </table>` : ''}
+            <table class="data-table" style="margin-top:8px;">
+                <thead><tr><th>Barangay</th><th style="text-align:right;">Exposed</th><th style="text-align:right;">Share</th><th>Source</th></tr></thead>
+                <tbody>${brgyRows}</tbody>
+            </table>
+            ${more > 0 ? `<div style="font-size:11px; color: var(--gray); margin-top:4px;">and ${more} more barangays; export for the full list.</div>` : ''}`;
+    }
+
+    // ---------------- Export ----------------
+
+    function sheets(report) {
+        const levelHeader = LEVELS.map(level => levelName(level, report.levels));
+        return {
+            Levels: [['Level', 'Name', 'Exposed population', 'Barangays']]
+                .concat(report.levels.map(l => [l.level, l.name, l.population, l.barangays])),
+            Municipalities: [['Municipality', 'Population', 'Exposed', 'Exposed share'].concat(levelHeader, ['Barangays', 'Exposed barangays'])]
+                .concat(report.municipalities.map(m => [m.name, m.population, m.exposed, m.exposed_share]
+                    .concat(LEVELS.map(level => byLevel(m, level)), [m.barangays, m.exposed_barangays]))),
+            Barangays: [['Barangay', 'Municipality', 'Population', 'Exposed', 'Exposed share'].concat(levelHeader, ['Highest level', 'Alert level', 'Highest zone level', 'Share in risk zones', 'Method'])]
+                .concat(report.barangays.map(b => [b.name, b.municipality_name, b.population, b.exposed, b.exposed_share]
+                    .concat(LEVELS.map(level => byLevel(b, level)), [b.max_level_name, b.alert_severity, b.zone_level, b.zone_share, b.method]))),
+        };
+    }
+
+    function toCsv(report, context) {
+        const cell = FloodExport.csvCell;
+        const lines = [];
+        if (context.location) lines.push(`# Location: ${context.location}`);
+        lines.push(`# Generated: ${FloodExport.manilaTimestamp(Date.now())} (Asia/Manila)`);
+        lines.push(`# Exposed: ${report.totals.exposed} of ${report.totals.population}`);
+        Object.entries(sheets(report)).forEach(([name, rows]) => {
+            lines.push('', `# ${name}`);
+            rows.forEach(row => lines.push(row.map(cell).join(',')));
+        });
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    /**
+     * Download a population-at-risk report.
+     * @param {'csv'|'xlsx'|'json'} format
+     * @param {Object} report  /api/population-at-risk/ response
+     * @param {{location?: string, filename?: string}} [context]
+     * @returns {Promise<void>}
+     */
+    function exportReport(format, report, context) {
+        if (!window.FloodExport) return Promise.reject(new Error('Export is not available on this page.'));
+        if (!report) return Promise.reject(new Error('The population at risk has not loaded yet.'));
+        const ctx = context || {};
+        const name = ctx.filename || `population-at-risk-${FloodExport.manilaTimestamp(Date.now()).replace(/[-: ]/g, '')}`;
+        if (format === 'csv') {
+            FloodExport.download(new Blob([toCsv(report, ctx)], { type: MIME.csv }), `${name}.csv`);
+            return Promise.resolve();
+        }
+        if (format === 'json') {
+            const body = Object.assign({ location: ctx.location || null }, report);
+            FloodExport.download(new Blob([JSON.stringify(body, null, 2)], { type: MIME.json }), `${name}.json`);
+            return Promise.resolve();
+        }
+        if (format === 'xlsx') {
+            return FloodExport.loadSheetJs().then(XLSX => {
+                const book = XLSX.utils.book_new();
+                Object.entries(sheets(report)).forEach(([sheet, rows]) => {
+                    XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet(rows), sheet);
+                });
+                XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([
+                    ['Location', ctx.location || 'All locations'],
+                    ['Population', report.totals.population],
+                    ['Exposed', report.totals.exposed],
+                    ['Generated (Asia/Manila)', FloodExport.manilaTimestamp(Date.now())],
+                ]), 'About');
+                XLSX.writeFile(book, `${name}.xlsx`);
+            });
+        }
+        return Promise.reject(new Error(`Unsupported export format: ${format}`));
+    }
+
+    /**
+     * Keep a panel (and optional export menu) in step with the population at risk for a location.
+     * @param {HTMLElement} el
+     * @param {{exportEl?: HTMLElement, onLoad?: function(Object), barangayLimit?: number}} [options]
+     * @returns {{refresh: function(Object, string=): Promise, report: function(): ?Object}}
+     */
+    function attach(el, options) {
+        const opts = options || {};
+        let current = null;
+        let currentLabel = null;
+
+        if (opts.exportEl) {
+            opts.exportEl.addEventListener('click', (e) => {
+                const item = e.target.closest('[data-export-format]');
+                if (!item) return;
+                e.preventDefault();
+                const slug = (currentLabel || 'all-areas').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+                exportReport(item.getAttribute('data-export-format'), current, {
+                    location: currentLabel,
+                    filename: `population-at-risk-${slug}-${FloodExport.manilaTimestamp(Date.now()).replace(/[-: ]/g, '')}`,
+                }).catch(err => {
+                    console.error('[PopulationRisk] Export failed:', err);
+                    alert(`Could not export the population at risk: ${err && err.message ? err.message : err}`);
+                });
+            });
+        }
+
+        // label names the location in exports; the shared location label by default
+        function refresh(location, label) {
+            return FloodApi.populationAtRisk(location, { key: 'population:risk' })
+                .then(report => {
+                    current = report;
+                    currentLabel = label || (window.FloodLocation ? FloodLocation.label() : null);
+                    render(el, report, opts);
+                    if (opts.onLoad) opts.onLoad(report);
+                    return report;
+                })
+                .catch(err => {
+                    if (FloodApi.isAbort(err)) return null;
+                    console.warn('[PopulationRisk] Report unavailable:', err);
+                    if (el) el.innerHTML = '<p style="color: var(--gray);">Population at risk unavailable.</p>';
+                    return null;
+                });
+        }
+
+        return { refresh, report: () => current };
+    }
+
+    window.FloodPopulationRisk = {
+        attach,
+        render,
+        exportReport,
+    };
+
+})(window, document);
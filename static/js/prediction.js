@@ -6,8 +6,9 @@ document.addEventListener('DOMContentLoaded', function() {
         historicalChart: null,
         historicalDataType: 'rainfall', // 'rainfall' or 'water_level'
         historicalPeriod: '7', // '7', '30', '365'
-        municipalityId: null,
-        barangayId: null,
+        forecastHorizon: 24, // hours projected past the current period, or null
+        forecastToken: 0, // latest forecast request wins
+        populationRisk: null, // population-at-risk panel (population_risk.js)
     };
 
     // --- INITIALIZATION ---
@@ -16,57 +17,49 @@ document.addEventListener('DOMContentLoaded', function() {
         initHistoricalChart();
         bindHistoricalChartControls();
         bindPredictionControls();
+        initPopulationRisk();
 
         // Initial data load
         refreshAll();
     }
 
-    // --- LOCATION SELECTORS ---
+    // --- LOCATION ---
+    // The selection comes from the shared FloodLocation store (set on the dashboard or map,
+    // restored from the URL or the last visit), so this page only subscribes to it.
     function initLocationSelectors() {
-        // This would be similar to the dashboard, but for simplicity, we'll just read from it if it exists
-        // For a standalone prediction page, you'd populate these dropdowns.
-        // We will assume the global `location-select` and `barangay-select` from `base.html` are used.
-        const muniSelect = document.getElementById('location-select');
-        const brgySelect = document.getElementById('barangay-select');
-
-        if (muniSelect) {
-            muniSelect.addEventListener('change', () => {
-                state.municipalityId = muniSelect.value || null;
-                state.barangayId = null; // Reset barangay
-                if (brgySelect) brgySelect.value = '';
-                updateLocationDisplay();
-                refreshAll();
-            });
-        }
+        FloodLocation.subscribe(() => {
+            updateLocationDisplay();
+            refreshAll();
+        });
+        updateLocationDisplay();
+        loadLocationNames();
+    }
 
-        if (brgySelect) {
-            brgySelect.addEventListener('change', () => {
-                state.barangayId = brgySelect.value || null;
-                updateLocationDisplay();
-                refreshAll();
-            });
+    // A location restored from a shared link has ids only; fetch names for the display
+    function loadLocationNames() {
+        const loc = FloodLocation.get();
+        if (loc.municipality && !loc.municipality.name) {
+            FloodApi.municipality(loc.municipalityId)
+                .then(municipality => {
+                    FloodLocation.set({ municipality });
+                    updateLocationDisplay();
+                })
+                .catch(() => {});
+        }
+        if (loc.barangay && !loc.barangay.name) {
+            FloodApi.barangay(loc.barangayId)
+                .then(barangay => {
+                    FloodLocation.set({ barangay });
+                    updateLocationDisplay();
+                })
+                .catch(() => {});
         }
     }
 
     function updateLocationDisplay() {
         const display = document.getElementById('current-location-display');
         if (!display) return;
-
-        const muniSelect = document.getElementById('location-select');
-        const brgySelect = document.getElementById('barangay-select');
-
-        let text = 'All Areas';
-        if (state.municipalityId && muniSelect) {
-            const muniOption = muniSelect.options[muniSelect.selectedIndex];
-            text = muniOption ? muniOption.text : 'All Areas';
-        }
-        if (state.barangayId && brgySelect) {
-            const brgyOption = brgySelect.options[brgySelect.selectedIndex];
-            if (brgyOption && brgyOption.value) {
-                text += ` > ${brgyOption.text}`;
-            }
-        }
-        display.textContent = text;
+        display.textContent = FloodLocation.label();
     }
 
     // --- DATA FETCHING & UI UPDATES ---
@@ -76,6 +69,15 @@ document.addEventListener('DOMContentLoaded', function() {
         updatePredictionModel();
         updateAffectedBarangays();
         updateDecisionSupport(); // This is the new function to fix the issue
+        if (state.populationRisk) state.populationRisk.refresh(buildLocation());
+    }
+
+    function initPopulationRisk() {
+        const el = document.getElementById('population-risk-summary');
+        if (!el || !window.FloodPopulationRisk) return;
+        state.populationRisk = FloodPopulationRisk.attach(el, {
+            exportEl: document.getElementById('population-risk-export'),
+        });
     }
 
     async function updateSummaryStats() {
@@ -86,22 +88,20 @@ document.addEventListener('DOMContentLoaded', function() {
         rainfallEl.textContent = '...';
         waterLevelEl.textContent = '...';
 
-        let url = `/api/parameter-status/`;
-        const params = buildLocationParams();
-        if (params) url += `?${params}`;
-
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error('Failed to fetch summary stats');
-            const data = await response.json();
+            const [data, rainfall24h] = await Promise.all([
+                FloodApi.parameterStatus(buildLocation(), { key: 'prediction:summary' }),
+                // The card is a 24 h total, not the latest reading
+                FloodMetrics.latest('rainfall_24h', buildLocation(), { key: 'prediction:rainfall-24h' }),
+            ]);
 
-            const rainfall = data.items.find(i => i.parameter === 'rainfall');
             const waterLevel = data.items.find(i => i.parameter === 'water_level');
 
-            rainfallEl.textContent = rainfall && rainfall.latest !== null ? `${rainfall.latest.toFixed(1)} mm` : '--';
+            rainfallEl.textContent = rainfall24h !== null ? `${rainfall24h.toFixed(1)} mm` : '--';
             waterLevelEl.textContent = waterLevel && waterLevel.latest !== null ? `${waterLevel.latest.toFixed(2)} m` : '--';
 
         } catch (error) {
+            if (FloodApi.isAbort(error)) return;
             console.error("Error updating summary stats:", error);
             rainfallEl.textContent = 'Error';
             waterLevelEl.textContent = 'Error';
@@ -121,14 +121,8 @@ document.addEventListener('DOMContentLoaded', function() {
         statusEl.textContent = 'Calculating...';
         statusEl.className = 'badge bg-info text-dark';
 
-        let url = `/api/prediction/`;
-        const params = buildLocationParams();
-        if (params) url += `?${params}`;
-
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error('Prediction API request failed');
-            const data = await response.json();
+            const data = await FloodApi.prediction(buildLocation(), { key: 'prediction:model' });
 
             // Update Gauge
             const probability = data.probability || 0;
@@ -155,6 +149,7 @@ document.addEventListener('DOMContentLoaded', function() {
             statusEl.className = `badge ${getSeverityClass(data.severity_level, 'bg')}`;
 
         } catch (error) {
+            if (FloodApi.isAbort(error)) return;
             console.error("Error updating prediction model:", error);
             statusEl.textContent = 'Error';
             statusEl.className = 'badge bg-danger';
@@ -171,14 +166,8 @@ document.addEventListener('DOMContentLoaded', function() {
 
         tbody.innerHTML = '<tr><td colspan="4" class="text-center">Loading...</td></tr>';
 
-        let url = `/api/prediction/`;
-        const params = buildLocationParams();
-        if (params) url += `?${params}`;
-
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error('Prediction API failed');
-            const data = await response.json();
+            const data = await FloodApi.prediction(buildLocation(), { key: 'prediction:affected-barangays' });
 
             if (data.affected_barangays && data.affected_barangays.length > 0) {
                 tbody.innerHTML = data.affected_barangays.map(b => `
@@ -194,6 +183,7 @@ document.addEventListener('DOMContentLoaded', function() {
             }
 
         } catch (error) {
+            if (FloodApi.isAbort(error)) return;
             console.error("Error updating affected barangays:", error);
             tbody.innerHTML = '<tr><td colspan="4" class="text-center text-danger">Error loading data.</td></tr>';
         }
@@ -215,14 +205,12 @@ document.addEventListener('DOMContentLoaded', function() {
         actionEl.textContent = 'Please wait...';
         reasonsEl.innerHTML = '<li>Loading...</li>';
 
-        let url = `/api/historical-suggestion/?type=${state.historicalDataType}&days=${state.historicalPeriod}`;
-        const params = buildLocationParams();
-        if (params) url += `&${params}`;
-
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error('Failed to fetch suggestion');
-            const data = await response.json();
+            const data = await FloodApi.historicalSuggestion(
+                { type: state.historicalDataType, days: state.historicalPeriod },
+                buildLocation(),
+                { key: 'prediction:suggestion' }
+            );
 
             levelEl.textContent = data.level || 'Unknown';
             levelEl.className = `badge ${getSeverityClass(data.level_numeric, 'bg')}`;
@@ -236,6 +224,7 @@ document.addEventListener('DOMContentLoaded', function() {
             }
 
         } catch (error) {
+            if (FloodApi.isAbort(error)) return;
             console.error("Error updating decision support:", error);
             levelEl.textContent = 'Error';
             levelEl.className = 'badge bg-danger';
@@ -310,6 +299,49 @@ document.addEventListener('DOMContentLoaded', function() {
                 updateDecisionSupport();
             });
         });
+
+        const forecastSelect = document.getElementById('historical-forecast');
+        if (forecastSelect) {
+            state.forecastHorizon = forecastSelect.value ? Number(forecastSelect.value) : null;
+            forecastSelect.addEventListener('change', () => {
+                state.forecastHorizon = forecastSelect.value ? Number(forecastSelect.value) : null;
+                updateHistoricalForecast();
+            });
+        }
+    }
+
+    // Dashed projection of the current period with its confidence band (forecast_overlay.js)
+    function updateHistoricalForecast() {
+        const chart = state.historicalChart;
+        const note = document.getElementById('historical-forecast-note');
+        if (!chart || !window.FloodForecast) return;
+        const token = ++state.forecastToken;
+        const showNote = text => {
+            if (!note) return;
+            note.textContent = text;
+            note.classList.toggle('d-none', !text);
+        };
+        if (!state.forecastHorizon) {
+            FloodForecast.detach(chart);
+            showNote('');
+            return;
+        }
+        const type = state.historicalDataType;
+        FloodForecast.load([type], state.forecastHorizon, buildLocation(), { key: 'prediction:forecast' })
+            .then(res => {
+                if (token !== state.forecastToken) return;
+                FloodForecast.attach(chart, {
+                    series: [{ datasetIndex: 0, forecast: res.parameters[type] }],
+                    formatLabel: ms => new Date(ms).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }),
+                });
+                showNote(FloodForecast.describe(res, { rainfall: 'Rainfall', water_level: 'Water level' }).join(' '));
+            })
+            .catch(error => {
+                if (token !== state.forecastToken || FloodApi.isAbort(error)) return;
+                console.error('Error loading forecast:', error);
+                FloodForecast.detach(chart);
+                showNote('Trend projection unavailable.');
+            });
     }
 
     async function updateHistoricalChart() {
@@ -318,31 +350,30 @@ document.addEventListener('DOMContentLoaded', function() {
         const chart = state.historicalChart;
         const unit = state.historicalDataType === 'rainfall' ? 'mm' : 'm';
         chart.options.scales.y.title.text = `${state.historicalDataType.replace('_', ' ')} (${unit})`;
+        // Threshold bands for the parameter shown; crossings are marked on the current period
+        chart.options.plugins.floodThresholds = { parameter: state.historicalDataType, datasetIndex: 0 };
 
-        let url = `/api/chart-data/?type=${state.historicalDataType}&days=${state.historicalPeriod}`;
-        const params = buildLocationParams();
-        if (params) url += `&${params}`;
+        const type = state.historicalDataType;
+        const days = state.historicalPeriod;
 
         try {
-            const response = await fetch(url);
-            if (!response.ok) throw new Error('Failed to fetch chart data');
-            const data = await response.json();
+            const data = await FloodApi.chartData(type, { days }, buildLocation(), { key: 'prediction:history' });
 
             chart.data.labels = data.labels.map(l => new Date(l).toLocaleDateString());
             chart.data.datasets[0].data = data.values;
+            chart.data.datasets[0].manual = data.manual || [];
             chart.data.datasets[0].label = `Current (${unit})`;
 
             // Fetch historical data
-            const histUrl = `${url}&historical=true`;
-            const histResponse = await fetch(histUrl);
-            if (!histResponse.ok) throw new Error('Failed to fetch historical chart data');
-            const histData = await histResponse.json();
+            const histData = await FloodApi.chartData(type, { days, historical: true }, buildLocation(), { key: 'prediction:history-last-year' });
             chart.data.datasets[1].data = histData.historical_values;
             chart.data.datasets[1].label = `Last Year (${unit})`;
 
             chart.update();
+            updateHistoricalForecast();
 
         } catch (error) {
+            if (FloodApi.isAbort(error)) return;
             console.error("Error updating historical chart:", error);
         }
     }
@@ -353,14 +384,29 @@ document.addEventListener('DOMContentLoaded', function() {
         if (refreshBtn) {
             refreshBtn.addEventListener('click', updatePredictionModel);
         }
+
+        // The alert form is queued by offline_store.js when there is no connection; confirm it here
+        window.addEventListener('floodoffline:queued', e => {
+            const form = document.getElementById('alert-form');
+            if (!form || e.detail.label !== form.getAttribute('data-offline-queue')) return;
+            let notice = document.getElementById('alert-form-queued');
+            if (!notice) {
+                notice = document.createElement('div');
+                notice.id = 'alert-form-queued';
+                notice.className = 'alert alert-warning py-2';
+                form.prepend(notice);
+            }
+            notice.textContent = 'You are offline. The alert was saved and will be issued when the connection returns.';
+        });
+        window.addEventListener('floodoffline:flushed', () => {
+            const notice = document.getElementById('alert-form-queued');
+            if (notice) notice.remove();
+        });
     }
 
     // --- UTILITY HELPERS ---
-    function buildLocationParams() {
-        const params = [];
-        if (state.municipalityId) params.push(`municipality_id=${state.municipalityId}`);
-        if (state.barangayId) params.push(`barangay_id=${state.barangayId}`);
-        return params.join('&');
+    function buildLocation() {
+        return FloodLocation.get();
     }
 
     function getSeverityName(level) {
@@ -0,0 +1,266 @@
+// sensor_drawer.js
+// Slide-out sensor detail panel (#sensor-drawer, templates/sensor_drawer.html): description,
+// where the sensor is installed, its readings and accuracy rating over a chosen range with the
+// threshold bands, min/max/mean for the range, the thresholds that apply and its health, from
+// /api/sensors/<id>/history/. Opened with FloodSensorDrawer.open(id) from map markers and the
+// sensor health panel; managers also get a link to edit the sensor.
+(function(window, document) {
+    'use strict';
+
+    const state = {
+        sensorId: null,
+        days: 7,
+        chart: null,
+        token: 0,   // the latest open()/range change wins
+    };
+
+    function el(id) {
+        return document.getElementById(id);
+    }
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatValue(value, unit) {
+        if (value === null || value === undefined) return '—';
+        const text = Number(value).toFixed(2).replace(/\.?0+$/, '');
+        return unit ? `${text} ${unit}` : text;
+    }
+
+    // Accuracy ratings are stored as 0–1
+    function formatAccuracy(rating) {
+        return rating === null || rating === undefined ? '—' : `${Math.round(rating * 100)}%`;
+    }
+
+    function formatManila(ms, withDate) {
+        try {
+            return new Intl.DateTimeFormat('en-GB', Object.assign({
+                timeZone: 'Asia/Manila', hour: '2-digit', minute: '2-digit', hour12: false
+            }, withDate ? { day: '2-digit', month: 'short' } : {})).format(new Date(ms));
+        } catch (e) {
+            return new Date(ms).toLocaleString();
+        }
+    }
+
+    function show(part) {
+        ['loading', 'error', 'content'].forEach(name => {
+            el(`sensor-drawer-${name}`).classList.toggle('d-none', name !== part);
+        });
+    }
+
+    function renderHeader(data) {
+        const s = data.sensor;
+        el('sensor-drawer-title').innerHTML = `<i class="fas fa-broadcast-tower me-2"></i>${escapeHtml(s.name)}`;
+        el('sensor-drawer-subtitle').textContent = `${s.type_display} sensor`;
+
+        const badges = [s.active
+            ? '<span class="badge bg-success">Active</span>'
+            : '<span class="badge bg-secondary">Inactive</span>'];
+        if (data.health && window.FloodSensorHealth) {
+            const status = FloodSensorHealth.STATUS[data.health.status];
+            if (status) {
+                badges.push(`<span class="badge" style="background:${status.color}; color:${data.health.status === 'suspect' ? '#0f172a' : '#fff'};">` +
+                    `<i class="fas ${status.icon} me-1"></i>${status.label}</span>`);
+            }
+            badges.push(`<span class="badge bg-light text-dark border">Uptime ${data.health.uptime_percent}%</span>`);
+        }
+        el('sensor-drawer-badges').innerHTML = badges.join('');
+
+        const issues = data.health && window.FloodSensorHealth ? FloodSensorHealth.describeIssues(data.health) : [];
+        el('sensor-drawer-description').innerHTML =
+            (s.description ? escapeHtml(s.description) : '<span class="text-muted">No description.</span>') +
+            (issues.length ? `<br><small class="text-danger">${issues.map(escapeHtml).join('<br>')}</small>` : '');
+
+        const row = (label, value) => `<dt class="col-4 fw-normal text-muted">${label}</dt><dd class="col-8 mb-1">${value}</dd>`;
+        el('sensor-drawer-location').innerHTML = [
+            row('Barangay', escapeHtml(s.barangay_name)),
+            row('Municipality', escapeHtml(s.municipality_name)),
+            row('Coordinates', `${Number(s.lat).toFixed(6)}, ${Number(s.lng).toFixed(6)}`),
+            row('Installed', escapeHtml(s.installed_at_manila)),
+        ].join('');
+
+        const edit = el('sensor-drawer-edit');
+        edit.classList.toggle('d-none', !data.edit_url);
+        if (data.edit_url) edit.href = data.edit_url;
+    }
+
+    function renderStats(data) {
+        const st = data.stats || {};
+        const box = (label, value) => `
+            <div class="col-4">
+                <div class="border rounded py-1">
+                    <div class="fw-bold">${value}</div>
+                    <div class="small text-muted">${label}</div>
+                </div>
+            </div>`;
+        el('sensor-drawer-stats').innerHTML = [
+            box('Minimum', formatValue(st.min, data.unit)),
+            box('Mean', formatValue(st.mean, data.unit)),
+            box('Maximum', formatValue(st.max, data.unit)),
+            box('Readings', Number(st.count || 0).toLocaleString()),
+            box('Mean accuracy', formatAccuracy(st.accuracy_mean)),
+            box('Latest', data.readings.length ? formatValue(data.readings[data.readings.length - 1].value, data.unit) : '—'),
+        ].join('');
+    }
+
+    function renderThresholds(data) {
+        const target = el('sensor-drawer-thresholds');
+        if (!data.thresholds) {
+            target.innerHTML = '<p class="small text-muted mb-0">No thresholds are set for this parameter.</p>';
+            return;
+        }
+        const latest = data.readings.length ? data.readings[data.readings.length - 1].value : null;
+        target.innerHTML = `<table class="table table-sm small mb-0"><tbody>${FloodThresholds.LEVELS.map(level => {
+            const value = data.thresholds[level.key];
+            const reached = latest !== null && value !== null && value !== undefined && latest >= value;
+            return `<tr${reached ? ' class="fw-bold"' : ''}>
+                <td><span class="d-inline-block rounded-circle me-2" style="width:10px; height:10px; background:${level.color};"></span>${level.name}</td>
+                <td class="text-end">${formatValue(value, data.unit)}</td>
+                <td class="text-end" style="width: 1%;">${reached ? '<i class="fas fa-check" title="Latest reading is at or above this level"></i>' : ''}</td>
+            </tr>`;
+        }).join('')}</tbody></table>`;
+    }
+
+    function renderChart(data) {
+        if (state.chart) {
+            state.chart.destroy();
+            state.chart = null;
+        }
+        const canvas = el('sensor-drawer-chart');
+        const withDate = data.days > 1;
+        const points = data.readings.map(r => ({ x: Date.parse(r.timestamp), y: r.value }));
+        const accuracy = data.readings
+            .filter(r => r.accuracy_rating !== null && r.accuracy_rating !== undefined)
+            .map(r => ({ x: Date.parse(r.timestamp), y: Math.round(r.accuracy_rating * 1000) / 10 }));
+
+        state.chart = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                datasets: [{
+                    label: `${data.sensor.type_display}${data.unit ? ` (${data.unit})` : ''}`,
+                    data: points,
+                    borderColor: '#0d6efd',
+                    backgroundColor: 'rgba(13, 110, 253, 0.1)',
+                    borderWidth: 2,
+                    pointRadius: points.length > 60 ? 0 : 2,
+                    tension: 0.2,
+                    yAxisID: 'y',
+                    manual: data.readings.map(r => !!r.manual),
+                }, {
+                    label: 'Accuracy (%)',
+                    data: accuracy,
+                    borderColor: '#6c757d',
+                    borderDash: [4, 3],
+                    borderWidth: 1,
+                    pointRadius: 0,
+                    fill: false,
+                    yAxisID: 'y1',
+                    hidden: !accuracy.length,
+                }],
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                animation: false,
+                interaction: { mode: 'nearest', axis: 'x', intersect: false },
+                scales: {
+                    x: {
+                        type: 'linear',
+                        ticks: { maxTicksLimit: 6, callback: value => formatManila(value, withDate) },
+                    },
+                    y: { title: { display: !!data.unit, text: data.unit } },
+                    y1: {
+                        position: 'right',
+                        min: 0,
+                        max: 100,
+                        display: accuracy.length > 0,
+                        grid: { drawOnChartArea: false },
+                        title: { display: true, text: 'Accuracy %' },
+                    },
+                },
+                plugins: {
+                    legend: { labels: { boxWidth: 12 } },
+                    tooltip: {
+                        callbacks: {
+                            title: items => (items.length ? `${formatManila(items[0].parsed.x, true)} (Asia/Manila)` : ''),
+                        },
+                    },
+                    floodThresholds: { parameter: data.sensor.type, datasetIndex: 0, location: data.sensor },
+                },
+            },
+        });
+    }
+
+    function load() {
+        const token = ++state.token;
+        show('loading');
+        return FloodApi.sensorHistory(state.sensorId, { days: state.days }, { key: 'sensor-drawer' })
+            .then(data => {
+                if (token !== state.token) return;
+                renderHeader(data);
+                renderStats(data);
+                renderThresholds(data);
+                show('content');
+                renderChart(data);
+            })
+            .catch(err => {
+                if (FloodApi.isAbort(err) || token !== state.token) return;
+                el('sensor-drawer-error').textContent = `Could not load this sensor: ${err && err.message ? err.message : err}`;
+                show('error');
+            });
+    }
+
+    /**
+     * Open the drawer for a sensor.
+     * @param {number|string} sensorId
+     */
+    function open(sensorId) {
+        const drawer = el('sensor-drawer');
+        if (!drawer || sensorId === null || sensorId === undefined) return;
+        state.sensorId = sensorId;
+        bootstrap.Offcanvas.getOrCreateInstance(drawer).show();
+        load();
+    }
+
+    function close() {
+        const drawer = el('sensor-drawer');
+        if (drawer) bootstrap.Offcanvas.getOrCreateInstance(drawer).hide();
+    }
+
+    /**
+     * Link for a marker popup that opens the drawer.
+     * @param {number|string} sensorId
+     */
+    function popupLinkHtml(sensorId) {
+        return `<br><a href="#" class="sensor-drawer-link" data-sensor-id="${escapeHtml(String(sensorId))}">` +
+            '<i class="fas fa-circle-info me-1"></i>Details</a>';
+    }
+
+    document.addEventListener('DOMContentLoaded', () => {
+        const range = el('sensor-drawer-range');
+        if (!range) return;
+        state.days = Number(range.value) || state.days;
+        range.addEventListener('change', () => {
+            state.days = Number(range.value) || 7;
+            if (state.sensorId !== null) load();
+        });
+        // Popups are rebuilt on every map refresh, so their links are handled here, in the
+        // capture phase because Leaflet stops clicks inside popups from bubbling
+        document.addEventListener('click', e => {
+            const link = e.target.closest && e.target.closest('.sensor-drawer-link');
+            if (!link) return;
+            e.preventDefault();
+            open(link.dataset.sensorId);
+        }, true);
+    });
+
+    window.FloodSensorDrawer = {
+        open,
+        close,
+        popupLinkHtml,
+    };
+
+})(window, document);
@@ -0,0 +1,157 @@
+// sensor_health.js
+// Sensor health from /api/sensor-health/: which sensors are offline (no reading in the expected
+// interval), faulty (stuck at one value or reading outside the possible range) or suspect
+// (impossible jumps, or far from the sensors around them), with each sensor's uptime. Draws the
+// health panel on the dashboard and the small status badge on the map's sensor markers.
+(function(window, document) {
+    'use strict';
+
+    /** Worst first, in the order the API sorts by */
+    const STATUS = {
+        offline: { label: 'Offline', color: '#6c757d', icon: 'fa-plug' },
+        faulty: { label: 'Faulty', color: '#DC3545', icon: 'fa-times' },
+        suspect: { label: 'Suspect', color: '#FFC107', icon: 'fa-exclamation' },
+        healthy: { label: 'Healthy', color: '#198754', icon: 'fa-check' },
+    };
+
+    let byId = new Map();
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatValue(value, unit) {
+        if (value === null || value === undefined) return '—';
+        const text = Number(value).toFixed(2).replace(/\.?0+$/, '');
+        return unit ? `${text} ${unit}` : text;
+    }
+
+    function formatType(type) {
+        return String(type || '').replace(/_/g, ' ').replace(/\b\w/g, c => c.toUpperCase());
+    }
+
+    /**
+     * Load the health of the sensors at a location and remember it for get().
+     * @param {Location} [location]
+     * @param {RequestOptions} [options]
+     * @returns {Promise<{summary: Object<string, number>, sensors: Array<Object>, days: number}>}
+     */
+    function load(location, options) {
+        return FloodApi.sensorHealth(location, null, options).then(data => {
+            byId = new Map((data.sensors || []).map(s => [String(s.id), s]));
+            return data;
+        });
+    }
+
+    /** Last loaded health of one sensor, or null */
+    function get(sensorId) {
+        return byId.get(String(sensorId)) || null;
+    }
+
+    /**
+     * Plain-language reasons for a sensor's status.
+     * @param {Object} health  One entry of /api/sensor-health/ sensors
+     * @returns {string[]}
+     */
+    function describeIssues(health) {
+        return (health.issues || []).map(code => {
+            switch (code) {
+                case 'no_data':
+                    return 'No readings in the health window';
+                case 'stale':
+                    return `No reading since ${health.latest_at_manila}`;
+                case 'flatline':
+                    return `Stuck at ${formatValue(health.latest_value, health.unit)} for ${health.flatline_hours} h`;
+                case 'out_of_range':
+                    return `Reading ${formatValue(health.latest_value, health.unit)} is outside the possible range`;
+                case 'jump':
+                    return `${health.jump_count} impossible jump${health.jump_count === 1 ? '' : 's'}`;
+                case 'neighbour':
+                    return `Reads ${formatValue(health.latest_value, health.unit)}; ${health.neighbour_count} nearby sensors read ${formatValue(health.neighbour_median, health.unit)}`;
+                default:
+                    return code;
+            }
+        });
+    }
+
+    function statusBadge(status) {
+        const s = STATUS[status] || STATUS.healthy;
+        const text = status === 'suspect' ? '#0f172a' : '#ffffff';
+        return `<span class="badge" style="background:${s.color}; color:${text};"><i class="fas ${s.icon} me-1"></i>${s.label}</span>`;
+    }
+
+    /**
+     * Corner badge for a sensor's map marker; empty when its health is unknown.
+     * @param {?Object} health
+     */
+    function markerBadgeHtml(health) {
+        if (!health) return '';
+        const s = STATUS[health.status] || STATUS.healthy;
+        return `<span class="sensor-health-badge" style="background:${s.color};" title="${escapeHtml(s.label)}"><i class="fas ${s.icon}"></i></span>`;
+    }
+
+    /**
+     * Health lines for a sensor's map popup.
+     * @param {?Object} health
+     */
+    function popupHtml(health) {
+        if (!health) return '';
+        const s = STATUS[health.status] || STATUS.healthy;
+        const issues = describeIssues(health);
+        return `<br>Health: <span style="color:${s.color}; font-weight:bold;">${s.label}</span>` +
+            ` · uptime ${health.uptime_percent}%` +
+            (issues.length ? `<br><small>${issues.map(escapeHtml).join('<br>')}</small>` : '');
+    }
+
+    /**
+     * Fill the dashboard health panel.
+     * @param {Object} data     Response of load()
+     * @param {{summary: Element, body: Element, problemsOnly?: boolean, onSelect?: Function}} targets
+     */
+    function renderPanel(data, targets) {
+        const summary = data.summary || {};
+        if (targets.summary) {
+            targets.summary.innerHTML = Object.keys(STATUS).map(status =>
+                `<span class="sensor-health-count">${statusBadge(status)} ${summary[status] || 0}</span>`
+            ).join('') + `<span class="sensor-health-window">Last ${data.days} days</span>`;
+        }
+        if (!targets.body) return;
+
+        const sensors = (data.sensors || []).filter(s => !targets.problemsOnly || s.status !== 'healthy');
+        if (!sensors.length) {
+            targets.body.innerHTML = `<tr><td colspan="6" style="color: var(--gray)">${
+                (data.sensors || []).length ? 'All sensors are healthy.' : 'No active sensors for this location.'}</td></tr>`;
+            return;
+        }
+        targets.body.innerHTML = sensors.map(s => {
+            const issues = describeIssues(s);
+            return `
+            <tr data-sensor-id="${escapeHtml(String(s.id))}" style="cursor:pointer;">
+                <td><strong>${escapeHtml(s.name)}</strong><br><small style="color: var(--gray)">${escapeHtml(formatType(s.type))}</small></td>
+                <td>${escapeHtml(s.barangay_name)}<br><small style="color: var(--gray)">${escapeHtml(s.municipality_name)}</small></td>
+                <td>${statusBadge(s.status)}</td>
+                <td>${issues.length ? issues.map(escapeHtml).join('<br>') : '<span style="color: var(--gray)">—</span>'}</td>
+                <td>${formatValue(s.latest_value, s.unit)}<br><small style="color: var(--gray)">${escapeHtml(s.latest_at_manila || 'never')}</small></td>
+                <td style="text-align:right;">${s.uptime_percent}%</td>
+            </tr>`;
+        }).join('');
+        if (targets.onSelect) {
+            targets.body.querySelectorAll('tr[data-sensor-id]').forEach(row => {
+                row.addEventListener('click', () => targets.onSelect(get(row.dataset.sensorId)));
+            });
+        }
+    }
+
+    window.FloodSensorHealth = {
+        STATUS,
+        load,
+        get,
+        describeIssues,
+        markerBadgeHtml,
+        popupHtml,
+        renderPanel,
+    };
+
+})(window, document);
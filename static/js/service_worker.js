@@ -0,0 +1,162 @@
+// service_worker.js
+// Served from /service-worker.js (see core.views.service_worker) so it controls every page.
+// Pages are network-first with a cached fallback. Pages rendered for a signed-in user carry
+// X-Cache-Scope (core.middleware.PageCacheScopeMiddleware) and are kept in a cache for that
+// session, which is deleted when another session appears or on logout (offline_store.js);
+// `no-store` pages such as the account screens are never kept. Static files and CDN libraries
+// are stale-while-revalidate, and OpenStreetMap tiles are cache-first with a size cap so the map
+// still draws offline. API responses are not
+// handled here: FloodApi keeps the last payloads in IndexedDB (offline_store.js) and marks them
+// as stale itself.
+'use strict';
+
+// Filled in per release by core.views.service_worker; a new value installs a new worker, whose
+// activate step deletes the previous release's caches, so pages and scripts never mix releases
+const VERSION = '__ASSET_VERSION__';
+const PAGE_CACHE = `flood-pages-${VERSION}`;
+const ASSET_CACHE = `flood-assets-${VERSION}`;
+const TILE_CACHE = `flood-tiles-${VERSION}`;
+const MAX_TILES = 1500;
+const SCOPE_HEADER = 'X-Cache-Scope';
+const SESSION_PAGE_PREFIX = `${PAGE_CACHE}-`;   // + the session's scope
+
+// Shared scripts every page needs; page HTML is cached as it is visited
+const PRECACHE = [
+    '/static/css/styles.css',
+    '/static/js/api_client.js',
+    '/static/js/offline_store.js',
+    '/static/js/location_store.js',
+    '/static/js/localhost_helper.js',
+];
+
+const CDN_HOSTS = ['cdn.jsdelivr.net', 'cdnjs.cloudflare.com', 'unpkg.com', 'code.jquery.com', 'cdn.sheetjs.com'];
+
+function isTile(url) {
+    return /(^|\.)tile\.openstreetmap\.org$/.test(url.hostname);
+}
+
+self.addEventListener('install', event => {
+    event.waitUntil(
+        caches.open(ASSET_CACHE)
+            .then(cache => cache.addAll(PRECACHE))
+            .catch(err => console.warn('[SW] Precache failed:', err))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', event => {
+    const keep = [PAGE_CACHE, ASSET_CACHE, TILE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(names => Promise.all(names
+                .filter(n => n.startsWith('flood-') && !keep.includes(n) && !n.startsWith(SESSION_PAGE_PREFIX))
+                .map(n => caches.delete(n))))
+            .then(() => self.clients.claim())
+    );
+});
+
+// Drop the oldest entries once a cache grows past `max`
+async function trimCache(name, max) {
+    const cache = await caches.open(name);
+    const keys = await cache.keys();
+    for (let i = 0; i < keys.length - max; i++) {
+        await cache.delete(keys[i]);
+    }
+}
+
+function isNoStore(response) {
+    return /\bno-store\b/i.test(response.headers.get('Cache-Control') || '');
+}
+
+// A signed-in session's pages go to that session's cache; the first page of a new session
+// deletes the previous one's
+async function storePage(request, response) {
+    const scope = response.headers.get(SCOPE_HEADER);
+    const name = scope ? SESSION_PAGE_PREFIX + scope : PAGE_CACHE;
+    if (scope) {
+        const stale = (await caches.keys()).filter(n => n.startsWith(SESSION_PAGE_PREFIX) && n !== name);
+        await Promise.all(stale.map(n => caches.delete(n)));
+    }
+    const cache = await caches.open(name);
+    await cache.put(request, response);
+}
+
+// The session's copy of a page before the public one
+async function cachedPage(request) {
+    const names = (await caches.keys()).filter(n => n.startsWith(SESSION_PAGE_PREFIX));
+    names.push(PAGE_CACHE);
+    for (const name of names) {
+        const cache = await caches.open(name);
+        const cached = await cache.match(request) || await cache.match(request, { ignoreSearch: true });
+        if (cached) return cached;
+    }
+    return null;
+}
+
+async function networkFirst(request) {
+    try {
+        const response = await fetch(request);
+        // Skip redirects (e.g. to the login page) so they never replace a cached page
+        if (response.ok && !response.redirected && !isNoStore(response)) {
+            storePage(request, response.clone()).catch(err => console.warn('[SW] Could not cache page:', err));
+        }
+        return response;
+    } catch (err) {
+        const cached = await cachedPage(request);
+        if (cached) return cached;
+        throw err;
+    }
+}
+
+async function staleWhileRevalidate(request) {
+    const cache = await caches.open(ASSET_CACHE);
+    const cached = await cache.match(request);
+    const network = fetch(request)
+        .then(response => {
+            if (response.ok || response.type === 'opaque') cache.put(request, response.clone());
+            return response;
+        })
+        .catch(err => {
+            if (cached) return cached;
+            throw err;
+        });
+    return cached || network;
+}
+
+async function cacheFirstTile(request) {
+    const cache = await caches.open(TILE_CACHE);
+    const cached = await cache.match(request);
+    if (cached) return cached;
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        await cache.put(request, response.clone());
+        trimCache(TILE_CACHE, MAX_TILES);
+    }
+    return response;
+}
+
+self.addEventListener('fetch', event => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+    const url = new URL(request.url);
+
+    if (isTile(url)) {
+        event.respondWith(cacheFirstTile(request));
+        return;
+    }
+    if (CDN_HOSTS.includes(url.hostname)) {
+        event.respondWith(staleWhileRevalidate(request));
+        return;
+    }
+    if (url.origin !== self.location.origin) return;
+
+    // API calls (including the live event stream) go straight to the network
+    if (url.pathname.startsWith('/api/')) return;
+    if (url.pathname.startsWith('/static/')) {
+        event.respondWith(staleWhileRevalidate(request));
+        return;
+    }
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request));
+    }
+});
@@ -0,0 +1,215 @@
+// sitrep.js
+// Situation report (SitRep) PDF for the dashboard. Fills the <template id="sitrep-template">
+// layout (templates/sitrep/report.html, with the LGU letterhead from sitrep/header.html) with
+// the selected location, parameter status, active alerts, affected barangays and population
+// from /api/sitrep/, a snapshot of the map and the trends chart, then lays it out over A4
+// pages with jsPDF. jsPDF and html2canvas are only fetched the first time a report is made.
+(function(window, document) {
+    'use strict';
+
+    const LIBS = {
+        html2canvas: 'https://cdn.jsdelivr.net/npm/html2canvas@1.4.1/dist/html2canvas.min.js',
+        jspdf: 'https://cdn.jsdelivr.net/npm/jspdf@2.5.1/dist/jspdf.umd.min.js',
+    };
+    const PAGE_MARGIN = 36;     // pt, all sides; the footer sits in the bottom margin
+    const TEMPLATE_WIDTH = 794; // px, A4 width at 96 dpi; matches .sitrep-doc
+
+    const loading = {};
+
+    function loadScript(name, isReady) {
+        if (isReady()) return Promise.resolve();
+        if (!loading[name]) {
+            loading[name] = new Promise((resolve, reject) => {
+                const script = document.createElement('script');
+                script.src = LIBS[name];
+                script.onload = () => (isReady() ? resolve() : reject(new Error(`${name} did not load`)));
+                script.onerror = () => reject(new Error(`Could not load ${name}`));
+                document.head.appendChild(script);
+            });
+            loading[name].catch(() => { delete loading[name]; });
+        }
+        return loading[name];
+    }
+
+    function loadLibraries() {
+        return Promise.all([
+            loadScript('html2canvas', () => !!window.html2canvas),
+            loadScript('jspdf', () => !!(window.jspdf && window.jspdf.jsPDF)),
+        ]);
+    }
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function levelBadge(level) {
+        const n = Number(level) || 0;
+        const name = FloodThresholds.nameOf(n);
+        const color = FloodThresholds.colorOf(n);
+        if (!n) return `<span style="color:${color}; font-weight:600;">${name}</span>`;
+        return `<span style="display:inline-block; padding:1px 6px; border-radius:4px; background:${color}; color:${n >= 4 ? '#fff' : '#0f172a'}; font-weight:600;">${name}</span>`;
+    }
+
+    function summaryHtml(data) {
+        const highest = data.alerts.reduce((m, a) => Math.max(m, a.severity_level || 0), 0);
+        const box = (label, value) => `
+            <div style="flex:1; border:1px solid #cbd5e1; border-radius:6px; padding:8px; text-align:center;">
+                <div style="font-size:18px; font-weight:700;">${value}</div>
+                <div style="font-size:11px; color:#475569;">${label}</div>
+            </div>`;
+        return [
+            box('Highest alert level', highest ? levelBadge(highest) : levelBadge(0)),
+            box('Active alerts', data.alerts.length),
+            box('Affected barangays', data.totals.barangays),
+            box('Population in affected barangays', Number(data.totals.population || 0).toLocaleString()),
+        ].join('');
+    }
+
+    function tableHtml(headers, rows, footer) {
+        const th = h => `<th style="text-align:left; padding:4px 6px; background:#f1f5f9; border:1px solid #cbd5e1;">${h}</th>`;
+        const td = c => `<td style="padding:4px 6px; border:1px solid #cbd5e1; vertical-align:top;">${c}</td>`;
+        return `<table style="width:100%; border-collapse:collapse; font-size:11px;">
+            <thead><tr>${headers.map(th).join('')}</tr></thead>
+            <tbody>${rows.map(r => `<tr>${r.map(td).join('')}</tr>`).join('')}</tbody>
+            ${footer ? `<tfoot><tr>${footer.map(c => td(`<strong>${c}</strong>`)).join('')}</tr></tfoot>` : ''}
+        </table>`;
+    }
+
+    function alertsHtml(alerts) {
+        if (!alerts.length) return '<p style="color:#475569;">No active alerts for this location.</p>';
+        return tableHtml(['Level', 'Alert', 'Issued', 'Expected flooding', 'Barangays', 'Status'], alerts.map(a => [
+            levelBadge(a.severity_level),
+            `<strong>${escapeHtml(a.title)}</strong><br><span style="color:#475569;">${escapeHtml(a.description)}</span>`,
+            escapeHtml(a.issued_at_manila || ''),
+            escapeHtml(a.predicted_flood_time_manila || '—'),
+            a.affected_barangay_count,
+            escapeHtml(a.workflow_state || ''),
+        ]));
+    }
+
+    function barangaysHtml(data) {
+        if (!data.affected_barangays.length) return '<p style="color:#475569;">No barangays are under an active alert.</p>';
+        const byLevel = Object.keys(data.totals.by_level).sort((a, b) => b - a).map(level => {
+            const t = data.totals.by_level[level];
+            return `${levelBadge(Number(level))} ${t.barangays} barangay${t.barangays === 1 ? '' : 's'}, ${Number(t.population).toLocaleString()} residents`;
+        }).join(' &nbsp; ');
+        return `<p style="margin:0 0 6px;">${byLevel}</p>` + tableHtml(
+            ['Barangay', 'Municipality', 'Level', 'Alert', 'Population'],
+            data.affected_barangays.map(b => [
+                escapeHtml(b.name),
+                escapeHtml(b.municipality),
+                levelBadge(b.severity_level),
+                escapeHtml(b.alert_title),
+                `<span style="float:right;">${Number(b.population || 0).toLocaleString()}</span>`,
+            ]),
+            ['Total', '', '', `${data.totals.barangays} barangays`, `<span style="float:right;">${Number(data.totals.population || 0).toLocaleString()}</span>`]
+        );
+    }
+
+    function imageHtml(src, alt) {
+        if (!src) return `<p style="color:#475569;">${alt} is not available.</p>`;
+        return `<img src="${src}" alt="${escapeHtml(alt)}" style="width:100%; height:auto; border:1px solid #cbd5e1;">`;
+    }
+
+    // Rasterise the Leaflet map; tiles are fetched with CORS so the canvas stays readable
+    function snapshotMap(element) {
+        if (!element) return Promise.resolve(null);
+        return window.html2canvas(element, { useCORS: true, logging: false, backgroundColor: '#ffffff' })
+            .then(canvas => canvas.toDataURL('image/png'))
+            .catch(err => {
+                console.warn('[SitRep] Map snapshot failed:', err);
+                return null;
+            });
+    }
+
+    function snapshotChart(chart) {
+        try {
+            return chart ? chart.toBase64Image('image/png', 1) : null;
+        } catch (e) {
+            console.warn('[SitRep] Chart snapshot failed:', e);
+            return null;
+        }
+    }
+
+    function fill(root, slot, html) {
+        const el = root.querySelector(`[data-sitrep="${slot}"]`);
+        if (el) el.innerHTML = html;
+    }
+
+    function addFooters(doc, text) {
+        const pages = doc.getNumberOfPages();
+        const width = doc.internal.pageSize.getWidth();
+        const height = doc.internal.pageSize.getHeight();
+        for (let i = 1; i <= pages; i++) {
+            doc.setPage(i);
+            doc.setFontSize(8);
+            doc.setTextColor(100);
+            doc.text(text, PAGE_MARGIN, height - PAGE_MARGIN / 2);
+            doc.text(`Page ${i} of ${pages}`, width - PAGE_MARGIN, height - PAGE_MARGIN / 2, { align: 'right' });
+        }
+    }
+
+    /**
+     * @typedef {Object} SitRepOptions
+     * @property {{municipalityId: ?number, barangayId: ?number}} location
+     * @property {string} [statusHtml]   Parameter status block (the dashboard's buildParameterStatusHTML)
+     * @property {Element} [mapElement]  Leaflet map container to snapshot
+     * @property {Chart} [chart]         Trends chart to include
+     */
+
+    /**
+     * Build the situation report and download it as a PDF.
+     * @param {SitRepOptions} options
+     * @returns {Promise<void>}
+     */
+    function generate(options) {
+        const opts = options || {};
+        const template = document.getElementById('sitrep-template');
+        if (!template) return Promise.reject(new Error('The situation report template is missing from this page.'));
+
+        return Promise.all([FloodApi.sitrep(opts.location), loadLibraries()]).then(([data]) => {
+            // Rendered off screen at its print width so html2canvas can measure it
+            const holder = document.createElement('div');
+            Object.assign(holder.style, { position: 'fixed', left: '-10000px', top: '0', width: `${TEMPLATE_WIDTH}px` });
+            holder.appendChild(template.content.cloneNode(true));
+            document.body.appendChild(holder);
+            const root = holder.querySelector('.sitrep-doc') || holder;
+
+            return snapshotMap(opts.mapElement).then(mapImage => {
+                fill(root, 'location', escapeHtml(data.location.label));
+                fill(root, 'generated-at', escapeHtml(data.generated_at_manila));
+                fill(root, 'summary', summaryHtml(data));
+                fill(root, 'status', opts.statusHtml || '<p style="color:#475569;">Parameter status is not available.</p>');
+                fill(root, 'alerts', alertsHtml(data.alerts));
+                fill(root, 'barangays', barangaysHtml(data));
+                fill(root, 'map', imageHtml(mapImage, 'The map snapshot'));
+                fill(root, 'chart', imageHtml(snapshotChart(opts.chart), 'The trends chart'));
+
+                const doc = new window.jspdf.jsPDF({ unit: 'pt', format: 'a4', orientation: 'portrait' });
+                const contentWidth = doc.internal.pageSize.getWidth() - PAGE_MARGIN * 2;
+                return new Promise(resolve => {
+                    doc.html(root, {
+                        margin: [PAGE_MARGIN, PAGE_MARGIN, PAGE_MARGIN, PAGE_MARGIN],
+                        autoPaging: 'text',
+                        width: contentWidth,
+                        windowWidth: TEMPLATE_WIDTH,
+                        html2canvas: { useCORS: true, logging: false },
+                        callback: resolve,
+                    });
+                }).then(() => {
+                    addFooters(doc, `Flood Situation Report — ${data.location.label} — as of ${data.generated_at_manila} (Asia/Manila)`);
+                    const slug = data.location.label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+                    const stamp = window.FloodExport ? FloodExport.manilaTimestamp(Date.now()).replace(/[-: ]/g, '') : Date.now();
+                    doc.save(`sitrep-${slug}-${stamp}.pdf`);
+                });
+            }).finally(() => holder.remove());
+        });
+    }
+
+    window.FloodSitRep = {
+        generate,
+    };
+
+})(window, document);
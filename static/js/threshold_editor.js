@@ -0,0 +1,556 @@
+// static/js/threshold_editor.js
+// Config page: the Add/Update Threshold form and the threshold editor next to it. The editor
+// plots the last N days of /api/chart-data/ for a parameter with one line per threshold level;
+// dragging a line (or typing in the form) replays the readings against the draft thresholds and
+// counts how many alerts each level would have raised and how long readings stayed at or above
+// it, next to the same figures for the saved thresholds. The form and the editor share one
+// draft, which must be strictly increasing (advisory < watch < warning < emergency <
+// catastrophic) before it can be saved through /api/update-threshold/.
+
+document.addEventListener('DOMContentLoaded', function() {
+    const LEVELS = FloodThresholds.LEVELS;
+    const FIELD_IDS = {
+        advisory: 'id_advisory_threshold',
+        watch: 'id_watch_threshold',
+        warning: 'id_warning_threshold',
+        emergency: 'id_emergency_threshold',
+        catastrophic: 'id_catastrophic_threshold',
+    };
+    const DEFAULT_UNITS = {
+        temperature: '°C',
+        humidity: '%',
+        rainfall: 'mm/hr',
+        water_level: 'm',
+        wind_speed: 'km/h',
+    };
+    // Starting points when a parameter has no saved thresholds: percentiles of the readings
+    const SUGGESTED_PERCENTILES = [0.5, 0.75, 0.9, 0.95, 0.99];
+    const GRAB_PX = 8;                        // how close the pointer must be to grab a line
+    const MAX_GAP_MS = 3 * 60 * 60 * 1000;    // longer gaps between readings do not count as time at a level
+
+    const state = {
+        parameter: null,
+        days: 30,
+        points: [],         // [{x: ms, y}] chronological
+        window: null,       // {start, end} ms of the replayed period
+        saved: null,        // {advisory..catastrophic, unit} or null
+        draft: {},          // level key -> number|null
+        dragging: null,     // level key being dragged
+        chart: null,
+        token: 0,
+    };
+
+    const els = {
+        form: document.getElementById('threshold-form'),
+        formParameter: document.getElementById('id_parameter'),
+        unit: document.getElementById('id_unit'),
+        saveBtn: document.getElementById('threshold-save-btn'),
+        parameter: document.getElementById('threshold-editor-parameter'),
+        days: document.getElementById('threshold-editor-days'),
+        source: document.getElementById('threshold-editor-source'),
+        canvas: document.getElementById('threshold-editor-chart'),
+        errors: document.getElementById('threshold-editor-errors'),
+        counts: document.getElementById('threshold-editor-counts'),
+        unsaved: document.getElementById('threshold-editor-unsaved'),
+        reset: document.getElementById('threshold-editor-reset'),
+    };
+    const fields = {};
+    Object.keys(FIELD_IDS).forEach(key => { fields[key] = document.getElementById(FIELD_IDS[key]); });
+
+    // --- FORMATTING ---
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatValue(value) {
+        return value === null || value === undefined ? '—' : Number(value).toFixed(2).replace(/\.?0+$/, '');
+    }
+
+    function formatDuration(ms) {
+        const minutes = Math.round(ms / 60000);
+        if (minutes < 60) return `${minutes} min`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 48) return `${hours} h ${minutes % 60} min`;
+        return `${Math.floor(hours / 24)} d ${hours % 24} h`;
+    }
+
+    function formatManila(ms, withDate) {
+        try {
+            return new Intl.DateTimeFormat('en-GB', Object.assign({
+                timeZone: 'Asia/Manila', hour: '2-digit', minute: '2-digit', hour12: false
+            }, withDate ? { day: '2-digit', month: 'short' } : {})).format(new Date(ms));
+        } catch (e) {
+            return new Date(ms).toLocaleString();
+        }
+    }
+
+    function parseNumber(raw) {
+        const n = parseFloat(raw);
+        return Number.isFinite(n) ? n : null;
+    }
+
+    // --- FORM VALIDATION ---
+    function getOrCreateInvalidFeedback(el) {
+        let fb = el.nextElementSibling;
+        if (!fb || !fb.classList || !fb.classList.contains('invalid-feedback')) {
+            fb = document.createElement('div');
+            fb.className = 'invalid-feedback';
+            fb.style.display = 'none';
+            el.insertAdjacentElement('afterend', fb);
+        }
+        return fb;
+    }
+
+    function setFieldValidity(el, isValid, message = '') {
+        const invalidDiv = getOrCreateInvalidFeedback(el);
+        if (isValid) {
+            el.classList.remove('is-invalid');
+            invalidDiv.style.display = 'none';
+            invalidDiv.textContent = '';
+            // Only mark green if there is a value
+            el.classList.toggle('is-valid', el.value !== '');
+        } else {
+            el.classList.remove('is-valid');
+            el.classList.add('is-invalid');
+            invalidDiv.textContent = message || 'Invalid value';
+            invalidDiv.style.display = 'block';
+        }
+    }
+
+    /**
+     * Problems with the draft: missing values and every level not above the one before it.
+     * @returns {Array<{key: string, message: string}>}
+     */
+    function draftErrors() {
+        const errors = [];
+        LEVELS.forEach(level => {
+            if (state.draft[level.key] === null || state.draft[level.key] === undefined) {
+                errors.push({ key: level.key, message: `Enter a numeric ${level.name} threshold` });
+            }
+        });
+        if (errors.length) return errors;
+        LEVELS.slice(1).forEach((level, i) => {
+            const below = LEVELS[i];
+            if (!(state.draft[level.key] > state.draft[below.key])) {
+                errors.push({ key: level.key, message: `${level.name} must be greater than ${below.name}` });
+            }
+        });
+        return errors;
+    }
+
+    function validate() {
+        const errors = draftErrors();
+        LEVELS.forEach(level => {
+            const field = fields[level.key];
+            const error = errors.find(e => e.key === level.key);
+            if (field) setFieldValidity(field, !error, error ? error.message : '');
+        });
+        if (els.saveBtn) els.saveBtn.disabled = errors.length > 0;
+        els.errors.classList.toggle('d-none', !errors.length);
+        els.errors.innerHTML = errors.map(e => escapeHtml(e.message)).join('<br>');
+        return errors.length === 0;
+    }
+
+    // --- DRAFT ---
+    function readDraftFromForm() {
+        LEVELS.forEach(level => {
+            state.draft[level.key] = fields[level.key] ? parseNumber(fields[level.key].value) : null;
+        });
+    }
+
+    function writeDraftToForm() {
+        LEVELS.forEach(level => {
+            const field = fields[level.key];
+            if (field) field.value = state.draft[level.key] === null ? '' : String(state.draft[level.key]);
+        });
+    }
+
+    function isDirty() {
+        if (!state.saved) return LEVELS.some(level => state.draft[level.key] !== null);
+        return LEVELS.some(level => state.draft[level.key] !== state.saved[level.key]);
+    }
+
+    function percentile(sorted, p) {
+        if (!sorted.length) return null;
+        const idx = Math.min(sorted.length - 1, Math.max(0, Math.round(p * (sorted.length - 1))));
+        return sorted[idx];
+    }
+
+    // Percentiles of the readings, each nudged a step above the last where the readings repeat a value
+    function suggestThresholds() {
+        const sorted = state.points.map(p => p.y).sort((a, b) => a - b);
+        if (!sorted.length) return null;
+        const step = stepFor(sorted[sorted.length - 1] - sorted[0]);
+        const suggestion = {};
+        let previous = -Infinity;
+        LEVELS.forEach((level, i) => {
+            let value = roundTo(percentile(sorted, SUGGESTED_PERCENTILES[i]), step);
+            if (value <= previous) value = roundTo(previous + step, step);
+            suggestion[level.key] = value;
+            previous = value;
+        });
+        return suggestion;
+    }
+
+    // --- REPLAY ---
+    /**
+     * Replay readings against thresholds: per level, how many times readings rose to or above it
+     * (one alert per episode) and how long they stayed there. Each reading holds until the next
+     * one, up to MAX_GAP_MS.
+     * @param {Array<{x: number, y: number}>} points
+     * @param {Object} thresholds  level key -> number|null
+     * @returns {Object} level key -> {alerts, durationMs}
+     */
+    function replay(points, thresholds) {
+        const result = {};
+        LEVELS.forEach(level => {
+            const t = thresholds ? thresholds[level.key] : null;
+            const stats = { alerts: 0, durationMs: 0 };
+            result[level.key] = stats;
+            if (t === null || t === undefined) return;
+            let above = false;
+            points.forEach((p, i) => {
+                const now = p.y >= t;
+                if (now && !above) stats.alerts += 1;
+                if (now && i < points.length - 1) stats.durationMs += Math.min(points[i + 1].x - p.x, MAX_GAP_MS);
+                above = now;
+            });
+        });
+        return result;
+    }
+
+    function renderCounts() {
+        const unit = els.unit ? els.unit.value : '';
+        const draft = replay(state.points, state.draft);
+        const saved = state.saved ? replay(state.points, state.saved) : null;
+        const change = (now, before, format) => (before === null || now === before ? ''
+            : ` <span class="text-muted">(was ${format(before)})</span>`);
+        els.counts.innerHTML = LEVELS.map(level => {
+            const d = draft[level.key];
+            const s = saved ? saved[level.key] : null;
+            return `<tr>
+                <td><span class="d-inline-block rounded-circle me-2" style="width:10px; height:10px; background:${level.color};"></span>${level.name}</td>
+                <td class="text-end">${formatValue(state.draft[level.key])}${unit && state.draft[level.key] !== null ? ` ${escapeHtml(unit)}` : ''}</td>
+                <td class="text-end">${d.alerts}${change(d.alerts, s ? s.alerts : null, String)}</td>
+                <td class="text-end">${formatDuration(d.durationMs)}${change(d.durationMs, s ? s.durationMs : null, formatDuration)}</td>
+            </tr>`;
+        }).join('');
+        els.unsaved.classList.toggle('d-none', !isDirty());
+    }
+
+    // --- CHART ---
+    function stepFor(range) {
+        if (!(range > 0)) return 0.01;
+        return Math.max(0.01, Math.pow(10, Math.floor(Math.log10(range)) - 2));
+    }
+
+    function roundTo(value, step) {
+        return Math.round(Math.round(value / step) * step * 100) / 100;
+    }
+
+    // Axis range covering the readings and every draft threshold, with some room to drag upwards
+    function axisRange() {
+        const values = state.points.map(p => p.y)
+            .concat(LEVELS.map(level => state.draft[level.key]).filter(v => v !== null && v !== undefined));
+        if (!values.length) return { min: 0, max: 1 };
+        const low = Math.min.apply(null, values);
+        const high = Math.max.apply(null, values);
+        const pad = (high - low) * 0.1 || Math.abs(high) * 0.1 || 1;
+        return { min: low >= 0 && low - pad < 0 ? 0 : low - pad, max: high + pad };
+    }
+
+    const linesPlugin = {
+        id: 'thresholdEditorLines',
+        afterDatasetsDraw(chart) {
+            const y = chart.scales.y;
+            const area = chart.chartArea;
+            if (!y || !area) return;
+            const ctx = chart.ctx;
+            ctx.save();
+            LEVELS.forEach(level => {
+                const value = state.draft[level.key];
+                if (value === null || value === undefined) return;
+                const py = y.getPixelForValue(value);
+                if (py < area.top - 1 || py > area.bottom + 1) return;
+                const active = state.dragging === level.key;
+                ctx.strokeStyle = level.color;
+                ctx.lineWidth = active ? 3 : 2;
+                ctx.setLineDash(active ? [] : [6, 4]);
+                ctx.beginPath();
+                ctx.moveTo(area.left, py);
+                ctx.lineTo(area.right, py);
+                ctx.stroke();
+                // Grab handle at the right end
+                ctx.setLineDash([]);
+                ctx.fillStyle = level.color;
+                ctx.fillRect(area.right - 10, py - 5, 10, 10);
+                ctx.font = '11px sans-serif';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(`${level.name} ${formatValue(value)}`, area.left + 4, py - 2);
+            });
+            ctx.restore();
+        },
+    };
+
+    function renderChart() {
+        const range = axisRange();
+        const withDate = state.days > 1;
+        if (!state.chart) {
+            state.chart = new Chart(els.canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    datasets: [{
+                        label: 'Readings',
+                        data: state.points,
+                        borderColor: '#0d6efd',
+                        backgroundColor: 'rgba(13, 110, 253, 0.1)',
+                        borderWidth: 1.5,
+                        pointRadius: 0,
+                        tension: 0.2,
+                    }],
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    interaction: { mode: 'nearest', axis: 'x', intersect: false },
+                    scales: {
+                        x: {
+                            type: 'linear',
+                            min: state.window ? state.window.start : undefined,
+                            max: state.window ? state.window.end : undefined,
+                            ticks: { maxTicksLimit: 6, callback: value => formatManila(value, withDate) },
+                        },
+                        y: { min: range.min, max: range.max, title: { display: true, text: '' } },
+                    },
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                title: items => (items.length ? `${formatManila(items[0].parsed.x, true)} (Asia/Manila)` : ''),
+                            },
+                        },
+                    },
+                },
+                plugins: [linesPlugin],
+            });
+        }
+        const chart = state.chart;
+        chart.data.datasets[0].data = state.points;
+        // The whole window stays on the axis even when the readings cover only part of it
+        chart.options.scales.x.min = state.window ? state.window.start : undefined;
+        chart.options.scales.x.max = state.window ? state.window.end : undefined;
+        chart.options.scales.x.ticks.callback = value => formatManila(value, withDate);
+        chart.options.scales.y.min = range.min;
+        chart.options.scales.y.max = range.max;
+        chart.options.scales.y.title.text = els.unit && els.unit.value ? els.unit.value : '';
+        chart.update('none');
+    }
+
+    // --- DRAGGING ---
+    function pointerY(e) {
+        const rect = els.canvas.getBoundingClientRect();
+        return e.clientY - rect.top;
+    }
+
+    function levelNear(py) {
+        const y = state.chart && state.chart.scales.y;
+        if (!y) return null;
+        let best = null;
+        LEVELS.forEach(level => {
+            const value = state.draft[level.key];
+            if (value === null || value === undefined) return;
+            const distance = Math.abs(y.getPixelForValue(value) - py);
+            if (distance <= GRAB_PX && (!best || distance < best.distance)) best = { key: level.key, distance };
+        });
+        return best ? best.key : null;
+    }
+
+    function onPointerDown(e) {
+        const key = levelNear(pointerY(e));
+        if (!key) return;
+        state.dragging = key;
+        els.canvas.setPointerCapture(e.pointerId);
+        e.preventDefault();
+        state.chart.draw();
+    }
+
+    function onPointerMove(e) {
+        const py = pointerY(e);
+        if (!state.dragging) {
+            els.canvas.style.cursor = levelNear(py) ? 'ns-resize' : '';
+            return;
+        }
+        const y = state.chart.scales.y;
+        const value = Math.min(y.max, Math.max(y.min, y.getValueForPixel(py)));
+        state.draft[state.dragging] = roundTo(value, stepFor(y.max - y.min));
+        writeDraftToForm();
+        validate();
+        renderCounts();
+        state.chart.draw();
+    }
+
+    function onPointerUp(e) {
+        if (!state.dragging) return;
+        state.dragging = null;
+        if (els.canvas.hasPointerCapture(e.pointerId)) els.canvas.releasePointerCapture(e.pointerId);
+        // Rescale once the line is let go, so the axis never moves under the pointer
+        renderChart();
+    }
+
+    // --- LOADING ---
+    function applySaved(parameter, settings) {
+        const t = settings ? settings[parameter] : null;
+        state.saved = t ? {
+            advisory: t.advisory,
+            watch: t.watch,
+            warning: t.warning,
+            emergency: t.emergency,
+            catastrophic: t.catastrophic,
+            unit: t.unit,
+        } : null;
+        if (els.unit) els.unit.value = t && t.unit ? t.unit : (DEFAULT_UNITS[parameter] || '');
+        LEVELS.forEach(level => { state.draft[level.key] = state.saved ? state.saved[level.key] : null; });
+    }
+
+    function loadSeries() {
+        const token = ++state.token;
+        const end = Date.now();
+        const span = { start: end - state.days * 24 * 60 * 60 * 1000, end };
+        els.source.innerHTML = '<i class="fas fa-spinner fa-spin me-1"></i>Loading readings…';
+        return FloodApi.chartData(state.parameter, { days: state.days }, null, { key: 'threshold-editor' })
+            .then(data => {
+                if (token !== state.token) return;
+                state.window = span;
+                state.points = (data.labels || []).map((label, i) => ({ x: Date.parse(label), y: data.values[i] }))
+                    .filter(p => !isNaN(p.x) && p.x >= span.start && p.y !== null && p.y !== undefined && !isNaN(p.y))
+                    .sort((a, b) => a.x - b.x);
+                const period = `the last ${state.days} day${state.days === 1 ? '' : 's'}`;
+                els.source.textContent = state.points.length
+                    ? `${state.points.length.toLocaleString()} readings over ${period}${data.sensor_name ? ` from ${data.sensor_name}` : ''}.`
+                    : `No readings in ${period}.`;
+            })
+            .catch(err => {
+                if (FloodApi.isAbort(err) || token !== state.token) return;
+                console.error('[Thresholds] Could not load readings:', err);
+                state.points = [];
+                els.source.innerHTML = '<span class="text-danger">Could not load readings for this parameter.</span>';
+            });
+    }
+
+    /**
+     * Switch both the editor and the form to a parameter: load its saved thresholds (or suggest
+     * some from the readings) and replay its readings.
+     */
+    function selectParameter(parameter) {
+        state.parameter = parameter;
+        if (els.parameter.value !== parameter) els.parameter.value = parameter;
+        if (els.formParameter && els.formParameter.value !== parameter) els.formParameter.value = parameter;
+        return Promise.all([
+            FloodThresholds.load().catch(err => {
+                console.warn('[Thresholds] Could not load saved thresholds:', err);
+                return null;
+            }),
+            loadSeries(),
+        ]).then(([settings]) => {
+            if (state.parameter !== parameter) return;
+            applySaved(parameter, settings);
+            if (!state.saved) {
+                const suggestion = suggestThresholds();
+                if (suggestion) Object.assign(state.draft, suggestion);
+            }
+            refresh();
+        });
+    }
+
+    function refresh() {
+        writeDraftToForm();
+        validate();
+        renderCounts();
+        if (window.Chart) renderChart();
+    }
+
+    // --- SAVING ---
+    function save(e) {
+        e.preventDefault();
+        readDraftFromForm();
+        if (!validate()) {
+            alert('Please correct the threshold values so they are numeric and strictly increasing before saving.');
+            return;
+        }
+        const payload = {
+            parameter: els.formParameter ? els.formParameter.value : state.parameter,
+            unit: els.unit ? els.unit.value : '',
+        };
+        LEVELS.forEach(level => { payload[`${level.key}_threshold`] = state.draft[level.key]; });
+        els.saveBtn.disabled = true;
+        FloodApi.updateThreshold(payload)
+            .then(body => {
+                if (body && body.success) {
+                    // Success: redraw threshold bands in open dashboards, then reload to update the table
+                    FloodThresholds.notifyChanged().finally(() => location.reload());
+                } else {
+                    // API refused; fallback to classic POST submission
+                    els.form.submit();
+                }
+            })
+            .catch(() => {
+                // Network or other error: fallback to classic POST
+                els.form.submit();
+            });
+    }
+
+    // --- EVENTS ---
+    // Edit buttons in the thresholds table load that parameter into the form and the editor
+    document.querySelectorAll('.edit-threshold').forEach(btn => {
+        btn.addEventListener('click', function() {
+            selectParameter(this.getAttribute('data-parameter'));
+            els.form.scrollIntoView({ behavior: 'smooth' });
+        });
+    });
+
+    els.parameter.addEventListener('change', () => selectParameter(els.parameter.value));
+    if (els.formParameter) {
+        els.formParameter.addEventListener('change', () => {
+            if (els.formParameter.value) selectParameter(els.formParameter.value);
+        });
+    }
+    els.days.addEventListener('change', () => {
+        state.days = Number(els.days.value) || 30;
+        loadSeries().then(refresh);
+    });
+    LEVELS.forEach(level => {
+        const field = fields[level.key];
+        if (!field) return;
+        field.addEventListener('input', () => {
+            readDraftFromForm();
+            validate();
+            renderCounts();
+            if (state.chart) state.chart.draw();
+        });
+        field.addEventListener('blur', () => {
+            readDraftFromForm();
+            if (window.Chart) renderChart();
+        });
+    });
+    if (els.unit) els.unit.addEventListener('input', renderCounts);
+    els.reset.addEventListener('click', () => {
+        LEVELS.forEach(level => { state.draft[level.key] = state.saved ? state.saved[level.key] : null; });
+        refresh();
+    });
+    if (els.form) els.form.addEventListener('submit', save);
+
+    if (window.Chart) {
+        els.canvas.addEventListener('pointerdown', onPointerDown);
+        els.canvas.addEventListener('pointermove', onPointerMove);
+        els.canvas.addEventListener('pointerup', onPointerUp);
+        els.canvas.addEventListener('pointercancel', onPointerUp);
+    } else {
+        console.warn('Chart.js not available; skipping the threshold editor chart.');
+    }
+
+    state.days = Number(els.days.value) || state.days;
+    selectParameter((els.formParameter && els.formParameter.value) || els.parameter.value);
+});
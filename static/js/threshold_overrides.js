@@ -0,0 +1,255 @@
+// static/js/threshold_overrides.js
+// Config page: thresholds for one municipality or barangay that replace the global settings.
+// A barangay uses its own override, else its municipality's, else the global values; the form
+// shows the values a place would otherwise fall back to as placeholders, and a field left
+// empty is saved with that fallback value. Overrides are stored through /api/threshold-overrides/.
+
+document.addEventListener('DOMContentLoaded', function() {
+    const body = document.getElementById('threshold-overrides-body');
+    if (!body) return;
+
+    const LEVEL_KEYS = ['advisory', 'watch', 'warning', 'emergency', 'catastrophic'];
+    const ORDER_MESSAGE = 'Thresholds must be strictly increasing: Advisory < Watch < Warning < Emergency < Catastrophic.';
+
+    function readJson(id, fallback) {
+        const node = document.getElementById(id);
+        try {
+            return node ? JSON.parse(node.textContent) : fallback;
+        } catch (e) {
+            return fallback;
+        }
+    }
+
+    const globals = readJson('override-global-thresholds', {});
+    const municipalities = readJson('override-municipalities', []);
+    const barangays = readJson('override-barangays', []);
+    let overrides = [];
+
+    const el = id => document.getElementById(id);
+    const form = el('threshold-override-form');
+    const canEdit = !!form;
+
+    function escapeHtml(value) {
+        return String(value == null ? '' : value).replace(/[&<>"']/g, c => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[c]);
+    }
+
+    function formatValue(value) {
+        return value === null || value === undefined ? '—' : Number(value).toFixed(2).replace(/\.?0+$/, '');
+    }
+
+    function parameterLabel(parameter) {
+        return (globals[parameter] && globals[parameter].label) || String(parameter).replace(/_/g, ' ');
+    }
+
+    // --- LIST ---
+    function render() {
+        const cols = canEdit ? 9 : 8;
+        if (!overrides.length) {
+            body.innerHTML = `<tr><td colspan="${cols}" class="text-center text-muted py-3">No local overrides; every place uses the global thresholds.</td></tr>`;
+            return;
+        }
+        body.innerHTML = overrides.map(o => {
+            const place = o.scope === 'barangay'
+                ? `${escapeHtml(o.barangay_name)} <span class="text-muted small">(${escapeHtml(o.municipality_name)})</span>`
+                : `${escapeHtml(o.municipality_name)} <span class="badge bg-light text-dark border">whole municipality</span>`;
+            const values = LEVEL_KEYS.map(k => `<td class="text-center">${formatValue(o[`${k}_threshold`])}</td>`).join('');
+            const updated = o.updated_at ? new Date(o.updated_at).toLocaleDateString() : '—';
+            const by = o.last_updated_by_username ? ` by ${escapeHtml(o.last_updated_by_username)}` : '';
+            const actions = canEdit ? `
+                <td class="text-center text-nowrap">
+                    <button type="button" class="btn btn-sm btn-outline-primary override-edit" title="Edit"><i class="fas fa-edit"></i></button>
+                    <button type="button" class="btn btn-sm btn-outline-danger override-delete" title="Delete"><i class="fas fa-trash"></i></button>
+                </td>` : '';
+            return `<tr data-override-id="${o.id}">
+                <td>${escapeHtml(parameterLabel(o.parameter))}${o.unit ? ` <span class="text-muted small">(${escapeHtml(o.unit)})</span>` : ''}</td>
+                <td>${place}</td>
+                ${values}
+                <td class="small">${updated}${by}</td>
+                ${actions}
+            </tr>`;
+        }).join('');
+    }
+
+    function load() {
+        return FloodApi.thresholdOverrides().then(list => {
+            overrides = Array.isArray(list) ? list : (list.results || []);
+            render();
+            if (canEdit) updateFallback();
+        }).catch(err => {
+            console.error('[Overrides] Could not load threshold overrides:', err);
+            body.innerHTML = '<tr><td colspan="9" class="text-center text-danger py-3">Could not load threshold overrides.</td></tr>';
+        });
+    }
+
+    if (!canEdit) {
+        load();
+        return;
+    }
+
+    // --- FORM ---
+    const fields = {};
+    LEVEL_KEYS.forEach(k => { fields[k] = el(`override-${k}`); });
+
+    function fillOptions(select, items, selected, blankLabel) {
+        const blank = blankLabel ? `<option value="">${escapeHtml(blankLabel)}</option>` : '';
+        select.innerHTML = blank + items.map(i =>
+            `<option value="${escapeHtml(i.value)}"${String(i.value) === String(selected) ? ' selected' : ''}>${escapeHtml(i.label)}</option>`
+        ).join('');
+    }
+
+    function fillBarangays(municipalityId, selected) {
+        const items = barangays
+            .filter(b => String(b.municipality_id) === String(municipalityId))
+            .map(b => ({ value: b.id, label: b.name }));
+        fillOptions(el('override-barangay'), items, selected, 'Whole municipality');
+    }
+
+    // The set a place would use without this override: its municipality's, else the global one
+    function fallbackFor(parameter, municipalityId, barangayId) {
+        const editingId = el('override-id').value;
+        if (barangayId) {
+            const muni = overrides.find(o => o.parameter === parameter && o.scope === 'municipality'
+                && String(o.municipality) === String(municipalityId) && String(o.id) !== editingId);
+            if (muni) {
+                const values = {};
+                LEVEL_KEYS.forEach(k => { values[k] = muni[`${k}_threshold`]; });
+                return { values, label: `${muni.municipality_name} thresholds` };
+            }
+        }
+        const g = globals[parameter];
+        return g ? { values: g, label: 'global thresholds' } : null;
+    }
+
+    function updateFallback() {
+        const parameter = el('override-parameter').value;
+        const fallback = fallbackFor(parameter, el('override-municipality').value, el('override-barangay').value);
+        LEVEL_KEYS.forEach(k => {
+            fields[k].placeholder = fallback ? formatValue(fallback.values[k]) : '';
+        });
+        const unit = globals[parameter] ? globals[parameter].unit : '';
+        el('override-fallback-note').textContent = fallback
+            ? `Values in ${unit}. Empty fields keep the ${fallback.label} shown in grey.`
+            : '';
+    }
+
+    function resetForm(override) {
+        el('override-id').value = override ? override.id : '';
+        el('threshold-override-form-title').textContent = override ? 'Edit Override' : 'Add Override';
+        const parameter = override ? override.parameter : el('override-parameter').value;
+        fillOptions(el('override-parameter'), Object.keys(globals).map(p => ({ value: p, label: parameterLabel(p) })), parameter);
+        const municipalityId = override ? override.municipality : el('override-municipality').value;
+        fillOptions(el('override-municipality'), municipalities.map(m => ({ value: m.id, label: m.name })), municipalityId);
+        fillBarangays(el('override-municipality').value, override ? override.barangay : '');
+        LEVEL_KEYS.forEach(k => { fields[k].value = override ? override[`${k}_threshold`] : ''; });
+        el('override-errors').classList.add('d-none');
+        updateFallback();
+    }
+
+    function showErrors(text) {
+        const box = el('override-errors');
+        box.textContent = text;
+        box.classList.toggle('d-none', !text);
+    }
+
+    function apiErrorText(err) {
+        if (err && err.body && typeof err.body === 'object') {
+            return Object.keys(err.body).map(k => {
+                const v = err.body[k];
+                return `${k === 'non_field_errors' || k === 'detail' ? '' : k.replace(/_/g, ' ') + ': '}${Array.isArray(v) ? v.join(' ') : v}`;
+            }).join(' ');
+        }
+        return err && err.message ? err.message : 'Could not save the override.';
+    }
+
+    // Empty fields take the fallback value, then the whole set must be strictly increasing
+    function formValues() {
+        const parameter = el('override-parameter').value;
+        const fallback = fallbackFor(parameter, el('override-municipality').value, el('override-barangay').value);
+        const values = {};
+        for (const k of LEVEL_KEYS) {
+            const raw = fields[k].value.trim();
+            const value = raw === '' ? (fallback ? Number(fallback.values[k]) : NaN) : Number(raw);
+            if (!Number.isFinite(value)) return { error: `Enter a number for ${k}.` };
+            values[k] = value;
+        }
+        for (let i = 1; i < LEVEL_KEYS.length; i++) {
+            if (!(values[LEVEL_KEYS[i - 1]] < values[LEVEL_KEYS[i]])) return { error: ORDER_MESSAGE };
+        }
+        if (LEVEL_KEYS.every(k => fields[k].value.trim() === '')) {
+            return { error: 'Enter at least one threshold that differs from the fallback values.' };
+        }
+        return { values };
+    }
+
+    form.addEventListener('submit', function(event) {
+        event.preventDefault();
+        if (!el('override-parameter').value || !el('override-municipality').value) {
+            showErrors('Choose a parameter and a municipality.');
+            return;
+        }
+        const result = formValues();
+        if (result.error) {
+            showErrors(result.error);
+            return;
+        }
+        const payload = {
+            parameter: el('override-parameter').value,
+            municipality: Number(el('override-municipality').value),
+            barangay: el('override-barangay').value ? Number(el('override-barangay').value) : null,
+        };
+        LEVEL_KEYS.forEach(k => { payload[`${k}_threshold`] = result.values[k]; });
+        if (el('override-id').value) payload.id = el('override-id').value;
+
+        const saveBtn = el('override-save-btn');
+        saveBtn.disabled = true;
+        FloodApi.saveThresholdOverride(payload)
+            .then(() => {
+                resetForm(null);
+                return load();
+            })
+            .then(() => FloodThresholds.notifyChanged())
+            .catch(err => showErrors(apiErrorText(err)))
+            .finally(() => { saveBtn.disabled = false; });
+    });
+
+    el('override-cancel-btn').addEventListener('click', () => resetForm(null));
+    el('override-parameter').addEventListener('change', updateFallback);
+    el('override-barangay').addEventListener('change', updateFallback);
+    el('override-municipality').addEventListener('change', function() {
+        fillBarangays(this.value, '');
+        updateFallback();
+    });
+
+    body.addEventListener('click', function(event) {
+        const row = event.target.closest('tr[data-override-id]');
+        if (!row) return;
+        const override = overrides.find(o => String(o.id) === row.dataset.overrideId);
+        if (!override) return;
+        if (event.target.closest('.override-edit')) {
+            resetForm(override);
+            form.scrollIntoView({ behavior: 'smooth', block: 'center' });
+        } else if (event.target.closest('.override-delete')) {
+            const place = override.barangay_name || override.municipality_name;
+            if (!window.confirm(`Delete the ${parameterLabel(override.parameter)} override for ${place}? It will use the fallback thresholds again.`)) return;
+            FloodApi.deleteThresholdOverride(override.id)
+                .then(() => {
+                    if (el('override-id').value === String(override.id)) resetForm(null);
+                    return load();
+                })
+                .then(() => FloodThresholds.notifyChanged())
+                .catch(err => {
+                    console.error('[Overrides] Could not delete override:', err);
+                    alert('Could not delete the override. Please try again.');
+                });
+        }
+    });
+
+    if (!Object.keys(globals).length) {
+        showErrors('Configure the global thresholds above before adding local overrides.');
+        el('override-save-btn').disabled = true;
+    }
+    resetForm(null);
+    load();
+});
@@ -0,0 +1,382 @@
+// thresholds.js
+// Shared threshold settings (advisory → catastrophic per parameter, from /api/threshold-settings/)
+// and a Chart.js plugin that draws them on trend charts: a shaded band and a labelled line per
+// level, and a marker on every point where a reading moves into another band. A chart opts in
+// with options.plugins.floodThresholds = { parameter, datasetIndex, location }. Saving thresholds
+// on the config page calls notifyChanged(), which reloads them here and in every other open tab.
+// severityOf() is the one place a reading becomes a severity level and colour: markers, gauges,
+// circles and status text all use it, so they agree with the threshold settings and each other.
+// Given a location it applies the municipality and barangay overrides (/api/threshold-overrides/)
+// the way the server does: the barangay's own, else its municipality's, else the global setting.
+(function(window, document) {
+    'use strict';
+
+    const CHANGE_KEY = 'floodThresholds:changed';
+    const STALE_MS = 60 * 1000;   // refetch on tab focus when older than this
+    const LEVELS = [
+        { key: 'advisory', name: 'Advisory', color: '#0DCAF0' },
+        { key: 'watch', name: 'Watch', color: '#FFC107' },
+        { key: 'warning', name: 'Warning', color: '#FD7E14' },
+        { key: 'emergency', name: 'Emergency', color: '#DC3545' },
+        { key: 'catastrophic', name: 'Catastrophic', color: '#7F0000' },
+    ];
+    const NORMAL_COLOR = '#198754';    // below advisory
+    const NO_DATA_COLOR = '#6C757D';   // no reading, or no thresholds for the parameter
+
+    // Units a reading may arrive in, as factors to the first unit of each group. Readings are
+    // converted to the threshold setting's unit before comparing; unknown units are compared as-is.
+    const UNIT_GROUPS = [
+        { m: 1, cm: 0.01, mm: 0.001, ft: 0.3048, in: 0.0254 },
+        { 'km/h': 1, kph: 1, kmh: 1, 'm/s': 3.6, mph: 1.609344, kt: 1.852, kn: 1.852 },
+        { 'mm/hr': 1, 'mm/h': 1, 'in/hr': 25.4, 'in/h': 25.4 },
+    ];
+
+    let settings = null;   // { parameter: {advisory, watch, warning, emergency, catastrophic, unit, scope, name} }
+    let overrides = {};    // 'parameter:barangay:id' | 'parameter:municipality:id' -> same shape
+    let loadedAt = 0;
+    let pending = null;
+    const listeners = new Set();
+    const charts = new Set();
+
+    /**
+     * Fetch the threshold settings and overrides; concurrent calls share one request. Without
+     * the overrides every location is evaluated against the global settings.
+     * @param {boolean} [force]  Refetch even when already loaded
+     * @returns {Promise<Object>} parameter -> {advisory, watch, warning, emergency, catastrophic, unit}
+     */
+    function load(force) {
+        if (settings && !force) return Promise.resolve(settings);
+        if (pending) return pending;
+        const overridesLoaded = FloodApi.thresholdOverrides().catch(err => {
+            console.warn('[Thresholds] Overrides unavailable; using the global settings:', err);
+            return [];
+        });
+        pending = Promise.all([FloodApi.thresholdSettings(), overridesLoaded]).then(([data, overrideData]) => {
+            const list = Array.isArray(data) ? data : (data.results || []);
+            const map = {};
+            list.forEach(t => {
+                map[t.parameter] = Object.assign(levelsFrom(t), { unit: t.unit, scope: 'global', name: null });
+            });
+            const byPlace = {};
+            (Array.isArray(overrideData) ? overrideData : (overrideData.results || [])).forEach(o => {
+                const base = map[o.parameter];
+                if (!base) return;
+                const barangay = o.barangay !== null && o.barangay !== undefined;
+                byPlace[overrideKey(o.parameter, barangay ? 'barangay' : 'municipality', barangay ? o.barangay : o.municipality)] =
+                    Object.assign(levelsFrom(o), {
+                        unit: base.unit,
+                        scope: o.scope,
+                        name: barangay ? o.barangay_name : o.municipality_name,
+                    });
+            });
+            const changed = JSON.stringify([map, byPlace]) !== JSON.stringify([settings, overrides]);
+            settings = map;
+            overrides = byPlace;
+            loadedAt = Date.now();
+            if (changed) notify();
+            return settings;
+        }).finally(() => { pending = null; });
+        return pending;
+    }
+
+    function levelsFrom(t) {
+        const levels = {};
+        LEVELS.forEach(l => { levels[l.key] = t[`${l.key}_threshold`]; });
+        return levels;
+    }
+
+    function overrideKey(parameter, scope, id) {
+        return `${parameter}:${scope}:${id}`;
+    }
+
+    /**
+     * Loaded global thresholds for one parameter, or all of them; null before the first load.
+     * @param {string} [parameter]
+     */
+    function get(parameter) {
+        if (!settings) return null;
+        return parameter ? (settings[parameter] || null) : settings;
+    }
+
+    /**
+     * Thresholds for a parameter at a location: the barangay's override, else the
+     * municipality's, else the global setting. null before the first load.
+     * @param {string} parameter
+     * @param {{municipality_id?: *, barangay_id?: *, municipalityId?: *, barangayId?: *}} [location]
+     *        A sensor or map record, or a FloodLocation selection; without it the global setting
+     * @returns {?{advisory, watch, warning, emergency, catastrophic, unit, scope: string, name: ?string}}
+     */
+    function resolve(parameter, location) {
+        const base = get(parameter);
+        if (!base || !location) return base;
+        const barangayId = location.barangay_id != null ? location.barangay_id : location.barangayId;
+        const municipalityId = location.municipality_id != null ? location.municipality_id : location.municipalityId;
+        return (barangayId != null && overrides[overrideKey(parameter, 'barangay', barangayId)])
+            || (municipalityId != null && overrides[overrideKey(parameter, 'municipality', municipalityId)])
+            || base;
+    }
+
+    /**
+     * @param {Function} fn  (settings) -> void; called whenever the loaded thresholds change
+     * @returns {Function} unsubscribe
+     */
+    function subscribe(fn) {
+        listeners.add(fn);
+        return () => listeners.delete(fn);
+    }
+
+    function notify() {
+        listeners.forEach(fn => {
+            try { fn(settings); } catch (e) { console.error('[Thresholds] Listener failed:', e); }
+        });
+        charts.forEach(chart => {
+            try { chart.update(); } catch (e) { charts.delete(chart); }
+        });
+    }
+
+    /**
+     * Call after thresholds were saved; reloads them in this tab and in every other open tab.
+     * @returns {Promise<Object>}
+     */
+    function notifyChanged() {
+        try { window.localStorage.setItem(CHANGE_KEY, String(Date.now())); } catch (e) { /* private mode */ }
+        return load(true).catch(err => console.warn('[Thresholds] Reload failed:', err));
+    }
+
+    window.addEventListener('storage', e => {
+        if (e.key === CHANGE_KEY) load(true).catch(() => {});
+    });
+    document.addEventListener('visibilitychange', () => {
+        if (!document.hidden && settings && Date.now() - loadedAt > STALE_MS) load(true).catch(() => {});
+    });
+
+    function normalizeUnit(unit) {
+        return String(unit || '').trim().toLowerCase().replace(/\s+/g, '').replace(/^deg/, '°').replace(/^º/, '°');
+    }
+
+    /**
+     * A value in another unit of the same quantity (length, speed, rain rate, temperature).
+     * Returns the value unchanged when either unit is missing or they cannot be converted.
+     * @param {number} value
+     * @param {?string} from
+     * @param {?string} to
+     * @returns {number}
+     */
+    function convert(value, from, to) {
+        const a = normalizeUnit(from);
+        const b = normalizeUnit(to);
+        const v = Number(value);
+        if (!a || !b || a === b) return v;
+        const celsius = { '°c': x => x, c: x => x, '°f': x => (x - 32) * 5 / 9, f: x => (x - 32) * 5 / 9, k: x => x - 273.15 };
+        const fromCelsius = { '°c': x => x, c: x => x, '°f': x => x * 9 / 5 + 32, f: x => x * 9 / 5 + 32, k: x => x + 273.15 };
+        if (celsius[a] && fromCelsius[b]) return fromCelsius[b](celsius[a](v));
+        const group = UNIT_GROUPS.find(g => g[a] !== undefined && g[b] !== undefined);
+        return group ? v * group[a] / group[b] : v;
+    }
+
+    /**
+     * Level 0-5 reached by a value (0 below advisory), or null without a value or thresholds.
+     * @param {string} parameter
+     * @param {?number} value
+     * @param {string} [unit]  The value's unit, when it may differ from the setting's
+     * @param {Object} [location]  Where the value was read; see resolve()
+     */
+    function levelOf(parameter, value, unit, location) {
+        const t = resolve(parameter, location);
+        if (!t || value === null || value === undefined || value === '' || isNaN(value)) return null;
+        const v = unit ? convert(value, unit, t.unit) : Number(value);
+        let level = 0;
+        LEVELS.forEach((l, i) => {
+            if (t[l.key] !== null && t[l.key] !== undefined && v >= t[l.key]) level = i + 1;
+        });
+        return level;
+    }
+
+    /**
+     * Palette colour for a level: green below advisory, grey for null (no reading or thresholds).
+     * @param {?number} level  0-5
+     */
+    function colorOf(level) {
+        if (level === null || level === undefined || level === '' || isNaN(level)) return NO_DATA_COLOR;
+        const n = Math.max(0, Math.min(LEVELS.length, parseInt(level, 10) || 0));
+        return n ? LEVELS[n - 1].color : NORMAL_COLOR;
+    }
+
+    /**
+     * Display name for a level: 'Normal' below advisory, 'No data' for null.
+     * @param {?number} level  0-5
+     */
+    function nameOf(level) {
+        if (level === null || level === undefined || level === '' || isNaN(level)) return 'No data';
+        const n = Math.max(0, Math.min(LEVELS.length, parseInt(level, 10) || 0));
+        return n ? LEVELS[n - 1].name : 'Normal';
+    }
+
+    /**
+     * Severity of a reading against the live threshold settings.
+     * @param {string} parameter
+     * @param {?number} value
+     * @param {string} [unit]  The reading's unit; converted to the setting's unit when they differ
+     * @param {Object} [location]  Where the reading was taken; see resolve()
+     * @returns {{level: ?number, name: string, color: string, key: ?string}}
+     *          level is null (grey, 'No data') without a reading or thresholds for the parameter
+     */
+    function severityOf(parameter, value, unit, location) {
+        const level = levelOf(parameter, value, unit, location);
+        return {
+            level,
+            name: nameOf(level),
+            color: colorOf(level),
+            key: level ? LEVELS[level - 1].key : null,
+        };
+    }
+
+    // ---------------- Chart plugin ----------------
+
+    function withAlpha(hex, alpha) {
+        const n = parseInt(hex.slice(1), 16);
+        return `rgba(${(n >> 16) & 255}, ${(n >> 8) & 255}, ${n & 255}, ${alpha})`;
+    }
+
+    function formatValue(value) {
+        return Number(value).toFixed(2).replace(/\.?0+$/, '');
+    }
+
+    // Threshold levels for the chart's parameter, or null when it has none (yet)
+    function levelsFor(chart, opts) {
+        if (!opts || !opts.parameter) return null;
+        charts.add(chart);
+        const t = resolve(opts.parameter, opts.location);
+        if (!t) {
+            if (!settings) load().catch(() => {});
+            return null;
+        }
+        const levels = LEVELS.map(l => ({ name: l.name, color: l.color, value: t[l.key] }))
+            .filter(l => l.value !== null && l.value !== undefined && !isNaN(l.value));
+        return levels.length ? { unit: t.unit || '', levels } : null;
+    }
+
+    function axisFor(chart, opts) {
+        if (opts.axis) return opts.axis;
+        const dataset = chart.data.datasets[opts.datasetIndex || 0];
+        return (dataset && dataset.yAxisID) || 'y';
+    }
+
+    function valueAt(dataset, i) {
+        const d = dataset.data[i];
+        const v = d !== null && typeof d === 'object' ? d.y : d;
+        return v === null || v === undefined || isNaN(v) ? null : Number(v);
+    }
+
+    const bandsPlugin = {
+        id: 'floodThresholds',
+        defaults: { parameter: null, datasetIndex: 0, axis: null, markCrossings: true, location: null },
+
+        // Stretch the value axis so the band just above the highest reading is visible
+        afterDataLimits(chart, args, opts) {
+            const t = levelsFor(chart, opts);
+            if (!t || args.scale.id !== axisFor(chart, opts)) return;
+            const scale = args.scale;
+            const next = t.levels.find(l => l.value > scale.max);
+            if (next) scale.max = next.value + (next.value - scale.min) * 0.05;
+        },
+
+        beforeDatasetsDraw(chart, args, opts) {
+            const t = levelsFor(chart, opts);
+            const scale = t && chart.scales[axisFor(chart, opts)];
+            if (!scale) return;
+            const area = chart.chartArea;
+            const ctx = chart.ctx;
+            ctx.save();
+            ctx.beginPath();
+            ctx.rect(area.left, area.top, area.right - area.left, area.bottom - area.top);
+            ctx.clip();
+            t.levels.forEach((level, i) => {
+                const y = scale.getPixelForValue(level.value);
+                const upper = t.levels[i + 1] ? scale.getPixelForValue(t.levels[i + 1].value) : area.top;
+                ctx.fillStyle = withAlpha(level.color, 0.08);
+                ctx.fillRect(area.left, Math.min(y, upper), area.right - area.left, Math.abs(y - upper));
+
+                ctx.strokeStyle = level.color;
+                ctx.lineWidth = 1;
+                ctx.setLineDash([4, 3]);
+                ctx.beginPath();
+                ctx.moveTo(area.left, y);
+                ctx.lineTo(area.right, y);
+                ctx.stroke();
+                ctx.setLineDash([]);
+
+                ctx.fillStyle = level.color;
+                ctx.font = '10px sans-serif';
+                ctx.textAlign = 'right';
+                ctx.textBaseline = 'bottom';
+                ctx.fillText(`${level.name} ${formatValue(level.value)} ${t.unit}`.trim(), area.right - 4, y - 2);
+            });
+            ctx.restore();
+        },
+
+        // Mark each reading that moved into a different band than the previous reading
+        afterDatasetsDraw(chart, args, opts) {
+            if (!opts.markCrossings || !levelsFor(chart, opts)) return;
+            const index = opts.datasetIndex || 0;
+            const dataset = chart.data.datasets[index];
+            const meta = chart.getDatasetMeta(index);
+            if (!dataset || !meta || meta.hidden) return;
+            const ctx = chart.ctx;
+            const area = chart.chartArea;
+            let previous = null;
+            ctx.save();
+            dataset.data.forEach((_, i) => {
+                const level = levelOf(opts.parameter, valueAt(dataset, i), null, opts.location);
+                if (level === null) return;
+                const point = meta.data[i];
+                if (previous !== null && level !== previous && point && !point.skip &&
+                    point.x >= area.left && point.x <= area.right) {
+                    const up = level > previous;
+                    const color = colorOf(level);
+                    const size = 6;
+                    const tip = up ? point.y - size * 2 : point.y + size * 2;
+                    const base = up ? point.y - 3 : point.y + 3;
+                    ctx.fillStyle = color;
+                    ctx.strokeStyle = '#ffffff';
+                    ctx.lineWidth = 1;
+                    ctx.beginPath();
+                    ctx.moveTo(point.x, tip);
+                    ctx.lineTo(point.x - size, base);
+                    ctx.lineTo(point.x + size, base);
+                    ctx.closePath();
+                    ctx.fill();
+                    ctx.stroke();
+                }
+                previous = level;
+            });
+            ctx.restore();
+        },
+
+        afterDestroy(chart) {
+            charts.delete(chart);
+        },
+    };
+
+    if (window.Chart && typeof window.Chart.register === 'function') {
+        window.Chart.register(bandsPlugin);
+    }
+
+    window.FloodThresholds = {
+        LEVELS,
+        NORMAL_COLOR,
+        NO_DATA_COLOR,
+        load,
+        get,
+        resolve,
+        subscribe,
+        notifyChanged,
+        levelOf,
+        severityOf,
+        colorOf,
+        nameOf,
+        convert,
+        bandsPlugin,
+    };
+
+})(window, document);
@@ -0,0 +1,235 @@
+// trends_export.js
+// Downloads the numbers behind a trends chart as CSV, XLSX or JSON. Each row is one timestamp
+// (Asia/Manila and UTC) with, per parameter, the reading in its configured unit and the
+// threshold level it reached (FloodThresholds, including the overrides for the exported place).
+// XLSX files are written with SheetJS, which is only fetched from the CDN the first time someone
+// exports to Excel; other pages that read or write spreadsheets share the same loader.
+(function(window, document) {
+    'use strict';
+
+    // From the SheetJS CDN: npm stopped at 0.18.5, whose reader is open to prototype
+    // pollution from crafted files (CVE-2023-30533, fixed in 0.19.3)
+    const SHEETJS_URL = 'https://cdn.sheetjs.com/xlsx-0.20.3/package/dist/xlsx.full.min.js';
+    const PARAMETERS = [
+        { key: 'temperature', label: 'Temperature' },
+        { key: 'humidity', label: 'Humidity' },
+        { key: 'rainfall', label: 'Rainfall' },
+        { key: 'water_level', label: 'Water Level' },
+        { key: 'wind_speed', label: 'Wind Speed' },
+    ];
+    const MIME = {
+        csv: 'text/csv;charset=utf-8',
+        json: 'application/json',
+    };
+
+    let sheetJs = null;
+
+    /**
+     * @typedef {Object} TrendsData
+     * @property {string[]} labels   ISO timestamps, ascending
+     * @property {Object<string, Array<?number>>} series  parameter key -> values aligned with labels
+     */
+
+    /**
+     * @typedef {Object} ExportContext
+     * @property {string} [location]  Human-readable location, e.g. "Brgy. Poblacion, Agoo"
+     * @property {string} [range]     Human-readable range, e.g. "Last 7 days"
+     * @property {string} [filename]  File name without extension (default trends-<Manila time>)
+     * @property {Object} [place]     {municipalityId, barangayId} whose threshold overrides set the levels
+     */
+
+    // "2025-09-21 13:45:00" in Asia/Manila
+    function manilaTimestamp(value) {
+        const date = new Date(value);
+        if (isNaN(date)) return '';
+        try {
+            const parts = {};
+            new Intl.DateTimeFormat('en-GB', {
+                timeZone: 'Asia/Manila', year: 'numeric', month: '2-digit', day: '2-digit',
+                hour: '2-digit', minute: '2-digit', second: '2-digit', hour12: false
+            }).formatToParts(date).forEach(p => { parts[p.type] = p.value; });
+            const hour = parts.hour === '24' ? '00' : parts.hour;
+            return `${parts.year}-${parts.month}-${parts.day} ${hour}:${parts.minute}:${parts.second}`;
+        } catch (e) {
+            return date.toISOString();
+        }
+    }
+
+    // Thresholds per exported parameter at the export's place (overrides included)
+    function loadThresholds(place) {
+        return FloodThresholds.load().then(() => {
+            const byParameter = {};
+            PARAMETERS.forEach(p => {
+                const t = FloodThresholds.resolve(p.key, place);
+                if (!t) return;
+                byParameter[p.key] = {
+                    unit: t.unit || '',
+                    levels: [t.advisory, t.watch, t.warning, t.emergency, t.catastrophic],
+                    source: { scope: t.scope, name: t.name },
+                };
+            });
+            return byParameter;
+        }).catch(err => {
+            console.warn('[Export] Threshold settings unavailable; levels left blank:', err);
+            return {};
+        });
+    }
+
+    // 0-5 against the thresholds at the place, or null without a value or thresholds
+    function levelAt(parameter, value, thresholds, place) {
+        return thresholds[parameter] ? FloodThresholds.levelOf(parameter, value, null, place) : null;
+    }
+
+    // Parameters that have at least one value, in the usual display order
+    function parametersIn(data) {
+        const series = data.series || {};
+        return PARAMETERS.filter(p => (series[p.key] || []).some(v => v !== null && v !== undefined && !isNaN(v)));
+    }
+
+    function buildTable(data, thresholds, place) {
+        const params = parametersIn(data);
+        const header = ['Timestamp (Asia/Manila)', 'Timestamp (UTC)'];
+        params.forEach(p => {
+            const unit = thresholds[p.key] ? thresholds[p.key].unit : '';
+            header.push(unit ? `${p.label} (${unit})` : p.label, `${p.label} level`);
+        });
+        const rows = (data.labels || []).map((iso, i) => {
+            const row = [manilaTimestamp(iso), new Date(iso).toISOString()];
+            params.forEach(p => {
+                const raw = (data.series[p.key] || [])[i];
+                const value = raw === null || raw === undefined || isNaN(raw) ? null : Number(raw);
+                const level = levelAt(p.key, value, thresholds, place);
+                row.push(value, level === null ? '' : FloodThresholds.nameOf(level));
+            });
+            return row;
+        });
+        return { header, rows, params };
+    }
+
+    function csvCell(value) {
+        if (value === null || value === undefined) return '';
+        const text = String(value);
+        return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+
+    function toCsv(table, context) {
+        const lines = [];
+        if (context.location) lines.push(`# Location: ${context.location}`);
+        if (context.range) lines.push(`# Range: ${context.range}`);
+        lines.push(`# Generated: ${manilaTimestamp(Date.now())} (Asia/Manila)`);
+        lines.push(table.header.map(csvCell).join(','));
+        table.rows.forEach(row => lines.push(row.map(csvCell).join(',')));
+        // The BOM makes Excel read units such as °C as UTF-8
+        return '\uFEFF' + lines.join('\r\n') + '\r\n';
+    }
+
+    function toJson(data, table, thresholds, context) {
+        const parameters = {};
+        table.params.forEach(p => {
+            const t = thresholds[p.key];
+            parameters[p.key] = {
+                label: p.label,
+                unit: t ? t.unit : null,
+                thresholds: t ? {
+                    advisory: t.levels[0], watch: t.levels[1], warning: t.levels[2],
+                    emergency: t.levels[3], catastrophic: t.levels[4],
+                } : null,
+                threshold_set: t ? t.source : null,
+            };
+        });
+        const points = (data.labels || []).map((iso, i) => {
+            const values = {};
+            table.params.forEach(p => {
+                const raw = (data.series[p.key] || [])[i];
+                const value = raw === null || raw === undefined || isNaN(raw) ? null : Number(raw);
+                const level = levelAt(p.key, value, thresholds, context.place);
+                values[p.key] = { value, level, level_name: level === null ? null : FloodThresholds.nameOf(level) };
+            });
+            return { time: new Date(iso).toISOString(), time_manila: manilaTimestamp(iso), values };
+        });
+        return JSON.stringify({
+            generated_at: new Date().toISOString(),
+            generated_at_manila: manilaTimestamp(Date.now()),
+            location: context.location || null,
+            range: context.range || null,
+            parameters,
+            points,
+        }, null, 2);
+    }
+
+    function loadSheetJs() {
+        if (window.XLSX) return Promise.resolve(window.XLSX);
+        if (sheetJs) return sheetJs;
+        sheetJs = new Promise((resolve, reject) => {
+            const script = document.createElement('script');
+            script.src = SHEETJS_URL;
+            script.onload = () => (window.XLSX ? resolve(window.XLSX) : reject(new Error('SheetJS did not load')));
+            script.onerror = () => reject(new Error('Could not load SheetJS'));
+            document.head.appendChild(script);
+        });
+        sheetJs.catch(() => { sheetJs = null; });
+        return sheetJs;
+    }
+
+    function download(blob, filename) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        document.body.appendChild(link);
+        link.click();
+        link.remove();
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+
+    function defaultFilename() {
+        return `trends-${manilaTimestamp(Date.now()).replace(/[: ]/g, '').replace(/-/g, '')}`;
+    }
+
+    /**
+     * Download trends data.
+     * @param {'csv'|'xlsx'|'json'} format
+     * @param {TrendsData} data
+     * @param {ExportContext} [context]
+     * @returns {Promise<void>}
+     */
+    function exportTrends(format, data, context) {
+        const ctx = context || {};
+        const name = ctx.filename || defaultFilename();
+        if (!data || !(data.labels || []).length) return Promise.reject(new Error('There is no data to export.'));
+
+        return loadThresholds(ctx.place).then(thresholds => {
+            const table = buildTable(data, thresholds, ctx.place);
+            if (format === 'csv') {
+                download(new Blob([toCsv(table, ctx)], { type: MIME.csv }), `${name}.csv`);
+                return;
+            }
+            if (format === 'json') {
+                download(new Blob([toJson(data, table, thresholds, ctx)], { type: MIME.json }), `${name}.json`);
+                return;
+            }
+            if (format === 'xlsx') {
+                return loadSheetJs().then(XLSX => {
+                    const book = XLSX.utils.book_new();
+                    XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([table.header].concat(table.rows)), 'Trends');
+                    XLSX.utils.book_append_sheet(book, XLSX.utils.aoa_to_sheet([
+                        ['Location', ctx.location || 'All locations'],
+                        ['Range', ctx.range || ''],
+                        ['Generated (Asia/Manila)', manilaTimestamp(Date.now())],
+                    ]), 'About');
+                    XLSX.writeFile(book, `${name}.xlsx`);
+                });
+            }
+            throw new Error(`Unsupported export format: ${format}`);
+        });
+    }
+
+    window.FloodExport = {
+        exportTrends,
+        manilaTimestamp,
+        csvCell,
+        download,
+        loadSheetJs,
+    };
+
+})(window, document);